@@ -98,6 +98,155 @@ var AnalysisModule = (function() {
         if (AppState.gapsVisible) createGapGrid();
     }
 
+    // ===== ANALYSIS GRIDS =====
+    //
+    // Gap and hot-zone cells are computed in the grid worker (ComputeModule,
+    // GridComputeModule.gapGrid / hotZoneGrid), kept for hover tooltips and
+    // CSV export, and drawn as a single canvas image overlay, like the
+    // contour, rather than one L.rectangle per cell. The previous overlay
+    // stays on the map until the new grid arrives.
+
+    var GRID_PX_PER_CELL = 8;       // Canvas pixels per cell side
+    var GRID_MAX_CANVAS_PX = 4096;  // Cells shrink to fit this canvas size
+    var TOOLTIP_MAX_IDS = 12;
+
+    var GAP_CLASSES = {
+        gap: { label: 'No samples', color: '#ff0000', opacity: 0.35 },
+        sparse: { label: 'Sparse (1-2)', color: '#ffff00', opacity: 0.3 },
+        adequate: { label: 'Adequate (3+)', color: '#00ff00', opacity: 0.2 }
+    };
+
+    var HOTZONE_CLASSES = {
+        high: { color: '#ff0000', opacity: 0.5 },
+        medium: { color: '#ff9900', opacity: 0.4 },
+        low: { color: '#00cc00', opacity: 0.25 }
+    };
+
+    var gapGrid = null;       // Gap grid on the map (GridComputeModule.gapGrid plus classes)
+    var hotzoneGrid = null;   // Last hot-zone grid
+    var hoverTooltip = null;
+    var hoverKey = null;
+    var hoverBound = false;
+
+    /**
+     * Draw a grid's cells (each with color and opacity) onto one canvas and
+     * return it as an image overlay.
+     * @param {Object} grid - From GridComputeModule, with a color and opacity per cell
+     * @returns {L.ImageOverlay}
+     */
+    function renderGrid(grid) {
+        var px = Math.max(1, Math.min(GRID_PX_PER_CELL,
+            Math.floor(GRID_MAX_CANVAS_PX / Math.max(grid.rows, grid.cols))));
+        var canvas = document.createElement('canvas');
+        canvas.width = grid.cols * px;
+        canvas.height = grid.rows * px;
+        var ctx = canvas.getContext('2d');
+        ctx.lineWidth = 1;
+
+        grid.cells.forEach(function(cell) {
+            if (!cell) return;
+            // Canvas row 0 is the top (north) edge
+            var x = cell.col * px;
+            var y = (grid.rows - 1 - cell.row) * px;
+            ctx.fillStyle = rgba(cell.color, cell.opacity);
+            ctx.fillRect(x, y, px, px);
+            if (px >= 4) {
+                ctx.strokeStyle = rgba(cell.color, 0.5);
+                ctx.strokeRect(x + 0.5, y + 0.5, px - 1, px - 1);
+            }
+        });
+
+        var bounds = L.latLngBounds(
+            L.latLng(grid.minLat, grid.minLon),
+            L.latLng(grid.minLat + grid.rows * grid.cellLat, grid.minLon + grid.cols * grid.cellLon)
+        );
+        return L.imageOverlay(canvas.toDataURL(), bounds, {
+            className: 'analysis-grid-overlay',
+            interactive: false
+        });
+    }
+
+    /**
+     * '#rrggbb' plus alpha -> CSS rgba()
+     */
+    function rgba(hex, alpha) {
+        var c = Utils.hexToRgb(hex);
+        return 'rgba(' + c.r + ',' + c.g + ',' + c.b + ',' + alpha + ')';
+    }
+
+    /**
+     * Cell of a grid under a map position.
+     * @returns {Object|null}
+     */
+    function cellAt(grid, latlng) {
+        if (!grid) return null;
+        var row = Math.floor((latlng.lat - grid.minLat) / grid.cellLat);
+        var col = Math.floor((latlng.lng - grid.minLon) / grid.cellLon);
+        if (row < 0 || col < 0 || row >= grid.rows || col >= grid.cols) return null;
+        return grid.cells[row * grid.cols + col];
+    }
+
+    // ===== GRID TOOLTIPS =====
+
+    /**
+     * Bind the map hover handlers once; they do nothing while no grid is shown.
+     */
+    function bindGridHover() {
+        if (hoverBound) return;
+        hoverBound = true;
+        hoverTooltip = L.tooltip({ className: 'grid-cell-tooltip', direction: 'top', offset: [0, -8] });
+        AppState.map.on('mousemove', handleGridHover);
+        AppState.map.on('mouseout', hideGridTooltip);
+    }
+
+    function handleGridHover(e) {
+        var gapCell = cellAt(gapGrid, e.latlng);
+        var hotCell = cellAt(hotzoneGrid, e.latlng);
+        if (!gapCell && !hotCell) {
+            hideGridTooltip();
+            return;
+        }
+
+        var key = (gapCell ? gapCell.row + ',' + gapCell.col : '') + '|' + (hotCell ? hotCell.row + ',' + hotCell.col : '');
+        if (key !== hoverKey) {
+            hoverKey = key;
+            var parts = [];
+            if (gapCell) parts.push(describeGapCell(gapCell));
+            if (hotCell) parts.push(describeHotZoneCell(hotCell));
+            hoverTooltip.setContent(parts.join('<hr>'));
+        }
+        hoverTooltip.setLatLng(e.latlng);
+        if (!AppState.map.hasLayer(hoverTooltip)) AppState.map.openTooltip(hoverTooltip);
+    }
+
+    function hideGridTooltip() {
+        hoverKey = null;
+        if (hoverTooltip && AppState.map.hasLayer(hoverTooltip)) AppState.map.closeTooltip(hoverTooltip);
+    }
+
+    function describeGapCell(cell) {
+        return '<b>Sampling density</b><br>' +
+            cell.count + ' sample' + (cell.count === 1 ? '' : 's') + ' within ' + gapGrid.radiusFt + ' ft' +
+            (cell.plannedIds.length ? ' (' + cell.plannedIds.length + ' planned)' : '') +
+            listIds(cell.ids.concat(cell.plannedIds));
+    }
+
+    function describeHotZoneCell(cell) {
+        var t = AppConfig.thresholds[hotzoneGrid.analyte];
+        return '<b>Hot zone \u2013 ' + Utils.escapeHtml(t ? t.abbrev : hotzoneGrid.analyte) + '</b><br>' +
+            'Max ' + Utils.formatVal(cell.maxValue) + ' ' + Utils.escapeHtml(hotzoneGrid.unit) +
+            ' (' + Utils.escapeHtml(cell.maxId) + ') \u2013 ' + Utils.escapeHtml(cell.label) + '<br>' +
+            cell.count + ' sample' + (cell.count === 1 ? '' : 's') + ' within ' + hotzoneGrid.radiusFt + ' ft' +
+            listIds(cell.ids);
+    }
+
+    function listIds(ids) {
+        if (ids.length === 0) return '';
+        var shown = ids.slice(0, TOOLTIP_MAX_IDS).map(Utils.escapeHtml).join(', ');
+        if (ids.length > TOOLTIP_MAX_IDS) shown += ' +' + (ids.length - TOOLTIP_MAX_IDS) + ' more';
+        return '<br><span class="grid-cell-ids">' + shown + '</span>';
+    }
+
     // ===== GAP ANALYSIS =====
 
     function toggleGapAnalysis() {
@@ -113,75 +262,59 @@ var AnalysisModule = (function() {
         } else {
             btn.classList.remove('active-gap');
             legend.classList.remove('visible');
-            if (AppState.gapLayer) {
-                AppState.map.removeLayer(AppState.gapLayer);
-                AppState.gapLayer = null;
-            }
+            removeGapGrid();
         }
     }
 
+    /**
+     * Count locations sampled in the depth horizon (and planned points, if
+     * included) within the grid size of each cell center.
+     */
     function createGapGrid() {
-        if (AppState.gapLayer) AppState.map.removeLayer(AppState.gapLayer);
-        AppState.gapLayer = L.layerGroup().addTo(AppState.map);
-
-        var data = AppState.data;
-
-        var baseSamples = [];
-        data.samples2025.filter(function(s) { return s.sampled; }).forEach(function(s) {
-            baseSamples.push({ lat: s.lat, lon: s.lon });
-        });
-        data.eaSamples.forEach(function(e) {
-            baseSamples.push({ lat: e.lat, lon: e.lon });
-        });
-
-        var densitySamples = baseSamples.slice();
-        if (AppState.includePlannedInGaps) {
-            AppState.plannedPoints.forEach(function(p) {
-                densitySamples.push({ lat: p.lat, lon: p.lon });
-            });
+        updateHorizonLabels();
+        var baseSamples = DataModule.getLocations({ horizon: AppState.depthHorizon, sampled: true });
+        if (baseSamples.length === 0) {
+            removeGapGrid();
+            return;
         }
 
-        var lats = baseSamples.map(function(s) { return s.lat; });
-        var lons = baseSamples.map(function(s) { return s.lon; });
-        var minLat = Math.min.apply(null, lats) - 0.0005;
-        var maxLat = Math.max.apply(null, lats) + 0.0005;
-        var minLon = Math.min.apply(null, lons) - 0.0005;
-        var maxLon = Math.max.apply(null, lons) + 0.0005;
-
-        var sizeMeters = AppState.gridSizeFt * conv.feetToMeters;
-        var gridSizeLat = sizeMeters / conv.metersPerDegLat;
-        var gridSizeLon = sizeMeters / conv.metersPerDegLon;
-        var searchRadius = sizeMeters;
-
-        for (var lat = minLat; lat < maxLat; lat += gridSizeLat) {
-            for (var lon = minLon; lon < maxLon; lon += gridSizeLon) {
-                var centerLat = lat + gridSizeLat / 2;
-                var centerLon = lon + gridSizeLon / 2;
-                var centerLatLng = L.latLng(centerLat, centerLon);
-
-                var count = 0;
-                for (var si = 0; si < densitySamples.length; si++) {
-                    var s = densitySamples[si];
-                    if (centerLatLng.distanceTo(L.latLng(s.lat, s.lon)) <= searchRadius) {
-                        count++;
-                    }
-                }
-
-                var color, opacity;
-                if (count === 0) {
-                    color = '#ff0000'; opacity = 0.35;
-                } else if (count <= 2) {
-                    color = '#ffff00'; opacity = 0.3;
-                } else {
-                    color = '#00ff00'; opacity = 0.2;
-                }
-
-                L.rectangle(
-                    [[lat, lon], [lat + gridSizeLat, lon + gridSizeLon]],
-                    { color: color, weight: 0.5, fillColor: color, fillOpacity: opacity, opacity: 0.5 }
-                ).addTo(AppState.gapLayer);
+        var job = {
+            samples: baseSamples.map(function(loc) { return { lat: loc.lat, lon: loc.lon, id: loc.id }; }),
+            planned: AppState.includePlannedInGaps ? AppState.plannedPoints.map(function(p) {
+                return { lat: p.lat, lon: p.lon, id: p.id };
+            }) : [],
+            gridSizeFt: AppState.gridSizeFt
+        };
+
+        ComputeModule.run('gap', 'Data gaps', 'gapGrid', job, {
+            done: function(grid) {
+                grid.cells.forEach(function(cell) {
+                    var cls = cell.count === 0 ? 'gap' : cell.count <= 2 ? 'sparse' : 'adequate';
+                    cell.cls = cls;
+                    cell.label = GAP_CLASSES[cls].label;
+                    cell.color = GAP_CLASSES[cls].color;
+                    cell.opacity = GAP_CLASSES[cls].opacity;
+                });
+                if (AppState.gapLayer) AppState.map.removeLayer(AppState.gapLayer);
+                gapGrid = grid;
+                hoverKey = null;
+                AppState.gapLayer = renderGrid(grid).addTo(AppState.map);
+                bindGridHover();
+            },
+            cancelled: function() {
+                if (AppState.gapsVisible) toggleGapAnalysis();
             }
+        });
+    }
+
+    function removeGapGrid() {
+        ComputeModule.cancel('gap');
+        if (AppState.gapLayer) {
+            AppState.map.removeLayer(AppState.gapLayer);
+            AppState.gapLayer = null;
         }
+        gapGrid = null;
+        hideGridTooltip();
     }
 
     // ===== HOT ZONE ANALYSIS =====
@@ -199,99 +332,164 @@ var AnalysisModule = (function() {
         } else {
             btn.classList.remove('active-hotzone');
             legend.classList.remove('visible');
-            if (AppState.hotzoneLayer) {
-                AppState.map.removeLayer(AppState.hotzoneLayer);
-                AppState.hotzoneLayer = null;
-            }
+            removeHotZoneGrid();
         }
     }
 
     function updateHotZoneLegend() {
         var abbrevs = AppConfig.getAnalyteAbbreviations();
-        var thresh = AppConfig.thresholds[AppState.currentAnalyte];
+        var thresh = AppConfig.getThreshold(AppState.currentAnalyte);
         document.getElementById('hotzoneAnalyte').textContent = abbrevs[AppState.currentAnalyte];
+        var setLabel = document.getElementById('hotzoneSet');
+        if (setLabel) setLabel.textContent = AppConfig.getScreeningSet().label;
+        updateHorizonLabels();
 
         var legendItems = document.getElementById('hotzoneLegend').querySelectorAll('.gap-legend-item');
-        if (thresh.high === thresh.low) {
-            legendItems[0].innerHTML = '<span class="gap-box" style="background:rgba(255,0,0,0.5)"></span>Exceeds ROD (>' + thresh.high + ')';
+        if (!thresh) {
+            legendItems[0].innerHTML = '<span class="gap-box" style="background:rgba(255,0,0,0.5)"></span>N/A';
+            legendItems[1].innerHTML = '<span class="gap-box" style="background:rgba(255,165,0,0.4)"></span>N/A';
+            legendItems[2].innerHTML = '<span class="gap-box" style="background:rgba(0,200,0,0.25)"></span>No screening level in active set';
+        } else if (thresh.high === thresh.low) {
+            legendItems[0].innerHTML = '<span class="gap-box" style="background:rgba(255,0,0,0.5)"></span>Exceeds ' + thresh.highLabel + ' (>' + thresh.high + ')';
             legendItems[1].innerHTML = '<span class="gap-box" style="background:rgba(255,165,0,0.4)"></span>N/A';
-            legendItems[2].innerHTML = '<span class="gap-box" style="background:rgba(0,200,0,0.25)"></span>Below ROD (\u2264' + thresh.low + ')';
+            legendItems[2].innerHTML = '<span class="gap-box" style="background:rgba(0,200,0,0.25)"></span>Below ' + thresh.highLabel + ' (\u2264' + thresh.low + ')';
         } else {
-            legendItems[0].innerHTML = '<span class="gap-box" style="background:rgba(255,0,0,0.5)"></span>Exceeds ROD (>' + thresh.high + ')';
-            legendItems[1].innerHTML = '<span class="gap-box" style="background:rgba(255,165,0,0.4)"></span>Above PMB (' + thresh.low + '-' + thresh.high + ')';
-            legendItems[2].innerHTML = '<span class="gap-box" style="background:rgba(0,200,0,0.25)"></span>Below PMB (\u2264' + thresh.low + ')';
+            legendItems[0].innerHTML = '<span class="gap-box" style="background:rgba(255,0,0,0.5)"></span>Exceeds ' + thresh.highLabel + ' (>' + thresh.high + ')';
+            legendItems[1].innerHTML = '<span class="gap-box" style="background:rgba(255,165,0,0.4)"></span>Above ' + thresh.lowLabel + ' (' + thresh.low + '-' + thresh.high + ')';
+            legendItems[2].innerHTML = '<span class="gap-box" style="background:rgba(0,200,0,0.25)"></span>Below ' + thresh.lowLabel + ' (\u2264' + thresh.low + ')';
         }
     }
 
+    /**
+     * Color each cell by the highest result of the current analyte in the
+     * depth horizon within the grid size of its center; cells with no
+     * results are left empty. Below the surface, sample IDs carry the depth
+     * interval the value came from.
+     */
     function createHotZoneGrid() {
-        if (AppState.hotzoneLayer) AppState.map.removeLayer(AppState.hotzoneLayer);
-        AppState.hotzoneLayer = L.layerGroup().addTo(AppState.map);
-
-        var data = AppState.data;
         var analyte = AppState.currentAnalyte;
+        var horizon = DataModule.getHorizon();
+        var allSamples = DataModule.getPoints(analyte, { horizon: AppState.depthHorizon });
+        var thresh = AppConfig.getThreshold(analyte);
+
+        if (allSamples.length === 0 || !thresh) {
+            removeHotZoneGrid();
+            return;
+        }
 
-        var allSamples = [];
-        data.samples2025.filter(function(s) { return s.sampled; }).forEach(function(s) {
-            var val = Utils.getSampleValue(s, analyte, false);
-            if (val !== null && val !== undefined) {
-                allSamples.push({ lat: s.lat, lon: s.lon, value: val });
+        var job = {
+            points: allSamples.map(function(p) {
+                return { lat: p.lat, lon: p.lon, value: p.value, id: horizon.surface ? p.id : p.id + ' (' + p.interval.label + ')' };
+            }),
+            gridSizeFt: AppState.gridSizeFt
+        };
+        var t = AppConfig.thresholds[analyte];
+
+        ComputeModule.run('hotzone', 'Hot zones (' + (t ? t.abbrev : analyte) + ')', 'hotZoneGrid', job, {
+            done: function(grid) {
+                grid.cells.forEach(function(cell) {
+                    if (!cell) return;
+                    if (cell.maxValue > thresh.high) {
+                        cell.cls = 'high'; cell.label = 'Exceeds ' + thresh.highLabel;
+                    } else if (cell.maxValue > thresh.low) {
+                        cell.cls = 'medium'; cell.label = 'Above ' + thresh.lowLabel;
+                    } else {
+                        cell.cls = 'low'; cell.label = 'Below ' + thresh.lowLabel;
+                    }
+                    cell.color = HOTZONE_CLASSES[cell.cls].color;
+                    cell.opacity = HOTZONE_CLASSES[cell.cls].opacity;
+                });
+                grid.analyte = analyte;
+                grid.unit = thresh.unit;
+
+                if (AppState.hotzoneLayer) AppState.map.removeLayer(AppState.hotzoneLayer);
+                hotzoneGrid = grid;
+                hoverKey = null;
+                AppState.hotzoneLayer = renderGrid(grid).addTo(AppState.map);
+                bindGridHover();
+            },
+            cancelled: function() {
+                if (AppState.hotzoneVisible) toggleHotZones();
             }
         });
-        data.eaSamples.forEach(function(e) {
-            var val = Utils.getSampleValue(e, analyte, true);
-            if (val !== null && val !== undefined) {
-                allSamples.push({ lat: e.lat, lon: e.lon, value: val });
-            }
+    }
+
+    /**
+     * Show the depth horizon in the gap and hot zone legend titles (blank
+     * for surface samples).
+     */
+    function updateHorizonLabels() {
+        var horizon = DataModule.getHorizon();
+        document.querySelectorAll('.horizon-label').forEach(function(el) {
+            el.textContent = horizon.surface ? '' : ' \u2013 ' + horizon.label;
         });
+    }
 
-        if (allSamples.length === 0) return;
-
-        var lats = allSamples.map(function(s) { return s.lat; });
-        var lons = allSamples.map(function(s) { return s.lon; });
-        var minLat = Math.min.apply(null, lats) - 0.0005;
-        var maxLat = Math.max.apply(null, lats) + 0.0005;
-        var minLon = Math.min.apply(null, lons) - 0.0005;
-        var maxLon = Math.max.apply(null, lons) + 0.0005;
-
-        var sizeMeters = AppState.gridSizeFt * conv.feetToMeters;
-        var gridSizeLat = sizeMeters / conv.metersPerDegLat;
-        var gridSizeLon = sizeMeters / conv.metersPerDegLon;
-        var searchRadius = sizeMeters;
-        var thresh = AppConfig.thresholds[analyte];
-
-        for (var lat = minLat; lat < maxLat; lat += gridSizeLat) {
-            for (var lon = minLon; lon < maxLon; lon += gridSizeLon) {
-                var centerLat = lat + gridSizeLat / 2;
-                var centerLon = lon + gridSizeLon / 2;
-                var centerLatLng = L.latLng(centerLat, centerLon);
-
-                var maxVal = 0;
-                var foundAny = false;
-                for (var si = 0; si < allSamples.length; si++) {
-                    var s = allSamples[si];
-                    if (centerLatLng.distanceTo(L.latLng(s.lat, s.lon)) <= searchRadius) {
-                        foundAny = true;
-                        if (s.value > maxVal) maxVal = s.value;
-                    }
-                }
-
-                if (!foundAny) continue;
-
-                var color, opacity;
-                if (maxVal > thresh.high) {
-                    color = '#ff0000'; opacity = 0.5;
-                } else if (maxVal > thresh.low) {
-                    color = '#ff9900'; opacity = 0.4;
-                } else {
-                    color = '#00cc00'; opacity = 0.25;
-                }
-
-                L.rectangle(
-                    [[lat, lon], [lat + gridSizeLat, lon + gridSizeLon]],
-                    { color: color, weight: 0.5, fillColor: color, fillOpacity: opacity, opacity: 0.5 }
-                ).addTo(AppState.hotzoneLayer);
-            }
+    function removeHotZoneGrid() {
+        ComputeModule.cancel('hotzone');
+        if (AppState.hotzoneLayer) {
+            AppState.map.removeLayer(AppState.hotzoneLayer);
+            AppState.hotzoneLayer = null;
+        }
+        hotzoneGrid = null;
+        hideGridTooltip();
+    }
+
+    // ===== GRID EXPORT =====
+
+    /**
+     * Download the cells of the visible gap and hot-zone grids, one CSV each.
+     */
+    function exportGridCSV() {
+        if (!gapGrid && !hotzoneGrid) {
+            alert('Turn on Data Gaps or Hot Zones to export grid cells.');
+            return;
+        }
+        var date = new Date().toISOString().slice(0, 10);
+
+        if (gapGrid) {
+            Utils.downloadFile(gridToCSV(gapGrid,
+                ['Samples_Within_' + gapGrid.radiusFt + 'ft', 'Sample_IDs', 'Planned_IDs'],
+                function(cell) { return [cell.count, csvField(cell.ids.join(' ')), csvField(cell.plannedIds.join(' '))]; }
+            ), 'text/csv', 'SBMM_Data_Gaps_' + gapGrid.radiusFt + 'ft_' + date + '.csv');
         }
+        if (hotzoneGrid) {
+            var t = AppConfig.thresholds[hotzoneGrid.analyte];
+            var abbrev = t ? t.abbrev : hotzoneGrid.analyte;
+            var unit = hotzoneGrid.unit.replace('/', '_per_');
+            Utils.downloadFile(gridToCSV(hotzoneGrid,
+                ['Samples_Within_' + hotzoneGrid.radiusFt + 'ft', 'Max_' + abbrev + '_' + unit, 'Max_Sample_ID', 'Sample_IDs'],
+                function(cell) { return [cell.count, cell.maxValue, csvField(cell.maxId), csvField(cell.ids.join(' '))]; }
+            ), 'text/csv', 'SBMM_Hot_Zones_' + abbrev + '_' + hotzoneGrid.radiusFt + 'ft_' + date + '.csv');
+        }
+    }
+
+    /**
+     * CSV of a grid's non-empty cells: ID, center and class, then the
+     * grid-specific columns.
+     */
+    function gridToCSV(grid, columns, values) {
+        var rows = [['Cell_ID', 'Latitude', 'Longitude', 'Class'].concat(columns).join(',')];
+        grid.cells.forEach(function(cell) {
+            if (!cell) return;
+            var line = ['R' + cell.row + 'C' + cell.col, cell.lat.toFixed(6), cell.lon.toFixed(6), csvField(cell.label)]
+                .concat(values(cell));
+            rows.push(line.join(','));
+        });
+        return rows.join('\n') + '\n';
+    }
+
+    function csvField(s) {
+        return '"' + String(s).replace(/"/g, '""') + '"';
+    }
+
+    /**
+     * Cells of the visible gap or hot-zone grid, or null when it is off.
+     * @param {string} kind - 'gap' | 'hotzone'
+     * @returns {Object|null} See GridComputeModule.gapGrid / hotZoneGrid
+     */
+    function getGrid(kind) {
+        return kind === 'hotzone' ? hotzoneGrid : gapGrid;
     }
 
     // ===== BUFFER ZONE VISUALIZATION =====
@@ -323,33 +521,13 @@ var AnalysisModule = (function() {
         removeBufferZones();
         AppState.bufferLayer = L.layerGroup().addTo(AppState.map);
 
-        var data = AppState.data;
         var analyte = AppState.currentAnalyte;
         var radiusMeters = AppState.bufferRadiusFt * conv.feetToMeters;
 
-        data.samples2025.forEach(function(s) {
-            if (!s.sampled) return;
-            var val = Utils.getSampleValue(s, analyte, false);
-            if (val === null || val === undefined) return;
-            if (!AppConfig.exceedsROD(val, analyte)) return;
-
-            L.circle([s.lat, s.lon], {
-                radius: radiusMeters,
-                color: '#d63e2a',
-                weight: 2,
-                dashArray: '6, 4',
-                fillColor: '#d63e2a',
-                fillOpacity: 0.12,
-                interactive: false
-            }).addTo(AppState.bufferLayer);
-        });
-
-        data.eaSamples.forEach(function(e) {
-            var val = Utils.getSampleValue(e, analyte, true);
-            if (val === null || val === undefined) return;
-            if (!AppConfig.exceedsROD(val, analyte)) return;
+        DataModule.getPoints(analyte).forEach(function(p) {
+            if (!AppConfig.exceedsROD(p.value, analyte)) return;
 
-            L.circle([e.lat, e.lon], {
+            L.circle([p.lat, p.lon], {
                 radius: radiusMeters,
                 color: '#d63e2a',
                 weight: 2,
@@ -385,6 +563,8 @@ var AnalysisModule = (function() {
         toggleHotZones: toggleHotZones,
         updateHotZoneLegend: updateHotZoneLegend,
         createHotZoneGrid: createHotZoneGrid,
+        exportGridCSV: exportGridCSV,
+        getGrid: getGrid,
         toggleBufferZones: toggleBufferZones,
         adjustBufferRadius: adjustBufferRadius,
         refreshBufferZones: refreshBufferZones
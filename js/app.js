@@ -8,22 +8,12 @@
     'use strict';
 
     document.addEventListener('DOMContentLoaded', function() {
-        var files = AppConfig.dataFiles;
-
-        // Load all data files in parallel
-        Promise.all([
-            Utils.loadJSON(files.samples2025),
-            Utils.loadJSON(files.eaSamples),
-            Utils.loadJSON(files.eaTestPits),
-            Utils.loadJSON(files.testPits2025),
-            Utils.loadJSON(files.soilBorings2025)
-        ]).then(function(results) {
-            // Validate and store loaded data
-            AppState.data.samples2025 = Utils.validateDataset(results[0], 'samples-2025', Utils.validateSample2025);
-            AppState.data.eaSamples = Utils.validateDataset(results[1], 'ea-samples', Utils.validateEASample);
-            AppState.data.eaTestPits = Utils.validateDataset(results[2], 'ea-test-pits', Utils.validateLocationEntry);
-            AppState.data.testPits2025 = Utils.validateDataset(results[3], 'test-pits-2025', Utils.validateLocationEntry);
-            AppState.data.soilBorings2025 = Utils.validateDataset(results[4], 'soil-borings-2025', Utils.validateLocationEntry);
+        // Load, validate and normalize all data files (and optional
+        // screening-level sets) in parallel
+        Promise.all([DataModule.load(), loadScreeningLevels()]).then(function() {
+            // Apply saved threshold edits before anything is colored
+            ThresholdModule.init();
+            BackgroundModule.init();
 
             // Initialize core modules
             MapModule.init();
@@ -35,12 +25,25 @@
             TimelineModule.init();
             PrintModule.init();
             ContourModule.init();
+            CrossValidationModule.init();
+            IsoplethModule.init();
             CrossSectionModule.init();
             PolygonModule.init();
+            BlockModelModule.init();
+            DepthMapModule.init();
+            StepOutModule.init();
+            SimulationModule.init();
+            ThiessenModule.init();
 
             // Build UI
+            buildScreeningSetOptions();
+            buildAnalyteOptions();
             buildSampleLists();
             bindEventListeners();
+            EDDModule.init();
+
+            // Refresh views whenever loaded data changes (e.g. EDD import)
+            document.addEventListener('sbmm:datachange', refreshDataViews);
 
             // Restore persisted state
             restoreState();
@@ -58,6 +61,112 @@
         });
     });
 
+    // ===== SCREENING LEVELS =====
+
+    /**
+     * Load optional screening-level sets from AppConfig.screeningLevelsFile.
+     * A missing or invalid file only logs a warning; the built-in ROD set remains.
+     * @returns {Promise}
+     */
+    function loadScreeningLevels() {
+        return Utils.loadJSON(AppConfig.screeningLevelsFile).then(function(sets) {
+            var added = AppConfig.registerScreeningSets(sets);
+            console.log('Screening levels: ' + added.length + ' sets loaded');
+        }).catch(function(error) {
+            console.warn('Screening levels not loaded: ' + error.message);
+        });
+    }
+
+    /**
+     * Fill the screening-set selector from AppConfig.screeningSets.
+     */
+    function buildScreeningSetOptions() {
+        var select = document.getElementById('screeningSetSelect');
+        if (!select) return;
+        select.innerHTML = '';
+        Object.keys(AppConfig.screeningSets).forEach(function(key) {
+            var set = AppConfig.screeningSets[key];
+            var option = document.createElement('option');
+            option.value = key;
+            option.textContent = set.label;
+            if (set.source) option.title = set.source;
+            select.appendChild(option);
+        });
+        select.value = AppState.screeningSet;
+    }
+
+    /**
+     * Switch the active screening-level set and redraw everything that
+     * colors or flags results by it.
+     * @param {string} key - Key in AppConfig.screeningSets
+     */
+    function setScreeningSet(key) {
+        if (!AppConfig.screeningSets[key]) return;
+        AppState.screeningSet = key;
+        var select = document.getElementById('screeningSetSelect');
+        if (select) select.value = key;
+
+        refreshDataViews();
+    }
+
+    // ===== ANALYTE SELECTORS =====
+
+    /**
+     * Fill the color-by and filter analyte selectors and the cleanup-level
+     * banner from AppConfig.thresholds, so analytes added in the threshold
+     * editor show up everywhere. If the current analyte was removed, color-by
+     * falls back to the first analyte in the table.
+     */
+    function buildAnalyteOptions() {
+        var analytes = Object.keys(AppConfig.thresholds);
+        if (analytes.length === 0) return;
+
+        if (analytes.indexOf(AppState.currentAnalyte) === -1) {
+            AppState.currentAnalyte = analytes[0];
+            StorageModule.savePreferences();
+        }
+
+        var colorBy = document.getElementById('colorBySelect');
+        if (colorBy) {
+            colorBy.innerHTML = '';
+            analytes.forEach(function(analyte) {
+                var option = document.createElement('option');
+                option.value = analyte;
+                option.textContent = analyte + ' (' + AppConfig.thresholds[analyte].abbrev + ')';
+                colorBy.appendChild(option);
+            });
+            colorBy.value = AppState.currentAnalyte;
+        }
+
+        var filter = document.getElementById('filterAnalyte');
+        if (filter) {
+            var selected = filter.value;
+            filter.innerHTML = '<option value="any">Any</option>';
+            analytes.forEach(function(analyte) {
+                var option = document.createElement('option');
+                option.value = analyte;
+                option.textContent = analyte;
+                filter.appendChild(option);
+            });
+            filter.value = analytes.indexOf(selected) !== -1 ? selected : 'any';
+            if (filter.value !== selected) filter.dispatchEvent(new Event('change'));
+        }
+
+        var title = document.getElementById('cleanupLevelsTitle');
+        if (title) {
+            title.textContent = ThresholdModule.isModified()
+                ? 'CLEANUP LEVELS (EDITED) - based on 2023 ROD Table 2-3'
+                : 'ROD ON-MINE CLEANUP LEVELS (mg/kg) - 2023 ROD Table 2-3';
+        }
+        var values = document.getElementById('cleanupLevelsValues');
+        if (values) {
+            values.textContent = analytes.map(function(analyte) {
+                var t = AppConfig.thresholds[analyte];
+                return t.abbrev + ': ' + t.high + (t.unit !== 'mg/kg' ? ' ' + t.unit : '');
+            }).join(' | ');
+        }
+    }
+
     // ===== STATE RESTORATION =====
 
     /**
@@ -67,7 +176,7 @@
         // 1. Restore preferences from LocalStorage
         var prefs = StorageModule.restorePreferences();
         if (prefs) {
-            if (prefs.currentAnalyte) {
+            if (prefs.currentAnalyte && AppConfig.thresholds[prefs.currentAnalyte]) {
                 AppState.currentAnalyte = prefs.currentAnalyte;
                 var select = document.getElementById('colorBySelect');
                 if (select) select.value = prefs.currentAnalyte;
@@ -82,6 +191,23 @@
             if (prefs.darkMode) {
                 toggleDarkMode(true);
             }
+            if (prefs.screeningSet && AppConfig.screeningSets[prefs.screeningSet]) {
+                setScreeningSet(prefs.screeningSet);
+            }
+            if (prefs.nonDetectRule && AppConfig.nonDetectRules[prefs.nonDetectRule]) {
+                DataModule.setNonDetectRule(prefs.nonDetectRule);
+                var ndSelect = document.getElementById('ndRuleSelect');
+                if (ndSelect) ndSelect.value = prefs.nonDetectRule;
+            }
+            if (prefs.depthHorizon) {
+                var horizonErrors = DataModule.setDepthHorizon(prefs.depthHorizon, prefs.depthRange);
+                if (horizonErrors.length > 0) console.warn('Saved depth horizon ignored: ' + horizonErrors.join('; '));
+                syncDepthHorizonInputs();
+            }
+            if (prefs.contourSettings && typeof prefs.contourSettings === 'object') {
+                var contourErrors = ContourModule.setSettings(prefs.contourSettings);
+                if (contourErrors.length > 0) console.warn('Saved contour settings ignored: ' + contourErrors.join('; '));
+            }
             if (typeof prefs.includePlannedInGaps === 'boolean') {
                 AppState.includePlannedInGaps = prefs.includePlannedInGaps;
                 var inclBtn = document.getElementById('btn-include-planned');
@@ -162,6 +288,67 @@
         });
     }
 
+    /**
+     * Refresh screening-set and analyte selectors, markers, sample lists and
+     * active overlays after a data, threshold or screening-set change.
+     */
+    function refreshDataViews() {
+        SpatialIndexModule.rebuild();
+        buildScreeningSetOptions();
+        buildAnalyteOptions();
+        MarkersModule.refresh();
+        buildSampleLists();
+        SearchModule.applyFilters();
+
+        if (AppState.gapsVisible) AnalysisModule.createGapGrid();
+        if (AppState.hotzoneVisible) {
+            AnalysisModule.createHotZoneGrid();
+            AnalysisModule.updateHotZoneLegend();
+        }
+        if (AppState.bufferVisible) AnalysisModule.refreshBufferZones();
+        ContourModule.refresh();
+        PolygonModule.refresh();
+        CrossSectionModule.refresh();
+        BlockModelModule.refresh(true);
+        DepthMapModule.refresh();
+        DelineationModule.refresh();
+        StepOutModule.refresh();
+        SimulationModule.refresh();
+        ThiessenModule.refresh();
+        CrossValidationModule.refresh();
+    }
+
+    // ===== DEPTH HORIZON =====
+
+    /**
+     * Apply the depth horizon selector and custom range inputs.
+     */
+    function applyDepthHorizonInputs() {
+        var key = document.getElementById('depthHorizonSelect').value;
+        var errors = DataModule.setDepthHorizon(key, key === 'custom' ? {
+            start: document.getElementById('depthRangeTop').value.trim(),
+            end: document.getElementById('depthRangeBottom').value.trim()
+        } : null);
+        if (errors.length > 0) alert(errors.join('\n'));
+        syncDepthHorizonInputs();
+        StorageModule.savePreferences();
+    }
+
+    /**
+     * Show the current depth horizon in the selector; the range inputs are
+     * shown for a custom range.
+     */
+    function syncDepthHorizonInputs() {
+        var select = document.getElementById('depthHorizonSelect');
+        if (select) select.value = AppState.depthHorizon;
+        var row = document.getElementById('depthRangeRow');
+        if (row) row.style.display = AppState.depthHorizon === 'custom' ? 'flex' : 'none';
+        var top = document.getElementById('depthRangeTop');
+        if (top) top.value = AppState.depthRange.start;
+        var bottom = document.getElementById('depthRangeBottom');
+        if (bottom) bottom.value = AppState.depthRange.end;
+    }
+
     // ===== DARK MODE =====
 
     /**
@@ -199,50 +386,8 @@
      * Build the sidebar sample lists from loaded data.
      */
     function buildSampleLists() {
-        var data = AppState.data;
-
-        // Build 2025 sample list (sorted by mercury, highest first)
-        var sorted2025 = data.samples2025.slice().sort(function(a, b) {
-            if (!a.sampled) return 1;
-            if (!b.sampled) return -1;
-            return ((b.metals && b.metals.Mercury) || 0) - ((a.metals && a.metals.Mercury) || 0);
-        });
-
-        var list2025Html = '';
-        sorted2025.forEach(function(s) {
-            var hgText = s.metals && s.metals.Mercury !== null ? Utils.fmt(s.metals.Mercury) : '\u2014';
-            var asText = s.metals && s.metals.Arsenic !== null ? Utils.fmt(s.metals.Arsenic) : '\u2014';
-            var sbText = s.metals && s.metals.Antimony !== null ? Utils.fmt(s.metals.Antimony) : '\u2014';
-            var hgFlag = s.metals && s.metals.Mercury && s.metals.Mercury > 204 ? '<span class="flag">\u26a0</span>' : '';
-            var asFlag = s.metals && s.metals.Arsenic && s.metals.Arsenic > 6.1 ? '<span class="flag">\u26a0</span>' : '';
-            var sbFlag = s.metals && s.metals.Antimony && s.metals.Antimony > 51 ? '<span class="flag">\u26a0</span>' : '';
-
-            list2025Html += '<div class="sample-item" style="border-color: ' + s.color + ';" data-type="2025" data-id="' + s.num + '">' +
-                '<span class="name">' + s.label + '</span>' +
-                '<span class="hg">Hg:' + hgText + hgFlag + '</span>' +
-                '<span class="as">As:' + asText + asFlag + '</span>' +
-                '<span class="sb">Sb:' + sbText + sbFlag + '</span></div>';
-        });
-        document.getElementById('sampleList2025').innerHTML = list2025Html;
-
-        // Build EA sample list
-        var sortedEA = data.eaSamples.slice().sort(function(a, b) {
-            return (b.mercury || 0) - (a.mercury || 0);
-        });
-
-        var listEAHtml = '';
-        sortedEA.forEach(function(e) {
-            var hgFlag = e.mercury && e.mercury > 204 ? '<span class="flag">\u26a0</span>' : '';
-            var asFlag = e.arsenic && e.arsenic > 6.1 ? '<span class="flag">\u26a0</span>' : '';
-            var sbFlag = e.antimony && e.antimony > 51 ? '<span class="flag">\u26a0</span>' : '';
-
-            listEAHtml += '<div class="sample-item" style="border-color: ' + e.color + ';" data-type="EA" data-id="' + e.id + '">' +
-                '<span class="name">' + e.id + '</span>' +
-                '<span class="hg">Hg:' + Utils.fmt(e.mercury) + hgFlag + '</span>' +
-                '<span class="as">As:' + Utils.fmt(e.arsenic) + asFlag + '</span>' +
-                '<span class="sb">Sb:' + Utils.fmt(e.antimony) + sbFlag + '</span></div>';
-        });
-        document.getElementById('sampleListEA').innerHTML = listEAHtml;
+        document.getElementById('sampleList2025').innerHTML = buildSampleListHtml('samples2025', '2025');
+        document.getElementById('sampleListEA').innerHTML = buildSampleListHtml('eaSamples', 'EA');
 
         // Click handlers for sample list items
         document.querySelectorAll('.sample-item').forEach(function(item) {
@@ -251,10 +396,7 @@
                 if (CompareModule.isActive()) {
                     var type = this.getAttribute('data-type');
                     var id = this.getAttribute('data-id');
-                    CompareModule.addSample(
-                        type === '2025' ? AppState.data.samples2025.find(function(s) { return s.num === parseInt(id); }).label : id,
-                        type === '2025' ? '2025' : 'ea'
-                    );
+                    CompareModule.addSample(id, type === '2025' ? '2025' : 'ea');
                     return;
                 }
 
@@ -274,6 +416,37 @@
         });
     }
 
+    /**
+     * Build list items for one surface dataset, sorted by mercury (highest first).
+     * @param {string} dataset - Dataset key
+     * @param {string} type - data-type attribute ('2025' or 'EA')
+     * @returns {string} HTML
+     */
+    function buildSampleListHtml(dataset, type) {
+        var locations = DataModule.getLocations({ datasets: [dataset] }).sort(function(a, b) {
+            if (!a.sampled) return 1;
+            if (!b.sampled) return -1;
+            return (DataModule.getValue(b, 'Mercury') || 0) - (DataModule.getValue(a, 'Mercury') || 0);
+        });
+
+        function cell(loc, cls, abbrev, analyte) {
+            var val = DataModule.getValue(loc, analyte);
+            var flag = AppConfig.exceedsROD(val, analyte) ? '<span class="flag">\u26a0</span>' : '';
+            return '<span class="' + cls + '">' + abbrev + ':' + Utils.fmt(val) + flag + '</span>';
+        }
+
+        var html = '';
+        locations.forEach(function(loc) {
+            var dataId = type === '2025' ? loc.record.num : loc.id;
+            html += '<div class="sample-item" style="border-color: ' + loc.record.color + ';" data-type="' + type + '" data-id="' + dataId + '">' +
+                '<span class="name">' + loc.id + '</span>' +
+                cell(loc, 'hg', 'Hg', 'Mercury') +
+                cell(loc, 'as', 'As', 'Arsenic') +
+                cell(loc, 'sb', 'Sb', 'Antimony') + '</div>';
+        });
+        return html;
+    }
+
     // ===== EVENT LISTENERS =====
 
     /**
@@ -324,6 +497,7 @@
         bindClick('btn-contour', function() { ContourModule.toggle(); });
         bindClick('btn-crosssection', function() { CrossSectionModule.toggle(); });
         bindClick('btn-polygon', function() { PolygonModule.toggle(); });
+        bindClick('btn-polygon-list', function() { PolygonModule.openList(); });
 
         // Buffer zone toggle (also show/hide buffer radius row)
         bindClick('btn-buffer', function() {
@@ -334,12 +508,47 @@
 
         // Compare mode
         bindClick('btn-compare', function() { CompareModule.toggle(); });
+        bindClick('btn-thresholds', function() { ThresholdModule.open(); });
+        bindClick('btn-background', function() { BackgroundModule.open(); });
+        bindClick('btn-blockmodel', function() { BlockModelModule.open(); });
+        bindClick('btn-depthmap', function() { DepthMapModule.open(); });
+        bindClick('btn-delineation', function() { DelineationModule.open(); });
+        bindClick('btn-lateral', function() { StepOutModule.open(); });
+        bindClick('btn-simulation', function() { SimulationModule.open(); });
+        bindClick('btn-thiessen', function() { ThiessenModule.open(); });
+        bindClick('btn-gis', function() { GISModule.open(); });
+        bindClick('btn-crossvalidate', function() { CrossValidationModule.open(); });
+        bindClick('btn-isopleths', function() { IsoplethModule.open(); });
         bindClick('compareClose', function() { CompareModule.close(); });
 
         // ===== GRID SIZE =====
         bindClick('btn-grid-down', function() { AnalysisModule.adjustGridSize(-25); });
         bindClick('btn-grid-up', function() { AnalysisModule.adjustGridSize(25); });
         bindClick('btn-include-planned', function() { AnalysisModule.toggleIncludePlanned(); });
+        bindClick('btn-export-grid', function() { AnalysisModule.exportGridCSV(); });
+
+        // ===== CONTOUR METHOD =====
+        var contourMethod = document.getElementById('contourMethodSelect');
+        if (contourMethod) {
+            contourMethod.addEventListener('change', function() { ContourModule.setMethod(this.value); });
+        }
+        var contourDisplay = document.getElementById('contourDisplaySelect');
+        if (contourDisplay) {
+            contourDisplay.addEventListener('change', function() { ContourModule.setDisplay(this.value); });
+        }
+        bindClick('btn-variogram', function() { ContourModule.openVariogram(); });
+        ['contourPower', 'contourRadius', 'contourMinNbrs', 'contourMaxNbrs', 'contourSectors', 'contourGrid', 'contourHullBuffer', 'contourCutoffs'].forEach(function(id) {
+            var input = document.getElementById(id);
+            if (!input) return;
+            input.addEventListener('change', function() {
+                var errors = ContourModule.applySettingsInputs();
+                if (errors.length > 0) {
+                    alert(errors.join('\n'));
+                    return;
+                }
+                StorageModule.savePreferences();
+            });
+        });
 
         // ===== BUFFER RADIUS =====
         bindClick('btn-buffer-down', function() { AnalysisModule.adjustBufferRadius(-25); });
@@ -365,12 +574,18 @@
                     AnalysisModule.createHotZoneGrid();
                     AnalysisModule.updateHotZoneLegend();
                 }
-                if (AppState.contourVisible) {
-                    ContourModule.refresh();
-                }
+                ContourModule.refresh();
                 if (AppState.bufferVisible) {
                     AnalysisModule.refreshBufferZones();
                 }
+                PolygonModule.refreshList();
+                BlockModelModule.refresh();
+                DepthMapModule.refresh();
+                DelineationModule.refresh();
+                StepOutModule.refresh();
+                SimulationModule.refresh();
+                ThiessenModule.refresh();
+                CrossValidationModule.refresh();
 
                 // Save preference
                 StorageModule.savePreferences();
@@ -378,6 +593,36 @@
             });
         }
 
+        // ===== SCREENING-LEVEL SET =====
+        var screeningSetSelect = document.getElementById('screeningSetSelect');
+        if (screeningSetSelect) {
+            screeningSetSelect.addEventListener('change', function() {
+                setScreeningSet(this.value);
+                StorageModule.savePreferences();
+            });
+        }
+
+        // ===== NON-DETECT RULE =====
+        var ndRuleSelect = document.getElementById('ndRuleSelect');
+        if (ndRuleSelect) {
+            ndRuleSelect.value = AppState.nonDetectRule;
+            ndRuleSelect.addEventListener('change', function() {
+                DataModule.setNonDetectRule(this.value);
+                StorageModule.savePreferences();
+            });
+        }
+
+        // ===== DEPTH HORIZON =====
+        var depthHorizonSelect = document.getElementById('depthHorizonSelect');
+        if (depthHorizonSelect) {
+            syncDepthHorizonInputs();
+            depthHorizonSelect.addEventListener('change', applyDepthHorizonInputs);
+            ['depthRangeTop', 'depthRangeBottom'].forEach(function(id) {
+                var input = document.getElementById(id);
+                if (input) input.addEventListener('change', applyDepthHorizonInputs);
+            });
+        }
+
         // ===== LAYER TOGGLES =====
         bindLayerToggle('toggle2025Sampled', 'sampled2025');
         bindLayerToggle('toggle2025NotSampled', 'notSampled2025');
@@ -441,6 +686,7 @@
                 if (CompareModule.isActive()) CompareModule.close();
                 if (CrossSectionModule.isActive()) CrossSectionModule.deactivate();
                 if (AppState.polygonMode) PolygonModule.toggle();
+                PolygonModule.stopEditing();
                 if (AppState.currentMode !== 'view') PlanningModule.setMode('view');
             }
         });
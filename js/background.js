@@ -0,0 +1,409 @@
+/**
+ * SBMM Planning Tool - Background Threshold Calculator
+ *
+ * Computes background threshold values (95/95 UTL, 95% UPL and 95% USL)
+ * per analyte from a reference set of surface samples: the samples inside
+ * the drawn polygon, the current search matches, or a pasted list of IDs.
+ * The distribution basis is picked from the goodness-of-fit tests or chosen
+ * by hand (normal, lognormal, gamma or non-parametric); see
+ * StatsModule.backgroundLimits.
+ *
+ * A result can be saved as a new screening-level set. Saved sets are kept
+ * through StorageModule, registered with AppConfig on startup and behave
+ * like the sets from screening-levels.json (marker colors, exceedances).
+ */
+var BackgroundModule = (function() {
+    'use strict';
+
+    var SET_PREFIX = 'bg_';
+    var LEVEL_LABELS = { utl: 'UTL', upl: 'UPL', usl: 'USL' };
+    var SIG_FIGS = 3;
+
+    var panelEl = null;
+    var source = 'polygon';     // 'polygon' | 'search' | 'list'
+    var basis = 'auto';         // Key in StatsModule.backgroundBases
+    var listText = '';
+    var reference = null;       // { locations, description, unmatched[] } or { error }
+    var results = null;         // Map of analyte -> StatsModule.backgroundLimits result
+    var message = null;         // { text, isError }
+
+    // ===== INITIALIZATION =====
+
+    /**
+     * Register saved background sets with AppConfig.
+     * Call once after data loads and before the screening-set selector is built.
+     */
+    function init() {
+        var saved = StorageModule.restoreScreeningSets();
+        var added = AppConfig.registerScreeningSets(saved);
+        if (added.length > 0) console.log('Background: restored ' + added.length + ' saved screening sets');
+    }
+
+    // ===== REFERENCE SET =====
+
+    /**
+     * Resolve the selected reference source to sampled surface locations.
+     * @returns {Object} { locations, description, unmatched[] } or { error }
+     */
+    function resolveReference() {
+        // Not the polygon's own results: those follow the depth horizon and
+        // would bring in boring and test pit intervals below the surface
+        if (source === 'polygon') {
+            var current = PolygonModule.getCurrent();
+            if (!current) return { error: 'Draw a polygon around the reference area first' };
+            return {
+                locations: DataModule.getLocations({ surface: true, sampled: true }).filter(function(loc) {
+                    return PolygonModule.pointInPolygon(loc.lat, loc.lon, current.vertices);
+                }),
+                description: 'Surface samples inside polygon (' + current.vertices.length + ' vertices)',
+                unmatched: []
+            };
+        }
+
+        if (source === 'search') {
+            return {
+                locations: SearchModule.getMatches().filter(function(loc) { return loc.sampled; }),
+                description: 'Search matches',
+                unmatched: []
+            };
+        }
+
+        // Pasted list of IDs (comma, semicolon or whitespace separated; case-insensitive)
+        var ids = listText.split(/[\s,;]+/).filter(function(s) { return s !== ''; });
+        if (ids.length === 0) return { error: 'Enter one or more sample IDs' };
+        var byId = {};
+        DataModule.getLocations({ surface: true, sampled: true }).forEach(function(loc) {
+            byId[String(loc.id).toLowerCase()] = loc;
+        });
+        var seen = {};
+        var locations = [];
+        var unmatched = [];
+        ids.forEach(function(id) {
+            var key = id.toLowerCase();
+            if (seen[key]) return;
+            seen[key] = true;
+            if (byId[key]) locations.push(byId[key]);
+            else unmatched.push(id);
+        });
+        return { locations: locations, description: 'Sample list', unmatched: unmatched };
+    }
+
+    /**
+     * Background limits per analyte in the thresholds table. Rejected
+     * results are skipped and non-detects use the selected rule, as in the
+     * polygon statistics.
+     * @param {Object[]} locations
+     * @returns {Object} Map of analyte -> limits (with ndCount)
+     */
+    function computeLimits(locations) {
+        var out = {};
+        Object.keys(AppConfig.thresholds).forEach(function(analyte) {
+            var values = [];
+            var ndCount = 0;
+            locations.forEach(function(loc) {
+                var result = DataModule.getResult(loc, analyte);
+                if (!result) return;
+                values.push(DataModule.resultValue(result));
+                if (!result.detected) ndCount++;
+            });
+            var limits = StatsModule.backgroundLimits(values, { basis: basis, ndCount: ndCount });
+            limits.ndCount = ndCount;
+            out[analyte] = limits;
+        });
+        return out;
+    }
+
+    /**
+     * Recompute the reference set and limits and redraw the panel.
+     */
+    function calculate() {
+        message = null;
+        reference = resolveReference();
+        results = null;
+        if (!reference.error) {
+            if (reference.locations.length === 0) {
+                reference.error = 'No sampled surface locations in the reference set';
+            } else {
+                results = computeLimits(reference.locations);
+            }
+        }
+        render();
+    }
+
+    // ===== SAVING =====
+
+    function roundLevel(v) {
+        return Number(v.toPrecision(SIG_FIGS));
+    }
+
+    function slugify(name) {
+        return name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    }
+
+    /**
+     * Save the current limits as a screening-level set. The chosen limit is
+     * used as both the low and high level, like the other single-value sets.
+     * @param {string} name - Set label
+     * @param {string} level - 'utl' | 'upl' | 'usl'
+     * @param {boolean} [activate] - Switch to the new set after saving
+     * @returns {string|null} Set key, or null if nothing could be saved
+     */
+    function saveSet(name, level, activate) {
+        if (!results || !LEVEL_LABELS[level]) return null;
+        name = String(name || '').trim();
+        var slug = slugify(name);
+        if (!slug) return null;
+
+        var levels = {};
+        Object.keys(results).forEach(function(analyte) {
+            var v = results[analyte][level];
+            if (typeof v !== 'number' || isNaN(v)) return;
+            var rounded = roundLevel(v);
+            levels[analyte] = { low: rounded, high: rounded, unit: AppConfig.thresholds[analyte].unit };
+        });
+        if (Object.keys(levels).length === 0) return null;
+
+        var key = SET_PREFIX + slug;
+        var set = {
+            label: name,
+            lowLabel: 'Background',
+            highLabel: LEVEL_LABELS[level],
+            source: 'Background ' + LEVEL_LABELS[level] + ' from ' + reference.description + ', ' +
+                reference.locations.length + ' locations, ' + StatsModule.backgroundBases[basis] +
+                ' basis, ' + new Date().toISOString().split('T')[0],
+            levels: levels
+        };
+        var entry = {};
+        entry[key] = set;
+        AppConfig.registerScreeningSets(entry);
+
+        var saved = StorageModule.restoreScreeningSets();
+        saved[key] = set;
+        StorageModule.saveScreeningSets(saved);
+
+        DataModule.notifyChanged({ source: 'screeningSets' });
+        if (activate) selectSet(key);
+        return key;
+    }
+
+    /**
+     * Delete a saved background set. Falls back to the default set if it was active.
+     * @param {string} key
+     */
+    function deleteSet(key) {
+        var saved = StorageModule.restoreScreeningSets();
+        if (!saved[key]) return;
+        delete saved[key];
+        StorageModule.saveScreeningSets(saved);
+        AppConfig.removeScreeningSet(key);
+        var wasActive = AppState.screeningSet === key;
+        DataModule.notifyChanged({ source: 'screeningSets' });
+        if (wasActive) selectSet(AppConfig.defaultScreeningSet);
+    }
+
+    /**
+     * Switch the active set through the selector so app.js applies it.
+     */
+    function selectSet(key) {
+        var select = document.getElementById('screeningSetSelect');
+        if (!select) return;
+        select.value = key;
+        select.dispatchEvent(new Event('change'));
+    }
+
+    // ===== PANEL =====
+
+    /**
+     * Open the calculator, defaulting to the polygon when one is drawn.
+     */
+    function open() {
+        source = PolygonModule.getCurrent() ? 'polygon' : 'search';
+        message = null;
+        calculate();
+    }
+
+    function close() {
+        if (panelEl) panelEl.style.display = 'none';
+    }
+
+    /**
+     * Reference, basis and Calculate handler.
+     */
+    function update() {
+        readInputs();
+        calculate();
+    }
+
+    /**
+     * Copy the panel inputs into module state (the panel is re-rendered
+     * from state after every action).
+     */
+    function readInputs() {
+        if (!panelEl || panelEl.style.display === 'none') return;
+        var sourceEl = panelEl.querySelector('#backgroundSource');
+        if (sourceEl) source = sourceEl.value;
+        var basisEl = panelEl.querySelector('#backgroundBasis');
+        if (basisEl) basis = basisEl.value;
+        var listEl = panelEl.querySelector('#backgroundList');
+        if (listEl) listText = listEl.value;
+    }
+
+    function render() {
+        var html = '<div class="edd-header"><h4>Background Threshold Calculator</h4>' +
+            '<button class="edd-close" onclick="BackgroundModule.close()">\u00d7</button></div>' +
+            '<div class="edd-file">95/95 UTL, 95% UPL and 95% USL per analyte from a reference set of surface samples.</div>';
+
+        // Reference set and basis
+        html += '<div class="background-controls">' +
+            '<label>Reference <select id="backgroundSource" onchange="BackgroundModule.update()">' +
+            option('polygon', 'Polygon', source) +
+            option('search', 'Search matches', source) +
+            option('list', 'Sample ID list', source) +
+            '</select></label>' +
+            '<label>Basis <select id="backgroundBasis" onchange="BackgroundModule.update()">';
+        Object.keys(StatsModule.backgroundBases).forEach(function(key) {
+            html += option(key, StatsModule.backgroundBases[key], basis);
+        });
+        html += '</select></label></div>';
+        if (source === 'list') {
+            html += '<textarea id="backgroundList" class="background-list" rows="3" placeholder="Sample IDs, e.g. SS18, SS19, EA-12">' +
+                Utils.escapeHtml(listText) + '</textarea>' +
+                '<div class="edd-actions"><button class="edd-apply" onclick="BackgroundModule.update()">Calculate</button></div>';
+        }
+
+        if (reference && reference.error) {
+            html += '<div class="edd-error-list"><ul><li>' + Utils.escapeHtml(reference.error) + '</li></ul></div>';
+        } else if (reference) {
+            html += '<div class="edd-file">' + Utils.escapeHtml(reference.description) + ': ' +
+                reference.locations.length + ' sampled locations</div>';
+            if (reference.unmatched.length > 0) {
+                html += '<div class="edd-error-list"><ul><li>Not found: ' +
+                    Utils.escapeHtml(reference.unmatched.join(', ')) + '</li></ul></div>';
+            }
+        }
+
+        if (results) html += renderResults();
+        if (message) {
+            html += '<div class="' + (message.isError ? 'edd-error-list' : 'edd-file') + '">' + Utils.escapeHtml(message.text) + '</div>';
+        }
+        html += renderSavedSets();
+        panelEl = Utils.showPanel(panelEl, 'backgroundPanel', 'edd-panel background-panel', html);
+    }
+
+    function renderResults() {
+        var notes = [];
+        var html = '<div class="edd-table-wrap"><table class="edd-table background-table"><thead><tr>' +
+            '<th>Analyte</th><th>n</th><th>ND</th><th>Basis</th><th>UTL</th><th>UPL</th><th>USL</th><th>Current</th>' +
+            '</tr></thead><tbody>';
+        Object.keys(results).forEach(function(analyte) {
+            var r = results[analyte];
+            var t = AppConfig.getThreshold(analyte);
+            var mark = '';
+            if (r.warnings.length > 0) {
+                notes.push(analyte + ': ' + r.warnings.join('; '));
+                mark = ' <sup>' + notes.length + '</sup>';
+            }
+            html += '<tr>' +
+                '<td>' + Utils.escapeHtml(analyte) + mark + '</td>' +
+                '<td>' + r.n + '</td>' +
+                '<td>' + r.ndCount + '</td>' +
+                '<td title="' + Utils.escapeHtml(fitTitle(r)) + '">' + Utils.escapeHtml(r.basisLabel || '\u2014') +
+                '</td>' +
+                '<td>' + Utils.formatVal(r.utl) + '</td>' +
+                '<td>' + Utils.formatVal(r.upl) + '</td>' +
+                '<td>' + Utils.formatVal(r.usl) + '</td>' +
+                '<td title="' + Utils.escapeHtml(t ? t.setLabel + ' ' + t.lowLabel : '') + '">' + (t ? Utils.formatVal(t.low) : '\u2014') + '</td>' +
+                '</tr>';
+        });
+        html += '</tbody></table></div>';
+        if (notes.length > 0) {
+            html += '<ol class="background-notes">';
+            notes.forEach(function(n) { html += '<li>' + Utils.escapeHtml(n) + '</li>'; });
+            html += '</ol>';
+        }
+
+        // Save as a screening set
+        var canSave = Object.keys(results).some(function(a) { return results[a].utl !== null; });
+        html += '<div class="background-save">' +
+            '<input type="text" id="backgroundSetName" placeholder="Set name (e.g. Upland background)">' +
+            '<select id="backgroundLevel">' +
+            option('utl', 'UTL', 'utl') + option('upl', 'UPL', 'utl') + option('usl', 'USL', 'utl') +
+            '</select>' +
+            '<label><input type="checkbox" id="backgroundActivate" checked> Use now</label>' +
+            '<button onclick="BackgroundModule.saveFromPanel()"' + (canSave ? '' : ' disabled') + '>Save as screening set</button>' +
+            '</div>';
+        return html;
+    }
+
+    function renderSavedSets() {
+        var saved = StorageModule.restoreScreeningSets();
+        var keys = Object.keys(saved);
+        if (keys.length === 0) return '';
+        var html = '<details class="threshold-log"><summary>Saved background sets (' + keys.length + ')</summary><ul class="background-saved">';
+        keys.forEach(function(key) {
+            html += '<li title="' + Utils.escapeHtml(saved[key].source) + '">' + Utils.escapeHtml(saved[key].label) +
+                (AppState.screeningSet === key ? ' (active)' : '') +
+                ' <button class="threshold-remove" title="Delete set" data-key="' + Utils.escapeHtml(key) + '" onclick="BackgroundModule.deleteFromPanel(this)">\u00d7</button></li>';
+        });
+        return html + '</ul></details>';
+    }
+
+    function fitTitle(r) {
+        if (!r.gof || !r.gof.normal) return '';
+        return 'Normal: ' + StatsModule.describeFit(r.gof.normal) +
+            ' | Lognormal: ' + StatsModule.describeFit(r.gof.lognormal) +
+            ' | Gamma: ' + StatsModule.describeFit(r.gof.gamma);
+    }
+
+    /**
+     * Save button handler.
+     */
+    function saveFromPanel() {
+        var name = panelEl.querySelector('#backgroundSetName').value.trim();
+        var level = panelEl.querySelector('#backgroundLevel').value;
+        var activate = panelEl.querySelector('#backgroundActivate').checked;
+        readInputs();
+        if (!slugify(name)) {
+            message = { text: 'Enter a name for the set', isError: true };
+            render();
+            return;
+        }
+        var key = SET_PREFIX + slugify(name);
+        if (AppConfig.screeningSets[key] && !confirm('Replace the saved set "' + AppConfig.screeningSets[key].label + '"?')) return;
+        if (saveSet(name, level, activate)) {
+            message = { text: 'Saved "' + name + '" (' + LEVEL_LABELS[level] + ')' + (activate ? ' and made it the active set' : ''), isError: false };
+        } else {
+            message = { text: 'No limits to save', isError: true };
+        }
+        render();
+    }
+
+    /**
+     * Delete button handler for a saved set.
+     * @param {HTMLElement} btn
+     */
+    function deleteFromPanel(btn) {
+        var key = btn.getAttribute('data-key');
+        var set = AppConfig.screeningSets[key];
+        if (!confirm('Delete the saved set "' + (set ? set.label : key) + '"?')) return;
+        readInputs();
+        deleteSet(key);
+        message = null;
+        render();
+    }
+
+    function option(value, label, selected) {
+        return '<option value="' + value + '"' + (value === selected ? ' selected' : '') + '>' + Utils.escapeHtml(label) + '</option>';
+    }
+
+    return {
+        init: init,
+        open: open,
+        close: close,
+        update: update,
+        saveSet: saveSet,
+        deleteSet: deleteSet,
+        saveFromPanel: saveFromPanel,
+        deleteFromPanel: deleteFromPanel
+    };
+})();
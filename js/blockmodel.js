@@ -0,0 +1,602 @@
+/**
+ * SBMM Planning Tool - 3D Block Model & Excavation Volumes
+ *
+ * Builds a block model over a footprint (the drawn polygon, or the buffered
+ * extent of the soil borings and test pits) and estimates every analyte in
+ * the thresholds table at each block center by 3D inverse distance
+ * weighting of the sampled depth intervals (interval midpoints, ft bgs;
+ * surface samples at 0-0.5 ft).
+ *
+ * Distance: d = sqrt(dx^2 + dy^2 + (anisotropy * dz)^2), so a 10:1
+ * anisotropy lets results carry ten times farther laterally than with
+ * depth. Only the nearest `maxSamples` results within `searchRadiusFt`
+ * are used; blocks with none are left unestimated.
+ *
+ * Volumes (cubic yards) above the lower and upper levels of the active
+ * screening set (PMB and ROD by default) are reported per depth slice.
+ * A slice can be viewed in plan on the map, and all blocks exported as CSV.
+ */
+var BlockModelModule = (function() {
+    'use strict';
+
+    var conv = AppConfig.coordConversion;
+
+    var CUBIC_FT_PER_CY = 27;
+    var HULL_BUFFER_FT = 50;        // Buffer around the boring / test pit hull
+    var MAX_BLOCKS = 500000;        // Refuse models larger than this
+    var COINCIDENT_FT2 = 1;         // Within 1 ft of a sample: use its value
+    var OVERLAY_OPACITY = 0.6;
+
+    var settings = null;            // Copy of AppConfig.blockModelDefaults
+    var footprintMode = 'polygon';  // 'polygon' | 'extent'
+    var model = null;
+    var sliceIndex = 0;
+    var errorText = null;
+    var panelEl = null;
+
+    // ===== INITIALIZATION =====
+
+    function init() {
+        settings = copySettings(AppConfig.blockModelDefaults);
+        AppState.blockModelLayer = null;
+    }
+
+    function copySettings(src) {
+        var copy = {};
+        Object.keys(src).forEach(function(k) { copy[k] = src[k]; });
+        return copy;
+    }
+
+    // ===== FOOTPRINT =====
+
+    /**
+     * Footprint of the model: bounds in lat/lon and a point-in test.
+     * @returns {Object} { label, contains(lat, lon), minLat, maxLat, minLon, maxLon } or { error }
+     */
+    function buildFootprint() {
+        var verts;
+        var contains;
+        var label;
+
+        if (footprintMode === 'polygon') {
+            var current = PolygonModule.getCurrent();
+            if (!current) return { error: 'Draw a polygon first, or use the boring / test pit extent' };
+            verts = current.vertices.map(function(v) { return { lat: v.lat, lon: v.lng }; });
+            contains = function(lat, lon) { return PolygonModule.pointInPolygon(lat, lon, current.vertices); };
+            label = 'Polygon (' + verts.length + ' vertices)';
+        } else {
+            var locs = DataModule.getLocations({ sampled: true }).filter(function(loc) {
+                return !AppConfig.datasets[loc.dataset].surface;
+            });
+            if (locs.length < 3) return { error: 'At least 3 sampled borings or test pits are needed' };
+            var hull = ContourModule.computeConvexHull(locs);
+            verts = ContourModule.bufferConvexHull(hull, HULL_BUFFER_FT * conv.feetToMeters);
+            contains = function(lat, lon) { return ContourModule.pointInConvexHull(lat, lon, verts); };
+            label = 'Boring / test pit extent (+' + HULL_BUFFER_FT + ' ft)';
+        }
+
+        var lats = verts.map(function(v) { return v.lat; });
+        var lons = verts.map(function(v) { return v.lon; });
+        return {
+            label: label,
+            contains: contains,
+            minLat: Math.min.apply(null, lats),
+            maxLat: Math.max.apply(null, lats),
+            minLon: Math.min.apply(null, lons),
+            maxLon: Math.max.apply(null, lons)
+        };
+    }
+
+    // ===== SAMPLE COLLECTION =====
+
+    /**
+     * Sampled intervals as 3D points (feet from the footprint origin), per analyte.
+     * Rejected results are skipped and non-detects follow the selected rule.
+     * @param {Object} origin - { lat, lon } of the local x/y origin
+     * @param {string[]} analytes
+     * @returns {Object} { byAnalyte: { analyte: [{lat, lon, x, y, z, value}] }, elevations: [{x, y, elev}] }
+     */
+    function collectSamples(origin, analytes) {
+        var byAnalyte = {};
+        analytes.forEach(function(a) { byAnalyte[a] = []; });
+        var elevations = [];
+
+        DataModule.getLocations({ sampled: true }).forEach(function(loc) {
+            var xy = GridComputeModule.feetFrom(origin, loc.lat, loc.lon);
+            if (loc.elev !== null) elevations.push({ x: xy.x, y: xy.y, elev: loc.elev });
+            loc.intervals.forEach(function(iv) {
+                var z = (iv.start + iv.end) / 2;
+                analytes.forEach(function(analyte) {
+                    var value = DataModule.resultValue(iv.results[analyte]);
+                    if (value === null) return;
+                    byAnalyte[analyte].push({ lat: loc.lat, lon: loc.lon, x: xy.x, y: xy.y, z: z, value: value });
+                });
+            });
+        });
+        return { byAnalyte: byAnalyte, elevations: elevations };
+    }
+
+    // ===== INTERPOLATION =====
+
+    /**
+     * 3D anisotropic IDW from the nearest samples within the search radius.
+     * @param {number} x
+     * @param {number} y
+     * @param {number} z - Depth (ft bgs)
+     * @param {Array} candidates - Samples within the search radius of (x, y) in plan
+     * @returns {number|null} Estimate, or null if no sample is in range
+     */
+    function estimate(x, y, z, candidates) {
+        var r2 = settings.searchRadiusFt * settings.searchRadiusFt;
+        var a = settings.anisotropy;
+        var near = [];
+        for (var i = 0; i < candidates.length; i++) {
+            var p = candidates[i];
+            var dx = x - p.x;
+            var dy = y - p.y;
+            var dz = (z - p.z) * a;
+            var d2 = dx * dx + dy * dy + dz * dz;
+            if (d2 > r2) continue;
+            if (d2 < COINCIDENT_FT2) return p.value;
+            near.push({ d2: d2, value: p.value });
+        }
+        if (near.length === 0) return null;
+        if (near.length > settings.maxSamples) {
+            near.sort(function(p1, p2) { return p1.d2 - p2.d2; });
+            near.length = settings.maxSamples;
+        }
+
+        var halfPower = settings.idwPower / 2;
+        var num = 0;
+        var den = 0;
+        for (var k = 0; k < near.length; k++) {
+            var w = 1 / Math.pow(near[k].d2, halfPower);
+            num += w * near[k].value;
+            den += w;
+        }
+        return num / den;
+    }
+
+    /**
+     * Ground elevation at (x, y) by 2D IDW of location elevations.
+     */
+    function groundElevation(x, y, elevations) {
+        var num = 0;
+        var den = 0;
+        for (var i = 0; i < elevations.length; i++) {
+            var dx = x - elevations[i].x;
+            var dy = y - elevations[i].y;
+            var d2 = dx * dx + dy * dy;
+            if (d2 < COINCIDENT_FT2) return elevations[i].elev;
+            var w = 1 / d2;
+            num += w * elevations[i].elev;
+            den += w;
+        }
+        return den > 0 ? num / den : null;
+    }
+
+    // ===== MODEL =====
+
+    /**
+     * Build the block model with the current settings and footprint.
+     * @returns {Object} Model, or { error }
+     */
+    function build() {
+        var fp = buildFootprint();
+        if (fp.error) return fp;
+
+        var analytes = Object.keys(AppConfig.thresholds);
+        var bx = settings.blockSizeFt;
+        var bz = settings.blockHeightFt;
+        var nz = Math.ceil(settings.maxDepthFt / bz);
+        var cellLat = bx * conv.feetToMeters / conv.metersPerDegLat;
+        var cellLon = bx * conv.feetToMeters / conv.metersPerDegLon;
+        var cols = Math.max(1, Math.ceil((fp.maxLon - fp.minLon) / cellLon));
+        var rows = Math.max(1, Math.ceil((fp.maxLat - fp.minLat) / cellLat));
+        if (cols * rows * nz > MAX_BLOCKS) {
+            return { error: 'Too many blocks (' + (cols * rows * nz).toLocaleString() + '); increase the block size or reduce the depth' };
+        }
+
+        var origin = { lat: fp.minLat, lon: fp.minLon };
+        var samples = collectSamples(origin, analytes);
+
+        // Block columns whose center is inside the footprint
+        var columns = [];
+        for (var row = 0; row < rows; row++) {
+            var lat = fp.maxLat - (row + 0.5) * cellLat;
+            for (var col = 0; col < cols; col++) {
+                var lon = fp.minLon + (col + 0.5) * cellLon;
+                if (!fp.contains(lat, lon)) continue;
+                var xy = GridComputeModule.feetFrom(origin, lat, lon);
+                columns.push({
+                    row: row, col: col, lat: lat, lon: lon, x: xy.x, y: xy.y,
+                    elev: groundElevation(xy.x, xy.y, samples.elevations)
+                });
+            }
+        }
+        if (columns.length === 0) return { error: 'The footprint is smaller than one block' };
+
+        // values[analyte][columnIndex * nz + slice], NaN = not estimated
+        var values = {};
+        var radiusM = settings.searchRadiusFt * conv.feetToMeters;
+        analytes.forEach(function(analyte) {
+            var index = SpatialIndexModule.create(samples.byAnalyte[analyte], radiusM);
+            var arr = new Float64Array(columns.length * nz);
+            columns.forEach(function(c, ci) {
+                var candidates = index.within(c.lat, c.lon, radiusM).map(function(hit) { return hit.item; });
+                for (var k = 0; k < nz; k++) {
+                    var v = candidates.length > 0 ? estimate(c.x, c.y, (k + 0.5) * bz, candidates) : null;
+                    arr[ci * nz + k] = v === null ? NaN : v;
+                }
+            });
+            values[analyte] = arr;
+        });
+
+        var slices = [];
+        for (var k = 0; k < nz; k++) {
+            slices.push({ top: k * bz, bottom: Math.min((k + 1) * bz, settings.maxDepthFt) });
+        }
+
+        return {
+            footprint: fp.label,
+            settings: copySettings(settings),
+            analytes: analytes,
+            origin: origin,
+            bounds: { minLat: fp.maxLat - rows * cellLat, maxLat: fp.maxLat, minLon: fp.minLon, maxLon: fp.minLon + cols * cellLon },
+            rows: rows,
+            cols: cols,
+            columns: columns,
+            slices: slices,
+            values: values,
+            sampleCounts: analytes.reduce(function(acc, a) { acc[a] = samples.byAnalyte[a].length; return acc; }, {})
+        };
+    }
+
+    /**
+     * Volumes per slice for one analyte against the active screening set.
+     * @param {Object} m - Model
+     * @param {string} analyte
+     * @returns {Object} { thresh, slices: [{ top, bottom, blocks, estimated, cyLow, cyHigh, max }], totals }
+     */
+    function summarize(m, analyte) {
+        var thresh = AppConfig.getThreshold(analyte);
+        var arr = m.values[analyte];
+        var nz = m.slices.length;
+        var totals = { blocks: 0, estimated: 0, cyLow: 0, cyHigh: 0, max: null };
+        var slices = m.slices.map(function(s, k) {
+            var cyPerBlock = m.settings.blockSizeFt * m.settings.blockSizeFt * (s.bottom - s.top) / CUBIC_FT_PER_CY;
+            var out = { top: s.top, bottom: s.bottom, blocks: m.columns.length, estimated: 0, cyLow: 0, cyHigh: 0, max: null };
+            for (var ci = 0; ci < m.columns.length; ci++) {
+                var v = arr[ci * nz + k];
+                if (isNaN(v)) continue;
+                out.estimated++;
+                if (out.max === null || v > out.max) out.max = v;
+                if (thresh && v > thresh.low) out.cyLow += cyPerBlock;
+                if (thresh && v > thresh.high) out.cyHigh += cyPerBlock;
+            }
+            totals.blocks += out.blocks;
+            totals.estimated += out.estimated;
+            totals.cyLow += out.cyLow;
+            totals.cyHigh += out.cyHigh;
+            if (out.max !== null && (totals.max === null || out.max > totals.max)) totals.max = out.max;
+            return out;
+        });
+        return { thresh: thresh, slices: slices, totals: totals };
+    }
+
+    /**
+     * Cubic yards where any analyte exceeds its upper level (the combined
+     * remediation volume), per slice and in total.
+     */
+    function summarizeAny(m) {
+        var nz = m.slices.length;
+        var levels = m.analytes.map(function(a) {
+            var t = AppConfig.getThreshold(a);
+            return t ? t.high : null;
+        });
+        var perSlice = m.slices.map(function(s, k) {
+            var cyPerBlock = m.settings.blockSizeFt * m.settings.blockSizeFt * (s.bottom - s.top) / CUBIC_FT_PER_CY;
+            var cy = 0;
+            for (var ci = 0; ci < m.columns.length; ci++) {
+                for (var ai = 0; ai < m.analytes.length; ai++) {
+                    var v = m.values[m.analytes[ai]][ci * nz + k];
+                    if (levels[ai] !== null && !isNaN(v) && v > levels[ai]) {
+                        cy += cyPerBlock;
+                        break;
+                    }
+                }
+            }
+            return cy;
+        });
+        return { slices: perSlice, total: perSlice.reduce(function(s, v) { return s + v; }, 0) };
+    }
+
+    // ===== MAP OVERLAY =====
+
+    function removeOverlay() {
+        if (AppState.blockModelLayer) {
+            AppState.map.removeLayer(AppState.blockModelLayer);
+            AppState.blockModelLayer = null;
+        }
+    }
+
+    /**
+     * Draw the selected slice of the current analyte as an image overlay,
+     * one pixel per block, colored like the markers.
+     */
+    function drawSlice() {
+        removeOverlay();
+        if (!model || !model.values[AppState.currentAnalyte]) return;
+
+        var arr = model.values[AppState.currentAnalyte];
+        var nz = model.slices.length;
+        var canvas = document.createElement('canvas');
+        canvas.width = model.cols;
+        canvas.height = model.rows;
+        var ctx = canvas.getContext('2d');
+        var imageData = ctx.createImageData(model.cols, model.rows);
+        var pixels = imageData.data;
+
+        model.columns.forEach(function(c, ci) {
+            var v = arr[ci * nz + sliceIndex];
+            if (isNaN(v)) return;
+            var rgb = Utils.hexToRgb(AppConfig.getColorForValue(v, AppState.currentAnalyte));
+            var idx = (c.row * model.cols + c.col) * 4;
+            pixels[idx] = rgb.r;
+            pixels[idx + 1] = rgb.g;
+            pixels[idx + 2] = rgb.b;
+            pixels[idx + 3] = 255;
+        });
+        ctx.putImageData(imageData, 0, 0);
+
+        var b = model.bounds;
+        AppState.blockModelLayer = L.imageOverlay(
+            canvas.toDataURL(),
+            L.latLngBounds(L.latLng(b.minLat, b.minLon), L.latLng(b.maxLat, b.maxLon)),
+            { opacity: OVERLAY_OPACITY, interactive: false, className: 'blockmodel-overlay' }
+        ).addTo(AppState.map);
+    }
+
+    // ===== CSV EXPORT =====
+
+    /**
+     * Download every estimated block as CSV: location, depth and elevation
+     * range, volume, the estimate of each analyte and the analytes above
+     * their upper level.
+     */
+    function exportCSV() {
+        if (!model) return;
+        var nz = model.slices.length;
+        var levels = {};
+        model.analytes.forEach(function(a) { levels[a] = AppConfig.getThreshold(a); });
+
+        var header = ['Block_ID', 'Latitude', 'Longitude', 'X_ft', 'Y_ft', 'Depth_Top_ft', 'Depth_Bottom_ft',
+            'Elev_Top_ft', 'Elev_Bottom_ft', 'Volume_CY'];
+        model.analytes.forEach(function(a) { header.push(a + '_' + AppConfig.thresholds[a].unit.replace('/', '_per_')); });
+        header.push('Exceeds');
+        var rows = [header.join(',')];
+
+        model.columns.forEach(function(c, ci) {
+            model.slices.forEach(function(s, k) {
+                var ests = model.analytes.map(function(a) { return model.values[a][ci * nz + k]; });
+                if (ests.every(isNaN)) return;
+                var exceeds = model.analytes.filter(function(a, ai) {
+                    return levels[a] && !isNaN(ests[ai]) && ests[ai] > levels[a].high;
+                }).map(function(a) { return AppConfig.thresholds[a].abbrev; });
+                var line = [
+                    'R' + c.row + 'C' + c.col + 'Z' + k,
+                    c.lat.toFixed(6), c.lon.toFixed(6), c.x.toFixed(1), c.y.toFixed(1),
+                    s.top, s.bottom,
+                    c.elev !== null ? (c.elev - s.top).toFixed(1) : '',
+                    c.elev !== null ? (c.elev - s.bottom).toFixed(1) : '',
+                    (model.settings.blockSizeFt * model.settings.blockSizeFt * (s.bottom - s.top) / CUBIC_FT_PER_CY).toFixed(2)
+                ];
+                ests.forEach(function(v) { line.push(isNaN(v) ? '' : Number(v.toPrecision(4))); });
+                line.push('"' + exceeds.join(' ') + '"');
+                rows.push(line.join(','));
+            });
+        });
+
+        Utils.downloadFile(rows.join('\n') + '\n', 'text/csv',
+            'SBMM_Block_Model_' + new Date().toISOString().slice(0, 10) + '.csv');
+    }
+
+    // ===== PANEL =====
+
+    var SETTING_FIELDS = [
+        { key: 'blockSizeFt', label: 'Block size (ft)', min: 5 },
+        { key: 'blockHeightFt', label: 'Block height (ft)', min: 0.5 },
+        { key: 'maxDepthFt', label: 'Max depth (ft)', min: 0.5 },
+        { key: 'idwPower', label: 'IDW power', min: 0.5 },
+        { key: 'searchRadiusFt', label: 'Search radius (ft)', min: 5 },
+        { key: 'maxSamples', label: 'Max samples', min: 1, integer: true },
+        { key: 'anisotropy', label: 'Anisotropy (h:v)', min: 1 }
+    ];
+
+    /**
+     * Open the panel, defaulting to the polygon footprint when one is drawn.
+     */
+    function open() {
+        if (!model) footprintMode = PolygonModule.getCurrent() ? 'polygon' : 'extent';
+        render();
+    }
+
+    function close() {
+        if (panelEl) panelEl.style.display = 'none';
+    }
+
+    /**
+     * Remove the model and its overlay.
+     */
+    function clear() {
+        model = null;
+        errorText = null;
+        removeOverlay();
+        render();
+    }
+
+    /**
+     * Read the settings from the panel and build the model.
+     */
+    function run() {
+        var errors = readInputs();
+        if (errors.length > 0) {
+            errorText = errors.join('; ');
+            render();
+            return;
+        }
+        var result = build();
+        if (result.error) {
+            errorText = result.error;
+            model = null;
+            removeOverlay();
+        } else {
+            errorText = null;
+            model = result;
+            sliceIndex = Math.min(sliceIndex, model.slices.length - 1);
+            drawSlice();
+        }
+        render();
+    }
+
+    /**
+     * Rebuild after a data, threshold or screening-set change, and redraw
+     * when the color-by analyte changes. Does nothing without a model.
+     * @param {boolean} [rebuild] - Re-estimate the blocks (data changed)
+     */
+    function refresh(rebuild) {
+        if (!model) return;
+        if (rebuild) {
+            var result = build();
+            if (result.error) {
+                model = null;
+                errorText = result.error;
+                removeOverlay();
+                if (panelVisible()) render();
+                return;
+            }
+            model = result;
+            sliceIndex = Math.min(sliceIndex, model.slices.length - 1);
+        }
+        drawSlice();
+        if (panelVisible()) render();
+    }
+
+    /**
+     * Show a depth slice on the map.
+     * @param {number} index
+     */
+    function showSlice(index) {
+        if (!model || index < 0 || index >= model.slices.length) return;
+        sliceIndex = index;
+        drawSlice();
+        render();
+    }
+
+    function panelVisible() {
+        return panelEl && panelEl.style.display !== 'none';
+    }
+
+    /**
+     * Validate the panel inputs and copy them into settings; nothing is
+     * changed unless every field is valid.
+     * @returns {string[]} Errors
+     */
+    function readInputs() {
+        var errors = [];
+        if (!panelEl) return errors;
+        var values = {};
+        SETTING_FIELDS.forEach(function(f) {
+            var el = panelEl.querySelector('#block-' + f.key);
+            if (!el) return;
+            var v = Number(el.value);
+            if (el.value.trim() === '' || isNaN(v) || v < f.min) {
+                errors.push(f.label + ' must be at least ' + f.min);
+                return;
+            }
+            values[f.key] = f.integer ? Math.round(v) : v;
+        });
+        if (errors.length > 0) return errors;
+        var fp = panelEl.querySelector('#blockFootprint');
+        if (fp) footprintMode = fp.value;
+        Object.keys(values).forEach(function(k) { settings[k] = values[k]; });
+        return errors;
+    }
+
+    function render() {
+        var html = '<div class="edd-header"><h4>Block Model &amp; Volumes</h4>' +
+            '<button class="edd-close" onclick="BlockModelModule.close()">\u00d7</button></div>' +
+            '<div class="edd-file">3D IDW of borings, test pits and surface samples. Vertical distances are scaled by the anisotropy.</div>';
+
+        html += '<div class="blockmodel-settings"><label>Footprint <select id="blockFootprint">' +
+            '<option value="polygon"' + (footprintMode === 'polygon' ? ' selected' : '') + '>Drawn polygon</option>' +
+            '<option value="extent"' + (footprintMode === 'extent' ? ' selected' : '') + '>Boring / test pit extent</option>' +
+            '</select></label>';
+        SETTING_FIELDS.forEach(function(f) {
+            html += '<label>' + f.label + ' <input type="number" step="any" min="' + f.min + '" id="block-' + f.key +
+                '" value="' + settings[f.key] + '"></label>';
+        });
+        html += '</div>';
+
+        html += '<div class="edd-actions">' +
+            '<button class="edd-apply" onclick="BlockModelModule.run()">Run</button>' +
+            '<button onclick="BlockModelModule.exportCSV()"' + (model ? '' : ' disabled') + '>Export CSV</button>' +
+            '<button onclick="BlockModelModule.clear()"' + (model ? '' : ' disabled') + '>Clear</button>' +
+            '</div>';
+
+        if (errorText) {
+            html += '<div class="edd-error-list"><ul><li>' + Utils.escapeHtml(errorText) + '</li></ul></div>';
+        }
+        if (model) html += renderResults();
+        panelEl = Utils.showPanel(panelEl, 'blockModelPanel', 'edd-panel blockmodel-panel', html);
+    }
+
+    function renderResults() {
+        var analyte = AppState.currentAnalyte;
+        if (!model.values[analyte]) {
+            return '<div class="edd-file">' + Utils.escapeHtml(analyte) + ' is not in the model; press Run.</div>';
+        }
+        var sum = summarize(model, analyte);
+        var any = summarizeAny(model);
+        var lowLabel = sum.thresh ? sum.thresh.lowLabel : 'Low';
+        var highLabel = sum.thresh ? sum.thresh.highLabel : 'High';
+
+        var html = '<div class="edd-file">' + Utils.escapeHtml(model.footprint) + ': ' + model.columns.length + ' columns \u00d7 ' +
+            model.slices.length + ' slices, ' + model.settings.blockSizeFt + ' \u00d7 ' + model.settings.blockSizeFt + ' \u00d7 ' +
+            model.settings.blockHeightFt + ' ft blocks. ' + Utils.escapeHtml(analyte) + ' from ' + model.sampleCounts[analyte] + ' results' +
+            (sum.thresh ? ' (' + Utils.escapeHtml(sum.thresh.setLabel) + ')' : ' (no level in the active set)') +
+            '.</div>';
+
+        html += '<div class="edd-table-wrap"><table class="edd-table blockmodel-table"><thead><tr>' +
+            '<th>Depth (ft)</th><th>Est.</th><th>Max</th><th>CY &gt; ' + Utils.escapeHtml(lowLabel) + '</th><th>CY &gt; ' + Utils.escapeHtml(highLabel) +
+            '</th><th title="Any analyte above its upper level">CY any</th></tr></thead><tbody>';
+        sum.slices.forEach(function(s, k) {
+            html += '<tr class="' + (k === sliceIndex ? 'blockmodel-active' : '') + '" onclick="BlockModelModule.showSlice(' + k + ')" title="Show this slice on the map">' +
+                '<td>' + s.top + '\u2013' + s.bottom + '</td>' +
+                '<td>' + s.estimated + '/' + s.blocks + '</td>' +
+                '<td>' + Utils.formatVal(s.max) + '</td>' +
+                '<td>' + Utils.formatCY(s.cyLow) + '</td>' +
+                '<td>' + Utils.formatCY(s.cyHigh) + '</td>' +
+                '<td>' + Utils.formatCY(any.slices[k]) + '</td>' +
+                '</tr>';
+        });
+        var t = sum.totals;
+        html += '<tr class="blockmodel-total"><td>Total</td><td>' + t.estimated + '/' + t.blocks + '</td><td>' + Utils.formatVal(t.max) +
+            '</td><td>' + Utils.formatCY(t.cyLow) + '</td><td>' + Utils.formatCY(t.cyHigh) + '</td><td>' + Utils.formatCY(any.total) + '</td></tr>';
+        html += '</tbody></table></div>';
+        html += '<div class="edd-file">Click a row to view that slice of the color-by analyte on the map. Unestimated blocks (no result within the search radius) are not counted.</div>';
+        return html;
+    }
+
+    return {
+        init: init,
+        open: open,
+        close: close,
+        run: run,
+        clear: clear,
+        refresh: refresh,
+        showSlice: showSlice,
+        exportCSV: exportCSV,
+        getModel: function() { return model; }
+    };
+})();
@@ -46,43 +46,27 @@ var CompareModule = (function() {
 
     /**
      * Add a sample to the comparison. Called when clicking markers in compare mode.
-     * @param {string} id - Sample ID or label
+     * @param {string} id - Sample ID or label (2025 samples also accept the sample number)
      * @param {string} source - '2025' or 'ea'
      */
     function addSample(id, source) {
         if (!compareMode) return;
 
+        var dataset = source === '2025' ? 'samples2025' : 'eaSamples';
+        var loc = DataModule.getLocation(id, dataset);
+        if (!loc && source === '2025') {
+            loc = DataModule.getLocations({ datasets: [dataset] }).find(function(l) { return l.record.num === parseInt(id); }) || null;
+        }
+
         var sampleData = null;
-        if (source === '2025') {
-            var s = AppState.data.samples2025.find(function(s) { return s.label === id || s.num === parseInt(id); });
-            if (s && s.sampled && s.metals) {
-                sampleData = {
-                    id: s.label,
-                    source: '2025 Jacobs',
-                    lat: s.lat,
-                    lon: s.lon,
-                    values: {}
-                };
-                AppConfig.allMetals.forEach(function(m) {
-                    sampleData.values[m] = s.metals[m];
-                });
-            }
-        } else {
-            var e = AppState.data.eaSamples.find(function(e) { return e.id === id; });
-            if (e) {
-                sampleData = {
-                    id: e.id,
-                    source: 'EA Historical',
-                    lat: e.lat,
-                    lon: e.lon,
-                    values: {
-                        Mercury: e.mercury,
-                        Arsenic: e.arsenic,
-                        Antimony: e.antimony,
-                        Thallium: e.thallium
-                    }
-                };
-            }
+        if (loc && loc.sampled) {
+            sampleData = {
+                id: loc.id,
+                source: DataModule.getDatasetInfo(loc.dataset).label,
+                lat: loc.lat,
+                lon: loc.lon,
+                values: DataModule.getValues(loc)
+            };
         }
 
         if (!sampleData) return;
@@ -125,16 +109,16 @@ var CompareModule = (function() {
             '<th>Analyte</th>' +
             '<th class="compare-col-a">' + a.id + '<br><span class="compare-source">' + a.source + '</span></th>' +
             '<th class="compare-col-b">' + b.id + '<br><span class="compare-source">' + b.source + '</span></th>' +
-            '<th>ROD</th>' +
+            '<th>' + AppConfig.getScreeningSet().highLabel + '</th>' +
             '<th>Difference</th>' +
             '</tr></thead><tbody>';
 
-        // COCs first
-        var cocs = ['Mercury', 'Arsenic', 'Antimony', 'Thallium'];
+        // COCs (analytes in the thresholds table) first
+        var cocs = Object.keys(AppConfig.thresholds);
         cocs.forEach(function(analyte) {
             var valA = a.values[analyte];
             var valB = b.values[analyte];
-            var thresh = AppConfig.thresholds[analyte];
+            var thresh = AppConfig.getThreshold(analyte);
             var exceedA = AppConfig.exceedsROD(valA, analyte);
             var exceedB = AppConfig.exceedsROD(valB, analyte);
 
@@ -147,10 +131,10 @@ var CompareModule = (function() {
             }
 
             html += '<tr class="compare-coc">' +
-                '<td><b>' + analyte + '</b> (' + thresh.abbrev + ')</td>' +
+                '<td><b>' + analyte + '</b> (' + AppConfig.thresholds[analyte].abbrev + ')</td>' +
                 '<td class="' + (exceedA ? 'compare-exceed' : '') + '">' + Utils.formatVal(valA) + '</td>' +
                 '<td class="' + (exceedB ? 'compare-exceed' : '') + '">' + Utils.formatVal(valB) + '</td>' +
-                '<td class="compare-rod">' + thresh.high + '</td>' +
+                '<td class="compare-rod">' + (thresh ? thresh.high : '\u2014') + '</td>' +
                 '<td class="' + diffClass + '">' + diff + '</td>' +
                 '</tr>';
         });
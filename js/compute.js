@@ -0,0 +1,200 @@
+/**
+ * SBMM Planning Tool - Background Grid Computation
+ *
+ * Runs GridComputeModule tasks in Web Workers (js/gridworker.js) so the map
+ * stays responsive while the contour, data gap and hot zone grids are
+ * computed. Each kind of grid has its own worker and at most one job:
+ * starting a new job of the same kind (e.g. after the analyte or grid size
+ * changes) cancels the running one by terminating its worker.
+ *
+ * Jobs that run longer than PROGRESS_DELAY_MS show a progress bar with a
+ * Cancel button in the corner of the map. A task that throws, in the worker
+ * or on the page, is reported to the user and ends like a cancelled job. Where workers are
+ * unavailable (opened from file://, or the worker fails to load) tasks run
+ * on the page and the callback is called before run() returns.
+ */
+var ComputeModule = (function() {
+    'use strict';
+
+    var WORKER_URL = 'js/gridworker.js';
+    var PROGRESS_DELAY_MS = 250;
+
+    var workers = {};           // kind -> Worker
+    var jobs = {};              // kind -> { id, label, task, job, callbacks, pct, timer }
+    var nextId = 1;
+    var workersFailed = false;
+    var progressPanel = null;
+
+    // ===== JOBS =====
+
+    /**
+     * Run a grid task, cancelling any running job of the same kind.
+     * @param {string} kind - Job slot, e.g. 'contour', 'gap', 'hotzone'
+     * @param {string} label - Shown next to the progress bar
+     * @param {string} task - GridComputeModule function name
+     * @param {Object} job - Plain-object task input (copied to the worker)
+     * @param {Object} callbacks
+     * @param {Function} callbacks.done - done(result)
+     * @param {Function} [callbacks.cancelled] - cancelled(message) when the user
+     *     cancels (no message) or the task fails
+     */
+    function run(kind, label, task, job, callbacks) {
+        cancel(kind);
+
+        var worker = workersAvailable() ? getWorker(kind) : null;
+        if (!worker) {
+            runOnPage(label, task, job, callbacks);
+            return;
+        }
+
+        var entry = { id: nextId++, label: label, task: task, job: job, callbacks: callbacks, pct: 0, timer: null };
+        entry.timer = setTimeout(function() {
+            entry.timer = null;
+            renderProgress();
+        }, PROGRESS_DELAY_MS);
+        jobs[kind] = entry;
+        worker.postMessage({ id: entry.id, task: task, job: job });
+    }
+
+    /**
+     * Cancel the running job of a kind, if any.
+     * @param {string} kind
+     * @param {boolean} [byUser] - Also call the job's cancelled callback
+     */
+    function cancel(kind, byUser) {
+        var entry = jobs[kind];
+        if (!entry) return;
+        finish(kind);
+        if (workers[kind]) {
+            workers[kind].terminate();
+            delete workers[kind];
+        }
+        if (byUser && entry.callbacks.cancelled) entry.callbacks.cancelled();
+    }
+
+    /**
+     * @param {string} kind
+     * @returns {boolean} True while a job of this kind is running in a worker
+     */
+    function isRunning(kind) {
+        return !!jobs[kind];
+    }
+
+    function finish(kind) {
+        var entry = jobs[kind];
+        if (entry.timer) clearTimeout(entry.timer);
+        delete jobs[kind];
+        renderProgress();
+    }
+
+    // ===== WORKERS =====
+
+    function workersAvailable() {
+        return !workersFailed && typeof Worker !== 'undefined' && window.location.protocol !== 'file:';
+    }
+
+    /**
+     * The worker for a kind, created on first use.
+     * @returns {Worker|null} Null if it cannot be created
+     */
+    function getWorker(kind) {
+        if (workers[kind]) return workers[kind];
+        var worker;
+        try {
+            worker = new Worker(WORKER_URL);
+        } catch (err) {
+            console.warn('Grid worker unavailable, computing on the page: ' + err.message);
+            workersFailed = true;
+            return null;
+        }
+        worker.onmessage = function(e) { handleMessage(kind, e.data); };
+        worker.onerror = function(e) { handleWorkerError(kind, e); };
+        workers[kind] = worker;
+        return worker;
+    }
+
+    function handleMessage(kind, msg) {
+        var entry = jobs[kind];
+        if (!entry || entry.id !== msg.id) return;   // Superseded job
+
+        if (msg.type === 'progress') {
+            entry.pct = Math.floor(msg.done * 100 / msg.total);
+            if (!entry.timer) renderProgress();
+        } else if (msg.type === 'result') {
+            finish(kind);
+            entry.callbacks.done(msg.result);
+        } else if (msg.type === 'error') {
+            finish(kind);
+            reportFailure(entry.label, entry.callbacks, msg.message);
+        }
+    }
+
+    /**
+     * Run a task on the page; a task that throws is reported like a
+     * failure in the worker.
+     */
+    function runOnPage(label, task, job, callbacks) {
+        var result;
+        try {
+            result = GridComputeModule[task](job);
+        } catch (e) {
+            reportFailure(label, callbacks, e.message || String(e));
+            return;
+        }
+        callbacks.done(result);
+    }
+
+    function reportFailure(label, callbacks, message) {
+        console.error(label + ' failed: ' + message);
+        if (callbacks.cancelled) callbacks.cancelled(message);
+        alert(label + ' failed: ' + message);
+    }
+
+    /**
+     * The worker script failed (e.g. it could not be loaded): stop using
+     * workers and run the pending job on the page instead.
+     */
+    function handleWorkerError(kind, e) {
+        if (e.preventDefault) e.preventDefault();
+        console.warn('Grid worker failed, computing on the page: ' + (e.message || 'script error'));
+        workersFailed = true;
+        var entry = jobs[kind];
+        cancel(kind);
+        if (entry) runOnPage(entry.label, entry.task, entry.job, entry.callbacks);
+    }
+
+    // ===== PROGRESS =====
+
+    /**
+     * Show a row per visible job: label, progress bar, percentage and Cancel.
+     */
+    function renderProgress() {
+        var kinds = Object.keys(jobs).filter(function(k) { return !jobs[k].timer; });
+        if (kinds.length === 0) {
+            if (progressPanel) progressPanel.style.display = 'none';
+            return;
+        }
+        if (!progressPanel) {
+            progressPanel = document.createElement('div');
+            progressPanel.className = 'compute-progress';
+            document.getElementById('map').appendChild(progressPanel);
+            L.DomEvent.disableClickPropagation(progressPanel);
+        }
+        progressPanel.innerHTML = kinds.map(function(k) {
+            var entry = jobs[k];
+            return '<div class="compute-progress-row">' +
+                '<span class="compute-progress-label">' + Utils.escapeHtml(entry.label) + '</span>' +
+                '<span class="compute-progress-bar"><span style="width:' + entry.pct + '%"></span></span>' +
+                '<span class="compute-progress-pct">' + entry.pct + '%</span>' +
+                '<button onclick="ComputeModule.cancel(\'' + k + '\', true)" title="Cancel">\u00d7</button>' +
+                '</div>';
+        }).join('');
+        progressPanel.style.display = 'block';
+    }
+
+    return {
+        run: run,
+        cancel: cancel,
+        isRunning: isRunning
+    };
+})();
@@ -2,7 +2,9 @@
  * SBMM Planning Tool - Configuration
  *
  * Central configuration for thresholds, map defaults, and constants.
- * To update cleanup levels or add new analytes, edit this file only.
+ * The thresholds table below holds the ROD defaults. Users can add analytes
+ * and edit levels in the app (ThresholdModule); those edits are saved in
+ * LocalStorage and applied on top of these defaults at startup.
  */
 var AppConfig = (function() {
     'use strict';
@@ -16,6 +18,26 @@ var AppConfig = (function() {
         Thallium: { low: 1.3, high: 1.3, unit: 'mg/kg', abbrev: 'Tl' }
     };
 
+    // Copy of the ROD table above, used by resetThresholds()
+    var defaultThresholds = copyThresholds(thresholds);
+
+    // Named screening-level sets. Each set gives a lower and upper level per
+    // analyte (use the same value for single-criterion sets); analytes a set
+    // does not cover are left out. The built-in 'rod' set is the thresholds
+    // table above. More sets are loaded from screeningLevelsFile at startup
+    // or added with registerScreeningSets().
+    //   lowLabel / highLabel: names of the two levels used in legends
+    var screeningSets = {
+        rod: {
+            label: '2023 ROD (PMB / Cleanup Level)',
+            lowLabel: 'PMB',
+            highLabel: 'ROD',
+            levels: thresholds
+        }
+    };
+    var defaultScreeningSet = 'rod';
+    var screeningLevelsFile = 'data/screening-levels.json';
+
     // Full list of metals analyzed in 2025 samples (CAM-17)
     var allMetals = [
         'Aluminum', 'Antimony', 'Arsenic', 'Barium', 'Beryllium', 'Cadmium',
@@ -24,6 +46,15 @@ var AppConfig = (function() {
         'Sodium', 'Thallium', 'Vanadium', 'Zinc'
     ];
 
+    // Element symbols used as the default abbreviation for new analytes
+    var analyteSymbols = {
+        Aluminum: 'Al', Antimony: 'Sb', Arsenic: 'As', Barium: 'Ba', Beryllium: 'Be',
+        Cadmium: 'Cd', Calcium: 'Ca', Chromium: 'Cr', Cobalt: 'Co', Copper: 'Cu',
+        Iron: 'Fe', Lead: 'Pb', Magnesium: 'Mg', Manganese: 'Mn', Mercury: 'Hg',
+        Nickel: 'Ni', Potassium: 'K', Selenium: 'Se', Silver: 'Ag', Sodium: 'Na',
+        Thallium: 'Tl', Vanadium: 'V', Zinc: 'Zn'
+    };
+
     // Map defaults
     var mapDefaults = {
         zoom: 16,
@@ -43,6 +74,85 @@ var AppConfig = (function() {
         stepFt: 25
     };
 
+    // Block model (3D volume estimate) defaults. Distances are in feet;
+    // vertical distances are multiplied by the anisotropy factor before the
+    // IDW search, so a 150 ft radius reaches 15 ft vertically at 10:1.
+    var blockModelDefaults = {
+        blockSizeFt: 25,
+        blockHeightFt: 2.5,
+        maxDepthFt: 20,
+        idwPower: 2,
+        searchRadiusFt: 150,
+        maxSamples: 12,
+        anisotropy: 10
+    };
+
+    // Depth of contamination map defaults (see DepthMapModule). level is
+    // 'high' (ROD by default) or 'low' (PMB); a search radius or max.
+    // neighbors of 0 means no limit.
+    var depthMapDefaults = {
+        level: 'high',
+        idwPower: 2,
+        maxNeighbors: 8,
+        searchRadiusFt: 0,
+        gridFt: 10,
+        hullBufferFt: 50,
+        contourIntervalFt: 2
+    };
+
+    // Gaussian simulation defaults (see SimulationModule). level is 'high'
+    // (ROD by default) or 'low' (PMB); the cells match the contour grid, and
+    // volumes are the area times thicknessFt.
+    var simulationDefaults = {
+        level: 'high',
+        realizations: 100,
+        seed: 12345,
+        maxNeighbors: 16,
+        variogramModel: 'spherical',
+        gridFt: 33,
+        hullBufferFt: 100,
+        thicknessFt: 2
+    };
+
+    // Thiessen polygon defaults (see ThiessenModule): cells are clipped to the
+    // convex hull of the samples expanded by hullBufferFt.
+    var thiessenDefaults = {
+        hullBufferFt: 100
+    };
+
+    // Lateral delineation (step-out) defaults (see StepOutModule). Each
+    // exceedance needs a sample below the upper level within searchRadiusFt
+    // in each of `sectors` compass sectors (4 or 8); step-outs are proposed
+    // offsetFt out in the open ones.
+    var stepOutDefaults = {
+        searchRadiusFt: 100,
+        sectors: 4,
+        offsetFt: 50,
+        depth: 'Shallow'
+    };
+
+    // Contour interpolation defaults (see ContourModule). A search radius or
+    // max. neighbors of 0 means no limit; sectors is 0 (none), 4 or 8. The
+    // grid and hull buffer are about the earlier fixed 10 m and 30 m. The
+    // probability display reports the area above each probability cutoff.
+    var contourDefaults = {
+        power: 2,
+        searchRadiusFt: 0,
+        minNeighbors: 1,
+        maxNeighbors: 0,
+        sectors: 0,
+        gridFt: 33,
+        hullBufferFt: 100,
+        probabilityCutoffs: [0.5, 0.8]
+    };
+
+    // Cross-validation sweep of the contour IDW settings. A search radius
+    // of 0 means every sample is used.
+    var crossValidationDefaults = {
+        powers: [1, 1.5, 2, 2.5, 3],
+        searchRadiiFt: [0, 100, 200, 300]
+    };
+
     // Coordinate conversion constants for ~39 deg N latitude
     // 1 deg lat ~ 111km, 1 deg lon ~ 86km at this latitude
     var coordConversion = {
@@ -55,8 +165,28 @@ var AppConfig = (function() {
     var markerStyles = {
         sample2025: { radius: 9, weight: 2, opacity: 1, fillOpacity: 0.85 },
         soilBoring: { radius: 7, fillColor: '#0099cc', color: '#006699', weight: 2, opacity: 1, fillOpacity: 0.8 },
-        planned: { iconSize: [14, 14] }
+        planned: { iconSize: [14, 14] },
+        outsideHorizon: { opacity: 0.35 }    // Locations with no data in the depth horizon
+    };
+
+    // Vertical delineation status of boring / test pit profiles against the
+    // upper screening level (see DelineationModule), with the ring drawn
+    // around each location's marker. Listed in sort order.
+    var delineationStatuses = {
+        unbounded: { label: 'Unbounded at depth', ring: { color: '#d63e2a', weight: 3, dashArray: '4 3' } },
+        bounded:   { label: 'Vertically bounded', ring: { color: '#1F4E79', weight: 2.5, dashArray: null } },
+        clean:     { label: 'Clean throughout',   ring: { color: '#72af26', weight: 1.5, dashArray: null } }
+    };
+
+    // Polygon categories (see PolygonModule); the color is the default for
+    // new polygons of the category
+    var polygonCategories = {
+        decisionUnit: { label: 'Decision unit',   color: '#3388ff' },
+        excavation:   { label: 'Excavation area', color: '#d63e2a' },
+        exclusion:    { label: 'Exclusion zone',  color: '#7f7f7f' },
+        other:        { label: 'Other',           color: '#9b59b6' }
     };
+    var defaultPolygonCategory = 'decisionUnit';
 
     // Colors
     var colors = {
@@ -91,28 +221,224 @@ var AppConfig = (function() {
         soilBorings2025: 'data/soil-borings-2025.json'
     };
 
+    // Dataset descriptors used by DataModule to normalize every data file
+    // into one location/interval model. Keys match dataFiles.
+    //   type:      SS = surface sample, EA = EA historical sample,
+    //              EATP = EA test pit, TP = test pit, SB = soil boring
+    //   idField:   record property used as the location ID
+    //   validator: name of the Utils validation function
+    //   surface:   true if results apply to the surface interval only
+    var datasets = {
+        samples2025:     { label: '2025 Jacobs',       source: '2025', type: 'SS',   idField: 'label', validator: 'validateSample2025',    surface: true },
+        eaSamples:       { label: 'EA Historical',     source: 'ea',   type: 'EA',   idField: 'id',    validator: 'validateEASample',      surface: true },
+        eaTestPits:      { label: 'EA Test Pits',      source: 'ea',   type: 'EATP', idField: 'id',    validator: 'validateLocationEntry', surface: false },
+        testPits2025:    { label: '2025 Test Pits',    source: '2025', type: 'TP',   idField: 'id',    validator: 'validateLocationEntry', surface: false },
+        soilBorings2025: { label: '2025 Soil Borings', source: '2025', type: 'SB',   idField: 'id',    validator: 'validateLocationEntry', surface: false }
+    };
+
+    // Depth interval assigned to surface samples (ft bgs)
+    var surfaceInterval = { start: 0, end: 0.5, label: '0-6 in' };
+
+    // Substitution rules for non-detects (U / UJ qualified results) in
+    // statistics and interpolation. The factor multiplies the detection
+    // limit (or the reported value when no DL is recorded).
+    var nonDetectRules = {
+        half: { label: '\u00bd DL', factor: 0.5 },
+        dl:   { label: 'DL',        factor: 1 },
+        zero: { label: 'Zero',      factor: 0 }
+    };
+    var defaultNonDetectRule = 'dl';
+
+    // Depth horizons that slice the map views (ft bgs). 'surface' is the
+    // unsliced view: surface datasets in the grids, whole profiles on the
+    // markers. The others use every dataset, taking the highest result of
+    // the intervals that overlap the horizon (end: null = no lower limit).
+    // A custom range can be entered as well (AppState.depthRange).
+    var depthHorizons = {
+        surface: { label: 'Surface samples', results: 'surface results', surface: true },
+        '0-2':   { label: '0\u20132 ft', results: 'results from 0\u20132 ft', start: 0, end: 2 },
+        '2-5':   { label: '2\u20135 ft', results: 'results from 2\u20135 ft', start: 2, end: 5 },
+        '5-10':  { label: '5\u201310 ft', results: 'results from 5\u201310 ft', start: 5, end: 10 },
+        any:     { label: 'Max, any depth', results: 'location maxima over any depth', start: 0, end: null }
+    };
+    var defaultDepthHorizon = 'surface';
+
+    /**
+     * Deep copy of a thresholds table.
+     * @param {Object} table
+     * @returns {Object}
+     */
+    function copyThresholds(table) {
+        var copy = {};
+        Object.keys(table).forEach(function(analyte) {
+            var t = table[analyte];
+            copy[analyte] = { low: t.low, high: t.high, unit: t.unit, abbrev: t.abbrev };
+        });
+        return copy;
+    }
+
+    /**
+     * Get a screening-level set, falling back to the default set.
+     * @param {string} [setKey] - Set key; defaults to the active set (AppState.screeningSet)
+     * @returns {Object} { label, lowLabel, highLabel, levels }
+     */
+    function getScreeningSet(setKey) {
+        var key = setKey || (typeof AppState !== 'undefined' && AppState.screeningSet) || defaultScreeningSet;
+        return screeningSets[key] || screeningSets[defaultScreeningSet];
+    }
+
+    /**
+     * Get the screening levels for an analyte from a set.
+     * @param {string} analyte - Analyte name (e.g., 'Mercury')
+     * @param {string} [setKey] - Set key; defaults to the active set (AppState.screeningSet)
+     * @returns {Object|null} { low, high, unit, abbrev, lowLabel, highLabel, setLabel },
+     *     or null if the set has no level for the analyte
+     */
+    function getThreshold(analyte, setKey) {
+        var set = getScreeningSet(setKey);
+        var level = set.levels[analyte];
+        if (!level || typeof level.high !== 'number') return null;
+        var meta = thresholds[analyte] || {};
+        return {
+            low: typeof level.low === 'number' ? level.low : level.high,
+            high: level.high,
+            unit: level.unit || meta.unit || 'mg/kg',
+            abbrev: meta.abbrev || analyteSymbols[analyte] || analyte,
+            lowLabel: set.lowLabel,
+            highLabel: set.highLabel,
+            setLabel: set.label
+        };
+    }
+
     // Public API
     return {
         thresholds: thresholds,
         allMetals: allMetals,
+        analyteSymbols: analyteSymbols,
         mapDefaults: mapDefaults,
         gridDefaults: gridDefaults,
+        blockModelDefaults: blockModelDefaults,
+        depthMapDefaults: depthMapDefaults,
+        simulationDefaults: simulationDefaults,
+        thiessenDefaults: thiessenDefaults,
+        stepOutDefaults: stepOutDefaults,
+        contourDefaults: contourDefaults,
+        crossValidationDefaults: crossValidationDefaults,
         coordConversion: coordConversion,
         markerStyles: markerStyles,
+        delineationStatuses: delineationStatuses,
+        polygonCategories: polygonCategories,
+        defaultPolygonCategory: defaultPolygonCategory,
         colors: colors,
         pointTypes: pointTypes,
         depthOptions: depthOptions,
         dataFiles: dataFiles,
+        datasets: datasets,
+        surfaceInterval: surfaceInterval,
+        nonDetectRules: nonDetectRules,
+        defaultNonDetectRule: defaultNonDetectRule,
+        depthHorizons: depthHorizons,
+        defaultDepthHorizon: defaultDepthHorizon,
+        screeningSets: screeningSets,
+        defaultScreeningSet: defaultScreeningSet,
+        screeningLevelsFile: screeningLevelsFile,
+
+        /**
+         * Add or replace screening-level sets, e.g. from screening-levels.json.
+         * Sets without a label or levels object are skipped.
+         * @param {Object} sets - Map of key -> { label, lowLabel, highLabel, levels }
+         * @returns {string[]} Keys that were registered
+         */
+        registerScreeningSets: function(sets) {
+            var added = [];
+            Object.keys(sets || {}).forEach(function(key) {
+                var set = sets[key];
+                if (!set || !set.label || typeof set.levels !== 'object') {
+                    console.warn('Screening levels: skipping invalid set "' + key + '"');
+                    return;
+                }
+                screeningSets[key] = {
+                    label: set.label,
+                    lowLabel: set.lowLabel || 'Low',
+                    highLabel: set.highLabel || 'High',
+                    source: set.source || '',
+                    levels: set.levels
+                };
+                added.push(key);
+            });
+            return added;
+        },
+
+        /**
+         * Remove a registered screening-level set. The default set cannot be removed.
+         * @param {string} key
+         * @returns {boolean} True if the set was removed
+         */
+        removeScreeningSet: function(key) {
+            if (key === defaultScreeningSet || !screeningSets[key]) return false;
+            delete screeningSets[key];
+            return true;
+        },
+
+        getScreeningSet: getScreeningSet,
+        getThreshold: getThreshold,
+
+        /**
+         * Add or update the ROD-set levels for an analyte. The thresholds
+         * table is edited in place so the 'rod' screening set follows it.
+         * @param {string} analyte - Analyte name (e.g., 'Lead')
+         * @param {Object} level - { low, high, unit, abbrev }; low defaults to high
+         * @returns {Object|null} The stored entry, or null if high is not a number
+         */
+        setThreshold: function(analyte, level) {
+            if (!analyte || !level || typeof level.high !== 'number' || isNaN(level.high)) return null;
+            var low = typeof level.low === 'number' && !isNaN(level.low) ? level.low : level.high;
+            thresholds[analyte] = {
+                low: low,
+                high: level.high,
+                unit: level.unit || 'mg/kg',
+                abbrev: level.abbrev || analyteSymbols[analyte] || analyte
+            };
+            return thresholds[analyte];
+        },
+
+        /**
+         * Remove an analyte from the thresholds table.
+         * @param {string} analyte
+         * @returns {boolean} True if an entry was removed
+         */
+        removeThreshold: function(analyte) {
+            if (!thresholds[analyte]) return false;
+            delete thresholds[analyte];
+            return true;
+        },
+
+        /**
+         * Restore the thresholds table to the 2023 ROD defaults.
+         */
+        resetThresholds: function() {
+            Object.keys(thresholds).forEach(function(analyte) { delete thresholds[analyte]; });
+            var defaults = copyThresholds(defaultThresholds);
+            Object.keys(defaults).forEach(function(analyte) { thresholds[analyte] = defaults[analyte]; });
+        },
+
+        /**
+         * Copy of the 2023 ROD default thresholds.
+         * @returns {Object}
+         */
+        getDefaultThresholds: function() {
+            return copyThresholds(defaultThresholds);
+        },
 
         /**
-         * Get color for a concentration value against an analyte's thresholds.
+         * Get color for a concentration value against the active screening set.
          * @param {number|null} value - The concentration value
          * @param {string} analyte - Analyte name (e.g., 'Mercury')
          * @returns {string} Hex color code
          */
         getColorForValue: function(value, analyte) {
             if (value === null || value === undefined) return colors.notSampled;
-            var thresh = thresholds[analyte];
+            var thresh = getThreshold(analyte);
             if (!thresh) return colors.notSampled;
             if (value > thresh.high) return colors.high;
             if (value > thresh.low) return colors.medium;
@@ -120,15 +446,16 @@ var AppConfig = (function() {
         },
 
         /**
-         * Check if a value exceeds the ROD cleanup level for an analyte.
+         * Check if a value exceeds the upper level of the active screening set
+         * (the ROD cleanup level when the default set is active).
          * @param {number|null} value
          * @param {string} analyte
          * @returns {boolean}
          */
         exceedsROD: function(value, analyte) {
             if (value === null || value === undefined) return false;
-            var thresh = thresholds[analyte];
-            return thresh && value > thresh.high;
+            var thresh = getThreshold(analyte);
+            return !!thresh && value > thresh.high;
         },
 
         /**
@@ -1,15 +1,45 @@
 /**
- * SBMM Planning Tool - IDW Contour Interpolation
+ * SBMM Planning Tool - Contour Interpolation (IDW or Ordinary Kriging)
  *
  * Generates a color-coded canvas overlay showing interpolated contamination
- * levels across the site using Inverse Distance Weighting (IDW).
+ * levels across the site using Inverse Distance Weighting (IDW) or
+ * ordinary kriging, selected in the contour controls.
  *
- * Algorithm: For each grid cell, value = sum(v_i / d_i^2) / sum(1 / d_i^2)
- * where v_i is each sample value and d_i is the distance in meters.
+ * IDW: for each grid cell, value = sum(v_i / d_i^p) / sum(1 / d_i^p)
+ * where v_i is each sample value, d_i is the distance in meters and p the
+ * power. The search neighborhood can be limited by a radius and a maximum
+ * number of nearest samples, optionally split evenly across quadrants or
+ * octants so a cluster on one side does not dominate; cells with fewer
+ * than the minimum number of samples are left blank.
+ *
+ * Kriging: a variogram model (spherical, exponential or Gaussian) is
+ * fitted to the experimental variogram of the current analyte, or entered
+ * in the variogram panel (see KrigingModule). The kriging standard
+ * deviation can be shown instead of the estimate to see where the
+ * interpolation is weak.
+ *
+ * Probability of exceedance: each sample becomes a 0/1 indicator (1 for a
+ * detected result above the upper or lower screening level) and the
+ * indicators are interpolated with the active method (kriging fits its own
+ * indicator variogram), giving the probability of exceeding the level. The
+ * areas above the probability cutoffs (AppState.contourSettings) are
+ * outlined on the map and reported in the legend and printed report as
+ * "likely contaminated" footprints.
+ *
+ * createEstimator() builds a point estimator for the active method and
+ * settings so other tools (cross-validation) interpolate exactly as the
+ * contour does.
  *
  * Rendering is clipped to the convex hull of sample points (with buffer)
  * and color-mapped through a green -> yellow -> orange -> red gradient
- * based on the current analyte's threshold levels.
+ * based on the current analyte's threshold levels. The grid itself is
+ * computed by GridComputeModule in a Web Worker (ComputeModule), so the map
+ * stays responsive on fine grids.
+ *
+ * The IDW neighborhood, grid resolution and hull buffer live in
+ * AppState.contourSettings (defaults in AppConfig.contourDefaults), are
+ * saved with the preferences and are listed in the contour legend and the
+ * printed report.
  */
 var ContourModule = (function() {
     'use strict';
@@ -17,11 +47,18 @@ var ContourModule = (function() {
     var conv = AppConfig.coordConversion;
 
     // ----- Configuration -----
-    var GRID_METERS = 10;           // ~10 meter grid cells
-    var IDW_POWER = 2;              // Power parameter (used conceptually; see optimization note)
-    var HULL_BUFFER_METERS = 30;    // Buffer around convex hull for interpolation extent
     var OVERLAY_OPACITY = 0.5;      // Canvas overlay opacity so satellite shows through
-    var BOUNDS_BUFFER_DEG = 0.0005; // Degree buffer on min/max lat/lon grid bounds
+
+    // ----- Settings Inputs (AppState.contourSettings) -----
+    var SETTING_FIELDS = [
+        { key: 'power', id: 'contourPower', label: 'IDW power', min: 0.5, max: 6, idw: true },
+        { key: 'searchRadiusFt', id: 'contourRadius', label: 'Search radius', min: 0, idw: true },
+        { key: 'minNeighbors', id: 'contourMinNbrs', label: 'Min. neighbors', min: 1, integer: true, idw: true },
+        { key: 'maxNeighbors', id: 'contourMaxNbrs', label: 'Max. neighbors', min: 0, integer: true, idw: true },
+        { key: 'gridFt', id: 'contourGrid', label: 'Grid', min: 5 },
+        { key: 'hullBufferFt', id: 'contourHullBuffer', label: 'Hull buffer', min: 0 }
+    ];
+    var SECTORS = { 0: 'no sectors', 4: 'quadrants', 8: 'octants' };
 
     // ----- Color Gradient Stops -----
     var C_GREEN  = { r: 114, g: 175, b: 38 };   // #72af26 - below thresh.low
@@ -29,6 +66,31 @@ var ContourModule = (function() {
     var C_ORANGE = { r: 240, g: 147, b: 43 };    // #f0932b - at thresh.high
     var C_RED    = { r: 214, g: 62,  b: 42 };    // #d63e2a - above thresh.high
 
+    // ----- Kriging Std. Dev. Gradient -----
+    var C_SD_LOW  = { r: 242, g: 240, b: 247 };  // #f2f0f7 - well constrained
+    var C_SD_HIGH = { r: 84,  g: 39,  b: 143 };  // #54278f - largest std. dev. on the grid
+
+    // ----- Probability Gradient -----
+    var C_P_LOW  = { r: 255, g: 255, b: 204 };   // #ffffcc - P = 0
+    var C_P_MID  = { r: 253, g: 141, b: 60 };    // #fd8d3c - P = 0.5
+    var C_P_HIGH = { r: 189, g: 0,   b: 38 };    // #bd0026 - P = 1
+    var CUTOFF_COLOR = '#4a1486';
+    var LABEL_MIN_POINTS = 16;      // Label cutoff rings with at least this many vertices
+
+    // ----- Variogram Plot -----
+    var PLOT_WIDTH = 340;
+    var PLOT_HEIGHT = 200;
+    var PLOT_MARGIN = { top: 12, right: 12, bottom: 30, left: 52 };
+
+    // ----- Interpolation State -----
+    var method = 'idw';             // 'idw' | 'kriging'
+    var display = 'estimate';       // 'estimate' | 'stddev' (kriging only) | 'prob-high' | 'prob-low'
+    var variograms = {};            // variogramKey -> { model, nugget, sill, range (ft), auto }
+    var variogramPanel = null;
+    var lastGrid = null;            // { grid, display } behind the overlay on the map
+    var cutoffLayer = null;         // Probability cutoff outlines
+    var probability = null;         // { label, areas: [{ cutoff, areaSqFt }] } of the probability on the map
+
     // ================================================================
     //  Public API
     // ================================================================
@@ -39,6 +101,14 @@ var ContourModule = (function() {
     function init() {
         AppState.contourLayer = null;
         AppState.contourVisible = false;
+        AppState.contourSettings = copySettings(AppConfig.contourDefaults);
+        syncSettingsInputs();
+    }
+
+    function copySettings(src) {
+        var copy = {};
+        Object.keys(src).forEach(function(k) { copy[k] = src[k]; });
+        return copy;
     }
 
     /**
@@ -47,26 +117,232 @@ var ContourModule = (function() {
     function toggle() {
         AppState.contourVisible = !AppState.contourVisible;
         var btn = document.getElementById('btn-contour');
+        var row = document.getElementById('contourControlsRow');
+        if (row) row.style.display = AppState.contourVisible ? 'flex' : 'none';
+        var settingsRow = document.getElementById('contourSettingsRow');
+        if (settingsRow) settingsRow.style.display = AppState.contourVisible ? 'grid' : 'none';
 
         if (AppState.contourVisible) {
             if (btn) btn.classList.add('active-contour');
             generateContour();
         } else {
             if (btn) btn.classList.remove('active-contour');
+            ComputeModule.cancel('contour');
             removeContour();
+            updateLegend(null);
         }
     }
 
+    /**
+     * Switch the interpolation method.
+     * @param {string} value - 'idw' | 'kriging'
+     */
+    function setMethod(value) {
+        method = value === 'kriging' ? 'kriging' : 'idw';
+        if (method !== 'kriging' && display === 'stddev') display = 'estimate';
+        syncSettingsInputs();
+        refresh();
+    }
+
+    /**
+     * Show the estimate, the kriging standard deviation or the probability
+     * of exceeding the upper or lower screening level.
+     * @param {string} value - 'estimate' | 'stddev' | 'prob-high' | 'prob-low'
+     */
+    function setDisplay(value) {
+        display = ['stddev', 'prob-high', 'prob-low'].indexOf(value) !== -1 ? value : 'estimate';
+        if (display === 'stddev' && method !== 'kriging') display = 'estimate';
+        syncDisplayOptions();
+        refresh();
+    }
+
+    /**
+     * Screening level the probability display indicates against.
+     * @param {Object|null} thresh - AppConfig.getThreshold of the analyte
+     * @param {string} [mode] - Display; defaults to the current one
+     * @returns {Object|null} { key: 'high' | 'low', value, label }, or null
+     *     outside the probability display
+     */
+    function indicatorLevel(thresh, mode) {
+        mode = mode || display;
+        if (!thresh || (mode !== 'prob-high' && mode !== 'prob-low')) return null;
+        var key = mode === 'prob-high' ? 'high' : 'low';
+        return { key: key, value: thresh[key], label: thresh[key + 'Label'] };
+    }
+
+    /**
+     * Samples as 0/1 indicators: 1 for a detected result above the level.
+     */
+    function indicatorPoints(points, level) {
+        return points.map(function(p) {
+            return { lat: p.lat, lon: p.lon, value: p.detected && p.value > level ? 1 : 0 };
+        });
+    }
+
+    // ================================================================
+    //  Settings
+    // ================================================================
+
+    /**
+     * Validate and apply contour settings (any subset of the keys of
+     * AppConfig.contourDefaults), then redraw. Nothing changes if any value
+     * is invalid. The caller saves the preferences.
+     * @param {Object} values
+     * @returns {string[]} Errors
+     */
+    function setSettings(values) {
+        var next = copySettings(AppState.contourSettings);
+        var errors = [];
+        SETTING_FIELDS.forEach(function(f) {
+            if (values[f.key] === undefined) return;
+            var v = Number(values[f.key]);
+            if (values[f.key] === '' || isNaN(v) || v < f.min || (f.max && v > f.max) || (f.integer && v !== Math.round(v))) {
+                errors.push(f.label + ' must be ' + (f.integer ? 'a whole number ' : '') +
+                    (f.max ? 'from ' + f.min + ' to ' + f.max : 'at least ' + f.min));
+                return;
+            }
+            next[f.key] = v;
+        });
+        if (values.sectors !== undefined) {
+            if (SECTORS[values.sectors] === undefined) errors.push('Sectors must be 0, 4 or 8');
+            else next.sectors = Number(values.sectors);
+        }
+        if (values.probabilityCutoffs !== undefined) {
+            var cutoffs = parseCutoffs(values.probabilityCutoffs);
+            if (!cutoffs) errors.push('Probability cutoffs must be a comma-separated list of values between 0 and 1');
+            else next.probabilityCutoffs = cutoffs;
+        }
+        if (next.maxNeighbors > 0 && next.minNeighbors > next.maxNeighbors) {
+            errors.push('Min. neighbors cannot exceed max. neighbors');
+        }
+        if (errors.length === 0) {
+            AppState.contourSettings = next;
+            refresh();
+        }
+        syncSettingsInputs();
+        return errors;
+    }
+
+    /**
+     * Parse probability cutoffs from a list or comma-separated text.
+     * @returns {number[]|null} Sorted distinct cutoffs, or null if any is not in (0, 1)
+     */
+    function parseCutoffs(value) {
+        var parts = Array.isArray(value) ? value : String(value).split(',');
+        var cutoffs = [];
+        for (var i = 0; i < parts.length; i++) {
+            if (String(parts[i]).trim() === '') continue;
+            var c = Number(parts[i]);
+            if (isNaN(c) || c <= 0 || c >= 1) return null;
+            if (cutoffs.indexOf(c) === -1) cutoffs.push(c);
+        }
+        if (cutoffs.length === 0) return null;
+        return cutoffs.sort(function(a, b) { return a - b; });
+    }
+
+    /**
+     * Read the sidebar settings inputs and apply them.
+     * @returns {string[]} Errors (the inputs are reset to the current settings)
+     */
+    function applySettingsInputs() {
+        var values = {};
+        SETTING_FIELDS.forEach(function(f) {
+            var el = document.getElementById(f.id);
+            if (el) values[f.key] = el.value.trim();
+        });
+        var sectors = document.getElementById('contourSectors');
+        if (sectors) values.sectors = Number(sectors.value);
+        var cutoffs = document.getElementById('contourCutoffs');
+        if (cutoffs) values.probabilityCutoffs = cutoffs.value;
+        return setSettings(values);
+    }
+
+    /**
+     * Show the current settings in the sidebar inputs; the neighborhood
+     * inputs are disabled for kriging, which uses every sample.
+     */
+    function syncSettingsInputs() {
+        var settings = AppState.contourSettings;
+        if (!settings) return;
+        SETTING_FIELDS.forEach(function(f) {
+            var el = document.getElementById(f.id);
+            if (!el) return;
+            el.value = settings[f.key];
+            el.disabled = !!f.idw && method === 'kriging';
+        });
+        var sectors = document.getElementById('contourSectors');
+        if (sectors) {
+            sectors.value = String(settings.sectors);
+            sectors.disabled = method === 'kriging';
+        }
+        var cutoffs = document.getElementById('contourCutoffs');
+        if (cutoffs) cutoffs.value = settings.probabilityCutoffs.join(', ');
+        syncDisplayOptions();
+    }
+
+    /**
+     * Name the probability options after the active screening set and allow
+     * the std. dev. only for kriging.
+     */
+    function syncDisplayOptions() {
+        var select = document.getElementById('contourDisplaySelect');
+        if (!select) return;
+        var set = AppConfig.getScreeningSet();
+        Array.prototype.forEach.call(select.options, function(opt) {
+            if (opt.value === 'stddev') opt.disabled = method !== 'kriging';
+            if (opt.value === 'prob-high') opt.textContent = 'P(> ' + set.highLabel + ')';
+            if (opt.value === 'prob-low') opt.textContent = 'P(> ' + set.lowLabel + ')';
+        });
+        select.value = display;
+    }
+
+    /**
+     * One-line description of the method and settings, for the legend,
+     * report and cross-validation.
+     * @param {Object} [settings] - From getSettings; defaults to the current analyte
+     * @returns {string}
+     */
+    function describeSettings(settings) {
+        if (!settings) {
+            var indicator = indicatorLevel(AppConfig.getThreshold(AppState.currentAnalyte));
+            var points = collectSamplePoints();
+            settings = indicator ? getSettings(indicatorPoints(points, indicator.value), indicator) : getSettings(points);
+        }
+        var grid = settings.gridFt + ' ft grid, ' + settings.hullBufferFt + ' ft hull buffer';
+        if (settings.method === 'kriging') {
+            var v = settings.variogram;
+            if (!v) return 'Ordinary kriging; ' + grid;
+            return 'Ordinary kriging, ' + KrigingModule.models[v.model].toLowerCase() + ' variogram (nugget ' + Number(v.nugget.toPrecision(3)) +
+                ', sill ' + Number(v.sill.toPrecision(3)) + ', range ' + Math.round(v.range) + ' ft' + (v.auto ? ', fitted' : '') + '); ' + grid;
+        }
+        return 'IDW power ' + settings.power + ', ' +
+            (settings.searchRadiusFt > 0 ? settings.searchRadiusFt + ' ft radius' : 'no radius limit') + ', ' +
+            (settings.maxNeighbors > 0 ? settings.minNeighbors + '\u2013' + settings.maxNeighbors + ' neighbors' :
+                'at least ' + settings.minNeighbors + (settings.minNeighbors === 1 ? ' neighbor' : ' neighbors')) + ', ' +
+            SECTORS[settings.sectors] + '; ' + grid;
+    }
+
     /**
      * Refresh the contour overlay (e.g., when the selected analyte changes).
-     * Only regenerates if the contour is currently visible.
+     * Only regenerates if the contour is currently visible. Isopleths traced
+     * on the same grid are retraced once the new grid is ready.
      */
     function refresh() {
+        syncDisplayOptions();
         if (AppState.contourVisible) {
             generateContour();
+        } else {
+            refreshIsopleths();
+        }
+        if (variogramPanel && variogramPanel.style.display !== 'none') {
+            renderVariogramPanel();
         }
     }
 
+    function refreshIsopleths() {
+        if (typeof IsoplethModule !== 'undefined') IsoplethModule.refresh();
+    }
+
     // ================================================================
     //  Contour Generation
     // ================================================================
@@ -75,62 +351,83 @@ var ContourModule = (function() {
      * Remove the current contour layer from the map.
      */
     function removeContour() {
+        lastGrid = null;
+        probability = null;
         if (AppState.contourLayer) {
             AppState.map.removeLayer(AppState.contourLayer);
             AppState.contourLayer = null;
         }
+        if (cutoffLayer) {
+            AppState.map.removeLayer(cutoffLayer);
+            cutoffLayer = null;
+        }
     }
 
     /**
-     * Generate the IDW contour overlay and add it to the map.
+     * Generate the contour overlay and add it to the map.
      *
      * Steps:
-     *   1. Collect sample points with values for the current analyte
-     *   2. Compute grid bounds from sample extents (with degree buffer)
-     *   3. Build convex hull of sample points and expand by meter buffer
-     *   4. For each grid cell, run IDW if inside the buffered hull
-     *   5. Map interpolated value to RGBA via threshold-based color gradient
-     *   6. Render canvas and attach as L.imageOverlay
+     *   1. Interpolate the current analyte on the grid in the grid worker
+     *      (ComputeModule / GridComputeModule.contourGrid); the previous
+     *      overlay stays until the new grid arrives
+     *   2. Map the estimate to RGBA via the threshold-based color gradient,
+     *      the kriging std. dev. through the std. dev. gradient, or the
+     *      probability through the probability gradient
+     *   3. Render canvas and attach as L.imageOverlay (plus the cutoff
+     *      outlines for the probability)
      */
     function generateContour() {
+        lastGrid = null;
+        var analyte = AppState.currentAnalyte;
+        var thresh = AppConfig.getThreshold(analyte);
+        var mode = display;
+        var indicator = indicatorLevel(thresh, mode);
+        var job = thresh ? buildGridJob(mode) : null;
+        if (!job) {
+            ComputeModule.cancel('contour');
+            removeContour();
+            updateLegend(null);
+            refreshIsopleths();
+            return;
+        }
+
+        var t = AppConfig.thresholds[analyte];
+        var abbrev = t ? t.abbrev : analyte;
+        ComputeModule.run('contour', indicator ? 'Probability (' + abbrev + ' > ' + indicator.label + ')' : 'Contour (' + abbrev + ')', 'contourGrid', job, {
+            done: function(result) {
+                if (result.krigingFailed) console.warn('Contour: kriging system could not be solved; showing IDW');
+                drawContour(result, analyte, thresh, indicator);
+                lastGrid = { grid: result, display: mode };
+                refreshIsopleths();
+            },
+            cancelled: function() {
+                if (AppState.contourVisible) toggle();
+            }
+        });
+    }
+
+    /**
+     * Replace the contour overlay with a computed grid.
+     * @param {Object} result - From GridComputeModule.contourGrid
+     * @param {string} analyte
+     * @param {Object} thresh - Active screening levels for the analyte
+     * @param {Object|null} indicator - indicatorLevel of a probability grid
+     */
+    function drawContour(result, analyte, thresh, indicator) {
         removeContour();
 
-        var points = collectSamplePoints();
-        if (points.length < 3) return;
+        var grid = result.values;
+        var rows = result.rows;
+        var cols = result.cols;
+        var showSD = result.stddev;
+        var maxSD = 0;
+        if (showSD) {
+            for (var s = 0; s < grid.length; s++) {
+                if (grid[s] !== null && grid[s] > maxSD) maxSD = grid[s];
+            }
+        }
 
-        var analyte = AppState.currentAnalyte;
-        var thresh = AppConfig.thresholds[analyte];
-        if (!thresh) return;
-
-        // --- Grid bounds from sample extents ---
-        var lats = [];
-        var lons = [];
-        for (var i = 0; i < points.length; i++) {
-            lats.push(points[i].lat);
-            lons.push(points[i].lon);
-        }
-        var minLat = Math.min.apply(null, lats) - BOUNDS_BUFFER_DEG;
-        var maxLat = Math.max.apply(null, lats) + BOUNDS_BUFFER_DEG;
-        var minLon = Math.min.apply(null, lons) - BOUNDS_BUFFER_DEG;
-        var maxLon = Math.max.apply(null, lons) + BOUNDS_BUFFER_DEG;
-
-        // --- Grid cell sizes in degrees ---
-        var cellLat = GRID_METERS / conv.metersPerDegLat;
-        var cellLon = GRID_METERS / conv.metersPerDegLon;
-
-        // --- Grid dimensions (pixels) ---
-        var cols = Math.ceil((maxLon - minLon) / cellLon);
-        var rows = Math.ceil((maxLat - minLat) / cellLat);
-
-        // Safety clamp for very large grids
-        if (cols > 1000) cols = 1000;
-        if (rows > 1000) rows = 1000;
-
-        // --- Convex hull with buffer for spatial clipping ---
-        var hull = computeConvexHull(points);
-        var bufferedHull = bufferConvexHull(hull, HULL_BUFFER_METERS);
-
-        // --- Create canvas and compute IDW for each cell ---
+        // --- Color each cell and write RGBA pixels ---
         var canvas = document.createElement('canvas');
         canvas.width = cols;
         canvas.height = rows;
@@ -138,37 +435,28 @@ var ContourModule = (function() {
         var imageData = ctx.createImageData(cols, rows);
         var pixels = imageData.data;
 
-        for (var row = 0; row < rows; row++) {
-            // Canvas row 0 is the top (maxLat), row N is the bottom (minLat)
-            var lat = maxLat - (row + 0.5) * cellLat;
-
-            for (var col = 0; col < cols; col++) {
-                var lon = minLon + (col + 0.5) * cellLon;
+        for (var g = 0; g < grid.length; g++) {
+            if (grid[g] === null) continue;
 
-                // Only interpolate within the buffered convex hull
-                if (!pointInConvexHull(lat, lon, bufferedHull)) continue;
+            // Threshold-based color mapping (or std. dev. / probability gradient)
+            var color = indicator ? probabilityToColor(grid[g])
+                : showSD ? lerpColor(C_SD_LOW, C_SD_HIGH, maxSD > 0 ? grid[g] / maxSD : 0)
+                : valueToColor(grid[g], thresh);
 
-                // IDW interpolation
-                var value = computeIDW(lat, lon, points);
-
-                // Threshold-based color mapping
-                var color = valueToColor(value, thresh);
-
-                // Write RGBA pixel (fully opaque; overlay opacity handles transparency)
-                var idx = (row * cols + col) * 4;
-                pixels[idx]     = color.r;
-                pixels[idx + 1] = color.g;
-                pixels[idx + 2] = color.b;
-                pixels[idx + 3] = 255;
-            }
+            // Fully opaque; overlay opacity handles transparency
+            var idx = g * 4;
+            pixels[idx]     = color.r;
+            pixels[idx + 1] = color.g;
+            pixels[idx + 2] = color.b;
+            pixels[idx + 3] = 255;
         }
 
         ctx.putImageData(imageData, 0, 0);
 
         // --- Attach canvas as a Leaflet image overlay ---
         var bounds = L.latLngBounds(
-            L.latLng(minLat, minLon),
-            L.latLng(maxLat, maxLon)
+            L.latLng(result.minLat, result.minLon),
+            L.latLng(result.maxLat, result.maxLon)
         );
 
         AppState.contourLayer = L.imageOverlay(
@@ -176,6 +464,134 @@ var ContourModule = (function() {
             bounds,
             { opacity: OVERLAY_OPACITY, interactive: false }
         ).addTo(AppState.map);
+
+        if (indicator) {
+            probability = { label: indicator.label, areas: drawCutoffs(result) };
+        }
+        updateLegend({ analyte: analyte, maxSD: showSD ? maxSD : null, unit: thresh.unit });
+    }
+
+    /**
+     * Outline the areas above each probability cutoff (traced like the
+     * isopleths) and measure them on the grid.
+     * @param {Object} result - Probability grid
+     * @returns {Array} [{ cutoff, areaSqFt }]
+     */
+    function drawCutoffs(result) {
+        var cellSqFt = (result.cellLat * conv.metersPerDegLat / conv.feetToMeters) *
+            (result.cellLon * conv.metersPerDegLon / conv.feetToMeters);
+        cutoffLayer = L.layerGroup();
+        var areas = AppState.contourSettings.probabilityCutoffs.map(function(cutoff, i, all) {
+            var cells = 0;
+            result.values.forEach(function(v) { if (v !== null && v > cutoff) cells++; });
+            IsoplethModule.traceLevel(result, cutoff).forEach(function(ring) {
+                var latlngs = ring.map(function(p) { return [p.lat, p.lon]; });
+                latlngs.push(latlngs[0]);
+                var line = L.polyline(latlngs, {
+                    color: CUTOFF_COLOR, weight: 1.5 + 1.5 * i / Math.max(1, all.length - 1), opacity: 0.9,
+                    dashArray: i === all.length - 1 ? null : '6 4', interactive: false
+                });
+                if (ring.length >= LABEL_MIN_POINTS) {
+                    line.bindTooltip('P > ' + cutoff, { permanent: true, direction: 'center', className: 'isopleth-label' });
+                }
+                cutoffLayer.addLayer(line);
+            });
+            return { cutoff: cutoff, areaSqFt: cells * cellSqFt };
+        });
+        cutoffLayer.addTo(AppState.map);
+        return areas;
+    }
+
+    /**
+     * Contour grid job for the current analyte, method and settings.
+     * @param {string} mode - 'estimate' | 'stddev' (kriging std. dev.) |
+     *     'prob-high' | 'prob-low' (indicators of the screening level)
+     * @returns {Object|null} GridComputeModule.contourGrid job, or null with
+     *     fewer than 3 points
+     */
+    function buildGridJob(mode) {
+        var points = collectSamplePoints();
+        if (points.length < 3) return null;
+        var indicator = indicatorLevel(AppConfig.getThreshold(AppState.currentAnalyte), mode);
+        points = indicator ? indicatorPoints(points, indicator.value) :
+            points.map(function(p) { return { lat: p.lat, lon: p.lon, value: p.value }; });
+        return {
+            points: points,
+            settings: getSettings(points, indicator),
+            stddev: mode === 'stddev'
+        };
+    }
+
+    /**
+     * The grid behind the contour on the map, if it has finished and shows
+     * the estimate (or the kriging std. dev. with opts.stddev).
+     *
+     * @param {Object} [opts]
+     * @param {boolean} [opts.stddev] - Kriging std. dev. instead of the estimate
+     * @returns {Object|null} { values (row-major from the top row, null outside
+     *     the hull or search radius), rows, cols, minLat, maxLat, minLon, maxLon,
+     *     cellLat, cellLon, stddev }, or null
+     */
+    function getGrid(opts) {
+        var mode = opts && opts.stddev ? 'stddev' : 'estimate';
+        return lastGrid && lastGrid.display === mode ? lastGrid.grid : null;
+    }
+
+    /**
+     * GridComputeModule.contourGrid job for the current analyte with the
+     * active method and settings, for callers that need the grid while
+     * getGrid has none (run it through ComputeModule).
+     *
+     * @param {Object} [opts]
+     * @param {boolean} [opts.stddev] - Kriging std. dev. instead of the estimate
+     * @returns {Object|null} Job, or null with fewer than 3 points
+     */
+    function getGridJob(opts) {
+        return buildGridJob(opts && opts.stddev ? 'stddev' : 'estimate');
+    }
+
+    /**
+     * Show the contour legend (method, settings and, for the kriging
+     * std. dev. or the probability, its color bar and the cutoff areas),
+     * or hide it when info is null.
+     * @param {Object|null} info - { analyte, maxSD (null unless showing the std. dev.), unit }
+     */
+    function updateLegend(info) {
+        var legend = document.getElementById('contourLegend');
+        if (!legend) return;
+        if (!info) {
+            legend.classList.remove('visible');
+            return;
+        }
+        var t = AppConfig.thresholds[info.analyte];
+        document.getElementById('contourLegendAnalyte').textContent = t ? t.abbrev : info.analyte;
+        document.getElementById('contourLegendTitle').textContent = probability ? 'P(> ' + probability.label + ')' :
+            info.maxSD !== null ? 'KRIGING STD. DEV.' : 'CONTOUR';
+        var horizon = DataModule.getHorizon();
+        document.getElementById('contourLegendSettings').textContent = describeSettings() +
+            (horizon.surface ? '' : '; ' + horizon.label);
+        document.getElementById('contourLegendSD').style.display = info.maxSD !== null ? 'block' : 'none';
+        if (info.maxSD !== null) {
+            document.getElementById('contourLegendMax').textContent = Utils.formatVal(info.maxSD) + ' ' + info.unit;
+        }
+        document.getElementById('contourLegendProb').style.display = probability ? 'block' : 'none';
+        if (probability) {
+            document.getElementById('contourLegendAreas').innerHTML = probability.areas.map(function(a) {
+                return '<div>P &gt; ' + a.cutoff + ': ' + Utils.formatArea(a.areaSqFt) + '</div>';
+            }).join('');
+        }
+        legend.classList.add('visible');
+    }
+
+    /**
+     * Description of a probability display on the map, for the printed
+     * report, e.g. "Probability of exceeding ROD; P > 0.5: 12,300 ft\u00b2 (0.28 ac)".
+     * @returns {string|null} null unless the probability is shown
+     */
+    function describeProbability() {
+        if (!probability) return null;
+        return 'Probability of exceeding ' + probability.label + ' (indicator ' + (method === 'kriging' ? 'kriging' : 'IDW') + '); ' +
+            probability.areas.map(function(a) { return 'P > ' + a.cutoff + ': ' + Utils.formatArea(a.areaSqFt); }).join(', ');
     }
 
     // ================================================================
@@ -183,210 +599,281 @@ var ContourModule = (function() {
     // ================================================================
 
     /**
-     * Collect all sample points that have a numeric value for the current analyte.
-     * Merges 2025 surface samples (sampled only) and EA historical samples.
+     * Collect all sample points that have a numeric value for the current
+     * analyte in the selected depth horizon. Reads every dataset through
+     * DataModule, so rejected results are excluded and non-detects follow
+     * the selected rule.
      *
      * @returns {Array<{lat: number, lon: number, value: number}>}
      */
     function collectSamplePoints() {
-        var analyte = AppState.currentAnalyte;
-        var points = [];
-
-        // 2025 surface samples (sampled only, value from sample.metals[analyte])
-        var samples2025 = AppState.data.samples2025;
-        for (var i = 0; i < samples2025.length; i++) {
-            var s = samples2025[i];
-            if (!s.sampled) continue;
-            var val = s.metals ? s.metals[analyte] : null;
-            if (val !== null && val !== undefined && !isNaN(val)) {
-                points.push({ lat: s.lat, lon: s.lon, value: val });
-            }
-        }
-
-        // EA historical samples (value from Utils.getSampleValue)
-        var eaSamples = AppState.data.eaSamples;
-        for (var j = 0; j < eaSamples.length; j++) {
-            var e = eaSamples[j];
-            var eVal = Utils.getSampleValue(e, analyte, true);
-            if (eVal !== null && eVal !== undefined && !isNaN(eVal)) {
-                points.push({ lat: e.lat, lon: e.lon, value: eVal });
-            }
-        }
-
-        return points;
+        return DataModule.getPoints(AppState.currentAnalyte, { horizon: AppState.depthHorizon });
     }
 
     // ================================================================
-    //  IDW Interpolation
+    //  Estimators
     // ================================================================
 
     /**
-     * Compute the IDW interpolated value at a given coordinate.
-     *
-     * Uses power parameter p = 2. Since weight = 1/dist^2 = 1/distSq,
-     * we avoid the sqrt entirely by working with squared distances.
-     *
-     * If the query point is within 1 meter of a sample, the sample's
-     * exact value is returned (avoids division by near-zero).
-     *
-     * @param {number} lat - Query latitude
-     * @param {number} lon - Query longitude
+     * Snapshot of the active interpolation method and its settings. For
+     * kriging the variogram is resolved against the given points, so it
+     * stays fixed when an estimator is built from a subset of them.
      * @param {Array} points - Sample points with lat, lon, value
-     * @returns {number} Interpolated value
+     * @param {Object} [indicator] - indicatorLevel when the points are indicators
+     * @returns {Object} AppState.contourSettings plus { method, variogram }
      */
-    function computeIDW(lat, lon, points) {
-        var numerator = 0;
-        var denominator = 0;
-
-        for (var i = 0; i < points.length; i++) {
-            var dLat = (lat - points[i].lat) * conv.metersPerDegLat;
-            var dLon = (lon - points[i].lon) * conv.metersPerDegLon;
-            var distSq = dLat * dLat + dLon * dLon;
+    function getSettings(points, indicator) {
+        var settings = copySettings(AppState.contourSettings);
+        settings.method = method;
+        settings.variogram = null;
+        if (method === 'kriging' && points.length >= 3) {
+            settings.variogram = getVariogram(variogramKey(indicator), GridComputeModule.toLocalFeet(points, points[0]));
+        }
+        return settings;
+    }
 
-            // Coincident with sample point (within 1m) -- return exact value
-            if (distSq < 1.0) {
-                return points[i].value;
-            }
+    /**
+     * Key of the variogram of the current analyte, or of its indicator.
+     * @param {Object|null} [indicator] - indicatorLevel
+     */
+    function variogramKey(indicator) {
+        return AppState.currentAnalyte + (indicator ? ' indicator (> ' + indicator.label + ')' : '');
+    }
 
-            // weight = 1 / dist^p, with p=2: weight = 1 / distSq
-            var weight = 1.0 / distSq;
-            numerator += points[i].value * weight;
-            denominator += weight;
+    /**
+     * Build a point estimator from sample points.
+     * @param {Array} points - Sample points with lat, lon, value
+     * @param {Object} [settings] - From getSettings; defaults to the active settings
+     * @returns {Function|null} estimate(lat, lon) -> number or null (too few
+     *     neighbors), or null if the estimator cannot be built
+     */
+    function createEstimator(points, settings) {
+        settings = settings || getSettings(points);
+        if (points.length === 0) return null;
+
+        if (settings.method === 'kriging') {
+            if (!settings.variogram) return null;
+            var origin = points[0];
+            var kriging = KrigingModule.train(GridComputeModule.toLocalFeet(points, origin), settings.variogram);
+            if (!kriging) return null;
+            return function(lat, lon) {
+                var xy = GridComputeModule.feetFrom(origin, lat, lon);
+                return Math.max(0, kriging.predict(xy.x, xy.y).value);
+            };
         }
 
-        return denominator > 0 ? numerator / denominator : 0;
+        var index = settings.searchRadiusFt > 0 || settings.maxNeighbors > 0 ?
+            SpatialIndexModule.create(points, settings.searchRadiusFt * conv.feetToMeters) : null;
+        return function(lat, lon) {
+            return GridComputeModule.computeIDW(lat, lon, points, settings, index);
+        };
     }
 
     // ================================================================
-    //  Convex Hull -- Andrew's Monotone Chain Algorithm
+    //  Kriging Setup
     // ================================================================
 
     /**
-     * Compute the convex hull of a set of points.
-     * Returns vertices in counter-clockwise order.
-     *
-     * @param {Array<{lat: number, lon: number}>} points
-     * @returns {Array<{lat: number, lon: number}>} Hull vertices (CCW)
+     * Variogram for an analyte (or its indicator; see variogramKey).
+     * Parameters entered in the variogram panel are kept until Auto-fit;
+     * otherwise the model is refitted to the current data each time.
+     * @param {string} key - variogramKey
+     * @param {Array} local - Points in local feet
+     * @returns {Object} { model, nugget, sill, range, auto }
      */
-    function computeConvexHull(points) {
-        if (points.length < 3) return points.slice();
+    function getVariogram(key, local) {
+        var v = variograms[key];
+        if (v && !v.auto) return v;
+        var fit = KrigingModule.fitVariogram(KrigingModule.experimentalVariogram(local), v ? v.model : 'spherical');
+        fit.auto = true;
+        variograms[key] = fit;
+        return fit;
+    }
 
-        // Sort by longitude (x), then by latitude (y)
-        var sorted = points.slice().sort(function(a, b) {
-            return a.lon !== b.lon ? a.lon - b.lon : a.lat - b.lat;
-        });
+    // ================================================================
+    //  Variogram Panel
+    // ================================================================
 
-        // Build lower hull (left to right, keeping only left turns)
-        var lower = [];
-        for (var i = 0; i < sorted.length; i++) {
-            while (lower.length >= 2 &&
-                cross2D(lower[lower.length - 2], lower[lower.length - 1], sorted[i]) <= 0) {
-                lower.pop();
-            }
-            lower.push(sorted[i]);
-        }
+    /**
+     * Open the variogram panel for the current analyte, or its indicator
+     * in the probability display.
+     */
+    function openVariogram() {
+        renderVariogramPanel();
+    }
 
-        // Build upper hull (right to left, keeping only left turns)
-        var upper = [];
-        for (var j = sorted.length - 1; j >= 0; j--) {
-            while (upper.length >= 2 &&
-                cross2D(upper[upper.length - 2], upper[upper.length - 1], sorted[j]) <= 0) {
-                upper.pop();
-            }
-            upper.push(sorted[j]);
+    function closeVariogram() {
+        if (variogramPanel) variogramPanel.style.display = 'none';
+    }
+
+    /**
+     * Draw the experimental variogram, the model and its parameters.
+     * @param {string} [errorText]
+     */
+    function renderVariogramPanel(errorText) {
+        var analyte = AppState.currentAnalyte;
+        var thresh = AppConfig.getThreshold(analyte);
+        var unit = thresh ? thresh.unit : (AppConfig.thresholds[analyte] || {}).unit || '';
+        var indicator = indicatorLevel(thresh);
+        var points = collectSamplePoints();
+        if (indicator) points = indicatorPoints(points, indicator.value);
+        var key = variogramKey(indicator);
+
+        var html = '<div class="edd-header"><h4>Variogram \u2013 ' + key + '</h4>' +
+            '<button class="edd-close" onclick="ContourModule.closeVariogram()">\u00d7</button></div>';
+
+        if (points.length < 3) {
+            showVariogramPanel(html + '<div class="edd-file">At least 3 results are needed.</div>');
+            return;
         }
 
-        // Remove last vertex of each half (duplicated as first of the other)
-        lower.pop();
-        upper.pop();
+        var local = GridComputeModule.toLocalFeet(points, points[0]);
+        var experimental = KrigingModule.experimentalVariogram(local);
+        var v = getVariogram(key, local);
 
-        return lower.concat(upper);
+        html += '<div class="edd-file">' + points.length + ' ' + DataModule.getHorizon().results + ', ' + experimental.lags.length +
+            ' lags to ' + Math.round(experimental.maxDistance) + ' ft. Point size shows the number of pairs.</div>' +
+            '<canvas id="variogramCanvas" width="' + PLOT_WIDTH + '" height="' + PLOT_HEIGHT + '"></canvas>';
+
+        if (errorText) {
+            html += '<div class="edd-error-list"><ul><li>' + errorText + '</li></ul></div>';
+        }
+
+        html += '<div class="variogram-params">' +
+            '<label>Model <select id="variogramModel">';
+        Object.keys(KrigingModule.models).forEach(function(key) {
+            html += '<option value="' + key + '"' + (key === v.model ? ' selected' : '') + '>' + KrigingModule.models[key] + '</option>';
+        });
+        html += '</select></label>' +
+            '<label>Nugget <input type="number" step="any" min="0" id="variogramNugget" value="' + Number(v.nugget.toPrecision(4)) + '"></label>' +
+            '<label>Sill <input type="number" step="any" min="0" id="variogramSill" value="' + Number(v.sill.toPrecision(4)) + '"></label>' +
+            '<label>Range (ft) <input type="number" step="any" min="0" id="variogramRange" value="' + Math.round(v.range) + '"></label>' +
+            '</div>' +
+            '<div class="edd-file">' + (v.auto ? 'Fitted by weighted least squares.' : 'Edited values, kept for ' + key + ' until Auto-fit.') +
+            (indicator ? ' Sill and nugget of the 0/1 indicator.' : ' Sill and nugget in (' + unit + ')\u00b2.') + '</div>' +
+            '<div class="edd-actions">' +
+            '<button class="edd-apply" onclick="ContourModule.applyVariogram()">Apply</button>' +
+            '<button onclick="ContourModule.autoFitVariogram()">Auto-fit</button>' +
+            '<button onclick="ContourModule.closeVariogram()">Close</button>' +
+            '</div>';
+
+        showVariogramPanel(html);
+        drawVariogram(document.getElementById('variogramCanvas'), experimental, v);
     }
 
     /**
-     * 2D cross product of vectors OA and OB (treating lon as x, lat as y).
-     * Positive result means counter-clockwise (left) turn.
+     * Use the nugget, sill and range typed in the panel for the current analyte.
      */
-    function cross2D(O, A, B) {
-        return (A.lon - O.lon) * (B.lat - O.lat) - (A.lat - O.lat) * (B.lon - O.lon);
+    function applyVariogram() {
+        var v = {
+            model: document.getElementById('variogramModel').value,
+            nugget: Number(document.getElementById('variogramNugget').value),
+            sill: Number(document.getElementById('variogramSill').value),
+            range: Number(document.getElementById('variogramRange').value),
+            auto: false
+        };
+        if (isNaN(v.nugget) || v.nugget < 0 || isNaN(v.sill) || isNaN(v.range) || v.range <= 0 || v.sill <= v.nugget) {
+            renderVariogramPanel('Use nugget \u2265 0, sill greater than the nugget and range &gt; 0.');
+            return;
+        }
+        variograms[currentVariogramKey()] = v;
+        refresh();
     }
 
-    /**
-     * Expand a convex hull outward by a buffer distance (in meters).
-     *
-     * Each vertex is pushed radially outward from the hull centroid
-     * by the buffer amount, using proper meters-to-degrees conversion.
-     *
-     * @param {Array} hull - Convex hull vertices
-     * @param {number} bufferMeters - Buffer distance in meters
-     * @returns {Array} Expanded hull vertices
-     */
-    function bufferConvexHull(hull, bufferMeters) {
-        if (hull.length < 3) return hull;
-
-        // Compute centroid of hull
-        var centLat = 0;
-        var centLon = 0;
-        for (var i = 0; i < hull.length; i++) {
-            centLat += hull[i].lat;
-            centLon += hull[i].lon;
-        }
-        centLat /= hull.length;
-        centLon /= hull.length;
-
-        // Buffer distance in degrees (per axis)
-        var bufLat = bufferMeters / conv.metersPerDegLat;
-        var bufLon = bufferMeters / conv.metersPerDegLon;
-
-        var buffered = [];
-        for (var j = 0; j < hull.length; j++) {
-            var dLat = hull[j].lat - centLat;
-            var dLon = hull[j].lon - centLon;
-
-            // Normalize direction in meter-space for uniform buffer
-            var dLatM = dLat * conv.metersPerDegLat;
-            var dLonM = dLon * conv.metersPerDegLon;
-            var dist = Math.sqrt(dLatM * dLatM + dLonM * dLonM);
-
-            if (dist < 0.001) {
-                buffered.push({ lat: hull[j].lat, lon: hull[j].lon });
-                continue;
-            }
-
-            // Push vertex outward along the centroid->vertex direction
-            buffered.push({
-                lat: hull[j].lat + (dLatM / dist) * bufLat,
-                lon: hull[j].lon + (dLonM / dist) * bufLon
-            });
-        }
+    function currentVariogramKey() {
+        return variogramKey(indicatorLevel(AppConfig.getThreshold(AppState.currentAnalyte)));
+    }
 
-        return buffered;
+    /**
+     * Refit the selected model to the experimental variogram.
+     */
+    function autoFitVariogram() {
+        variograms[currentVariogramKey()] = { model: document.getElementById('variogramModel').value, auto: true };
+        refresh();
     }
 
     /**
-     * Test whether a point lies inside a convex polygon.
-     *
-     * For a CCW-wound polygon, an interior point is to the left of every
-     * directed edge.  The cross product of (edge direction) x (edge-to-point)
-     * is positive for left-side points.  Any negative cross product means
-     * the point is outside.
-     *
-     * @param {number} lat
-     * @param {number} lon
-     * @param {Array} hull - CCW-ordered convex hull vertices
-     * @returns {boolean}
+     * Plot experimental lags (circles sized by pair count), the model curve
+     * and the sill.
      */
-    function pointInConvexHull(lat, lon, hull) {
-        var n = hull.length;
-        if (n < 3) return false;
+    function drawVariogram(canvas, experimental, v) {
+        if (!canvas) return;
+        var ctx = canvas.getContext('2d');
+        var m = PLOT_MARGIN;
+        var pw = PLOT_WIDTH - m.left - m.right;
+        var ph = PLOT_HEIGHT - m.top - m.bottom;
+        var maxH = experimental.maxDistance * 1.05;
+        var maxG = v.sill;
+        experimental.lags.forEach(function(l) { maxG = Math.max(maxG, l.gamma); });
+        maxG *= 1.1;
+        var maxPairs = Math.max.apply(null, experimental.lags.map(function(l) { return l.pairs; }).concat([1]));
+
+        function xPx(h) { return m.left + (h / maxH) * pw; }
+        function yPx(g) { return m.top + ph - (g / maxG) * ph; }
+
+        ctx.clearRect(0, 0, PLOT_WIDTH, PLOT_HEIGHT);
+        ctx.font = '9px Arial';
+        ctx.fillStyle = '#888';
+        ctx.strokeStyle = '#888';
+        ctx.lineWidth = 1;
+
+        // Axes and ticks
+        ctx.beginPath();
+        ctx.moveTo(m.left, m.top);
+        ctx.lineTo(m.left, m.top + ph);
+        ctx.lineTo(m.left + pw, m.top + ph);
+        ctx.stroke();
+        ctx.textAlign = 'center';
+        for (var i = 0; i <= 4; i++) {
+            var h = maxH * i / 4;
+            ctx.fillText(Math.round(h), xPx(h), m.top + ph + 11);
+        }
+        ctx.fillText('Distance (ft)', m.left + pw / 2, PLOT_HEIGHT - 4);
+        ctx.textAlign = 'right';
+        for (i = 0; i <= 4; i++) {
+            var g = maxG * i / 4;
+            ctx.fillText(Number(g.toPrecision(2)).toLocaleString(), m.left - 4, yPx(g) + 3);
+        }
+
+        // Sill
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        ctx.moveTo(m.left, yPx(v.sill));
+        ctx.lineTo(m.left + pw, yPx(v.sill));
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // Model curve (the nugget shows as the jump at h > 0)
+        ctx.strokeStyle = '#00cc88';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(xPx(0), yPx(0));
+        for (i = 1; i <= 100; i++) {
+            var hh = maxH * i / 100;
+            ctx.lineTo(xPx(hh), yPx(KrigingModule.semivariance(v, hh)));
+        }
+        ctx.stroke();
+
+        // Experimental points
+        ctx.fillStyle = '#1F4E79';
+        experimental.lags.forEach(function(l) {
+            ctx.beginPath();
+            ctx.arc(xPx(l.h), yPx(l.gamma), 2 + 4 * Math.sqrt(l.pairs / maxPairs), 0, Math.PI * 2);
+            ctx.fill();
+        });
+    }
 
-        for (var i = 0; i < n; i++) {
-            var j = (i + 1) % n;
-            var cross = (hull[j].lon - hull[i].lon) * (lat - hull[i].lat) -
-                        (hull[j].lat - hull[i].lat) * (lon - hull[i].lon);
-            if (cross < 0) return false;
+    function showVariogramPanel(html) {
+        if (!variogramPanel) {
+            variogramPanel = document.createElement('div');
+            variogramPanel.id = 'variogramPanel';
+            variogramPanel.className = 'edd-panel variogram-panel';
+            L.DomEvent.disableClickPropagation(variogramPanel);
+            L.DomEvent.disableScrollPropagation(variogramPanel);
+            document.getElementById('map').appendChild(variogramPanel);
         }
-        return true;
+        variogramPanel.innerHTML = html;
+        variogramPanel.style.display = 'block';
     }
 
     // ================================================================
@@ -411,7 +898,19 @@ var ContourModule = (function() {
     }
 
     /**
-     * Map a contamination value to an RGB color using the analyte thresholds.
+     * Map a probability to the probability gradient (light yellow at 0,
+     * orange at 0.5, dark red at 1); kriged indicators are clamped to 0-1.
+     * @param {number} p
+     * @returns {Object} Color {r, g, b}
+     */
+    function probabilityToColor(p) {
+        p = Math.max(0, Math.min(1, p));
+        return p < 0.5 ? lerpColor(C_P_LOW, C_P_MID, p / 0.5) : lerpColor(C_P_MID, C_P_HIGH, (p - 0.5) / 0.5);
+    }
+
+    /**
+     * Map a contamination value to an RGB color using the analyte's levels
+     * in the active screening set.
      *
      * Gradient stops:
      *   value <= 0          : green  (#72af26)
@@ -465,6 +964,28 @@ var ContourModule = (function() {
     return {
         init: init,
         toggle: toggle,
-        refresh: refresh
+        refresh: refresh,
+        setMethod: setMethod,
+        setDisplay: setDisplay,
+        setSettings: setSettings,
+        applySettingsInputs: applySettingsInputs,
+        describeSettings: describeSettings,
+        describeProbability: describeProbability,
+        getMethod: function() { return method; },
+        getDisplay: function() { return display; },
+        getProbabilityAreas: function() { return probability ? probability.areas : null; },
+        getSettings: getSettings,
+        createEstimator: createEstimator,
+        getGrid: getGrid,
+        getGridJob: getGridJob,
+        openVariogram: openVariogram,
+        closeVariogram: closeVariogram,
+        applyVariogram: applyVariogram,
+        autoFitVariogram: autoFitVariogram,
+
+        // Hull helpers (GridComputeModule), also used for the block model footprint
+        computeConvexHull: GridComputeModule.computeConvexHull,
+        bufferConvexHull: GridComputeModule.bufferConvexHull,
+        pointInConvexHull: GridComputeModule.pointInConvexHull
     };
 })();
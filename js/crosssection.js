@@ -13,10 +13,8 @@
  *     'view' so planning clicks are suppressed).
  *
  * Data sources searched:
- *   AppState.data.samples2025     (surface, 0-0.5 ft)
- *   AppState.data.eaSamples       (surface, 0-0.5 ft)
- *   AppState.data.testPits2025    (multi-depth intervals)
- *   AppState.data.soilBorings2025 (multi-depth intervals)
+ *   All sampled locations from DataModule (surface samples as 0-0.5 ft,
+ *   test pits and soil borings by depth interval)
  */
 var CrossSectionModule = (function() {
     'use strict';
@@ -502,7 +500,6 @@ var CrossSectionModule = (function() {
      * Returns an array of interval objects sorted by distance along the transect.
      */
     function collectSamples() {
-        var data = AppState.data;
         var a = transectPoints[0];
         var b = transectPoints[1];
         var corridorM = corridorWidthFt * conv.feetToMeters;
@@ -532,34 +529,20 @@ var CrossSectionModule = (function() {
             }
         }
 
-        // 2025 surface samples (depth 0 - 0.5 ft)
-        data.samples2025.forEach(function(s) {
-            if (!s.sampled) return;
-            var val = Utils.getSampleValue(s, analyte, false);
-            tryAdd(s.lat, s.lon, s.label, 'SS', 0, 0.5, val, '0-6 in');
-        });
-
-        // EA historical surface samples (depth 0 - 0.5 ft)
-        data.eaSamples.forEach(function(e) {
-            var val = Utils.getSampleValue(e, analyte, true);
-            tryAdd(e.lat, e.lon, e.id, 'EA', 0, 0.5, val, '0-6 in');
-        });
-
-        // Test pits (multi-depth)
-        data.testPits2025.forEach(function(tp) {
-            if (!tp.depths || !tp.depths.length) return;
-            tp.depths.forEach(function(d) {
-                var val = d.metals ? d.metals[analyte] : null;
-                tryAdd(tp.lat, tp.lon, tp.id, 'TP', d.start, d.end, val, d.label);
-            });
-        });
-
-        // Soil borings (multi-depth)
-        data.soilBorings2025.forEach(function(sb) {
-            if (!sb.depths || !sb.depths.length) return;
-            sb.depths.forEach(function(d) {
-                var val = d.metals ? d.metals[analyte] : null;
-                tryAdd(sb.lat, sb.lon, sb.id, 'SB', d.start, d.end, val, d.label);
+        // Locations in the corridor's bounding box (padded 5% for the planar
+        // index), then every interval of each (surface samples use 0-0.5 ft).
+        // Unsampled surface locations are skipped; pending boring/test pit
+        // intervals are kept so they draw as "no data".
+        var padLat = corridorM * 1.05 / conv.metersPerDegLat;
+        var padLon = corridorM * 1.05 / conv.metersPerDegLon;
+        SpatialIndexModule.get('locations').inBounds(
+            Math.min(a.lat, b.lat) - padLat, Math.max(a.lat, b.lat) + padLat,
+            Math.min(a.lng, b.lng) - padLon, Math.max(a.lng, b.lng) + padLon
+        ).forEach(function(loc) {
+            if (!loc.sampled && AppConfig.datasets[loc.dataset].surface) return;
+            loc.intervals.forEach(function(iv) {
+                tryAdd(loc.lat, loc.lon, loc.id, loc.type, iv.start, iv.end,
+                    DataModule.resultValue(iv.results[analyte]), iv.label);
             });
         });
 
@@ -571,7 +554,7 @@ var CrossSectionModule = (function() {
 
     function renderPanel(samples) {
         var analyte = AppState.currentAnalyte;
-        var thresh = AppConfig.thresholds[analyte];
+        var thresh = AppConfig.getThreshold(analyte);
         var unitStr = thresh ? ' (' + thresh.unit + ')' : '';
 
         // Update title
@@ -657,7 +640,7 @@ var CrossSectionModule = (function() {
         var w = CANVAS_WIDTH;
         var h = CANVAS_HEIGHT;
         var analyte = AppState.currentAnalyte;
-        var thresh = AppConfig.thresholds[analyte];
+        var thresh = AppConfig.getThreshold(analyte);
 
         // Plot area bounds
         var pL = MARGIN.left;
@@ -934,8 +917,8 @@ var CrossSectionModule = (function() {
             ctx.font = '10px Arial';
             ctx.textAlign = 'right';
             ctx.fillText(
-                'PMB: ' + thresh.low + ' ' + thresh.unit +
-                '  |  ROD: ' + thresh.high + ' ' + thresh.unit,
+                (thresh.low !== thresh.high ? thresh.lowLabel + ': ' + thresh.low + ' ' + thresh.unit + '  |  ' : '') +
+                thresh.highLabel + ': ' + thresh.high + ' ' + thresh.unit,
                 pR, 10
             );
         }
@@ -958,19 +941,19 @@ var CrossSectionModule = (function() {
         x += 48;
 
         if (thresh) {
-            // Below PMB (green)
+            // Below lower level (green)
             x = drawLegendBox(ctx, x, y, AppConfig.colors.low,
-                '\u2264 ' + thresh.low + ' (Below PMB)');
+                '\u2264 ' + thresh.low + ' (Below ' + thresh.lowLabel + ')');
 
-            // Above PMB (orange) -- only if PMB differs from ROD
+            // Above lower level (orange) -- only if the two levels differ
             if (thresh.high !== thresh.low) {
                 x = drawLegendBox(ctx, x, y, AppConfig.colors.medium,
-                    thresh.low + '-' + thresh.high + ' (Above PMB)');
+                    thresh.low + '-' + thresh.high + ' (Above ' + thresh.lowLabel + ')');
             }
 
-            // Exceeds ROD (red)
+            // Exceeds upper level (red)
             x = drawLegendBox(ctx, x, y, AppConfig.colors.high,
-                '> ' + thresh.high + ' (Exceeds ROD)');
+                '> ' + thresh.high + ' (Exceeds ' + thresh.highLabel + ')');
         }
 
         // No Data (gray)
@@ -1176,6 +1159,20 @@ var CrossSectionModule = (function() {
         activate: activate,
         deactivate: deactivate,
         isActive: isActive,
+        refresh: recalculateIfReady,
+
+        /**
+         * The drawn transect, or null while there is none.
+         * @returns {Object|null} { points: [L.LatLng, L.LatLng], corridorWidthFt, lengthFt }
+         */
+        getTransect: function() {
+            if (transectPoints.length < 2) return null;
+            return {
+                points: transectPoints.slice(),
+                corridorWidthFt: corridorWidthFt,
+                lengthFt: transectPoints[0].distanceTo(transectPoints[1]) * METERS_TO_FEET
+            };
+        },
 
         /**
          * Set the corridor width in feet.
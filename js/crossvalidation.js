@@ -0,0 +1,430 @@
+/**
+ * SBMM Planning Tool - Leave-One-Out Cross-Validation
+ *
+ * Checks the contour interpolation against the data: each result of the
+ * color-by analyte in the contour's depth horizon is removed in turn and
+ * estimated from the others with the active contour method and settings
+ * (ContourModule.createEstimator, so any method the contour supports is
+ * validated the same way).
+ *
+ *   Mean error = mean(predicted - observed)   (bias; > 0 over-predicts)
+ *   RMSE       = sqrt(mean((predicted - observed)^2))
+ *   Misclassified = results on the other side of the upper level (ROD by
+ *   default) from their estimate, as a percentage of the estimated results
+ *
+ * A sweep repeats the IDW cross-validation over a grid of powers and search
+ * radii (keeping the other contour settings) and recommends the setting with
+ * the fewest misclassifications (then the lowest RMSE) among those that
+ * estimate every result.
+ */
+var CrossValidationModule = (function() {
+    'use strict';
+
+    var PLOT_SIZE = 260;
+    var PLOT_MARGIN = { top: 10, right: 10, bottom: 32, left: 48 };
+    var LOG_SPAN = 100;             // Log axes when max / min positive value exceeds this
+
+    var sweepPowers = null;
+    var sweepRadii = null;
+    var result = null;              // Last leave-one-out run for the active settings
+    var sweep = null;               // { analyte, rows, best }
+    var errorText = null;
+    var panelEl = null;
+
+    // ===== LEAVE-ONE-OUT =====
+
+    /**
+     * Estimate each point from all the others.
+     * @param {Array} points - From DataModule.getPoints
+     * @param {Object} settings - From ContourModule.getSettings
+     * @returns {Array} { id, lat, lon, observed, predicted (null if not estimated) }
+     */
+    function leaveOneOut(points, settings) {
+        return points.map(function(p, i) {
+            var others = points.slice(0, i).concat(points.slice(i + 1));
+            var estimate = ContourModule.createEstimator(others, settings);
+            var predicted = estimate ? estimate(p.lat, p.lon) : null;
+            return { id: p.id, lat: p.lat, lon: p.lon, observed: p.value, predicted: predicted };
+        });
+    }
+
+    /**
+     * Error statistics of a leave-one-out run.
+     * @param {Array} rows - From leaveOneOut
+     * @param {string} analyte
+     * @returns {Object} { n, missing, meanError, rmse, misclassified, falseNegatives,
+     *     falsePositives, misclassifiedPct }
+     */
+    function score(rows, analyte) {
+        var out = {
+            n: 0, missing: 0, meanError: NaN, rmse: NaN,
+            misclassified: 0, falseNegatives: 0, falsePositives: 0, misclassifiedPct: NaN
+        };
+        var sumErr = 0;
+        var sumSq = 0;
+        rows.forEach(function(r) {
+            if (r.predicted === null || isNaN(r.predicted)) {
+                out.missing++;
+                return;
+            }
+            var err = r.predicted - r.observed;
+            out.n++;
+            sumErr += err;
+            sumSq += err * err;
+            var obsExceeds = AppConfig.exceedsROD(r.observed, analyte);
+            var predExceeds = AppConfig.exceedsROD(r.predicted, analyte);
+            if (obsExceeds && !predExceeds) out.falseNegatives++;
+            if (!obsExceeds && predExceeds) out.falsePositives++;
+        });
+        if (out.n > 0) {
+            out.meanError = sumErr / out.n;
+            out.rmse = Math.sqrt(sumSq / out.n);
+            out.misclassified = out.falseNegatives + out.falsePositives;
+            out.misclassifiedPct = 100 * out.misclassified / out.n;
+        }
+        return out;
+    }
+
+    // ===== PUBLIC ACTIONS =====
+
+    function init() {
+        sweepPowers = AppConfig.crossValidationDefaults.powers.slice();
+        sweepRadii = AppConfig.crossValidationDefaults.searchRadiiFt.slice();
+    }
+
+    /**
+     * Open the panel and cross-validate the active settings.
+     */
+    function open() {
+        run();
+    }
+
+    function close() {
+        if (panelEl) panelEl.style.display = 'none';
+    }
+
+    /**
+     * Cross-validate the active contour method and settings for the
+     * color-by analyte.
+     */
+    function run() {
+        var analyte = AppState.currentAnalyte;
+        var points = DataModule.getPoints(analyte, { horizon: AppState.depthHorizon });
+        errorText = null;
+        result = null;
+        if (sweep && sweep.analyte !== analyte) sweep = null;
+
+        if (points.length < 4) {
+            errorText = 'At least 4 ' + DataModule.getHorizon().results +
+                ' are needed to cross-validate ' + analyte + '.';
+        } else {
+            var settings = ContourModule.getSettings(points);
+            var rows = leaveOneOut(points, settings);
+            result = {
+                analyte: analyte,
+                settings: settings,
+                rows: rows,
+                stats: score(rows, analyte),
+                results: DataModule.getHorizon().results
+            };
+            if (result.stats.n === 0) errorText = 'No result could be estimated from the others with these settings.';
+        }
+        render();
+    }
+
+    /**
+     * Read the power and radius lists and cross-validate every IDW combination.
+     */
+    function runSweep() {
+        var analyte = AppState.currentAnalyte;
+        var powers = parseList(panelEl.querySelector('#cvPowers').value);
+        var radii = parseList(panelEl.querySelector('#cvRadii').value);
+        if (!powers || powers.length === 0 || powers.some(function(p) { return p <= 0; })) {
+            errorText = 'Powers must be a comma-separated list of numbers greater than 0.';
+            render();
+            return;
+        }
+        if (!radii || radii.length === 0 || radii.some(function(r) { return r < 0; })) {
+            errorText = 'Search radii must be a comma-separated list of feet (0 = all samples).';
+            render();
+            return;
+        }
+        sweepPowers = powers;
+        sweepRadii = radii;
+
+        var points = DataModule.getPoints(analyte, { horizon: AppState.depthHorizon });
+        if (points.length < 4) {
+            errorText = 'At least 4 ' + DataModule.getHorizon().results +
+                ' are needed to cross-validate ' + analyte + '.';
+            render();
+            return;
+        }
+        errorText = null;
+
+        var base = ContourModule.getSettings([]);
+        var rows = [];
+        powers.forEach(function(power) {
+            radii.forEach(function(radius) {
+                var settings = {};
+                Object.keys(base).forEach(function(k) { settings[k] = base[k]; });
+                settings.method = 'idw';
+                settings.power = power;
+                settings.searchRadiusFt = radius;
+                rows.push({
+                    power: power,
+                    searchRadiusFt: radius,
+                    stats: score(leaveOneOut(points, settings), analyte)
+                });
+            });
+        });
+
+        var best = null;
+        rows.forEach(function(r) {
+            if (r.stats.missing > 0 || r.stats.n === 0) return;
+            if (!best || r.stats.misclassified < best.stats.misclassified ||
+                (r.stats.misclassified === best.stats.misclassified && r.stats.rmse < best.stats.rmse)) {
+                best = r;
+            }
+        });
+        sweep = { analyte: analyte, rows: rows, best: best };
+        render();
+    }
+
+    /**
+     * Use the recommended power and radius for the IDW contour, save them
+     * with the preferences and re-run.
+     */
+    function applyBest() {
+        if (!sweep || !sweep.best) return;
+        var errors = ContourModule.setSettings({
+            power: sweep.best.power,
+            searchRadiusFt: sweep.best.searchRadiusFt
+        });
+        if (errors.length > 0) {
+            errorText = errors.join('; ');
+            render();
+            return;
+        }
+        StorageModule.savePreferences();
+        run();
+    }
+
+    /**
+     * Re-run after a data, screening-set or analyte change while the panel is
+     * open. The sweep is dropped since it no longer matches the data.
+     */
+    function refresh() {
+        if (!panelVisible()) return;
+        sweep = null;
+        run();
+    }
+
+    function panelVisible() {
+        return panelEl && panelEl.style.display !== 'none';
+    }
+
+    /**
+     * @param {string} text - e.g. "1, 1.5, 2"
+     * @returns {number[]|null} Null if any entry is not a number
+     */
+    function parseList(text) {
+        var parts = String(text).split(/[,\s]+/).filter(function(s) { return s !== ''; });
+        var values = parts.map(Number);
+        return values.some(isNaN) ? null : values;
+    }
+
+    // ===== PANEL =====
+
+    function describeRadius(radiusFt) {
+        return radiusFt > 0 ? radiusFt + ' ft search radius' : 'all samples';
+    }
+
+    function render() {
+        var analyte = AppState.currentAnalyte;
+        var thresh = AppConfig.getThreshold(analyte);
+        var unit = thresh ? thresh.unit : (AppConfig.thresholds[analyte] || {}).unit || '';
+        var highLabel = thresh ? thresh.highLabel : 'upper level';
+
+        var html = '<div class="edd-header"><h4>Cross-Validation \u2013 ' + Utils.escapeHtml(analyte) + '</h4>' +
+            '<button class="edd-close" onclick="CrossValidationModule.close()">\u00d7</button></div>';
+
+        if (errorText) {
+            html += '<div class="edd-error-list"><ul><li>' + Utils.escapeHtml(errorText) + '</li></ul></div>';
+        }
+
+        if (result && result.stats.n > 0) {
+            var s = result.stats;
+            html += '<div class="edd-file">' + Utils.escapeHtml(ContourModule.describeSettings(result.settings)) +
+                '. Each of ' + result.rows.length + ' ' + result.results + ' estimated from the others' +
+                (s.missing > 0 ? '; ' + s.missing + ' had too few neighbors' : '') + '.</div>';
+            html += '<div class="edd-table-wrap"><table class="edd-table cv-stats"><tbody>' +
+                '<tr><td>Mean error</td><td>' + formatSigned(s.meanError) + ' ' + Utils.escapeHtml(unit) +
+                '</td></tr>' +
+                '<tr><td>RMSE</td><td>' + Utils.formatVal(s.rmse) + ' ' + Utils.escapeHtml(unit) + '</td></tr>' +
+                (thresh
+                    ? '<tr><td>Misclassified vs ' + Utils.escapeHtml(highLabel) + ' (' + thresh.high + ')</td><td>' +
+                      s.misclassified + ' of ' + s.n + ' (' + s.misclassifiedPct.toFixed(1) + '%)</td></tr>' +
+                      '<tr><td>Missed exceedances</td><td>' + s.falseNegatives + '</td></tr>' +
+                      '<tr><td>False exceedances</td><td>' + s.falsePositives + '</td></tr>'
+                    : '<tr><td>Misclassified</td><td>No level in the active set</td></tr>') +
+                '</tbody></table></div>' +
+                '<canvas id="cvCanvas" width="' + PLOT_SIZE + '" height="' + PLOT_SIZE + '"></canvas>';
+        }
+
+        html += '<div class="edd-actions">' +
+            '<button class="edd-apply" onclick="CrossValidationModule.run()">Re-run</button>' +
+            '<button onclick="CrossValidationModule.close()">Close</button>' +
+            '</div>';
+
+        // --- IDW sweep ---
+        html += '<h5 class="cv-heading">IDW power / search radius sweep</h5>' +
+            '<div class="cv-sweep-inputs">' +
+            '<label>Powers <input type="text" id="cvPowers" value="' + sweepPowers.join(', ') + '"></label>' +
+            '<label>Radii (ft, 0 = all) <input type="text" id="cvRadii" value="' +
+            sweepRadii.join(', ') + '"></label>' +
+            '<button onclick="CrossValidationModule.runSweep()">Sweep</button>' +
+            '</div>';
+
+        if (sweep) html += renderSweep(sweep, unit);
+        panelEl = Utils.showPanel(panelEl, 'crossValidationPanel', 'edd-panel cv-panel', html);
+
+        if (result && result.stats.n > 0) drawScatter(document.getElementById('cvCanvas'), result, thresh);
+    }
+
+    function renderSweep(sw, unit) {
+        var current = ContourModule.getSettings([]);
+        var html = '<div class="edd-table-wrap"><table class="edd-table cv-sweep-table"><thead><tr>' +
+            '<th>Power</th><th>Radius</th><th>Mean err.</th><th>RMSE</th><th>Miscl.</th></tr></thead><tbody>';
+        sw.rows.forEach(function(r) {
+            var cls = r === sw.best ? 'cv-best' : '';
+            var isCurrent = r.power === current.power && r.searchRadiusFt === current.searchRadiusFt;
+            html += '<tr class="' + cls + '"' + (isCurrent ? ' title="Current IDW setting"' : '') + '>' +
+                '<td>' + r.power + (isCurrent ? ' \u2022' : '') + '</td>' +
+                '<td>' + (r.searchRadiusFt > 0 ? r.searchRadiusFt + ' ft' : 'All') + '</td>';
+            if (r.stats.missing > 0 || r.stats.n === 0) {
+                html += '<td colspan="3">' + r.stats.missing + ' not estimated</td></tr>';
+                return;
+            }
+            html += '<td>' + formatSigned(r.stats.meanError) + '</td>' +
+                '<td>' + Utils.formatVal(r.stats.rmse) + '</td>' +
+                '<td>' + r.stats.misclassifiedPct.toFixed(1) + '%</td></tr>';
+        });
+        html += '</tbody></table></div>';
+
+        if (sw.best) {
+            html += '<div class="edd-file">Recommended: power ' + sw.best.power + ', ' +
+                describeRadius(sw.best.searchRadiusFt) + ' (fewest misclassified, then lowest RMSE; errors in ' +
+                Utils.escapeHtml(unit) + '; \u2022 = current).</div>' +
+                '<div class="edd-actions"><button class="edd-apply" onclick="CrossValidationModule.applyBest()">' +
+                'Use for IDW contour</button></div>';
+        } else {
+            html += '<div class="edd-file">No setting estimated every result; ' +
+                'try larger radii or fewer min. neighbors.</div>';
+        }
+        return html;
+    }
+
+    function formatSigned(v) {
+        return (v > 0 ? '+' : '') + Utils.formatVal(v);
+    }
+
+    /**
+     * Plot predicted against observed with the 1:1 line and the upper level
+     * on both axes. Misclassified results are drawn in red. Axes are log
+     * scaled when the values span more than LOG_SPAN.
+     */
+    function drawScatter(canvas, res, thresh) {
+        if (!canvas) return;
+        var ctx = canvas.getContext('2d');
+        var m = PLOT_MARGIN;
+        var pw = PLOT_SIZE - m.left - m.right;
+        var ph = PLOT_SIZE - m.top - m.bottom;
+        var rows = res.rows.filter(function(r) { return r.predicted !== null && !isNaN(r.predicted); });
+
+        var values = [];
+        rows.forEach(function(r) { values.push(r.observed, r.predicted); });
+        if (thresh) values.push(thresh.high);
+        var max = Math.max.apply(null, values) * 1.05 || 1;
+        var positives = values.filter(function(v) { return v > 0; });
+        var minPos = positives.length ? Math.min.apply(null, positives) : max;
+        var useLog = max / minPos > LOG_SPAN;
+        var lo = useLog ? Math.log(minPos / 1.5) : 0;
+        var hi = useLog ? Math.log(max) : max;
+
+        function scale(v) {
+            var t = useLog ? (Math.log(Math.max(v, minPos / 1.5)) - lo) / (hi - lo) : v / hi;
+            return Math.max(0, Math.min(1, t));
+        }
+        function xPx(v) { return m.left + scale(v) * pw; }
+        function yPx(v) { return m.top + ph - scale(v) * ph; }
+
+        ctx.clearRect(0, 0, PLOT_SIZE, PLOT_SIZE);
+        ctx.font = '9px Arial';
+        ctx.fillStyle = '#888';
+        ctx.strokeStyle = '#888';
+        ctx.lineWidth = 1;
+
+        // Axes, ticks and labels
+        ctx.beginPath();
+        ctx.moveTo(m.left, m.top);
+        ctx.lineTo(m.left, m.top + ph);
+        ctx.lineTo(m.left + pw, m.top + ph);
+        ctx.stroke();
+        for (var i = 0; i <= 4; i++) {
+            var v = useLog ? Math.exp(lo + (hi - lo) * i / 4) : hi * i / 4;
+            var label = Number(v.toPrecision(2)).toLocaleString();
+            ctx.textAlign = 'center';
+            ctx.fillText(label, xPx(v), m.top + ph + 11);
+            ctx.textAlign = 'right';
+            ctx.fillText(label, m.left - 4, yPx(v) + 3);
+        }
+        ctx.textAlign = 'center';
+        ctx.fillText('Observed' + (useLog ? ' (log)' : ''), m.left + pw / 2, PLOT_SIZE - 4);
+        ctx.save();
+        ctx.translate(10, m.top + ph / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.fillText('Predicted', 0, 0);
+        ctx.restore();
+
+        // 1:1 line
+        ctx.beginPath();
+        ctx.moveTo(xPx(0), yPx(0));
+        ctx.lineTo(m.left + pw, m.top);
+        ctx.stroke();
+
+        // Upper level on both axes
+        if (thresh) {
+            ctx.strokeStyle = '#d63e2a';
+            ctx.setLineDash([4, 3]);
+            ctx.beginPath();
+            ctx.moveTo(xPx(thresh.high), m.top);
+            ctx.lineTo(xPx(thresh.high), m.top + ph);
+            ctx.moveTo(m.left, yPx(thresh.high));
+            ctx.lineTo(m.left + pw, yPx(thresh.high));
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        // Points
+        rows.forEach(function(r) {
+            var wrong = AppConfig.exceedsROD(r.observed, res.analyte) !==
+                AppConfig.exceedsROD(r.predicted, res.analyte);
+            ctx.fillStyle = wrong ? '#d63e2a' : '#1F4E79';
+            ctx.beginPath();
+            ctx.arc(xPx(r.observed), yPx(r.predicted), 3, 0, Math.PI * 2);
+            ctx.fill();
+        });
+    }
+
+    return {
+        init: init,
+        open: open,
+        close: close,
+        run: run,
+        runSweep: runSweep,
+        applyBest: applyBest,
+        refresh: refresh,
+        leaveOneOut: leaveOneOut,
+        score: score
+    };
+})();
@@ -0,0 +1,599 @@
+/**
+ * SBMM Planning Tool - Unified Data Model
+ *
+ * Loads every dataset listed in AppConfig.dataFiles and normalizes it into
+ * one location / interval / result model so analysis modules do not need
+ * to know how each JSON file stores its metals.
+ *
+ *   location: { id, dataset, type, source, lat, lon, elev, sampled, record, intervals[] }
+ *   interval: { start, end, label, sampleId, results: { Mercury: result, ... } }
+ *   result:   { value, qualifier, dl, rl, detected, rejected }
+ *
+ * Surface datasets (2025 surface samples, EA samples) get a single
+ * AppConfig.surfaceInterval. Test pits and soil borings keep their depths[].
+ * The raw arrays remain in AppState.data for marker and popup code.
+ *
+ * Analyses read numbers through getValue / getPoints, which drop rejected (R)
+ * results and substitute non-detects (U, UJ) by AppState.nonDetectRule.
+ * The selected depth horizon (AppConfig.depthHorizons or a custom range)
+ * slices every map view: grid analyses pass it to getLocations / getPoints,
+ * markers, search and polygon statistics read getHorizonResult / getHorizonValue.
+ */
+var DataModule = (function() {
+    'use strict';
+
+    // ===== LOADING =====
+
+    /**
+     * Load, validate and normalize every configured data file.
+     * @returns {Promise} Resolves once AppState.data and AppState.locations are populated
+     */
+    function load() {
+        var keys = Object.keys(AppConfig.dataFiles);
+
+        return Promise.all(keys.map(function(key) {
+            return Utils.loadJSON(AppConfig.dataFiles[key]);
+        })).then(function(results) {
+            keys.forEach(function(key, i) {
+                var info = AppConfig.datasets[key] || {};
+                var validator = Utils[info.validator] || Utils.validateLocationEntry;
+                AppState.data[key] = Utils.validateDataset(results[i], datasetName(key), validator);
+            });
+            rebuild();
+        });
+    }
+
+    /**
+     * Short dataset name used in validation messages (file name without extension).
+     * @param {string} key - Key in AppConfig.dataFiles
+     * @returns {string}
+     */
+    function datasetName(key) {
+        var path = AppConfig.dataFiles[key] || key;
+        return path.replace(/^.*\//, '').replace(/\.json$/, '');
+    }
+
+    /**
+     * Rebuild AppState.locations from the raw arrays in AppState.data.
+     * Call after any dataset is replaced or edited in place.
+     */
+    function rebuild() {
+        var locations = [];
+
+        Object.keys(AppConfig.datasets).forEach(function(key) {
+            var records = AppState.data[key] || [];
+            records.forEach(function(record) {
+                locations.push(normalizeRecord(record, key));
+            });
+        });
+
+        AppState.locations = locations;
+        return locations;
+    }
+
+    /**
+     * Rebuild locations and tell the app that loaded data changed, so
+     * markers, sample lists and active overlays can refresh.
+     * Listeners subscribe to the 'sbmm:datachange' document event.
+     * @param {Object} [detail] - Optional info passed on the event (e.g. { source: 'edd' })
+     */
+    function notifyChanged(detail) {
+        rebuild();
+        document.dispatchEvent(new CustomEvent('sbmm:datachange', { detail: detail || {} }));
+    }
+
+    // ===== NORMALIZATION =====
+
+    /**
+     * Convert one raw record into a location.
+     * @param {Object} record - Raw JSON entry
+     * @param {string} key - Dataset key
+     * @returns {Object} Location
+     */
+    function normalizeRecord(record, key) {
+        var info = AppConfig.datasets[key];
+        var id = record[info.idField];
+        var intervals = [];
+
+        if (info.surface) {
+            var surf = AppConfig.surfaceInterval;
+            intervals.push({
+                start: surf.start,
+                end: surf.end,
+                label: surf.label,
+                sampleId: id,
+                results: extractResults(record)
+            });
+        } else if (Array.isArray(record.depths)) {
+            record.depths.forEach(function(d) {
+                intervals.push({
+                    start: d.start,
+                    end: d.end,
+                    label: d.label || (d.start + '-' + d.end + ' ft'),
+                    sampleId: d.sampleId || d.clp || id + ' ' + (d.label || d.start + '-' + d.end),
+                    results: extractResults(d)
+                });
+            });
+        }
+
+        var sampled = typeof record.sampled === 'boolean'
+            ? record.sampled
+            : intervals.some(function(iv) { return hasAnyResult(iv.results); });
+
+        return {
+            id: id,
+            dataset: key,
+            type: info.type,
+            source: info.source,
+            lat: record.lat,
+            lon: record.lon,
+            elev: typeof record.elev === 'number' ? record.elev : null,
+            sampled: sampled,
+            record: record,
+            intervals: intervals
+        };
+    }
+
+    /**
+     * Pull analyte results out of a record or depth interval.
+     * Reads a `metals` object when present, otherwise flat lowercase
+     * analyte fields (e.g. EA `mercury`, `arsenic`). Qualifiers and limits
+     * come from the optional `qualifiers` / `detectionLimits` / `reportingLimits` maps.
+     * @param {Object} src
+     * @returns {Object} Map of analyte name -> result object
+     */
+    function extractResults(src) {
+        var results = {};
+
+        if (src.metals && typeof src.metals === 'object') {
+            Object.keys(src.metals).forEach(function(analyte) {
+                results[analyte] = Utils.getSampleResult(src, analyte);
+            });
+            return results;
+        }
+
+        knownAnalytes().forEach(function(analyte) {
+            if (src.hasOwnProperty(analyte.toLowerCase())) {
+                results[analyte] = Utils.getSampleResult(src, analyte);
+            }
+        });
+        return results;
+    }
+
+    /**
+     * All analyte names the config knows about (thresholds first, then CAM metals).
+     * @returns {string[]}
+     */
+    function knownAnalytes() {
+        var list = Object.keys(AppConfig.thresholds);
+        AppConfig.allMetals.forEach(function(m) {
+            if (list.indexOf(m) === -1) list.push(m);
+        });
+        return list;
+    }
+
+    /**
+     * True if a result has a value and was not rejected.
+     * @param {Object|null} result
+     * @returns {boolean}
+     */
+    function isUsable(result) {
+        return !!result && result.value !== null && !result.rejected;
+    }
+
+    function hasAnyResult(results) {
+        return Object.keys(results).some(function(k) { return isUsable(results[k]); });
+    }
+
+    // ===== NON-DETECTS =====
+
+    /**
+     * Number used in analyses for a result. Rejected results give null;
+     * non-detects are substituted by the current rule, applied to the
+     * detection limit (or the reported value when no DL is recorded).
+     * @param {Object|null} result
+     * @returns {number|null}
+     */
+    function resultValue(result) {
+        if (!isUsable(result)) return null;
+        if (result.detected) return result.value;
+        var rule = AppConfig.nonDetectRules[AppState.nonDetectRule] ||
+            AppConfig.nonDetectRules[AppConfig.defaultNonDetectRule];
+        var base = result.dl !== null ? result.dl : result.value;
+        return base * rule.factor;
+    }
+
+    /**
+     * Change the non-detect substitution rule and refresh dependent views.
+     * @param {string} rule - Key in AppConfig.nonDetectRules
+     */
+    function setNonDetectRule(rule) {
+        if (!AppConfig.nonDetectRules[rule] || AppState.nonDetectRule === rule) return;
+        AppState.nonDetectRule = rule;
+        notifyChanged({ source: 'nonDetectRule' });
+    }
+
+    // ===== DEPTH HORIZONS =====
+
+    /**
+     * Depth horizon descriptor.
+     * @param {string} [key] - Key in AppConfig.depthHorizons or 'custom' (AppState.depthRange);
+     *     defaults to AppState.depthHorizon
+     * @returns {Object} { label, results, surface } or { label, results, start, end }
+     */
+    function getHorizon(key) {
+        key = key || AppState.depthHorizon;
+        if (key === 'custom') {
+            var r = AppState.depthRange;
+            var label = r.start + '\u2013' + r.end + ' ft';
+            return { label: label, results: 'results from ' + label, start: r.start, end: r.end };
+        }
+        return AppConfig.depthHorizons[key] || AppConfig.depthHorizons[AppConfig.defaultDepthHorizon];
+    }
+
+    /**
+     * Change the depth horizon and refresh every view. Nothing changes if
+     * the custom range is invalid.
+     * @param {string} key - Key in AppConfig.depthHorizons or 'custom'
+     * @param {Object} [range] - { start, end } in ft bgs, for 'custom'
+     * @returns {string[]} Errors
+     */
+    function setDepthHorizon(key, range) {
+        if (key !== 'custom' && !AppConfig.depthHorizons[key]) return ['Unknown depth horizon: ' + key];
+
+        var next = AppState.depthRange;
+        if (key === 'custom' && range) {
+            var start = Number(range.start);
+            var end = Number(range.end);
+            if (range.start === '' || isNaN(start) || start < 0) return ['Top of the depth range must be 0 ft or deeper'];
+            if (range.end === '' || isNaN(end) || end <= start) return ['Bottom of the depth range must be below the top'];
+            next = { start: start, end: end };
+        }
+
+        var unchanged = AppState.depthHorizon === key &&
+            (key !== 'custom' || (next.start === AppState.depthRange.start && next.end === AppState.depthRange.end));
+        if (unchanged) return [];
+        AppState.depthHorizon = key;
+        AppState.depthRange = next;
+        notifyChanged({ source: 'depthHorizon' });
+        return [];
+    }
+
+    /**
+     * True if an interval overlaps a (non-surface) horizon. A zero-length
+     * interval at the top of the horizon counts as inside it.
+     */
+    function inHorizon(iv, horizon) {
+        var end = horizon.end === null ? Infinity : horizon.end;
+        return iv.start < end && (iv.end > horizon.start || iv.start === horizon.start);
+    }
+
+    /**
+     * Result of an analyte used for a location at a horizon: the shallowest
+     * usable result for the surface horizon (and when no horizon is given),
+     * otherwise the highest value among the intervals overlapping it.
+     * @param {Object} loc
+     * @param {string} analyte
+     * @param {Object} [horizon] - From getHorizon
+     * @returns {Object|null} { result, interval }
+     */
+    function horizonResult(loc, analyte, horizon) {
+        var best = null;
+        var bestValue = null;
+        for (var i = 0; i < loc.intervals.length; i++) {
+            var iv = loc.intervals[i];
+            var r = iv.results[analyte];
+            if (!isUsable(r)) continue;
+            if (!horizon || horizon.surface) return { result: r, interval: iv };
+            if (!inHorizon(iv, horizon)) continue;
+            var v = resultValue(r);
+            if (best === null || v > bestValue) {
+                best = { result: r, interval: iv };
+                bestValue = v;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Result of an analyte at a location for the selected depth horizon
+     * (the shallowest usable result when no slice is selected).
+     * @param {Object} loc
+     * @param {string} analyte
+     * @returns {Object|null} Result object
+     */
+    function getHorizonResult(loc, analyte) {
+        var hit = horizonResult(loc, analyte, getHorizon());
+        return hit ? hit.result : null;
+    }
+
+    /**
+     * Depth interval the horizon result of an analyte came from.
+     * @param {Object} loc
+     * @param {string} analyte
+     * @returns {Object|null} Interval
+     */
+    function getHorizonInterval(loc, analyte) {
+        var hit = horizonResult(loc, analyte, getHorizon());
+        return hit ? hit.interval : null;
+    }
+
+    /**
+     * Value of an analyte for the selected depth horizon, with the
+     * non-detect rule applied.
+     * @param {Object} loc
+     * @param {string} analyte
+     * @returns {number|null}
+     */
+    function getHorizonValue(loc, analyte) {
+        return resultValue(getHorizonResult(loc, analyte));
+    }
+
+    /**
+     * True if a location has any usable result in the selected depth
+     * horizon (any sampled location when no slice is selected).
+     * @param {Object} loc
+     * @returns {boolean}
+     */
+    function hasHorizonData(loc) {
+        var horizon = getHorizon();
+        if (horizon.surface) return loc.sampled;
+        return loc.intervals.some(function(iv) {
+            return inHorizon(iv, horizon) && hasAnyResult(iv.results);
+        });
+    }
+
+    // ===== QUERIES =====
+
+    /**
+     * Get locations, optionally filtered.
+     * @param {Object} [opts]
+     * @param {string[]} [opts.datasets] - Dataset keys to include
+     * @param {boolean} [opts.surface] - Only surface datasets
+     * @param {boolean} [opts.sampled] - Only locations with results
+     * @param {string} [opts.horizon] - Only locations with results in this
+     *     depth horizon (surface locations for 'surface')
+     * @returns {Array} Locations
+     */
+    function getLocations(opts) {
+        opts = opts || {};
+        var horizon = opts.horizon ? getHorizon(opts.horizon) : null;
+        return (AppState.locations || []).filter(function(loc) {
+            if (opts.datasets && opts.datasets.indexOf(loc.dataset) === -1) return false;
+            if ((opts.surface || (horizon && horizon.surface)) && !AppConfig.datasets[loc.dataset].surface) return false;
+            if (opts.sampled && !loc.sampled) return false;
+            if (horizon && !horizon.surface && !loc.intervals.some(function(iv) {
+                return inHorizon(iv, horizon) && hasAnyResult(iv.results);
+            })) return false;
+            return true;
+        });
+    }
+
+    /**
+     * Find a location by ID, optionally within one dataset.
+     * @param {string} id
+     * @param {string} [dataset]
+     * @returns {Object|null}
+     */
+    function getLocation(id, dataset) {
+        var locs = AppState.locations || [];
+        for (var i = 0; i < locs.length; i++) {
+            if (String(locs[i].id) === String(id) && (!dataset || locs[i].dataset === dataset)) {
+                return locs[i];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Result object of an analyte at the shallowest interval with a usable
+     * (non-rejected) result. For surface samples this is the sample result.
+     * @param {Object} loc
+     * @param {string} analyte
+     * @returns {Object|null}
+     */
+    function getResult(loc, analyte) {
+        for (var i = 0; i < loc.intervals.length; i++) {
+            var r = loc.intervals[i].results[analyte];
+            if (isUsable(r)) return r;
+        }
+        return null;
+    }
+
+    /**
+     * Value of an analyte at the shallowest interval that reports it,
+     * with the non-detect rule applied (see resultValue).
+     * @param {Object} loc
+     * @param {string} analyte
+     * @returns {number|null}
+     */
+    function getValue(loc, analyte) {
+        return resultValue(getResult(loc, analyte));
+    }
+
+    /**
+     * Maximum value of an analyte over all intervals of a location.
+     * @param {Object} loc
+     * @param {string} analyte
+     * @returns {number|null}
+     */
+    function getMaxValue(loc, analyte) {
+        var max = null;
+        loc.intervals.forEach(function(iv) {
+            var v = resultValue(iv.results[analyte]);
+            if (v !== null && (max === null || v > max)) max = v;
+        });
+        return max;
+    }
+
+    /**
+     * Map of analyte -> result object for a location, restricted to analytes
+     * the location actually reports (analytes it was never analyzed for are
+     * omitted). Uses the shallowest usable result, or null if none is usable.
+     * @param {Object} loc
+     * @returns {Object}
+     */
+    function getResults(loc) {
+        var results = {};
+        loc.intervals.forEach(function(iv) {
+            Object.keys(iv.results).forEach(function(analyte) {
+                if (!results[analyte]) {
+                    results[analyte] = isUsable(iv.results[analyte]) ? iv.results[analyte] : null;
+                }
+            });
+        });
+        return results;
+    }
+
+    /**
+     * Map of analyte -> value for a location (see getResults), with the
+     * non-detect rule applied.
+     * @param {Object} loc
+     * @returns {Object}
+     */
+    function getValues(loc) {
+        var results = getResults(loc);
+        var values = {};
+        Object.keys(results).forEach(function(analyte) {
+            values[analyte] = resultValue(results[analyte]);
+        });
+        return values;
+    }
+
+    /**
+     * Point values for interpolation and grid analyses.
+     * Defaults to surface datasets, matching the historical behavior of the tools.
+     * With a depth horizon every dataset is used (see horizonResult).
+     * @param {string} analyte
+     * @param {Object} [opts] - Same filters as getLocations (surface defaults to true
+     *     unless a horizon is given)
+     * @returns {Array<{id: string, lat: number, lon: number, value: number, detected: boolean, interval: Object, location: Object}>}
+     */
+    function getPoints(analyte, opts) {
+        opts = opts || {};
+        var horizon = opts.horizon ? getHorizon(opts.horizon) : null;
+        var filter = {
+            datasets: opts.datasets,
+            surface: horizon ? !!horizon.surface : opts.surface !== false,
+            sampled: true
+        };
+        var points = [];
+        getLocations(filter).forEach(function(loc) {
+            var hit = horizonResult(loc, analyte, horizon);
+            if (hit) {
+                points.push({
+                    id: loc.id,
+                    lat: loc.lat,
+                    lon: loc.lon,
+                    value: resultValue(hit.result),
+                    detected: hit.result.detected,
+                    interval: hit.interval,
+                    location: loc
+                });
+            }
+        });
+        return points;
+    }
+
+    /**
+     * Depth profile of an analyte at each sampled boring and test pit: its
+     * tested intervals, the deepest of them (bottom) and, per level, the
+     * deepest detected result above the level. The depth-of-contamination
+     * map and the delineation check both read exceedance depth from here.
+     * @param {string} analyte
+     * @param {Object} levels - Map of key -> level, e.g. { low: 35, high: 204 }
+     * @returns {Array} [{ location, tested, bottom, deepest, open }] where
+     *     tested, bottom and deepest[key] are { interval, result, value }
+     *     (deepest[key] null without an exceedance) and open[key] is true when
+     *     the bottom interval is still above the level
+     */
+    function getProfiles(analyte, levels) {
+        var profiles = [];
+        getLocations({ sampled: true }).forEach(function(loc) {
+            if (AppConfig.datasets[loc.dataset].surface) return;
+
+            var tested = [];
+            loc.intervals.forEach(function(iv) {
+                var res = iv.results[analyte];
+                var value = resultValue(res);
+                if (value !== null) tested.push({ interval: iv, result: res, value: value });
+            });
+            if (tested.length === 0) return;
+
+            var bottom = tested[0];
+            tested.forEach(function(t) {
+                if (t.interval.end > bottom.interval.end) bottom = t;
+            });
+
+            var profile = { location: loc, tested: tested, bottom: bottom, deepest: {}, open: {} };
+            Object.keys(levels).forEach(function(key) {
+                var level = levels[key];
+                var deepest = null;
+                tested.forEach(function(t) {
+                    if (t.result.detected && t.value > level && (!deepest || t.interval.end > deepest.interval.end)) {
+                        deepest = t;
+                    }
+                });
+                profile.deepest[key] = deepest;
+                profile.open[key] = bottom.result.detected && bottom.value > level;
+            });
+            profiles.push(profile);
+        });
+        return profiles;
+    }
+
+    /**
+     * Analytes with at least one numeric result in the loaded data,
+     * in config order (thresholds first, then CAM metals, then anything else).
+     * @returns {string[]}
+     */
+    function getAnalytes() {
+        var found = {};
+        (AppState.locations || []).forEach(function(loc) {
+            loc.intervals.forEach(function(iv) {
+                Object.keys(iv.results).forEach(function(a) {
+                    if (isUsable(iv.results[a])) found[a] = true;
+                });
+            });
+        });
+        var ordered = knownAnalytes().filter(function(a) { return found[a]; });
+        Object.keys(found).sort().forEach(function(a) {
+            if (ordered.indexOf(a) === -1) ordered.push(a);
+        });
+        return ordered;
+    }
+
+    /**
+     * Descriptor for a dataset key.
+     * @param {string} key
+     * @returns {Object|null}
+     */
+    function getDatasetInfo(key) {
+        return AppConfig.datasets[key] || null;
+    }
+
+    return {
+        load: load,
+        rebuild: rebuild,
+        notifyChanged: notifyChanged,
+        getLocations: getLocations,
+        getLocation: getLocation,
+        getResult: getResult,
+        getResults: getResults,
+        getValue: getValue,
+        getMaxValue: getMaxValue,
+        getValues: getValues,
+        resultValue: resultValue,
+        setNonDetectRule: setNonDetectRule,
+        getHorizon: getHorizon,
+        setDepthHorizon: setDepthHorizon,
+        getHorizonResult: getHorizonResult,
+        getHorizonInterval: getHorizonInterval,
+        getHorizonValue: getHorizonValue,
+        hasHorizonData: hasHorizonData,
+        getPoints: getPoints,
+        getProfiles: getProfiles,
+        getAnalytes: getAnalytes,
+        getDatasetInfo: getDatasetInfo
+    };
+})();
@@ -0,0 +1,313 @@
+/**
+ * SBMM Planning Tool - Vertical Delineation Status
+ *
+ * Classifies every sampled soil boring and test pit profile, per analyte,
+ * against the upper level of the active screening set (ROD by default):
+ *
+ *   unbounded - the deepest tested interval still exceeds
+ *   bounded   - an interval exceeds, but the deepest tested one does not
+ *   clean     - no interval exceeds
+ *
+ * Only detected results count as exceedances; rejected results are skipped
+ * (non-detects still count as tested intervals). Whole profiles are read
+ * whatever depth horizon is selected (DataModule.getProfiles, the same
+ * profiles the depth-of-contamination map reads).
+ *
+ * The color-by analyte is shown as a ring around each location's marker
+ * (AppConfig.delineationStatuses) and as a sortable list; all analytes are
+ * exported as CSV and summarized in the printed report. An unbounded
+ * location can be turned into a planned Deep boring with one click.
+ */
+var DelineationModule = (function() {
+    'use strict';
+
+    var RING_RADIUS = 12;
+    var NOTE_PREFIX = 'Deeper boring at ';
+
+    var STATUS_ORDER = Object.keys(AppConfig.delineationStatuses);
+
+    var active = false;             // Rings shown (the analysis has been opened)
+    var rows = [];                  // analyze(AppState.currentAnalyte)
+    var sortKey = 'status';
+    var sortAsc = true;
+    var ringLayer = null;
+    var panelEl = null;
+
+    // ===== ANALYSIS =====
+
+    /**
+     * Delineation status of each boring / test pit profile for one analyte.
+     * @param {string} analyte
+     * @returns {Array|null} [{ id, dataset, lat, lon, status, tested, bottom,
+     *     bottomResult, deepest, deepestResult }], or null without an upper level
+     */
+    function analyze(analyte) {
+        var thresh = AppConfig.getThreshold(analyte);
+        if (!thresh) return null;
+
+        return DataModule.getProfiles(analyte, { high: thresh.high }).map(function(p) {
+            var deepest = p.deepest.high;
+            return {
+                id: p.location.id,
+                dataset: p.location.dataset,
+                lat: p.location.lat,
+                lon: p.location.lon,
+                status: !deepest ? 'clean' : p.open.high ? 'unbounded' : 'bounded',
+                tested: p.tested.length,
+                bottom: p.bottom.interval,
+                bottomResult: p.bottom.result,
+                deepest: deepest ? deepest.interval : null,
+                deepestResult: deepest ? deepest.result : null
+            };
+        });
+    }
+
+    /**
+     * Count of each status.
+     * @param {Array} list - From analyze
+     * @returns {Object} { unbounded, bounded, clean }
+     */
+    function countStatuses(list) {
+        var counts = {};
+        STATUS_ORDER.forEach(function(s) { counts[s] = 0; });
+        list.forEach(function(r) { counts[r.status]++; });
+        return counts;
+    }
+
+    /**
+     * Analytes with an upper level in the active screening set.
+     */
+    function screenedAnalytes() {
+        return Object.keys(AppConfig.thresholds).filter(function(a) { return AppConfig.getThreshold(a); });
+    }
+
+    // ===== PLANNING =====
+
+    /**
+     * Planned point already created for a location's deeper boring, if any.
+     * @param {string} id - Location ID
+     * @returns {Object|null}
+     */
+    function plannedFor(id) {
+        var prefix = NOTE_PREFIX + id + ':';
+        return AppState.plannedPoints.filter(function(p) {
+            return (p.note || '').indexOf(prefix) === 0;
+        })[0] || null;
+    }
+
+    /**
+     * Add a planned Deep boring at an unbounded location, with a note giving
+     * the analyte and the result that leaves it open. Zooms to the planned
+     * point instead if one already exists.
+     * @param {string} id - Location ID
+     */
+    function planDeeper(id) {
+        var row = rows.filter(function(r) { return r.id === id; })[0];
+        if (!row || row.status !== 'unbounded') return;
+
+        var existing = plannedFor(id);
+        if (!existing) {
+            var analyte = AppState.currentAnalyte;
+            var thresh = AppConfig.getThreshold(analyte);
+            existing = PlanningModule.addPoint({
+                type: 'proposed',
+                lat: row.lat,
+                lon: row.lon,
+                depth: 'Deep',
+                note: NOTE_PREFIX + id + ': ' + thresh.abbrev + ' ' + Utils.formatResult(row.bottomResult) + ' ' + thresh.unit +
+                    ' > ' + thresh.highLabel + ' in the bottom interval (' + row.bottom.label + ')'
+            });
+        }
+        AppState.map.setView([existing.lat, existing.lon], 19);
+        render();
+    }
+
+    // ===== MAP RINGS =====
+
+    function removeRings() {
+        if (ringLayer) {
+            AppState.map.removeLayer(ringLayer);
+            ringLayer = null;
+        }
+    }
+
+    function drawRings() {
+        removeRings();
+        if (!active) return;
+        ringLayer = L.layerGroup();
+        rows.forEach(function(r) {
+            var ring = AppConfig.delineationStatuses[r.status].ring;
+            ringLayer.addLayer(L.circleMarker([r.lat, r.lon], {
+                radius: RING_RADIUS,
+                color: ring.color,
+                weight: ring.weight,
+                dashArray: ring.dashArray,
+                fill: false,
+                interactive: false,
+                className: 'delineation-ring delineation-' + r.status
+            }));
+        });
+        ringLayer.addTo(AppState.map);
+    }
+
+    // ===== CSV EXPORT =====
+
+    /**
+     * Download the status of every location for every screened analyte.
+     */
+    function exportCSV() {
+        var lines = [['Location_ID', 'Dataset', 'Latitude', 'Longitude', 'Analyte', 'Level', 'Status', 'Intervals_Tested',
+            'Bottom_Interval', 'Bottom_ft', 'Bottom_Result', 'Deepest_Exceedance_Interval', 'Deepest_Exceedance_ft', 'Deepest_Exceedance_Result'].join(',')];
+        screenedAnalytes().forEach(function(analyte) {
+            var thresh = AppConfig.getThreshold(analyte);
+            analyze(analyte).forEach(function(r) {
+                lines.push([
+                    '"' + r.id + '"', '"' + AppConfig.datasets[r.dataset].label + '"',
+                    r.lat.toFixed(6), r.lon.toFixed(6), '"' + analyte + '"',
+                    '"' + thresh.highLabel + ' ' + thresh.high + ' ' + thresh.unit + '"',
+                    '"' + AppConfig.delineationStatuses[r.status].label + '"', r.tested,
+                    '"' + r.bottom.label + '"', r.bottom.end, '"' + Utils.formatResult(r.bottomResult) + '"',
+                    r.deepest ? '"' + r.deepest.label + '"' : '', r.deepest ? r.deepest.end : '',
+                    r.deepest ? '"' + Utils.formatResult(r.deepestResult) + '"' : ''
+                ].join(','));
+            });
+        });
+
+        Utils.downloadFile(lines.join('\n') + '\n', 'text/csv',
+            'SBMM_Vertical_Delineation_' + new Date().toISOString().slice(0, 10) + '.csv');
+    }
+
+    // ===== PANEL =====
+
+    /**
+     * Show the rings and the list for the color-by analyte.
+     */
+    function open() {
+        active = true;
+        update();
+    }
+
+    /**
+     * Close the panel and remove the rings.
+     */
+    function close() {
+        active = false;
+        removeRings();
+        if (panelEl) panelEl.style.display = 'none';
+    }
+
+    /**
+     * Re-analyze after a data, threshold, screening-set or color-by change.
+     * Does nothing while closed.
+     */
+    function refresh() {
+        if (active) update();
+    }
+
+    function update() {
+        rows = analyze(AppState.currentAnalyte) || [];
+        drawRings();
+        render();
+    }
+
+    /**
+     * Sort the list by a column; the same column again reverses the order.
+     * @param {string} key - 'id' | 'status' | 'bottom' | 'deepest'
+     */
+    function sortBy(key) {
+        if (sortKey === key) sortAsc = !sortAsc;
+        else {
+            sortKey = key;
+            sortAsc = true;
+        }
+        render();
+    }
+
+    function sortedRows() {
+        function byId(a, b) { return a.id < b.id ? -1 : a.id > b.id ? 1 : 0; }
+        var compare = {
+            id: byId,
+            status: function(a, b) { return STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status); },
+            bottom: function(a, b) { return a.bottom.end - b.bottom.end; },
+            deepest: function(a, b) { return (a.deepest ? a.deepest.end : -1) - (b.deepest ? b.deepest.end : -1); }
+        }[sortKey];
+        var dir = sortAsc ? 1 : -1;
+        return rows.slice().sort(function(a, b) {
+            return dir * compare(a, b) || byId(a, b);
+        });
+    }
+
+    function zoomTo(id) {
+        var row = rows.filter(function(r) { return r.id === id; })[0];
+        if (row) AppState.map.setView([row.lat, row.lon], 19);
+    }
+
+    function render() {
+        if (!active) return;
+        var analyte = AppState.currentAnalyte;
+        var thresh = AppConfig.getThreshold(analyte);
+        var statuses = AppConfig.delineationStatuses;
+
+        var html = '<div class="edd-header"><h4>Vertical Delineation</h4>' +
+            '<button class="edd-close" onclick="DelineationModule.close()">\u00d7</button></div>';
+
+        if (!thresh) {
+            html += '<div class="edd-error-list"><ul><li>' + Utils.escapeHtml(analyte) + ' has no level in the active screening set</li></ul></div>';
+            panelEl = Utils.showPanel(panelEl, 'delineationPanel', 'edd-panel delineation-panel', html);
+            return;
+        }
+
+        var counts = countStatuses(rows);
+        html += '<div class="edd-file">' + Utils.escapeHtml(analyte) + ' against the ' + Utils.escapeHtml(thresh.highLabel) + ' (' + thresh.high + ' ' +
+            Utils.escapeHtml(thresh.unit) + '), ' + rows.length + ' borings / test pits. Detected results only.</div>';
+        html += '<div class="delineation-legend">';
+        STATUS_ORDER.forEach(function(s) {
+            var ring = statuses[s].ring;
+            html += '<span><i style="border: ' + Math.round(ring.weight) + 'px ' + (ring.dashArray ? 'dashed' : 'solid') + ' ' + ring.color + ';"></i>' +
+                statuses[s].label + ' (' + counts[s] + ')</span>';
+        });
+        html += '</div>';
+
+        html += '<div class="edd-actions">' +
+            '<button onclick="DelineationModule.exportCSV()" title="Every location for every analyte with a level">Export CSV</button>' +
+            '</div>';
+
+        html += '<div class="edd-table-wrap"><table class="edd-table delineation-table"><thead><tr>' +
+            sortHeader('id', 'Location') + sortHeader('status', 'Status') + sortHeader('bottom', 'Bottom') +
+            sortHeader('deepest', 'Deepest &gt; ' + Utils.escapeHtml(thresh.highLabel)) +
+            '<th></th></tr></thead><tbody>';
+        sortedRows().forEach(function(r) {
+            var planned = r.status === 'unbounded' ? plannedFor(r.id) : null;
+            html += '<tr class="delineation-' + r.status + '">' +
+                '<td><a href="#" onclick="DelineationModule.zoomTo(\'' + Utils.escapeHtml(r.id) + '\'); return false;">' + Utils.escapeHtml(r.id) + '</a></td>' +
+                '<td>' + statuses[r.status].label + '</td>' +
+                '<td title="' + Utils.escapeHtml(Utils.formatResult(r.bottomResult)) + ' ' + Utils.escapeHtml(thresh.unit) + '">' + Utils.escapeHtml(r.bottom.label) + '</td>' +
+                '<td>' + (r.deepest ? Utils.escapeHtml(r.deepest.label) + ' (' + Utils.escapeHtml(Utils.formatResult(r.deepestResult)) + ')' : '\u2013') + '</td>' +
+                '<td>' + (r.status !== 'unbounded' ? ''
+                    : planned ? '<span class="delineation-planned">' + Utils.escapeHtml(planned.id) + '</span>'
+                    : '<button onclick="DelineationModule.planDeeper(\'' + Utils.escapeHtml(r.id) + '\')" title="Add a planned Deep boring here">Plan deeper</button>') +
+                '</td></tr>';
+        });
+        html += '</tbody></table></div>';
+        panelEl = Utils.showPanel(panelEl, 'delineationPanel', 'edd-panel delineation-panel', html);
+    }
+
+    function sortHeader(key, label) {
+        var arrow = sortKey === key ? (sortAsc ? ' \u25b2' : ' \u25bc') : '';
+        return '<th class="sortable" onclick="DelineationModule.sortBy(\'' + key + '\')">' + label + arrow + '</th>';
+    }
+
+    return {
+        open: open,
+        close: close,
+        refresh: refresh,
+        sortBy: sortBy,
+        zoomTo: zoomTo,
+        planDeeper: planDeeper,
+        exportCSV: exportCSV,
+        analyze: analyze,
+        countStatuses: countStatuses,
+        screenedAnalytes: screenedAnalytes,
+        isActive: function() { return active; }
+    };
+})();
@@ -0,0 +1,601 @@
+/**
+ * SBMM Planning Tool - Depth of Contamination & Excavation Depth Surface
+ *
+ * Reads the boring and test pit profiles of the color-by analyte and finds,
+ * at each location, the deepest interval whose detected result exceeds the
+ * lower and the upper level of the active screening set (PMB and ROD by
+ * default). The bottom of that interval is the depth of contamination; a
+ * location whose deepest sampled interval still exceeds is flagged as not
+ * delineated (the contamination continues below the profile). Rejected
+ * results are skipped and non-detects never count as exceedances. The
+ * profiles are always read whole, whatever depth horizon is selected.
+ *
+ * The depths are shown as graduated symbols, and interpolated by 2D IDW
+ * (locations below the level count as 0 ft) into an excavation depth
+ * surface with depth contours. The surface is computed like the contour
+ * grid (ComputeModule, 'contourGrid'), clipped to the buffered hull of the
+ * profiles. Each cell's depth times its area gives the excavation volume,
+ * in total and inside the drawn polygon; getSurface / volumeCY expose the
+ * surface to other volume calculations.
+ */
+var DepthMapModule = (function() {
+    'use strict';
+
+    var conv = AppConfig.coordConversion;
+
+    var CUBIC_FT_PER_CY = 27;
+    var OVERLAY_OPACITY = 0.6;
+    var LABEL_MIN_CELLS = 8;        // Label contour rings at least this many cells long
+    var MIN_RADIUS = 5;             // Symbol radius at 0 ft (px)
+    var MAX_RADIUS = 16;            // Symbol radius at the deepest location (px)
+
+    // Surface colors from shallow to deep
+    var DEPTH_RAMP = ['#fff3b0', '#fdb863', '#e66101', '#b2182b', '#67001f'];
+
+    var SYMBOL_COLORS = { high: '#d73027', low: '#fc8d59', none: '#1a9850' };
+
+    var settings = null;            // Copy of AppConfig.depthMapDefaults
+    var result = null;              // { analyte, level, thresh, profiles, maxDepth, surface, contours }
+    var statusText = null;
+    var errorText = null;
+    var symbolLayer = null;
+    var surfaceLayer = null;
+    var panelEl = null;
+
+    // ===== INITIALIZATION =====
+
+    function init() {
+        settings = {};
+        Object.keys(AppConfig.depthMapDefaults).forEach(function(k) {
+            settings[k] = AppConfig.depthMapDefaults[k];
+        });
+    }
+
+    // ===== PROFILES =====
+
+    /**
+     * Depth of contamination at each sampled boring and test pit.
+     * @param {string} analyte
+     * @param {Object} thresh - AppConfig.getThreshold(analyte)
+     * @returns {Array} [{ id, dataset, lat, lon, tested, bottom, low, high }] where
+     *     bottom is the deepest tested interval and low / high are
+     *     { interval, value, depth, open } for the deepest exceedance, or null
+     */
+    function buildProfiles(analyte, thresh) {
+        return DataModule.getProfiles(analyte, { low: thresh.low, high: thresh.high }).map(function(p) {
+            var loc = p.location;
+            var profile = {
+                id: loc.id,
+                dataset: loc.dataset,
+                lat: loc.lat,
+                lon: loc.lon,
+                tested: p.tested.length,
+                bottom: p.bottom.interval
+            };
+            ['low', 'high'].forEach(function(level) {
+                var deepest = p.deepest[level];
+                profile[level] = deepest ? {
+                    interval: deepest.interval,
+                    value: deepest.value,
+                    depth: deepest.interval.end,
+                    open: p.open[level]
+                } : null;
+            });
+            return profile;
+        });
+    }
+
+    /**
+     * Depth of contamination of a profile at the selected level (0 = none).
+     */
+    function profileDepth(profile, level) {
+        return profile[level] ? profile[level].depth : 0;
+    }
+
+    // ===== SURFACE =====
+
+    /**
+     * Interpolate the depths of the profiles into the excavation depth surface.
+     * Calls back asynchronously when the grid runs in a worker.
+     */
+    function computeSurface() {
+        var level = result.level;
+        var points = result.profiles.map(function(p) {
+            return { lat: p.lat, lon: p.lon, value: profileDepth(p, level) };
+        });
+        if (points.length < 3) {
+            statusText = 'At least 3 borings or test pits with ' + result.analyte + ' results are needed for the surface';
+            return;
+        }
+        if (result.maxDepth === 0) {
+            statusText = 'No location exceeds the ' + result.thresh[level + 'Label'] + '; the excavation depth is 0 ft';
+            return;
+        }
+
+        var job = {
+            points: points,
+            settings: {
+                method: 'idw',
+                power: settings.idwPower,
+                searchRadiusFt: settings.searchRadiusFt,
+                minNeighbors: 1,
+                maxNeighbors: settings.maxNeighbors,
+                sectors: 0,
+                gridFt: settings.gridFt,
+                hullBufferFt: settings.hullBufferFt
+            }
+        };
+        var current = result;
+        statusText = 'Computing the excavation depth surface\u2026';
+        ComputeModule.run('depthmap', 'Excavation depth (' + result.thresh.abbrev + ')', 'contourGrid', job, {
+            done: function(grid) {
+                if (current !== result) return;
+                statusText = null;
+                result.surface = toSurface(grid);
+                result.contours = traceContours(grid);
+                drawSurface();
+                if (panelVisible()) render();
+            },
+            cancelled: function(message) {
+                if (current !== result) return;
+                statusText = message ? 'Surface failed: ' + message : 'Surface cancelled';
+                if (panelVisible()) render();
+            }
+        });
+    }
+
+    /**
+     * The grid from GridComputeModule.contourGrid plus what volume
+     * calculations need: cell area, analyte and level.
+     */
+    function toSurface(grid) {
+        var cellSqFt = (grid.cellLat * conv.metersPerDegLat / conv.feetToMeters) *
+            (grid.cellLon * conv.metersPerDegLon / conv.feetToMeters);
+        return {
+            analyte: result.analyte,
+            level: result.level,
+            levelLabel: result.thresh[result.level + 'Label'],
+            values: grid.values,
+            rows: grid.rows,
+            cols: grid.cols,
+            minLat: grid.minLat,
+            maxLat: grid.maxLat,
+            minLon: grid.minLon,
+            maxLon: grid.maxLon,
+            cellLat: grid.cellLat,
+            cellLon: grid.cellLon,
+            cellAreaSqFt: cellSqFt
+        };
+    }
+
+    /**
+     * Depth contours at multiples of the contour interval.
+     * @returns {Array} [{ depth, rings }]
+     */
+    function traceContours(grid) {
+        var max = 0;
+        grid.values.forEach(function(v) { if (v !== null && v > max) max = v; });
+        var contours = [];
+        for (var d = settings.contourIntervalFt; d < max; d += settings.contourIntervalFt) {
+            contours.push({ depth: d, rings: IsoplethModule.traceLevel(grid, d) });
+        }
+        return contours;
+    }
+
+    /**
+     * Excavation volume of a surface: the sum of depth x cell area.
+     * @param {Object} surface - From getSurface
+     * @param {Function} [contains] - contains(lat, lon); limits the cells counted
+     * @returns {Object} { cy, areaSqFt } (area of the cells deeper than 0 ft)
+     */
+    function volumeCY(surface, contains) {
+        var cuFt = 0;
+        var area = 0;
+        for (var row = 0; row < surface.rows; row++) {
+            var lat = surface.maxLat - (row + 0.5) * surface.cellLat;
+            for (var col = 0; col < surface.cols; col++) {
+                var v = surface.values[row * surface.cols + col];
+                if (v === null || v <= 0) continue;
+                if (contains && !contains(lat, surface.minLon + (col + 0.5) * surface.cellLon)) continue;
+                cuFt += v * surface.cellAreaSqFt;
+                area += surface.cellAreaSqFt;
+            }
+        }
+        return { cy: cuFt / CUBIC_FT_PER_CY, areaSqFt: area };
+    }
+
+    // ===== MAP LAYERS =====
+
+    function removeLayers() {
+        removeSymbols();
+        removeSurface();
+    }
+
+    function removeSymbols() {
+        if (symbolLayer) {
+            AppState.map.removeLayer(symbolLayer);
+            symbolLayer = null;
+        }
+    }
+
+    function removeSurface() {
+        if (surfaceLayer) {
+            AppState.map.removeLayer(surfaceLayer);
+            surfaceLayer = null;
+        }
+    }
+
+    /**
+     * Graduated symbols: radius by depth of contamination at the selected
+     * level, color by the highest level exceeded, dashed outline when the
+     * bottom interval still exceeds.
+     */
+    function drawSymbols() {
+        removeSymbols();
+        if (!result) return;
+        symbolLayer = L.layerGroup();
+        var level = result.level;
+        result.profiles.forEach(function(p) {
+            var depth = profileDepth(p, level);
+            var radius = MIN_RADIUS + (result.maxDepth > 0 ? Math.sqrt(depth / result.maxDepth) * (MAX_RADIUS - MIN_RADIUS) : 0);
+            var color = p.high ? SYMBOL_COLORS.high : p.low ? SYMBOL_COLORS.low : SYMBOL_COLORS.none;
+            var open = p[level] && p[level].open;
+            var marker = L.circleMarker([p.lat, p.lon], {
+                radius: radius,
+                color: open ? '#000' : '#333',
+                weight: open ? 2.5 : 1,
+                dashArray: open ? '4 3' : null,
+                fillColor: color,
+                fillOpacity: 0.75,
+                className: 'depthmap-symbol'
+            });
+            marker.bindTooltip(symbolTooltip(p), { direction: 'top' });
+            symbolLayer.addLayer(marker);
+        });
+        symbolLayer.addTo(AppState.map);
+    }
+
+    function symbolTooltip(p) {
+        var t = result.thresh;
+        var lines = ['<b>' + Utils.escapeHtml(p.id) + '</b> ' + Utils.escapeHtml(t.abbrev) +
+            ' (bottom ' + p.bottom.end + ' ft)'];
+        ['high', 'low'].forEach(function(level) {
+            var d = p[level];
+            lines.push('&gt; ' + Utils.escapeHtml(t[level + 'Label']) + ': ' + (d
+                ? d.depth + ' ft (' + Utils.escapeHtml(d.interval.label) + ', ' + Utils.formatVal(d.value) + ')' +
+                    (d.open ? ' \u2013 not delineated' : '')
+                : 'none'));
+        });
+        return lines.join('<br>');
+    }
+
+    /**
+     * Draw the surface as an image overlay (0 ft left clear) with labeled
+     * depth contours.
+     */
+    function drawSurface() {
+        removeSurface();
+        if (!result || !result.surface) return;
+        var s = result.surface;
+
+        var canvas = document.createElement('canvas');
+        canvas.width = s.cols;
+        canvas.height = s.rows;
+        var ctx = canvas.getContext('2d');
+        var imageData = ctx.createImageData(s.cols, s.rows);
+        var pixels = imageData.data;
+        for (var i = 0; i < s.values.length; i++) {
+            var v = s.values[i];
+            if (v === null || v <= 0) continue;
+            var rgb = Utils.hexToRgb(rampColor(v / result.maxDepth));
+            pixels[i * 4] = rgb.r;
+            pixels[i * 4 + 1] = rgb.g;
+            pixels[i * 4 + 2] = rgb.b;
+            pixels[i * 4 + 3] = 255;
+        }
+        ctx.putImageData(imageData, 0, 0);
+
+        surfaceLayer = L.layerGroup();
+        surfaceLayer.addLayer(L.imageOverlay(
+            canvas.toDataURL(),
+            L.latLngBounds(L.latLng(s.minLat, s.minLon), L.latLng(s.maxLat, s.maxLon)),
+            { opacity: OVERLAY_OPACITY, interactive: false, className: 'depthmap-overlay' }
+        ));
+
+        var labelMinFt = LABEL_MIN_CELLS * Math.sqrt(s.cellAreaSqFt);
+        result.contours.forEach(function(c) {
+            c.rings.forEach(function(ring) {
+                var latlngs = ring.map(function(p) { return [p.lat, p.lon]; });
+                latlngs.push(latlngs[0]);
+                var line = L.polyline(latlngs, { color: '#4a1486', weight: 1.5, opacity: 0.9, interactive: false });
+                if (Utils.perimeterFt(ring) >= labelMinFt) {
+                    line.bindTooltip(c.depth + ' ft', { permanent: true, direction: 'center', className: 'isopleth-label' });
+                }
+                surfaceLayer.addLayer(line);
+            });
+        });
+        surfaceLayer.addTo(AppState.map);
+        if (symbolLayer) {
+            // Keep the symbols above the surface
+            AppState.map.removeLayer(symbolLayer);
+            symbolLayer.addTo(AppState.map);
+        }
+    }
+
+    /**
+     * Color at a fraction (0-1) of the deepest depth.
+     */
+    function rampColor(f) {
+        var idx = Math.min(DEPTH_RAMP.length - 1, Math.floor(Math.max(0, f) * DEPTH_RAMP.length));
+        return DEPTH_RAMP[idx];
+    }
+
+    // ===== CSV EXPORT =====
+
+    function download(rows, name) {
+        Utils.downloadFile(rows.join('\n') + '\n', 'text/csv',
+            'SBMM_' + name + '_' + new Date().toISOString().slice(0, 10) + '.csv');
+    }
+
+    /**
+     * Download the depth of contamination at each location.
+     */
+    function exportProfilesCSV() {
+        if (!result) return;
+        var t = result.thresh;
+        var rows = [['Location_ID', 'Dataset', 'Latitude', 'Longitude', 'Analyte', 'Intervals_Tested', 'Bottom_ft',
+            'Deepest_Above_' + t.lowLabel + '_ft', t.lowLabel + '_Delineated',
+            'Deepest_Above_' + t.highLabel + '_ft', t.highLabel + '_Delineated'].join(',')];
+        result.profiles.forEach(function(p) {
+            rows.push([
+                '"' + p.id + '"', '"' + AppConfig.datasets[p.dataset].label + '"',
+                p.lat.toFixed(6), p.lon.toFixed(6), '"' + result.analyte + '"', p.tested, p.bottom.end,
+                profileDepth(p, 'low'), p.low && p.low.open ? 'No' : 'Yes',
+                profileDepth(p, 'high'), p.high && p.high.open ? 'No' : 'Yes'
+            ].join(','));
+        });
+        download(rows, 'Depth_Of_Contamination');
+    }
+
+    /**
+     * Download the excavation depth surface, one row per cell deeper than 0 ft.
+     */
+    function exportSurfaceCSV() {
+        if (!result || !result.surface) return;
+        var s = result.surface;
+        var rows = [['Cell_ID', 'Latitude', 'Longitude', 'Depth_ft', 'Area_ft2', 'Volume_CY'].join(',')];
+        for (var row = 0; row < s.rows; row++) {
+            for (var col = 0; col < s.cols; col++) {
+                var v = s.values[row * s.cols + col];
+                if (v === null || v <= 0) continue;
+                rows.push([
+                    'R' + row + 'C' + col,
+                    (s.maxLat - (row + 0.5) * s.cellLat).toFixed(6),
+                    (s.minLon + (col + 0.5) * s.cellLon).toFixed(6),
+                    v.toFixed(2),
+                    s.cellAreaSqFt.toFixed(1),
+                    (v * s.cellAreaSqFt / CUBIC_FT_PER_CY).toFixed(2)
+                ].join(','));
+            }
+        }
+        download(rows, 'Excavation_Depth_Surface');
+    }
+
+    // ===== PANEL =====
+
+    var SETTING_FIELDS = [
+        { key: 'idwPower', label: 'IDW power', min: 0.5 },
+        { key: 'maxNeighbors', label: 'Max neighbors (0 = all)', min: 0, integer: true },
+        { key: 'searchRadiusFt', label: 'Search radius (ft, 0 = all)', min: 0 },
+        { key: 'gridFt', label: 'Grid cell (ft)', min: 2 },
+        { key: 'hullBufferFt', label: 'Hull buffer (ft)', min: 0 },
+        { key: 'contourIntervalFt', label: 'Contour interval (ft)', min: 0.5 }
+    ];
+
+    function open() {
+        render();
+    }
+
+    function close() {
+        if (panelEl) panelEl.style.display = 'none';
+    }
+
+    /**
+     * Remove the map layers and results.
+     */
+    function clear() {
+        ComputeModule.cancel('depthmap');
+        result = null;
+        statusText = null;
+        errorText = null;
+        removeLayers();
+        render();
+    }
+
+    /**
+     * Read the settings from the panel and build the map.
+     */
+    function run() {
+        var errors = readInputs();
+        if (errors.length > 0) {
+            errorText = errors.join('; ');
+            render();
+            return;
+        }
+        build();
+        render();
+    }
+
+    /**
+     * Profiles and symbols now, the surface when its grid is done.
+     */
+    function build() {
+        ComputeModule.cancel('depthmap');
+        removeLayers();
+        statusText = null;
+
+        var analyte = AppState.currentAnalyte;
+        var thresh = AppConfig.getThreshold(analyte);
+        if (!thresh) {
+            result = null;
+            errorText = analyte + ' has no level in the active screening set';
+            return;
+        }
+        var profiles = buildProfiles(analyte, thresh);
+        if (profiles.length === 0) {
+            result = null;
+            errorText = 'No boring or test pit has ' + analyte + ' results';
+            return;
+        }
+
+        errorText = null;
+        result = {
+            analyte: analyte,
+            level: settings.level,
+            thresh: thresh,
+            profiles: profiles,
+            maxDepth: profiles.reduce(function(m, p) { return Math.max(m, profileDepth(p, settings.level)); }, 0),
+            surface: null,
+            contours: []
+        };
+        drawSymbols();
+        computeSurface();
+    }
+
+    /**
+     * Rebuild after a data, threshold, screening-set or color-by change.
+     * Does nothing until the map has been run.
+     */
+    function refresh() {
+        if (!result) return;
+        build();
+        if (panelVisible()) render();
+    }
+
+    function panelVisible() {
+        return panelEl && panelEl.style.display !== 'none';
+    }
+
+    /**
+     * Validate the panel inputs and copy them into settings; nothing is
+     * changed unless every field is valid.
+     * @returns {string[]} Errors
+     */
+    function readInputs() {
+        var errors = [];
+        if (!panelEl) return errors;
+        var values = {};
+        var level = panelEl.querySelector('#depthMapLevel');
+        if (level) values.level = level.value;
+        SETTING_FIELDS.forEach(function(f) {
+            var el = panelEl.querySelector('#depthmap-' + f.key);
+            if (!el) return;
+            var v = Number(el.value);
+            if (el.value.trim() === '' || isNaN(v) || v < f.min) {
+                errors.push(f.label.replace(/ \(.*\)$/, '') + ' must be at least ' + f.min);
+                return;
+            }
+            values[f.key] = f.integer ? Math.round(v) : v;
+        });
+        if (errors.length > 0) return errors;
+        Object.keys(values).forEach(function(k) { settings[k] = values[k]; });
+        return errors;
+    }
+
+    function render() {
+        var thresh = result ? result.thresh : AppConfig.getThreshold(AppState.currentAnalyte);
+        var lowLabel = thresh ? thresh.lowLabel : 'Lower level';
+        var highLabel = thresh ? thresh.highLabel : 'Upper level';
+
+        var html = '<div class="edd-header"><h4>Depth of Contamination</h4>' +
+            '<button class="edd-close" onclick="DepthMapModule.close()">\u00d7</button></div>' +
+            '<div class="edd-file">Deepest boring / test pit interval above the level for the color-by analyte, ' +
+            'interpolated by IDW into an excavation depth surface.</div>';
+
+        html += '<div class="blockmodel-settings depthmap-settings"><label>Excavate to <select id="depthMapLevel">' +
+            '<option value="high"' + (settings.level === 'high' ? ' selected' : '') + '>&gt; ' + Utils.escapeHtml(highLabel) + '</option>' +
+            '<option value="low"' + (settings.level === 'low' ? ' selected' : '') + '>&gt; ' + Utils.escapeHtml(lowLabel) + '</option>' +
+            '</select></label>';
+        SETTING_FIELDS.forEach(function(f) {
+            html += '<label>' + f.label + ' <input type="number" step="any" min="' + f.min + '" id="depthmap-' + f.key +
+                '" value="' + settings[f.key] + '"></label>';
+        });
+        html += '</div>';
+
+        html += '<div class="edd-actions">' +
+            '<button class="edd-apply" onclick="DepthMapModule.run()">Run</button>' +
+            '<button onclick="DepthMapModule.exportProfilesCSV()"' + (result ? '' : ' disabled') + '>Locations CSV</button>' +
+            '<button onclick="DepthMapModule.exportSurfaceCSV()"' + (result && result.surface ? '' : ' disabled') + '>Surface CSV</button>' +
+            '<button onclick="DepthMapModule.clear()"' + (result ? '' : ' disabled') + '>Clear</button>' +
+            '</div>';
+
+        if (errorText) {
+            html += '<div class="edd-error-list"><ul><li>' + Utils.escapeHtml(errorText) + '</li></ul></div>';
+        }
+        if (result) html += renderResults();
+        panelEl = Utils.showPanel(panelEl, 'depthMapPanel', 'edd-panel depthmap-panel', html);
+    }
+
+    function renderResults() {
+        var t = result.thresh;
+        var level = result.level;
+        var exceeding = result.profiles.filter(function(p) { return p[level]; });
+        var open = exceeding.filter(function(p) { return p[level].open; });
+
+        var html = '<div class="edd-file">' + Utils.escapeHtml(result.analyte) +
+            ' (' + Utils.escapeHtml(t.setLabel) + '): ' +
+            result.profiles.length + ' borings / test pits with results, ' + exceeding.length + ' above the ' +
+            Utils.escapeHtml(t[level + 'Label']) +
+            (exceeding.length ? ' to at most ' + result.maxDepth + ' ft' : '') + ', ' +
+            '<span class="depthmap-open">' + open.length + ' not delineated</span> (bottom interval still above).</div>';
+
+        if (statusText) html += '<div class="edd-file">' + Utils.escapeHtml(statusText) + '</div>';
+        if (result.surface) {
+            var total = volumeCY(result.surface);
+            html += '<div class="edd-file depthmap-volume">Excavation volume: <b>' + Utils.formatCY(total.cy) + ' CY</b> over ' +
+                Utils.formatArea(total.areaSqFt) + ' (' + settings.gridFt + ' ft cells)';
+            var poly = PolygonModule.getCurrent();
+            if (poly) {
+                var inside = volumeCY(result.surface, function(lat, lon) {
+                    return PolygonModule.pointInPolygon(lat, lon, poly.vertices);
+                });
+                html += '<br>Inside the drawn polygon: <b>' + Utils.formatCY(inside.cy) + ' CY</b> over ' + Utils.formatArea(inside.areaSqFt);
+            }
+            html += '</div>';
+        }
+
+        html += '<div class="edd-table-wrap"><table class="edd-table depthmap-table"><thead><tr>' +
+            '<th>Location</th><th>Bottom (ft)</th><th>&gt; ' + Utils.escapeHtml(t.lowLabel) + ' (ft)</th><th>&gt; ' +
+            Utils.escapeHtml(t.highLabel) + ' (ft)</th></tr></thead><tbody>';
+        result.profiles.slice().sort(function(a, b) {
+            return profileDepth(b, level) - profileDepth(a, level) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+        }).forEach(function(p) {
+            html += '<tr><td>' + Utils.escapeHtml(p.id) + '</td><td>' + p.bottom.end + '</td>' +
+                depthCell(p.low) + depthCell(p.high) + '</tr>';
+        });
+        html += '</tbody></table></div>';
+        html += '<div class="edd-file">Symbol size grows with the depth; a dashed outline marks a location not delineated at the selected level. ' +
+            'Volumes treat the surface as the excavation bottom from the ground surface.</div>';
+        return html;
+    }
+
+    function depthCell(d) {
+        if (!d) return '<td>\u2013</td>';
+        return '<td' + (d.open ? ' class="depthmap-open" title="Bottom interval still above; not delineated"' : '') + '>' +
+            d.depth + (d.open ? '+' : '') + '</td>';
+    }
+
+    return {
+        init: init,
+        open: open,
+        close: close,
+        run: run,
+        clear: clear,
+        refresh: refresh,
+        exportProfilesCSV: exportProfilesCSV,
+        exportSurfaceCSV: exportSurfaceCSV,
+        volumeCY: volumeCY,
+        getProfiles: function() { return result ? result.profiles : null; },
+        getSurface: function() { return result ? result.surface : null; }
+    };
+})();
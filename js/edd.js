@@ -0,0 +1,547 @@
+/**
+ * SBMM Planning Tool - Laboratory EDD Import
+ *
+ * Imports a lab electronic data deliverable (CSV, EQuIS-style columns) and
+ * merges the results into the loaded datasets by location ID and depth.
+ * A preview lists new, changed, unchanged and unmatched results before
+ * anything is applied; after applying, the updated data files can be
+ * downloaded to replace the JSON in data/.
+ *
+ * Qualifiers, detection limits and reporting limits are stored next to the
+ * metals on each record (qualifiers / detectionLimits / reportingLimits maps).
+ */
+var EDDModule = (function() {
+    'use strict';
+
+    // Accepted header names per field (compared after lowercasing and
+    // replacing non-alphanumerics with underscores)
+    var COLUMN_ALIASES = {
+        locationId: ['sys_loc_code', 'location_id', 'loc_id', 'location', 'station_id', 'station'],
+        sampleId:   ['sys_sample_code', 'sample_id', 'sample_name', 'sample', 'clp', 'clp_id'],
+        top:        ['start_depth', 'depth_top', 'top_depth', 'depth_start', 'top'],
+        bottom:     ['end_depth', 'depth_bottom', 'bottom_depth', 'depth_end', 'bottom'],
+        analyte:    ['chemical_name', 'analyte', 'parameter', 'chemical', 'analyte_name'],
+        result:     ['result_value', 'result', 'value', 'concentration'],
+        unit:       ['result_unit', 'unit', 'units'],
+        qualifier:  ['interpreted_qualifiers', 'validator_qualifiers', 'lab_qualifiers', 'qualifier', 'qualifiers', 'qual', 'flag'],
+        dl:         ['method_detection_limit', 'detection_limit', 'mdl', 'dl'],
+        rl:         ['reporting_detection_limit', 'reporting_limit', 'quantitation_limit', 'rl', 'pql']
+    };
+
+    var REQUIRED_FIELDS = ['locationId', 'analyte', 'result'];
+
+    // Conversion factors to mg/kg
+    var UNIT_FACTORS = {
+        'mg/kg': 1,
+        'ppm': 1,
+        'ug/g': 1,
+        'ug/kg': 0.001,
+        'ppb': 0.001,
+        'ng/g': 0.001
+    };
+
+    var DEPTH_TOLERANCE_FT = 0.05;
+    var MAX_PREVIEW_ROWS = 150;
+
+    var panelEl = null;
+    var pending = null;    // { fileName, rows, errors, diff } awaiting Apply
+    var modified = {};     // Dataset keys changed by applied imports
+
+    // ===== INITIALIZATION =====
+
+    function init() {
+        var input = document.getElementById('edd-upload');
+        if (input) {
+            input.addEventListener('change', function(e) {
+                var file = e.target.files[0];
+                if (file) readFile(file);
+                e.target.value = '';
+            });
+        }
+    }
+
+    /**
+     * Read a CSV file and show the import preview.
+     * @param {File} file
+     */
+    function readFile(file) {
+        var reader = new FileReader();
+        reader.onload = function(e) {
+            preview(e.target.result, file.name);
+        };
+        reader.readAsText(file);
+    }
+
+    // ===== PARSING =====
+
+    function normalizeHeader(h) {
+        return String(h || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    }
+
+    /**
+     * Map EDD fields to column indexes using COLUMN_ALIASES.
+     * @param {string[]} headers
+     * @returns {Object} field -> column index (-1 when absent)
+     */
+    function mapColumns(headers) {
+        var normalized = headers.map(normalizeHeader);
+        var columns = {};
+        Object.keys(COLUMN_ALIASES).forEach(function(field) {
+            columns[field] = -1;
+            COLUMN_ALIASES[field].some(function(alias) {
+                var idx = normalized.indexOf(alias);
+                if (idx !== -1) columns[field] = idx;
+                return idx !== -1;
+            });
+        });
+        return columns;
+    }
+
+    /**
+     * Resolve a lab analyte name ("MERCURY", "Hg", "Mercury, total") to the
+     * analyte name used in the data files.
+     * @param {string} raw
+     * @returns {string|null}
+     */
+    function resolveAnalyte(raw) {
+        var name = String(raw || '').trim().toLowerCase().replace(/\s*[,(].*$/, '');
+        if (!name) return null;
+
+        var candidates = Object.keys(AppConfig.thresholds);
+        AppConfig.allMetals.forEach(function(m) {
+            if (candidates.indexOf(m) === -1) candidates.push(m);
+        });
+
+        var abbrevs = AppConfig.getAnalyteAbbreviations();
+        for (var i = 0; i < candidates.length; i++) {
+            var a = candidates[i];
+            if (a.toLowerCase() === name) return a;
+            if (abbrevs[a] && abbrevs[a].toLowerCase() === name) return a;
+        }
+        return null;
+    }
+
+    function parseNumber(str) {
+        if (str === undefined || str === null) return null;
+        var s = String(str).replace(/^[<>]/, '').trim();
+        if (s === '') return null;
+        var n = Number(s);
+        return isNaN(n) ? null : n;
+    }
+
+    /**
+     * Parse EDD CSV text into normalized rows.
+     * @param {string} text
+     * @returns {Object} { rows: Array, errors: string[] }
+     */
+    function parse(text) {
+        var lines = text.split(/\r?\n/);
+        var headerIdx = 0;
+        while (headerIdx < lines.length && !lines[headerIdx].trim()) headerIdx++;
+        if (lines.length - headerIdx < 2) return { rows: [], errors: ['File has no data rows'] };
+
+        var columns = mapColumns(Utils.parseCSVLine(lines[headerIdx]));
+        var missing = REQUIRED_FIELDS.filter(function(f) { return columns[f] === -1; });
+        if (missing.length > 0) {
+            return {
+                rows: [],
+                errors: ['Missing required column(s): ' + missing.map(function(f) {
+                    return COLUMN_ALIASES[f][0];
+                }).join(', ')]
+            };
+        }
+
+        function cell(parts, field) {
+            return columns[field] === -1 ? '' : (parts[columns[field]] || '').trim();
+        }
+
+        var rows = [];
+        for (var i = headerIdx + 1; i < lines.length; i++) {
+            if (!lines[i].trim()) continue;
+            var parts = Utils.parseCSVLine(lines[i]);
+
+            var rawUnit = cell(parts, 'unit');
+            var unitKey = rawUnit.toLowerCase().replace(/\s+/g, '').replace('µ', 'u');
+            var unitFactor = rawUnit === '' ? 1 : (UNIT_FACTORS.hasOwnProperty(unitKey) ? UNIT_FACTORS[unitKey] : null);
+            var factor = unitFactor || 1;
+
+            var qualifier = cell(parts, 'qualifier').toUpperCase().replace(/\s+/g, '');
+            var dl = parseNumber(cell(parts, 'dl'));
+            var rl = parseNumber(cell(parts, 'rl'));
+            var rawResult = cell(parts, 'result');
+            var value = parseNumber(rawResult);
+
+            // Non-detects are often reported with a blank result or "<DL";
+            // carry the detection limit as the reported value
+            if (value === null && qualifier.indexOf('U') !== -1) value = dl !== null ? dl : rl;
+
+            var rawAnalyte = cell(parts, 'analyte');
+            rows.push({
+                line: i + 1,
+                locationId: cell(parts, 'locationId'),
+                sampleId: cell(parts, 'sampleId'),
+                top: parseNumber(cell(parts, 'top')),
+                bottom: parseNumber(cell(parts, 'bottom')),
+                rawAnalyte: rawAnalyte,
+                analyte: resolveAnalyte(rawAnalyte),
+                rawUnit: rawUnit,
+                unitFactor: unitFactor,
+                value: value !== null ? round(value * factor) : null,
+                qualifier: qualifier,
+                dl: dl !== null ? round(dl * factor) : null,
+                rl: rl !== null ? round(rl * factor) : null
+            });
+        }
+
+        var errors = [];
+        var valid = Utils.validateDataset(rows, 'EDD import', Utils.validateEDDRow, errors);
+        return { rows: valid, errors: errors, total: rows.length };
+    }
+
+    /** Trim floating point noise from unit conversions. */
+    function round(v) {
+        return Math.round(v * 1e6) / 1e6;
+    }
+
+    // ===== MATCHING =====
+
+    /**
+     * Normalize a location ID for matching: uppercase, no spaces,
+     * leading zeros removed from numbers (SS01 == SS1).
+     */
+    function normalizeId(id) {
+        return String(id || '').trim().toUpperCase().replace(/\s+/g, '')
+            .replace(/\d+/g, function(d) { return String(parseInt(d, 10)); });
+    }
+
+    function sameDepth(a, b) {
+        return a !== null && b !== null && Math.abs(a - b) <= DEPTH_TOLERANCE_FT;
+    }
+
+    /**
+     * Find the interval a row belongs to.
+     * @returns {Object} { index: number, isNew: boolean, reason: string }
+     */
+    function matchInterval(loc, row) {
+        var info = AppConfig.datasets[loc.dataset];
+
+        if (info.surface) {
+            if (row.top === null || row.top < AppConfig.surfaceInterval.end) return { index: 0, isNew: false };
+            return { index: -1, reason: 'depth ' + row.top + ' ft does not match surface sample' };
+        }
+
+        for (var i = 0; i < loc.intervals.length; i++) {
+            var iv = loc.intervals[i];
+            if (row.sampleId && iv.sampleId && String(iv.sampleId).toUpperCase() === row.sampleId.toUpperCase()) {
+                return { index: i, isNew: false };
+            }
+        }
+        for (var j = 0; j < loc.intervals.length; j++) {
+            var jv = loc.intervals[j];
+            if (sameDepth(jv.start, row.top) && (row.bottom === null || sameDepth(jv.end, row.bottom))) {
+                return { index: j, isNew: false };
+            }
+        }
+
+        if (row.top !== null && row.bottom !== null) return { index: -1, isNew: true };
+        return { index: -1, reason: 'no depth interval matches (top/bottom depth required)' };
+    }
+
+    /**
+     * Compare parsed rows with the loaded data.
+     * @param {Array} rows
+     * @returns {Array} Diff entries { status, row, location, intervalIndex, oldValue, reason }
+     */
+    function buildDiff(rows) {
+        var byId = {};
+        DataModule.getLocations().forEach(function(loc) {
+            var key = normalizeId(loc.id);
+            if (!byId[key]) byId[key] = loc;
+        });
+
+        var seen = {};
+        return rows.map(function(row) {
+            var loc = byId[normalizeId(row.locationId)];
+            if (!loc) {
+                return { status: 'unmatched', row: row, reason: 'location not found' };
+            }
+
+            var match = matchInterval(loc, row);
+            if (match.index === -1 && !match.isNew) {
+                return { status: 'unmatched', row: row, location: loc, reason: match.reason };
+            }
+
+            var key = loc.dataset + '|' + loc.id + '|' + (match.isNew ? row.top + '-' + row.bottom : match.index) + '|' + row.analyte;
+            if (seen[key]) {
+                return { status: 'unmatched', row: row, location: loc, reason: 'duplicate of line ' + seen[key] };
+            }
+            seen[key] = row.line;
+
+            if (match.isNew) {
+                return { status: 'new', row: row, location: loc, intervalIndex: -1, oldValue: null, reason: 'new interval' };
+            }
+
+            var oldResult = loc.intervals[match.index].results[row.analyte];
+            var oldValue = oldResult ? oldResult.value : null;
+            if (oldValue === null) {
+                return { status: 'new', row: row, location: loc, intervalIndex: match.index, oldValue: null };
+            }
+            return {
+                status: Math.abs(oldValue - row.value) < 1e-9 && oldResult.qualifier === row.qualifier ? 'unchanged' : 'changed',
+                row: row,
+                location: loc,
+                intervalIndex: match.index,
+                oldValue: oldValue
+            };
+        });
+    }
+
+    // ===== PREVIEW =====
+
+    /**
+     * Parse EDD text, build the diff and show the preview panel.
+     * @param {string} text - CSV content
+     * @param {string} [fileName]
+     */
+    function preview(text, fileName) {
+        var parsed = parse(text);
+        pending = {
+            fileName: fileName || 'EDD',
+            rows: parsed.rows,
+            total: parsed.total || 0,
+            errors: parsed.errors,
+            diff: buildDiff(parsed.rows)
+        };
+        renderPreview();
+        return pending;
+    }
+
+    function countBy(diff, status) {
+        return diff.filter(function(d) { return d.status === status; }).length;
+    }
+
+    function renderPreview() {
+        var p = pending;
+        var fv = Utils.formatVal;
+        var counts = {
+            'new': countBy(p.diff, 'new'),
+            changed: countBy(p.diff, 'changed'),
+            unchanged: countBy(p.diff, 'unchanged'),
+            unmatched: countBy(p.diff, 'unmatched')
+        };
+        var applicable = counts['new'] + counts.changed + counts.unchanged;
+
+        var html = '<div class="edd-header"><h4>EDD Import Preview</h4>' +
+            '<button class="edd-close" onclick="EDDModule.cancel()">×</button></div>' +
+            '<div class="edd-file">' + Utils.escapeHtml(p.fileName) + ' — ' + p.total + ' rows read, ' +
+            p.rows.length + ' valid</div>' +
+            '<div class="edd-summary">' +
+            '<span class="edd-new">' + counts['new'] + ' new</span>' +
+            '<span class="edd-changed">' + counts.changed + ' changed</span>' +
+            '<span class="edd-unchanged">' + counts.unchanged + ' unchanged</span>' +
+            '<span class="edd-unmatched">' + counts.unmatched + ' unmatched</span>' +
+            '<span class="edd-errors">' + p.errors.length + ' errors</span>' +
+            '</div>';
+
+        if (p.errors.length > 0) {
+            html += '<details class="edd-error-list"' + (p.rows.length === 0 ? ' open' : '') + '><summary>Validation errors (' + p.errors.length + ')</summary><ul>';
+            p.errors.slice(0, MAX_PREVIEW_ROWS).forEach(function(e) {
+                html += '<li>' + Utils.escapeHtml(e) + '</li>';
+            });
+            if (p.errors.length > MAX_PREVIEW_ROWS) html += '<li>... and ' + (p.errors.length - MAX_PREVIEW_ROWS) + ' more</li>';
+            html += '</ul></details>';
+        }
+
+        var shown = p.diff.filter(function(d) { return d.status !== 'unchanged'; });
+        if (shown.length > 0) {
+            html += '<div class="edd-table-wrap"><table class="edd-table"><thead><tr>' +
+                '<th>Status</th><th>Location</th><th>Depth</th><th>Analyte</th><th>Old</th><th>New</th><th>Qual</th><th>Note</th>' +
+                '</tr></thead><tbody>';
+            shown.slice(0, MAX_PREVIEW_ROWS).forEach(function(d) {
+                var r = d.row;
+                var depth = d.location && d.intervalIndex >= 0
+                    ? d.location.intervals[d.intervalIndex].label
+                    : (r.top !== null ? r.top + (r.bottom !== null ? '-' + r.bottom : '') + ' ft' : '—');
+                html += '<tr class="edd-row-' + d.status + '">' +
+                    '<td>' + d.status + '</td>' +
+                    '<td>' + Utils.escapeHtml(d.location ? String(d.location.id) : r.locationId) + '</td>' +
+                    '<td>' + Utils.escapeHtml(depth) + '</td>' +
+                    '<td>' + Utils.escapeHtml(r.analyte || r.rawAnalyte) + '</td>' +
+                    '<td>' + fv(d.oldValue) + '</td>' +
+                    '<td>' + fv(r.value) + '</td>' +
+                    '<td>' + Utils.escapeHtml(r.qualifier) + '</td>' +
+                    '<td>' + Utils.escapeHtml(d.reason || '') + '</td>' +
+                    '</tr>';
+            });
+            if (shown.length > MAX_PREVIEW_ROWS) {
+                html += '<tr><td colspan="8">... and ' + (shown.length - MAX_PREVIEW_ROWS) + ' more</td></tr>';
+            }
+            html += '</tbody></table></div>';
+        }
+
+        html += '<div class="edd-actions">' +
+            '<button class="edd-apply" onclick="EDDModule.apply()"' + (applicable === 0 ? ' disabled' : '') + '>Apply ' + applicable + ' results</button>' +
+            '<button onclick="EDDModule.cancel()">Cancel</button>' +
+            '</div>';
+
+        panelEl = Utils.showPanel(panelEl, 'eddPanel', 'edd-panel', html);
+    }
+
+    function hidePanel() {
+        if (panelEl) panelEl.style.display = 'none';
+    }
+
+    // ===== APPLY =====
+
+    /**
+     * Write one result into a raw record (surface record or depth interval),
+     * keeping the record's existing storage style.
+     */
+    function writeResult(target, row, flatFields) {
+        if (flatFields) {
+            target[row.analyte.toLowerCase()] = row.value;
+        } else {
+            if (!target.metals) target.metals = {};
+            target.metals[row.analyte] = row.value;
+        }
+
+        setOrDelete(target, 'qualifiers', row.analyte, row.qualifier || null);
+        setOrDelete(target, 'detectionLimits', row.analyte, row.dl);
+        setOrDelete(target, 'reportingLimits', row.analyte, row.rl);
+    }
+
+    /**
+     * Metals object for a new depth interval with the same analyte keys as
+     * an existing interval, all null, so popups see the usual shape.
+     */
+    function emptyMetals(template) {
+        var metals = {};
+        if (template && template.metals) {
+            Object.keys(template.metals).forEach(function(m) { metals[m] = null; });
+        }
+        return metals;
+    }
+
+    function setOrDelete(target, mapName, analyte, value) {
+        if (value === null || value === undefined || value === '') {
+            if (target[mapName]) delete target[mapName][analyte];
+            return;
+        }
+        if (!target[mapName]) target[mapName] = {};
+        target[mapName][analyte] = value;
+    }
+
+    /**
+     * Apply the pending import to AppState.data and refresh the app.
+     * @returns {number} Number of results written
+     */
+    function apply() {
+        if (!pending) return 0;
+        var written = 0;
+        var newIntervals = {};
+        var touched = [];
+        var applicable = pending.diff.filter(function(d) { return d.status !== 'unmatched'; });
+
+        // Resolve existing intervals before any new one is inserted, since
+        // intervalIndex refers to the depth order at preview time.
+        var targets = applicable.map(function(d) {
+            var depths = d.location.record.depths;
+            return d.intervalIndex >= 0 && Array.isArray(depths) ? depths[d.intervalIndex] : null;
+        });
+
+        applicable.forEach(function(d, i) {
+            var loc = d.location;
+            var record = loc.record;
+            var info = AppConfig.datasets[loc.dataset];
+            var r = d.row;
+
+            if (info.surface) {
+                writeResult(record, r, !record.metals);
+                if (typeof record.sampled === 'boolean') record.sampled = true;
+            } else {
+                if (!Array.isArray(record.depths)) record.depths = [];
+                var interval;
+                if (d.intervalIndex >= 0) {
+                    interval = targets[i];
+                } else {
+                    var key = loc.id + '|' + r.top + '|' + r.bottom;
+                    interval = newIntervals[key];
+                    if (!interval) {
+                        interval = {
+                            start: r.top,
+                            end: r.bottom,
+                            label: r.top.toFixed(1) + '-' + r.bottom.toFixed(1) + ' ft',
+                            metals: emptyMetals(record.depths[0])
+                        };
+                        if (r.sampleId) interval.sampleId = r.sampleId;
+                        record.depths.push(interval);
+                        newIntervals[key] = interval;
+                    }
+                }
+                writeResult(interval, r, false);
+                if (touched.indexOf(record) === -1) touched.push(record);
+            }
+
+            modified[loc.dataset] = true;
+            written++;
+        });
+
+        touched.forEach(function(record) {
+            record.depths.sort(function(a, b) { return a.start - b.start; });
+        });
+
+        var fileName = pending.fileName;
+        pending = null;
+        DataModule.notifyChanged({ source: 'edd', file: fileName, count: written });
+        renderApplied(written, fileName);
+        return written;
+    }
+
+    /**
+     * Show the post-import summary with download buttons for changed files.
+     */
+    function renderApplied(written, fileName) {
+        var html = '<div class="edd-header"><h4>EDD Import Applied</h4>' +
+            '<button class="edd-close" onclick="EDDModule.cancel()">×</button></div>' +
+            '<div class="edd-file">' + written + ' results from ' + Utils.escapeHtml(fileName) + ' merged into the loaded data.</div>' +
+            '<div class="edd-file">Changes are in memory only. Download the updated files and replace them in data/ to keep them.</div>' +
+            '<div class="edd-actions">';
+        Object.keys(modified).forEach(function(key) {
+            html += '<button onclick="EDDModule.downloadDataset(\'' + key + '\')">Download ' + fileBaseName(key) + '</button>';
+        });
+        html += '</div>';
+        panelEl = Utils.showPanel(panelEl, 'eddPanel', 'edd-panel', html);
+    }
+
+    function fileBaseName(key) {
+        return (AppConfig.dataFiles[key] || key + '.json').replace(/^.*\//, '');
+    }
+
+    /**
+     * Download a dataset as JSON in the same layout as the files in data/.
+     * @param {string} key - Dataset key
+     */
+    function downloadDataset(key) {
+        var data = AppState.data[key];
+        if (!data) return;
+        Utils.downloadFile(JSON.stringify(data, null, 2) + '\n', 'application/json', fileBaseName(key));
+    }
+
+    /**
+     * Discard the pending import and close the panel.
+     */
+    function cancel() {
+        pending = null;
+        hidePanel();
+    }
+
+    return {
+        init: init,
+        parse: parse,
+        preview: preview,
+        apply: apply,
+        cancel: cancel,
+        downloadDataset: downloadDataset,
+        getPending: function() { return pending; }
+    };
+})();
@@ -21,12 +21,7 @@ var ExportModule = (function() {
                 p.lat.toFixed(6) + ',' + p.lon.toFixed(6) + ',"' + (p.note || '') + '"\n';
         });
 
-        var blob = new Blob([csv], { type: 'text/csv' });
-        var a = document.createElement('a');
-        a.href = URL.createObjectURL(blob);
-        a.download = 'SBMM_Planned_' + new Date().toISOString().slice(0, 10) + '.csv';
-        a.click();
-        URL.revokeObjectURL(a.href);
+        Utils.downloadFile(csv, 'text/csv', 'SBMM_Planned_' + new Date().toISOString().slice(0, 10) + '.csv');
     }
 
     /**
@@ -0,0 +1,326 @@
+/**
+ * SBMM Planning Tool - Sequential Gaussian Simulation
+ *
+ * Pure math used by the simulation tool (SimulationModule, through the grid
+ * worker); no DOM or map access. Coordinates are planar feet.
+ *
+ *   Normal-score transform: results ranked and mapped to standard normal
+ *   quantiles at (rank - 0.5) / n, tied results sharing their mean score;
+ *   a level is compared in score space (linear between the data, no tails)
+ *   Sequential Gaussian simulation: the grid nodes are visited in a random
+ *   path; each is simple kriged (mean 0) from the nearest data and
+ *   previously simulated nodes with the normal-score variogram, and drawn
+ *   from the resulting normal distribution
+ *   Every random number comes from one seeded generator, so a seed
+ *   reproduces the realizations exactly
+ */
+var GaussianSimModule = (function() {
+    'use strict';
+
+    var MERGE_DISTANCE = 0.5;       // Data closer than this (ft) share one averaged score
+    var MAX_SEARCH_CELLS = 12;      // Search window half-width in grid cells
+    var REGULARIZATION = 1e-6;      // Fraction of the sill added to the diagonal
+
+    // ===== NORMAL SCORES =====
+
+    /**
+     * Normal-score transform.
+     * @param {number[]} values
+     * @returns {Object} { scores (in input order), table: [{ value, score }]
+     *     ascending by value, one entry per distinct value }
+     */
+    function normalScores(values) {
+        var n = values.length;
+        var order = values.map(function(v, i) { return i; })
+            .sort(function(a, b) { return values[a] - values[b]; });
+        var scores = new Array(n);
+        var table = [];
+        var i = 0;
+        while (i < n) {
+            var j = i;
+            while (j + 1 < n && values[order[j + 1]] === values[order[i]]) j++;
+            var sum = 0;
+            for (var k = i; k <= j; k++) sum += StatsModule.normalQuantile((k + 0.5) / n);
+            var score = sum / (j - i + 1);
+            for (k = i; k <= j; k++) scores[order[k]] = score;
+            table.push({ value: values[order[i]], score: score });
+            i = j + 1;
+        }
+        return { scores: scores, table: table };
+    }
+
+    /**
+     * Normal score of a value through a transform table, such that a
+     * simulated score above it back-transforms to a value above it.
+     * @param {Array} table - From normalScores
+     * @param {number} value
+     * @returns {number} -Infinity below the smallest value, Infinity at or
+     *     above the largest (the back-transform has no tails)
+     */
+    function scoreOf(table, value) {
+        if (value < table[0].value) return -Infinity;
+        if (value >= table[table.length - 1].value) return Infinity;
+        for (var i = 1; i < table.length; i++) {
+            var hi = table[i];
+            if (value < hi.value) {
+                var lo = table[i - 1];
+                return lo.score + (hi.score - lo.score) * (value - lo.value) / (hi.value - lo.value);
+            }
+        }
+        return Infinity;
+    }
+
+    // ===== RANDOM NUMBERS =====
+
+    /**
+     * Standard normal deviates (Box-Muller) from a seeded uniform generator.
+     * @param {number} seed
+     * @returns {Object} { uniform(), normal() }
+     */
+    function createRandom(seed) {
+        var uniform = StatsModule.seededRandom(seed);
+        var spare = null;
+        return {
+            uniform: uniform,
+            normal: function() {
+                if (spare !== null) {
+                    var s = spare;
+                    spare = null;
+                    return s;
+                }
+                var u = 0;
+                while (u === 0) u = uniform();
+                var r = Math.sqrt(-2 * Math.log(u));
+                var theta = 2 * Math.PI * uniform();
+                spare = r * Math.sin(theta);
+                return r * Math.cos(theta);
+            }
+        };
+    }
+
+    // ===== SIMULATION =====
+
+    /**
+     * Simulate normal scores on a regular grid and count, per node, the
+     * realizations above a cutoff score.
+     *
+     * @param {Object} job
+     * @param {Array} job.data - Conditioning data { x, y, score }
+     * @param {Object} job.grid - { cols, rows, x0, y0 (center of the top-left
+     *     cell), dx, dy (cell size; rows run toward -y), inside: boolean per
+     *     cell, row-major }
+     * @param {Object} job.variogram - Normal-score variogram { model, nugget, sill, range }
+     * @param {number} job.realizations
+     * @param {number} job.seed
+     * @param {number} job.maxNeighbors - Data and simulated nodes used per node
+     * @param {number} job.cutoffScore - Normal score of the level
+     * @param {Function} [progress] - progress(realizationsDone, realizations)
+     * @returns {Object} { counts: realizations above the cutoff per cell
+     *     (null outside), exceeding: cells above the cutoff per realization }
+     */
+    function simulate(job, progress) {
+        var grid = job.grid;
+        var cols = grid.cols;
+        var nCells = cols * grid.rows;
+        var v = job.variogram;
+        var sill = v.sill;
+        var maxNeighbors = Math.max(1, job.maxNeighbors);
+        var random = createRandom(job.seed);
+
+        function cov(h) { return sill - KrigingModule.semivariance(v, h); }
+
+        // --- Data bucketed by the nearest cell ---
+        var data = mergeData(job.data);
+        var buckets = {};
+        data.forEach(function(d) {
+            var col = Math.min(cols - 1, Math.max(0, Math.round((d.x - grid.x0) / grid.dx)));
+            var row = Math.min(grid.rows - 1, Math.max(0, Math.round((grid.y0 - d.y) / grid.dy)));
+            var key = row * cols + col;
+            (buckets[key] = buckets[key] || []).push(d);
+        });
+
+        // --- Search window offsets, nearest first ---
+        var radius = v.range;
+        var reach = Math.min(MAX_SEARCH_CELLS, Math.ceil(radius / Math.min(grid.dx, grid.dy)));
+        var offsets = [];
+        for (var dr = -reach; dr <= reach; dr++) {
+            for (var dc = -reach; dc <= reach; dc++) {
+                var ox = dc * grid.dx;
+                var oy = dr * grid.dy;
+                offsets.push({ dc: dc, dr: dr, distSq: ox * ox + oy * oy });
+            }
+        }
+        offsets.sort(function(a, b) { return a.distSq - b.distSq; });
+
+        var path = [];
+        for (var c = 0; c < nCells; c++) {
+            if (grid.inside[c]) path.push(c);
+        }
+        var counts = new Array(nCells);
+        for (c = 0; c < nCells; c++) counts[c] = grid.inside[c] ? 0 : null;
+        var exceeding = [];
+
+        var sim = new Float64Array(nCells);
+        var done = new Uint8Array(nCells);
+        var nx = new Float64Array(maxNeighbors);
+        var ny = new Float64Array(maxNeighbors);
+        var nv = new Float64Array(maxNeighbors);
+        var a = [];
+        for (var i = 0; i <= maxNeighbors; i++) a.push(new Float64Array(maxNeighbors + 1));
+        var rhs = new Float64Array(maxNeighbors);
+
+        for (var r = 0; r < job.realizations; r++) {
+            shuffle(path, random.uniform);
+            for (c = 0; c < nCells; c++) done[c] = 0;
+
+            for (var p = 0; p < path.length; p++) {
+                var cell = path[p];
+                var row = Math.floor(cell / cols);
+                var col = cell - row * cols;
+                var x = grid.x0 + col * grid.dx;
+                var y = grid.y0 - row * grid.dy;
+
+                // Nearest data and simulated nodes, scanning outward
+                var n = 0;
+                for (var o = 0; o < offsets.length && n < maxNeighbors; o++) {
+                    var rr = row + offsets[o].dr;
+                    var cc = col + offsets[o].dc;
+                    if (rr < 0 || rr >= grid.rows || cc < 0 || cc >= cols) continue;
+                    var key = rr * cols + cc;
+                    var bucket = buckets[key];
+                    if (bucket) {
+                        for (var b = 0; b < bucket.length && n < maxNeighbors; b++) {
+                            nx[n] = bucket[b].x;
+                            ny[n] = bucket[b].y;
+                            nv[n] = bucket[b].score;
+                            n++;
+                        }
+                    }
+                    if (done[key] && n < maxNeighbors) {
+                        nx[n] = grid.x0 + cc * grid.dx;
+                        ny[n] = grid.y0 - rr * grid.dy;
+                        nv[n] = sim[key];
+                        n++;
+                    }
+                }
+
+                var est = simpleKrige(x, y, n, nx, ny, nv, a, rhs, cov, sill);
+                var value = est.mean + Math.sqrt(est.variance) * random.normal();
+                sim[cell] = value;
+                done[cell] = 1;
+            }
+
+            var above = 0;
+            for (p = 0; p < path.length; p++) {
+                if (sim[path[p]] > job.cutoffScore) {
+                    counts[path[p]]++;
+                    above++;
+                }
+            }
+            exceeding.push(above);
+            if (progress) progress(r + 1, job.realizations);
+        }
+
+        return { counts: counts, exceeding: exceeding };
+    }
+
+    /**
+     * Simple kriging (known mean 0) from n neighbors.
+     * @returns {Object} { mean, variance }; the unconditional distribution
+     *     when there are no neighbors or the system is singular
+     */
+    function simpleKrige(x, y, n, nx, ny, nv, a, rhs, cov, sill) {
+        if (n === 0) return { mean: 0, variance: sill };
+        var i, j;
+        for (i = 0; i < n; i++) {
+            for (j = i; j < n; j++) {
+                var dx = nx[i] - nx[j];
+                var dy = ny[i] - ny[j];
+                var cij = cov(Math.sqrt(dx * dx + dy * dy));
+                a[i][j] = cij;
+                a[j][i] = cij;
+            }
+            a[i][i] += sill * REGULARIZATION;
+            var ex = x - nx[i];
+            var ey = y - ny[i];
+            a[i][n] = rhs[i] = cov(Math.sqrt(ex * ex + ey * ey));
+        }
+        if (!solve(a, n)) return { mean: 0, variance: sill };
+        var mean = 0;
+        var variance = sill;
+        for (i = 0; i < n; i++) {
+            mean += a[i][n] * nv[i];
+            variance -= a[i][n] * rhs[i];
+        }
+        return { mean: mean, variance: Math.max(0, variance) };
+    }
+
+    /**
+     * Solve the n x n system in a (right-hand side in column n) by Gaussian
+     * elimination with partial pivoting; the solution replaces column n.
+     * @returns {boolean} False if singular
+     */
+    function solve(a, n) {
+        var i, j, k;
+        for (k = 0; k < n; k++) {
+            var pivot = k;
+            for (i = k + 1; i < n; i++) {
+                if (Math.abs(a[i][k]) > Math.abs(a[pivot][k])) pivot = i;
+            }
+            if (Math.abs(a[pivot][k]) < 1e-12) return false;
+            var tmp = a[k]; a[k] = a[pivot]; a[pivot] = tmp;
+            for (i = k + 1; i < n; i++) {
+                var f = a[i][k] / a[k][k];
+                if (f === 0) continue;
+                for (j = k; j <= n; j++) a[i][j] -= f * a[k][j];
+            }
+        }
+        for (i = n - 1; i >= 0; i--) {
+            var s = a[i][n];
+            for (j = i + 1; j < n; j++) s -= a[i][j] * a[j][n];
+            a[i][n] = s / a[i][i];
+        }
+        return true;
+    }
+
+    /**
+     * Average the scores of data closer than MERGE_DISTANCE.
+     */
+    function mergeData(data) {
+        var merged = [];
+        data.forEach(function(d) {
+            for (var i = 0; i < merged.length; i++) {
+                var m = merged[i];
+                var dx = m.x - d.x;
+                var dy = m.y - d.y;
+                if (dx * dx + dy * dy < MERGE_DISTANCE * MERGE_DISTANCE) {
+                    m.sum += d.score;
+                    m.count++;
+                    m.score = m.sum / m.count;
+                    return;
+                }
+            }
+            merged.push({ x: d.x, y: d.y, score: d.score, sum: d.score, count: 1 });
+        });
+        return merged;
+    }
+
+    /**
+     * Fisher-Yates shuffle in place.
+     */
+    function shuffle(list, uniform) {
+        for (var i = list.length - 1; i > 0; i--) {
+            var j = Math.floor(uniform() * (i + 1));
+            var tmp = list[i];
+            list[i] = list[j];
+            list[j] = tmp;
+        }
+    }
+
+    return {
+        normalScores: normalScores,
+        scoreOf: scoreOf,
+        createRandom: createRandom,
+        simulate: simulate
+    };
+})();
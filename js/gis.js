@@ -0,0 +1,694 @@
+/**
+ * SBMM Planning Tool - GIS Import / Export
+ *
+ * Reads GeoJSON and KML (Polygon, MultiPolygon, LineString, Point and
+ * their multi / collection forms; WGS84 longitude / latitude only) and
+ * writes the planned points, polygons, transect and the visible data gap /
+ * hot zone grids back out as GeoJSON or KML.
+ *
+ * Import is previewed first: the attribute that names each feature and the
+ * one that sets its polygon category are chosen from the file's
+ * attributes. Polygons are added as analysis polygons (PolygonModule, with
+ * their source attributes kept for export, and a #rrggbb color attribute,
+ * as written on export, applied) or, like lines and points, as a reference
+ * layer that is only drawn. Polygon holes are dropped.
+ *
+ * Export writes one feature per object with all its attributes (KML as
+ * ExtendedData, in one folder per layer, nested values as JSON); grid cells
+ * are written as squares.
+ */
+var GISModule = (function() {
+    'use strict';
+
+    var REFERENCE_COLOR = '#8e44ad';
+    var PREVIEW_ROWS = 10;
+    var SQ_FT_PER_ACRE = 43560;
+
+    var LAYERS = [
+        { key: 'planned', label: 'Planned points' },
+        { key: 'polygons', label: 'Polygons' },
+        { key: 'transect', label: 'Transect' },
+        { key: 'gaps', label: 'Data gap grid' },
+        { key: 'hotzones', label: 'Hot zone grid' }
+    ];
+
+    var panelEl = null;
+    var pending = null;         // Parsed file awaiting import (see readFile)
+    var options = { mode: 'analysis', nameField: '', categoryField: '', defaultCategory: AppConfig.defaultPolygonCategory };
+    var references = [];        // { fileName, count, layer } drawn reference layers
+    var message = null;
+    var error = null;
+
+    // ===== PARSING =====
+
+    /**
+     * Parse a GeoJSON or KML text into flat features.
+     * @param {string} text
+     * @param {string} fileName - The extension picks the format (.kml or JSON)
+     * @returns {Object} { features: [{ type: 'Polygon' | 'LineString' | 'Point',
+     *     coords ([lat, lng] or a list of them; rings open), properties }],
+     *     skipped (unsupported or empty geometries), holes (dropped polygon holes) }
+     * @throws {Error} With a message for the user
+     */
+    function parse(text, fileName) {
+        var result = { features: [], skipped: 0, holes: 0 };
+        if (/\.kml$/i.test(fileName) || /^\s*</.test(text)) parseKML(text, result);
+        else parseGeoJSON(text, result);
+
+        result.features.forEach(function(f) {
+            var list = f.type === 'Point' ? [f.coords] : f.coords;
+            list.forEach(function(c) {
+                if (!(Math.abs(c[0]) <= 90 && Math.abs(c[1]) <= 180)) {
+                    throw new Error('Coordinates must be WGS84 longitude / latitude (EPSG:4326); found ' + c[1] + ', ' + c[0]);
+                }
+            });
+        });
+        return result;
+    }
+
+    function parseGeoJSON(text, result) {
+        var json;
+        try {
+            json = JSON.parse(text);
+        } catch (e) {
+            throw new Error('Not valid GeoJSON: ' + e.message);
+        }
+        var crs = json && json.crs && json.crs.properties && json.crs.properties.name;
+        if (crs && !/(CRS84|EPSG:?:?4326)$/i.test(crs)) {
+            throw new Error('The file is in ' + crs + '; export it as WGS84 longitude / latitude (EPSG:4326)');
+        }
+
+        var features;
+        if (json && json.type === 'FeatureCollection' && Array.isArray(json.features)) features = json.features;
+        else if (json && json.type === 'Feature') features = [json];
+        else if (json && json.type) features = [{ type: 'Feature', geometry: json, properties: {} }];
+        else throw new Error('Not a GeoJSON object (no "type")');
+
+        features.forEach(function(feature) {
+            var props = feature && feature.properties && typeof feature.properties === 'object' ? feature.properties : {};
+            if (!feature || !feature.geometry) {
+                result.skipped++;
+                return;
+            }
+            addGeoJSONGeometry(feature.geometry, props, result);
+        });
+    }
+
+    function addGeoJSONGeometry(geom, props, result) {
+        var c = geom.coordinates;
+        function latLng(p) { return [Number(p[1]), Number(p[0])]; }
+        function positions(list) { return Array.isArray(list) ? list.filter(isPosition).map(latLng) : []; }
+        function polygon(rings) {
+            if (!Array.isArray(rings) || rings.length === 0) return [];
+            result.holes += rings.length - 1;
+            return openRing(positions(rings[0]));
+        }
+
+        // Empty or malformed coordinates skip this geometry, not the file
+        if (geom.type !== 'GeometryCollection' && (!Array.isArray(c) || c.length === 0)) {
+            result.skipped++;
+            return;
+        }
+        var before = result.features.length;
+        switch (geom.type) {
+            case 'Point': addFeature(result, 'Point', isPosition(c) ? [latLng(c)] : [], props); break;
+            case 'MultiPoint': addFeature(result, 'Point', positions(c), props); break;
+            case 'LineString': addFeature(result, 'LineString', [positions(c)], props); break;
+            case 'MultiLineString': addFeature(result, 'LineString', c.map(positions), props); break;
+            case 'Polygon': addFeature(result, 'Polygon', [polygon(c)], props); break;
+            case 'MultiPolygon': addFeature(result, 'Polygon', c.map(polygon), props); break;
+            case 'GeometryCollection':
+                (Array.isArray(geom.geometries) ? geom.geometries : []).forEach(function(g) {
+                    if (g && typeof g === 'object') addGeoJSONGeometry(g, props, result);
+                    else result.skipped++;
+                });
+                return;
+            default:
+                result.skipped++;
+                return;
+        }
+        if (result.features.length === before) result.skipped++;
+    }
+
+    /** A GeoJSON position: an array with numeric longitude and latitude. */
+    function isPosition(p) {
+        return Array.isArray(p) && p.length >= 2 && isFinite(parseFloat(p[0])) && isFinite(parseFloat(p[1]));
+    }
+
+    function parseKML(text, result) {
+        var doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) throw new Error('Not valid KML (XML could not be read)');
+        var placemarks = doc.getElementsByTagName('Placemark');
+        if (placemarks.length === 0) throw new Error('No placemarks in the KML file');
+
+        Array.prototype.forEach.call(placemarks, function(pm) {
+            var props = {};
+            childElements(pm).forEach(function(el) {
+                if (el.localName === 'name' || el.localName === 'description') props[el.localName] = el.textContent.trim();
+            });
+            Array.prototype.forEach.call(pm.getElementsByTagName('Data'), function(d) {
+                var v = d.getElementsByTagName('value')[0];
+                props[d.getAttribute('name')] = v ? v.textContent.trim() : '';
+            });
+            Array.prototype.forEach.call(pm.getElementsByTagName('SimpleData'), function(d) {
+                props[d.getAttribute('name')] = d.textContent.trim();
+            });
+
+            var before = result.features.length;
+            childElements(pm).forEach(function(el) { addKMLGeometry(el, props, result); });
+            if (result.features.length === before) result.skipped++;
+        });
+    }
+
+    function addKMLGeometry(el, props, result) {
+        function coordsOf(parent) {
+            var c = parent.getElementsByTagName('coordinates')[0];
+            if (!c) return [];
+            return c.textContent.trim().split(/\s+/).filter(Boolean).map(function(t) {
+                return t.split(',');
+            }).filter(isPosition).map(function(parts) {
+                return [Number(parts[1]), Number(parts[0])];
+            });
+        }
+
+        switch (el.localName) {
+            case 'Point': addFeature(result, 'Point', coordsOf(el), props); break;
+            case 'LineString': addFeature(result, 'LineString', [coordsOf(el)], props); break;
+            case 'LinearRing': addFeature(result, 'LineString', [coordsOf(el)], props); break;
+            case 'Polygon':
+                var outer = el.getElementsByTagName('outerBoundaryIs')[0];
+                if (!outer) return;
+                result.holes += el.getElementsByTagName('innerBoundaryIs').length;
+                addFeature(result, 'Polygon', [openRing(coordsOf(outer))], props);
+                break;
+            case 'MultiGeometry':
+                childElements(el).forEach(function(child) { addKMLGeometry(child, props, result); });
+                break;
+        }
+    }
+
+    function childElements(el) {
+        return Array.prototype.filter.call(el.childNodes, function(n) { return n.nodeType === 1; });
+    }
+
+    /**
+     * Add one feature per part; parts of a multi-geometry after the first
+     * get " (2)", " (3)"... appended to their name when they are imported.
+     */
+    function addFeature(result, type, parts, props) {
+        parts.forEach(function(coords, i) {
+            if (type === 'Polygon' && coords.length < 3) return;
+            if (type === 'LineString' && coords.length < 2) return;
+            if (type === 'Point' && coords.length < 2) return;
+            result.features.push({ type: type, coords: coords, properties: props, part: parts.length > 1 ? i + 1 : 0 });
+        });
+    }
+
+    function openRing(ring) {
+        if (ring.length > 1 && ring[0][0] === ring[ring.length - 1][0] && ring[0][1] === ring[ring.length - 1][1]) {
+            return ring.slice(0, -1);
+        }
+        return ring;
+    }
+
+    // ===== IMPORT =====
+
+    /**
+     * Read a GeoJSON / KML file from a file input and show the preview.
+     * @param {Event} event - File input change event
+     */
+    function load(event) {
+        var file = event.target.files[0];
+        if (!file) return;
+        var reader = new FileReader();
+        reader.onload = function(e) {
+            readFile(e.target.result, file.name);
+            event.target.value = '';
+        };
+        reader.readAsText(file);
+    }
+
+    /**
+     * Parse a file's text and preview it (also used by load()).
+     * @param {string} text
+     * @param {string} fileName
+     */
+    function readFile(text, fileName) {
+        message = null;
+        error = null;
+        pending = null;
+        try {
+            var parsed = parse(text, fileName);
+            if (parsed.features.length === 0) throw new Error('No Polygon, LineString or Point features in ' + fileName);
+            var keys = [];
+            parsed.features.forEach(function(f) {
+                Object.keys(f.properties).forEach(function(k) {
+                    if (keys.indexOf(k) < 0 && typeof f.properties[k] !== 'object') keys.push(k);
+                });
+            });
+            pending = { fileName: fileName, features: parsed.features, skipped: parsed.skipped, holes: parsed.holes, keys: keys };
+            options.nameField = pickField(keys, [/^name$/i, /name|label|title/i, /^id$/i]);
+            options.categoryField = pickField(keys, [/^category$/i, /categ|class|type|use/i]);
+        } catch (e) {
+            error = e.message;
+        }
+        open();
+    }
+
+    function pickField(keys, patterns) {
+        for (var i = 0; i < patterns.length; i++) {
+            var hit = keys.filter(function(k) { return patterns[i].test(k); })[0];
+            if (hit) return hit;
+        }
+        return '';
+    }
+
+    /**
+     * Change an import option from the preview.
+     * @param {string} key - 'mode' | 'nameField' | 'categoryField' | 'defaultCategory'
+     * @param {string} value
+     */
+    function setOption(key, value) {
+        options[key] = value;
+        render();
+    }
+
+    /**
+     * Name of an imported feature from the name attribute (or the file name
+     * and position), with the part number of multi-geometries.
+     */
+    function featureName(f, i) {
+        var v = options.nameField ? f.properties[options.nameField] : null;
+        var name = v !== null && v !== undefined && String(v).trim() !== ''
+            ? String(v).trim()
+            : pending.fileName.replace(/\.[^.]+$/, '') + ' ' + (i + 1);
+        return f.part > 1 ? name + ' (' + f.part + ')' : name;
+    }
+
+    /**
+     * Polygon category of an imported feature: the category whose key or
+     * label matches the category attribute (or starts it, e.g. "Excavation
+     * area 3"), otherwise the chosen default.
+     */
+    function featureCategory(f) {
+        var v = options.categoryField ? f.properties[options.categoryField] : null;
+        if (v === null || v === undefined) return options.defaultCategory;
+        v = String(v).trim().toLowerCase();
+        var categories = AppConfig.polygonCategories;
+        var hit = Object.keys(categories).filter(function(key) {
+            var label = categories[key].label.toLowerCase();
+            return v === key.toLowerCase() || v === label || v.indexOf(label.split(' ')[0]) === 0;
+        })[0];
+        return hit || options.defaultCategory;
+    }
+
+    /**
+     * Color of an imported polygon from its color attribute (as exported),
+     * or undefined for the category color.
+     */
+    function featureColor(f) {
+        var key = Object.keys(f.properties).filter(function(k) { return /^colou?r$/i.test(k); })[0];
+        var v = key ? String(f.properties[key]).trim() : null;
+        return Utils.isHexColor(v) ? v : undefined;
+    }
+
+    /**
+     * Import the previewed file: polygons as analysis polygons or as a
+     * reference layer (lines and points are always reference).
+     */
+    function confirmImport() {
+        if (!pending) return;
+        var analysis = [];
+        var reference = [];
+        pending.features.forEach(function(f, i) {
+            var item = { feature: f, name: featureName(f, i), category: featureCategory(f) };
+            if (options.mode === 'analysis' && f.type === 'Polygon') analysis.push(item);
+            else reference.push(item);
+        });
+
+        var added = PolygonModule.addPolygons(analysis.map(function(item) {
+            return {
+                name: item.name,
+                category: item.category,
+                color: featureColor(item.feature),
+                vertices: item.feature.coords.map(function(c) { return L.latLng(c[0], c[1]); }),
+                attributes: item.feature.properties
+            };
+        }));
+        var bounds = L.latLngBounds([]);
+        added.forEach(function(poly) { bounds.extend(L.latLngBounds(poly.vertices)); });
+        if (reference.length > 0) {
+            var layer = drawReference(reference);
+            references.push({ fileName: pending.fileName, count: reference.length, layer: layer });
+            bounds.extend(layer.getBounds());
+        }
+        if (bounds.isValid()) AppState.map.fitBounds(bounds, { padding: [40, 40] });
+
+        var parts = [];
+        if (added.length > 0) parts.push(added.length + ' analysis polygon' + (added.length === 1 ? '' : 's'));
+        if (reference.length > 0) parts.push(reference.length + ' reference feature' + (reference.length === 1 ? '' : 's'));
+        message = 'Imported ' + parts.join(' and ') + ' from ' + pending.fileName + '.';
+        pending = null;
+        render();
+    }
+
+    function cancelImport() {
+        pending = null;
+        error = null;
+        render();
+    }
+
+    /**
+     * Draw reference features (not analyzed) with their attributes in a popup.
+     * @returns {L.FeatureGroup}
+     */
+    function drawReference(items) {
+        var group = L.featureGroup().addTo(AppState.map);
+        items.forEach(function(item) {
+            var f = item.feature;
+            var style = { color: REFERENCE_COLOR, weight: 2, dashArray: '4, 4', opacity: 0.9, className: 'gis-reference' };
+            var layer;
+            if (f.type === 'Point') {
+                layer = L.circleMarker(f.coords, { radius: 5, color: REFERENCE_COLOR, weight: 2, fillColor: '#fff', fillOpacity: 0.9, className: 'gis-reference' });
+            } else if (f.type === 'LineString') {
+                layer = L.polyline(f.coords, style);
+            } else {
+                style.fillColor = REFERENCE_COLOR;
+                style.fillOpacity = 0.08;
+                layer = L.polygon(f.coords, style);
+            }
+            layer.bindPopup(referencePopup(item));
+            layer.addTo(group);
+        });
+        return group;
+    }
+
+    function referencePopup(item) {
+        var props = item.feature.properties;
+        var rows = Object.keys(props).filter(function(k) { return typeof props[k] !== 'object'; }).map(function(k) {
+            return '<tr><td>' + Utils.escapeHtml(k) + '</td><td>' + Utils.escapeHtml(props[k]) + '</td></tr>';
+        }).join('');
+        return '<b>' + Utils.escapeHtml(item.name) + '</b> <span class="gis-muted">(reference ' + item.feature.type + ')</span>' +
+            (rows ? '<table class="gis-attributes">' + rows + '</table>' : '');
+    }
+
+    /**
+     * Remove an imported reference layer.
+     * @param {number} index - Position in the list
+     */
+    function removeReference(index) {
+        var ref = references[index];
+        if (!ref) return;
+        AppState.map.removeLayer(ref.layer);
+        references.splice(index, 1);
+        render();
+    }
+
+    // ===== EXPORT =====
+
+    /**
+     * GeoJSON features of one layer, with every attribute as a property.
+     * @param {string} key - See LAYERS
+     * @returns {Array}
+     */
+    function layerFeatures(key) {
+        var date = new Date().toISOString().slice(0, 10);
+        function feature(geometry, properties) {
+            return { type: 'Feature', properties: properties, geometry: geometry };
+        }
+
+        if (key === 'planned') {
+            return AppState.plannedPoints.map(function(p) {
+                return feature({ type: 'Point', coordinates: [p.lon, p.lat] }, {
+                    layer: 'planned_point',
+                    id: p.id,
+                    type: p.type,
+                    type_label: AppConfig.pointTypes[p.type] ? AppConfig.pointTypes[p.type].label : p.type,
+                    depth: p.depth || 'Shallow',
+                    note: p.note || '',
+                    color: p.color,
+                    exported: date
+                });
+            });
+        }
+
+        if (key === 'polygons') {
+            return AppState.polygons.map(function(poly) {
+                var area = PolygonModule.calculateAreaSqFt(poly.vertices);
+                var props = {};
+                Object.keys(poly.attributes || {}).forEach(function(k) { props[k] = poly.attributes[k]; });
+                props.layer = 'polygon';
+                props.polygon_id = poly.id;
+                props.name = poly.name;
+                props.category = poly.category;
+                props.category_label = AppConfig.polygonCategories[poly.category].label;
+                props.color = poly.color;
+                props.area_sq_ft = Math.round(area);
+                props.area_acres = Number((area / SQ_FT_PER_ACRE).toFixed(3));
+                var ring = poly.vertices.map(function(v) { return [v.lng, v.lat]; });
+                ring.push(ring[0]);
+                return feature({ type: 'Polygon', coordinates: [ring] }, props);
+            });
+        }
+
+        if (key === 'transect') {
+            var t = CrossSectionModule.getTransect();
+            if (!t) return [];
+            return [feature({ type: 'LineString', coordinates: t.points.map(function(v) { return [v.lng, v.lat]; }) }, {
+                layer: 'transect',
+                name: 'Transect',
+                length_ft: Math.round(t.lengthFt),
+                corridor_width_ft: t.corridorWidthFt
+            })];
+        }
+
+        var kind = key === 'gaps' ? 'gap' : 'hotzone';
+        var grid = AnalysisModule.getGrid(kind);
+        if (!grid) return [];
+        var horizon = DataModule.getHorizon().label;
+        var t2 = kind === 'hotzone' ? AppConfig.thresholds[grid.analyte] : null;
+        return grid.cells.filter(Boolean).map(function(cell) {
+            var props = {
+                layer: kind === 'gap' ? 'data_gap' : 'hot_zone',
+                cell_id: 'R' + cell.row + 'C' + cell.col,
+                'class': cell.label,
+                samples_within: cell.count,
+                radius_ft: grid.radiusFt,
+                horizon: horizon
+            };
+            if (kind === 'gap') {
+                props.sample_ids = cell.ids.join(' ');
+                props.planned_ids = cell.plannedIds.join(' ');
+            } else {
+                props.analyte = grid.analyte;
+                props.abbrev = t2 ? t2.abbrev : grid.analyte;
+                props.unit = grid.unit;
+                props.max_value = cell.maxValue;
+                props.max_sample_id = cell.maxId;
+                props.sample_ids = cell.ids.join(' ');
+            }
+            props.color = cell.color;
+            var s = cell.lat - grid.cellLat / 2;
+            var n = cell.lat + grid.cellLat / 2;
+            var w = cell.lon - grid.cellLon / 2;
+            var e = cell.lon + grid.cellLon / 2;
+            return feature({ type: 'Polygon', coordinates: [[[w, s], [e, s], [e, n], [w, n], [w, s]]] }, props);
+        });
+    }
+
+    /**
+     * The selected layers as one GeoJSON FeatureCollection.
+     * @param {string[]} [keys] - Layers (default: every layer with features)
+     * @returns {Object}
+     */
+    function toGeoJSON(keys) {
+        var features = [];
+        (keys || LAYERS.map(function(l) { return l.key; })).forEach(function(key) {
+            features = features.concat(layerFeatures(key));
+        });
+        return { type: 'FeatureCollection', features: features };
+    }
+
+    /**
+     * The selected layers as a KML document, one folder per layer; every
+     * attribute is written as ExtendedData (objects and arrays as JSON).
+     * @param {string[]} [keys]
+     * @returns {string}
+     */
+    function toKML(keys) {
+        var out = ['<?xml version="1.0" encoding="UTF-8"?>',
+            '<kml xmlns="http://www.opengis.net/kml/2.2"><Document><name>SBMM Planning Tool</name>'];
+        (keys || LAYERS.map(function(l) { return l.key; })).forEach(function(key) {
+            var features = layerFeatures(key);
+            if (features.length === 0) return;
+            var label = LAYERS.filter(function(l) { return l.key === key; })[0].label;
+            out.push('<Folder><name>' + escapeXml(label) + '</name>');
+            features.forEach(function(f) { out.push(placemark(f)); });
+            out.push('</Folder>');
+        });
+        out.push('</Document></kml>');
+        return out.join('\n') + '\n';
+    }
+
+    function placemark(f) {
+        var p = f.properties;
+        var name = p.name || p.id || p.cell_id || '';
+        var data = Object.keys(p).map(function(k) {
+            var v = p[k] !== null && typeof p[k] === 'object' ? JSON.stringify(p[k]) : p[k];
+            return '<Data name="' + escapeXml(k) + '"><value>' + escapeXml(v) + '</value></Data>';
+        }).join('');
+        return '<Placemark><name>' + escapeXml(name) + '</name>' + kmlStyle(f) +
+            '<ExtendedData>' + data + '</ExtendedData>' + kmlGeometry(f.geometry) + '</Placemark>';
+    }
+
+    function kmlStyle(f) {
+        var color = /^#[0-9a-f]{6}$/i.test(f.properties.color) ? f.properties.color : REFERENCE_COLOR;
+        var bgr = color.slice(5, 7) + color.slice(3, 5) + color.slice(1, 3);
+        if (f.geometry.type === 'Point') {
+            return '<Style><IconStyle><color>ff' + bgr + '</color></IconStyle></Style>';
+        }
+        return '<Style><LineStyle><color>ff' + bgr + '</color><width>2</width></LineStyle>' +
+            '<PolyStyle><color>40' + bgr + '</color></PolyStyle></Style>';
+    }
+
+    function kmlGeometry(g) {
+        function coords(list) {
+            return '<coordinates>' + list.map(function(c) { return c[0] + ',' + c[1]; }).join(' ') + '</coordinates>';
+        }
+        if (g.type === 'Point') return '<Point>' + coords([g.coordinates]) + '</Point>';
+        if (g.type === 'LineString') return '<LineString>' + coords(g.coordinates) + '</LineString>';
+        return '<Polygon><outerBoundaryIs><LinearRing>' + coords(g.coordinates[0]) + '</LinearRing></outerBoundaryIs></Polygon>';
+    }
+
+    /**
+     * Download the layers ticked in the panel.
+     * @param {string} format - 'geojson' | 'kml'
+     */
+    function exportLayers(format) {
+        var keys = LAYERS.map(function(l) { return l.key; }).filter(function(key) {
+            var box = panelEl ? panelEl.querySelector('#gis-export-' + key) : null;
+            return box ? box.checked : true;
+        });
+        if (toGeoJSON(keys).features.length === 0) {
+            alert('Nothing to export in the selected layers.');
+            return;
+        }
+        var date = new Date().toISOString().slice(0, 10);
+        if (format === 'kml') {
+            Utils.downloadFile(toKML(keys), 'application/vnd.google-earth.kml+xml', 'SBMM_GIS_' + date + '.kml');
+        } else {
+            Utils.downloadFile(JSON.stringify(toGeoJSON(keys), null, 1), 'application/geo+json',
+                'SBMM_GIS_' + date + '.geojson');
+        }
+    }
+
+    // ===== PANEL =====
+
+    /**
+     * Open the import / export panel.
+     */
+    function open() {
+        render();
+    }
+
+    function close() {
+        if (panelEl) panelEl.style.display = 'none';
+    }
+
+    function render() {
+        var html = '<div class="edd-header"><h4>GIS Import / Export</h4>' +
+            '<button class="edd-close" onclick="GISModule.close()">\u00d7</button></div>';
+
+        html += '<h5 class="gis-heading">Import GeoJSON / KML</h5>' +
+            '<div class="edd-file">Polygons, lines and points in WGS84 longitude / latitude. ' +
+            'Polygons can become analysis polygons; everything else is drawn as a reference layer.</div>' +
+            '<div class="edd-actions"><label class="gis-file-btn">Choose file\u2026' +
+            '<input type="file" id="gis-upload" accept=".geojson,.json,.kml" style="display:none;" onchange="GISModule.load(event)"></label></div>';
+        if (error) html += '<div class="edd-error-list"><ul><li>' + Utils.escapeHtml(error) + '</li></ul></div>';
+        if (message) html += '<div class="edd-file gis-message">' + Utils.escapeHtml(message) + '</div>';
+        if (pending) html += renderPreview();
+
+        if (references.length > 0) {
+            html += '<div class="gis-references">' + references.map(function(ref, i) {
+                return '<div>' + Utils.escapeHtml(ref.fileName) + ' (' + ref.count + ' reference features) ' +
+                    '<button onclick="GISModule.removeReference(' + i + ')">Remove</button></div>';
+            }).join('') + '</div>';
+        }
+
+        html += '<h5 class="gis-heading">Export</h5><div class="gis-layers">';
+        LAYERS.forEach(function(l) {
+            var n = layerFeatures(l.key).length;
+            var unit = l.key === 'gaps' || l.key === 'hotzones' ? ' cells' : '';
+            html += '<label><input type="checkbox" id="gis-export-' + l.key + '" checked> ' +
+                l.label + ' (' + (n > 0 ? n + unit : l.key === 'gaps' || l.key === 'hotzones' ? 'off' : 'none') + ')</label>';
+        });
+        html += '</div><div class="edd-actions">' +
+            '<button onclick="GISModule.exportLayers(\'geojson\')">Export GeoJSON</button>' +
+            '<button onclick="GISModule.exportLayers(\'kml\')">Export KML</button></div>' +
+            '<div class="edd-file">All attributes are kept (KML as ExtendedData); grid cells are written as squares.</div>';
+        panelEl = Utils.showPanel(panelEl, 'gisPanel', 'edd-panel gis-panel', html);
+    }
+
+    function renderPreview() {
+        var counts = {};
+        pending.features.forEach(function(f) { counts[f.type] = (counts[f.type] || 0) + 1; });
+        var categories = AppConfig.polygonCategories;
+
+        function fieldSelect(key, blank) {
+            return '<select onchange="GISModule.setOption(\'' + key + '\', this.value)">' +
+                '<option value="">' + blank + '</option>' +
+                pending.keys.map(function(k) {
+                    return '<option value="' + Utils.escapeHtml(k) + '"' + (options[key] === k ? ' selected' : '') + '>' + Utils.escapeHtml(k) + '</option>';
+                }).join('') + '</select>';
+        }
+
+        var html = '<div class="edd-file"><b>' + Utils.escapeHtml(pending.fileName) + '</b>: ' +
+            Object.keys(counts).map(function(t) { return counts[t] + ' ' + t; }).join(', ') +
+            (pending.skipped > 0 ? '; ' + pending.skipped + ' unsupported or empty skipped' : '') +
+            (pending.holes > 0 ? '; ' + pending.holes + ' polygon holes dropped' : '') + '</div>';
+
+        html += '<div class="blockmodel-settings gis-options">' +
+            '<label>Import polygons as <select onchange="GISModule.setOption(\'mode\', this.value)">' +
+            '<option value="analysis"' + (options.mode === 'analysis' ? ' selected' : '') + '>Analysis polygons</option>' +
+            '<option value="reference"' + (options.mode === 'reference' ? ' selected' : '') + '>Reference layer</option></select></label>' +
+            '<label>Name from ' + fieldSelect('nameField', '(file name + number)') + '</label>' +
+            '<label>Category from ' + fieldSelect('categoryField', '(none)') + '</label>' +
+            '<label>Other categories <select onchange="GISModule.setOption(\'defaultCategory\', this.value)">' +
+            Object.keys(categories).map(function(key) {
+                return '<option value="' + key + '"' + (options.defaultCategory === key ? ' selected' : '') + '>' + categories[key].label + '</option>';
+            }).join('') + '</select></label></div>';
+
+        html += '<div class="edd-table-wrap"><table class="edd-table"><thead><tr><th>Geometry</th><th>Name</th><th>Imported as</th></tr></thead><tbody>';
+        pending.features.slice(0, PREVIEW_ROWS).forEach(function(f, i) {
+            var asPolygon = options.mode === 'analysis' && f.type === 'Polygon';
+            html += '<tr><td>' + f.type + '</td><td>' + Utils.escapeHtml(featureName(f, i)) + '</td><td>' +
+                (asPolygon ? categories[featureCategory(f)].label : 'Reference') + '</td></tr>';
+        });
+        html += '</tbody></table></div>';
+        if (pending.features.length > PREVIEW_ROWS) {
+            html += '<div class="edd-file">\u2026 and ' + (pending.features.length - PREVIEW_ROWS) + ' more</div>';
+        }
+        html += '<div class="edd-actions"><button class="edd-apply" onclick="GISModule.confirmImport()">Import</button>' +
+            '<button onclick="GISModule.cancelImport()">Cancel</button></div>';
+        return html;
+    }
+
+    function escapeXml(str) {
+        return Utils.escapeHtml(str).replace(/'/g, '&apos;');
+    }
+
+    return {
+        open: open,
+        close: close,
+        load: load,
+        readFile: readFile,
+        setOption: setOption,
+        confirmImport: confirmImport,
+        cancelImport: cancelImport,
+        removeReference: removeReference,
+        exportLayers: exportLayers,
+        parse: parse,
+        toGeoJSON: toGeoJSON,
+        toKML: toKML
+    };
+})();
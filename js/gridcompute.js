@@ -0,0 +1,639 @@
+/**
+ * SBMM Planning Tool - Grid Computation
+ *
+ * The numeric work behind the contour, data gap and hot zone grids. Nothing
+ * here touches the DOM, the map, AppState or DataModule, so the same code
+ * runs in the grid worker (js/gridworker.js, through ComputeModule) and, where
+ * workers are unavailable, on the page. Jobs and results are plain objects
+ * so they can be copied to and from the worker.
+ *
+ *   contourGrid(job)  - IDW or kriging estimate for each cell in the buffered hull
+ *   simulationGrid(job) - exceedance frequency over Gaussian simulations on the same cells
+ *   gapGrid(job)      - samples and planned points within the grid size of each cell
+ *   hotZoneGrid(job)  - highest result within the grid size of each cell
+ *
+ * Each task takes an optional progress(done, total) callback, called after
+ * every grid row. Samples near each cell are found through a spatial index
+ * built for the job (SpatialIndexModule.create).
+ */
+var GridComputeModule = (function() {
+    'use strict';
+
+    var conv = AppConfig.coordConversion;
+
+    var BOUNDS_BUFFER_DEG = 0.0005; // Degree buffer on min/max lat/lon grid bounds
+    var MAX_GRID_CELLS = 1000;      // Contour grid cells per side; coarser grids are not refined past this
+    var EARTH_RADIUS_M = 6371000;   // As L.CRS.Earth, so distances match LatLng.distanceTo
+
+    // ================================================================
+    //  Contour Grid
+    // ================================================================
+
+    /**
+     * Interpolate sample values on the contour grid.
+     *
+     * Steps:
+     *   1. Lay out the grid and the buffered convex hull (gridFrame)
+     *   2. For each grid cell inside the buffered hull, run IDW or kriging
+     *
+     * @param {Object} job
+     * @param {Array} job.points - At least 3 { lat, lon, value }
+     * @param {Object} job.settings - ContourModule.getSettings: contour settings
+     *     plus { method, variogram }
+     * @param {boolean} [job.stddev] - Kriging std. dev. instead of the estimate
+     * @param {Function} [progress] - progress(rowsDone, rows)
+     * @returns {Object} { values (row-major from the top row, null outside
+     *     the hull or search radius), rows, cols, minLat, maxLat, minLon, maxLon,
+     *     cellLat, cellLon, stddev, krigingFailed }
+     */
+    function contourGrid(job, progress) {
+        var points = job.points;
+        var settings = job.settings;
+        var frame = gridFrame(points, settings.gridFt, settings.hullBufferFt);
+        var rows = frame.rows;
+        var cols = frame.cols;
+
+        // --- Estimator: ordinary kriging, or IDW ---
+        var origin = points[0];
+        var kriging = null;
+        if (settings.method === 'kriging' && settings.variogram) {
+            kriging = KrigingModule.train(toLocalFeet(points, origin), settings.variogram);
+        }
+        var showSD = !!kriging && !!job.stddev;
+        var index = kriging ? null : SpatialIndexModule.create(points);
+
+        // --- Estimate each cell inside the buffered convex hull ---
+        var values = [];
+        for (var row = 0; row < rows; row++) {
+            // Canvas row 0 is the top (maxLat), row N is the bottom (minLat)
+            var lat = frame.maxLat - (row + 0.5) * frame.cellLat;
+
+            for (var col = 0; col < cols; col++) {
+                var lon = frame.minLon + (col + 0.5) * frame.cellLon;
+
+                // Only interpolate within the buffered convex hull
+                if (!pointInConvexHull(lat, lon, frame.hull)) {
+                    values.push(null);
+                    continue;
+                }
+
+                var value;
+                if (kriging) {
+                    var xy = feetFrom(origin, lat, lon);
+                    var est = kriging.predict(xy.x, xy.y);
+                    value = showSD ? Math.sqrt(est.variance) : Math.max(0, est.value);
+                } else {
+                    value = computeIDW(lat, lon, points, settings, index);
+                }
+                values.push(value);
+            }
+            if (progress) progress(row + 1, rows);
+        }
+
+        return {
+            values: values,
+            rows: rows,
+            cols: cols,
+            minLat: frame.minLat,
+            maxLat: frame.maxLat,
+            minLon: frame.minLon,
+            maxLon: frame.maxLon,
+            cellLat: frame.cellLat,
+            cellLon: frame.cellLon,
+            stddev: showSD,
+            krigingFailed: settings.method === 'kriging' && !kriging
+        };
+    }
+
+    /**
+     * Cells of the contour grid: the sample extent (with degree buffer) in
+     * square cells, and the convex hull of the samples expanded by a buffer
+     * that clips it.
+     * @param {Array} points - { lat, lon }
+     * @param {number} gridFt - Cell size
+     * @param {number} hullBufferFt
+     * @returns {Object} { rows, cols, minLat, maxLat, minLon, maxLon, cellLat,
+     *     cellLon, hull }
+     */
+    function gridFrame(points, gridFt, hullBufferFt) {
+        // --- Grid bounds from sample extents ---
+        var b = extent(points);
+
+        // --- Grid cell sizes in degrees ---
+        var gridMeters = gridFt * conv.feetToMeters;
+        var cellLat = gridMeters / conv.metersPerDegLat;
+        var cellLon = gridMeters / conv.metersPerDegLon;
+
+        // --- Grid dimensions (pixels) ---
+        var cols = Math.ceil((b.maxLon - b.minLon) / cellLon);
+        var rows = Math.ceil((b.maxLat - b.minLat) / cellLat);
+
+        // Safety clamp for very large grids
+        if (cols > MAX_GRID_CELLS) cols = MAX_GRID_CELLS;
+        if (rows > MAX_GRID_CELLS) rows = MAX_GRID_CELLS;
+
+        // --- Convex hull with buffer for spatial clipping ---
+        var hull = computeConvexHull(points);
+        return {
+            rows: rows,
+            cols: cols,
+            minLat: b.minLat,
+            maxLat: b.maxLat,
+            minLon: b.minLon,
+            maxLon: b.maxLon,
+            cellLat: cellLat,
+            cellLon: cellLon,
+            hull: bufferConvexHull(hull, hullBufferFt * conv.feetToMeters)
+        };
+    }
+
+    // ================================================================
+    //  Simulation Grid
+    // ================================================================
+
+    /**
+     * Sequential Gaussian simulation of the samples on the contour grid
+     * (GaussianSimModule): the frequency with which each cell exceeds a
+     * level over the realizations, and the number of cells above it in each
+     * realization.
+     *
+     * @param {Object} job
+     * @param {Array} job.points - At least 3 { lat, lon, value }
+     * @param {number} job.level - Exceedance level, in the units of the values
+     * @param {Object} job.variogram - Variogram of the normal scores
+     * @param {Object} job.settings - { realizations, seed, maxNeighbors, gridFt, hullBufferFt }
+     * @param {Function} [progress] - progress(realizationsDone, realizations)
+     * @returns {Object} { values (exceedance frequency 0-1, row-major from the
+     *     top row, null outside the hull), rows, cols, minLat, maxLat, minLon,
+     *     maxLon, cellLat, cellLon, exceeding (cells above the level per
+     *     realization), realizations, seed }
+     */
+    function simulationGrid(job, progress) {
+        var points = job.points;
+        var settings = job.settings;
+        var frame = gridFrame(points, settings.gridFt, settings.hullBufferFt);
+
+        var ns = GaussianSimModule.normalScores(points.map(function(p) { return p.value; }));
+        var origin = points[0];
+        var data = points.map(function(p, i) {
+            var xy = feetFrom(origin, p.lat, p.lon);
+            return { x: xy.x, y: xy.y, score: ns.scores[i] };
+        });
+
+        var inside = [];
+        for (var row = 0; row < frame.rows; row++) {
+            var lat = frame.maxLat - (row + 0.5) * frame.cellLat;
+            for (var col = 0; col < frame.cols; col++) {
+                inside.push(pointInConvexHull(lat, frame.minLon + (col + 0.5) * frame.cellLon, frame.hull));
+            }
+        }
+        var topLeft = feetFrom(origin, frame.maxLat - 0.5 * frame.cellLat, frame.minLon + 0.5 * frame.cellLon);
+
+        var sim = GaussianSimModule.simulate({
+            data: data,
+            grid: {
+                cols: frame.cols,
+                rows: frame.rows,
+                x0: topLeft.x,
+                y0: topLeft.y,
+                dx: frame.cellLon * conv.metersPerDegLon / conv.feetToMeters,
+                dy: frame.cellLat * conv.metersPerDegLat / conv.feetToMeters,
+                inside: inside
+            },
+            variogram: job.variogram,
+            realizations: settings.realizations,
+            seed: settings.seed,
+            maxNeighbors: settings.maxNeighbors,
+            cutoffScore: GaussianSimModule.scoreOf(ns.table, job.level)
+        }, progress);
+
+        return {
+            values: sim.counts.map(function(c) { return c === null ? null : c / settings.realizations; }),
+            rows: frame.rows,
+            cols: frame.cols,
+            minLat: frame.minLat,
+            maxLat: frame.maxLat,
+            minLon: frame.minLon,
+            maxLon: frame.maxLon,
+            cellLat: frame.cellLat,
+            cellLon: frame.cellLon,
+            exceeding: sim.exceeding,
+            realizations: settings.realizations,
+            seed: settings.seed
+        };
+    }
+
+    // ================================================================
+    //  Gap and Hot Zone Grids
+    // ================================================================
+
+    /**
+     * Count samples and planned points within the grid size of each cell.
+     * @param {Object} job
+     * @param {Array} job.samples - Sampled surface locations { lat, lon, id }
+     * @param {Array} job.planned - Planned points { lat, lon, id } ([] to leave out)
+     * @param {number} job.gridSizeFt - Cell size and search radius
+     * @param {Function} [progress]
+     * @returns {Object} See buildGrid; cells have { count, ids, plannedIds }
+     */
+    function gapGrid(job, progress) {
+        var sampleIndex = SpatialIndexModule.create(job.samples);
+        var plannedIndex = SpatialIndexModule.create(job.planned);
+
+        return buildGrid(job.samples, job.gridSizeFt, function(lat, lon, radius) {
+            var ids = samplesWithin(sampleIndex, lat, lon, radius).map(function(s) { return s.id; });
+            var plannedIds = samplesWithin(plannedIndex, lat, lon, radius).map(function(p) { return p.id; });
+            return { count: ids.length + plannedIds.length, ids: ids, plannedIds: plannedIds };
+        }, progress);
+    }
+
+    /**
+     * Highest result within the grid size of each cell; cells with no
+     * results are null.
+     * @param {Object} job
+     * @param {Array} job.points - { lat, lon, value, id }
+     * @param {number} job.gridSizeFt - Cell size and search radius
+     * @param {Function} [progress]
+     * @returns {Object} See buildGrid; cells have { count, ids, maxValue, maxId }
+     */
+    function hotZoneGrid(job, progress) {
+        var index = SpatialIndexModule.create(job.points);
+
+        return buildGrid(job.points, job.gridSizeFt, function(lat, lon, radius) {
+            var nearby = samplesWithin(index, lat, lon, radius);
+            if (nearby.length === 0) return null;
+
+            var max = nearby[0];
+            for (var i = 1; i < nearby.length; i++) {
+                if (nearby[i].value > max.value) max = nearby[i];
+            }
+            return {
+                count: nearby.length,
+                ids: nearby.map(function(p) { return p.id; }),
+                maxValue: max.value,
+                maxId: max.id
+            };
+        }, progress);
+    }
+
+    /**
+     * Lay a grid of square cells over the extent of some samples (plus a
+     * small buffer) and evaluate every cell; the search radius equals the
+     * cell size.
+     * @param {Array} extentSamples - Objects with lat, lon (at least one)
+     * @param {number} sizeFt - Cell size
+     * @param {Function} evaluate - (centerLat, centerLon, radius meters) ->
+     *     cell properties, or null to leave the cell empty
+     * @param {Function} [progress]
+     * @returns {Object} { rows, cols, minLat, minLon, cellLat, cellLon,
+     *     radiusFt, cells (row-major from the south-west; null = empty,
+     *     otherwise with row, col, lat, lon of the center) }
+     */
+    function buildGrid(extentSamples, sizeFt, evaluate, progress) {
+        var b = extent(extentSamples);
+        var sizeMeters = sizeFt * conv.feetToMeters;
+        var cellLat = sizeMeters / conv.metersPerDegLat;
+        var cellLon = sizeMeters / conv.metersPerDegLon;
+        var rows = Math.ceil((b.maxLat - b.minLat) / cellLat);
+        var cols = Math.ceil((b.maxLon - b.minLon) / cellLon);
+
+        var cells = [];
+        for (var row = 0; row < rows; row++) {
+            var lat = b.minLat + (row + 0.5) * cellLat;
+            for (var col = 0; col < cols; col++) {
+                var lon = b.minLon + (col + 0.5) * cellLon;
+                var cell = evaluate(lat, lon, sizeMeters);
+                if (cell) {
+                    cell.row = row;
+                    cell.col = col;
+                    cell.lat = lat;
+                    cell.lon = lon;
+                }
+                cells.push(cell);
+            }
+            if (progress) progress(row + 1, rows);
+        }
+
+        return {
+            rows: rows,
+            cols: cols,
+            minLat: b.minLat,
+            minLon: b.minLon,
+            cellLat: cellLat,
+            cellLon: cellLon,
+            radiusFt: sizeFt,
+            cells: cells
+        };
+    }
+
+    /**
+     * Samples within a radius of a point. The spatial index gives the
+     * candidates (planar distance, padded 5% to cover its error); the
+     * great-circle distance decides.
+     * @returns {Array} Indexed items
+     */
+    function samplesWithin(index, lat, lon, radius) {
+        return index.within(lat, lon, radius * 1.05).filter(function(hit) {
+            return distanceMeters(lat, lon, hit.item.lat, hit.item.lon) <= radius;
+        }).map(function(hit) { return hit.item; });
+    }
+
+    /**
+     * Great-circle distance in meters (the haversine used by
+     * L.LatLng.distanceTo).
+     */
+    function distanceMeters(lat1, lon1, lat2, lon2) {
+        var rad = Math.PI / 180;
+        var sinDLat = Math.sin((lat2 - lat1) * rad / 2);
+        var sinDLon = Math.sin((lon2 - lon1) * rad / 2);
+        var a = sinDLat * sinDLat + Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * sinDLon * sinDLon;
+        return EARTH_RADIUS_M * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+
+    /**
+     * Sample extent plus BOUNDS_BUFFER_DEG on every side.
+     */
+    function extent(points) {
+        var lats = points.map(function(p) { return p.lat; });
+        var lons = points.map(function(p) { return p.lon; });
+        return {
+            minLat: Math.min.apply(null, lats) - BOUNDS_BUFFER_DEG,
+            maxLat: Math.max.apply(null, lats) + BOUNDS_BUFFER_DEG,
+            minLon: Math.min.apply(null, lons) - BOUNDS_BUFFER_DEG,
+            maxLon: Math.max.apply(null, lons) + BOUNDS_BUFFER_DEG
+        };
+    }
+
+    // ================================================================
+    //  IDW Interpolation
+    // ================================================================
+
+    /**
+     * Compute the IDW interpolated value at a given coordinate.
+     *
+     * weight = 1 / dist^p = 1 / distSq^(p/2), so the sqrt is never taken;
+     * with p = 2 the weight is simply 1 / distSq.
+     *
+     * If the query point is within 1 meter of a sample, the sample's
+     * exact value is returned (avoids division by near-zero).
+     *
+     * @param {number} lat - Query latitude
+     * @param {number} lon - Query longitude
+     * @param {Array} points - Sample points with lat, lon, value
+     * @param {Object} settings - { power, searchRadiusFt (0 = no limit), minNeighbors,
+     *     maxNeighbors (0 = no limit), sectors (0, 4 or 8) }
+     * @param {Object} [index] - SpatialIndexModule index of the same points;
+     *     with a search radius or a neighbor limit without sectors, only the
+     *     samples it returns are visited
+     * @returns {number|null} Interpolated value, or null with fewer than
+     *     minNeighbors samples in the search neighborhood
+     */
+    function computeIDW(lat, lon, points, settings, index) {
+        var halfPower = settings.power / 2;
+        var radiusM = settings.searchRadiusFt > 0 ? settings.searchRadiusFt * conv.feetToMeters : 0;
+        var radiusSq = radiusM * radiusM;
+        var maxNeighbors = settings.maxNeighbors > 0 ? settings.maxNeighbors : 0;
+        var sectors = maxNeighbors > 0 ? settings.sectors || 0 : 0;
+
+        // Candidates from the index, in input order like a full scan
+        var hits = null;
+        if (index && maxNeighbors > 0 && !sectors) hits = index.nearest(lat, lon, maxNeighbors, radiusM);
+        else if (index && radiusM > 0) hits = index.within(lat, lon, radiusM);
+        if (hits) {
+            points = hits.sort(function(a, b) { return a.order - b.order; })
+                .map(function(hit) { return hit.item; });
+        }
+        var candidates = maxNeighbors > 0 ? [] : null;
+        var numerator = 0;
+        var denominator = 0;
+        var count = 0;
+
+        for (var i = 0; i < points.length; i++) {
+            var dLat = (lat - points[i].lat) * conv.metersPerDegLat;
+            var dLon = (lon - points[i].lon) * conv.metersPerDegLon;
+            var distSq = dLat * dLat + dLon * dLon;
+
+            // Coincident with sample point (within 1m) -- return exact value
+            if (distSq < 1.0) {
+                return points[i].value;
+            }
+            if (radiusSq > 0 && distSq > radiusSq) continue;
+
+            if (candidates) {
+                candidates.push({ distSq: distSq, value: points[i].value, dLat: dLat, dLon: dLon });
+                continue;
+            }
+            var weight = halfPower === 1 ? 1.0 / distSq : 1.0 / Math.pow(distSq, halfPower);
+            numerator += points[i].value * weight;
+            denominator += weight;
+            count++;
+        }
+
+        // Nearest maxNeighbors, at most an even share from each sector
+        if (candidates) {
+            candidates.sort(function(a, b) { return a.distSq - b.distSq; });
+            var perSector = sectors > 0 ? Math.ceil(maxNeighbors / sectors) : maxNeighbors;
+            var used = {};
+            for (var c = 0; c < candidates.length && count < maxNeighbors; c++) {
+                var cand = candidates[c];
+                var sector = sectors > 0 ? sectorOf(-cand.dLat, -cand.dLon, sectors) : 0;
+                used[sector] = (used[sector] || 0) + 1;
+                if (used[sector] > perSector) continue;
+                var w = halfPower === 1 ? 1.0 / cand.distSq : 1.0 / Math.pow(cand.distSq, halfPower);
+                numerator += cand.value * w;
+                denominator += w;
+                count++;
+            }
+        }
+
+        if (count < (settings.minNeighbors || 1) || denominator <= 0) return null;
+        return numerator / denominator;
+    }
+
+    /**
+     * Compass sector of an offset: 0 is north and sectors run clockwise,
+     * each centered on its compass direction (N E S W, or N NE E ... NW).
+     * Shared with the step-out check (StepOutModule).
+     * @param {number} north - Offset north, any unit
+     * @param {number} east - Offset east, same unit
+     * @param {number} sectors - 4 or 8
+     * @returns {number} 0 .. sectors - 1
+     */
+    function sectorOf(north, east, sectors) {
+        var bearing = Math.atan2(east, north);
+        if (bearing < 0) bearing += 2 * Math.PI;
+        var width = 2 * Math.PI / sectors;
+        return Math.floor((bearing + width / 2) / width) % sectors;
+    }
+
+    // ================================================================
+    //  Local Coordinates
+    // ================================================================
+
+    /**
+     * Offset of (lat, lon) from an origin point, in feet.
+     */
+    function feetFrom(origin, lat, lon) {
+        return {
+            x: (lon - origin.lon) * conv.metersPerDegLon / conv.feetToMeters,
+            y: (lat - origin.lat) * conv.metersPerDegLat / conv.feetToMeters
+        };
+    }
+
+    /**
+     * Sample points in local feet, as used by KrigingModule.
+     * @returns {Array<{x: number, y: number, value: number}>}
+     */
+    function toLocalFeet(points, origin) {
+        return points.map(function(p) {
+            var xy = feetFrom(origin, p.lat, p.lon);
+            return { x: xy.x, y: xy.y, value: p.value };
+        });
+    }
+
+    // ================================================================
+    //  Convex Hull -- Andrew's Monotone Chain Algorithm
+    // ================================================================
+
+    /**
+     * Compute the convex hull of a set of points.
+     * Returns vertices in counter-clockwise order.
+     *
+     * @param {Array<{lat: number, lon: number}>} points
+     * @returns {Array<{lat: number, lon: number}>} Hull vertices (CCW)
+     */
+    function computeConvexHull(points) {
+        if (points.length < 3) return points.slice();
+
+        // Sort by longitude (x), then by latitude (y)
+        var sorted = points.slice().sort(function(a, b) {
+            return a.lon !== b.lon ? a.lon - b.lon : a.lat - b.lat;
+        });
+
+        // Build lower hull (left to right, keeping only left turns)
+        var lower = [];
+        for (var i = 0; i < sorted.length; i++) {
+            while (lower.length >= 2 &&
+                cross2D(lower[lower.length - 2], lower[lower.length - 1], sorted[i]) <= 0) {
+                lower.pop();
+            }
+            lower.push(sorted[i]);
+        }
+
+        // Build upper hull (right to left, keeping only left turns)
+        var upper = [];
+        for (var j = sorted.length - 1; j >= 0; j--) {
+            while (upper.length >= 2 &&
+                cross2D(upper[upper.length - 2], upper[upper.length - 1], sorted[j]) <= 0) {
+                upper.pop();
+            }
+            upper.push(sorted[j]);
+        }
+
+        // Remove last vertex of each half (duplicated as first of the other)
+        lower.pop();
+        upper.pop();
+
+        return lower.concat(upper);
+    }
+
+    /**
+     * 2D cross product of vectors OA and OB (treating lon as x, lat as y).
+     * Positive result means counter-clockwise (left) turn.
+     */
+    function cross2D(O, A, B) {
+        return (A.lon - O.lon) * (B.lat - O.lat) - (A.lat - O.lat) * (B.lon - O.lon);
+    }
+
+    /**
+     * Expand a convex hull outward by a buffer distance (in meters).
+     *
+     * Each vertex is pushed radially outward from the hull centroid
+     * by the buffer amount, using proper meters-to-degrees conversion.
+     *
+     * @param {Array} hull - Convex hull vertices
+     * @param {number} bufferMeters - Buffer distance in meters
+     * @returns {Array} Expanded hull vertices
+     */
+    function bufferConvexHull(hull, bufferMeters) {
+        if (hull.length < 3) return hull;
+
+        // Compute centroid of hull
+        var centLat = 0;
+        var centLon = 0;
+        for (var i = 0; i < hull.length; i++) {
+            centLat += hull[i].lat;
+            centLon += hull[i].lon;
+        }
+        centLat /= hull.length;
+        centLon /= hull.length;
+
+        // Buffer distance in degrees (per axis)
+        var bufLat = bufferMeters / conv.metersPerDegLat;
+        var bufLon = bufferMeters / conv.metersPerDegLon;
+
+        var buffered = [];
+        for (var j = 0; j < hull.length; j++) {
+            var dLat = hull[j].lat - centLat;
+            var dLon = hull[j].lon - centLon;
+
+            // Normalize direction in meter-space for uniform buffer
+            var dLatM = dLat * conv.metersPerDegLat;
+            var dLonM = dLon * conv.metersPerDegLon;
+            var dist = Math.sqrt(dLatM * dLatM + dLonM * dLonM);
+
+            if (dist < 0.001) {
+                buffered.push({ lat: hull[j].lat, lon: hull[j].lon });
+                continue;
+            }
+
+            // Push vertex outward along the centroid->vertex direction
+            buffered.push({
+                lat: hull[j].lat + (dLatM / dist) * bufLat,
+                lon: hull[j].lon + (dLonM / dist) * bufLon
+            });
+        }
+
+        return buffered;
+    }
+
+    /**
+     * Test whether a point lies inside a convex polygon.
+     *
+     * For a CCW-wound polygon, an interior point is to the left of every
+     * directed edge.  The cross product of (edge direction) x (edge-to-point)
+     * is positive for left-side points.  Any negative cross product means
+     * the point is outside.
+     *
+     * @param {number} lat
+     * @param {number} lon
+     * @param {Array} hull - CCW-ordered convex hull vertices
+     * @returns {boolean}
+     */
+    function pointInConvexHull(lat, lon, hull) {
+        var n = hull.length;
+        if (n < 3) return false;
+
+        for (var i = 0; i < n; i++) {
+            var j = (i + 1) % n;
+            var cross = (hull[j].lon - hull[i].lon) * (lat - hull[i].lat) -
+                        (hull[j].lat - hull[i].lat) * (lon - hull[i].lon);
+            if (cross < 0) return false;
+        }
+        return true;
+    }
+
+    return {
+        contourGrid: contourGrid,
+        simulationGrid: simulationGrid,
+        gapGrid: gapGrid,
+        hotZoneGrid: hotZoneGrid,
+        computeIDW: computeIDW,
+        sectorOf: sectorOf,
+        feetFrom: feetFrom,
+        toLocalFeet: toLocalFeet,
+        computeConvexHull: computeConvexHull,
+        bufferConvexHull: bufferConvexHull,
+        pointInConvexHull: pointInConvexHull
+    };
+})();
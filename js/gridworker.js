@@ -0,0 +1,37 @@
+/**
+ * SBMM Planning Tool - Grid Worker
+ *
+ * Web Worker entry used by ComputeModule. Runs one GridComputeModule task
+ * per message off the UI thread and posts progress and the result back.
+ * A job is cancelled by terminating the worker.
+ *
+ *   in:  { id, task, job }
+ *   out: { id, type: 'progress', done, total }
+ *        { id, type: 'result', result }
+ *        { id, type: 'error', message }
+ */
+importScripts('config.js', 'spatialindex.js', 'stats.js', 'kriging.js', 'gaussiansim.js', 'gridcompute.js');
+
+(function() {
+    'use strict';
+
+    self.onmessage = function(e) {
+        var msg = e.data;
+        var lastPct = -1;
+
+        // Post progress only when the whole percentage changes
+        function progress(done, total) {
+            var pct = Math.floor(done * 100 / total);
+            if (pct === lastPct) return;
+            lastPct = pct;
+            self.postMessage({ id: msg.id, type: 'progress', done: done, total: total });
+        }
+
+        try {
+            var result = GridComputeModule[msg.task](msg.job, progress);
+            self.postMessage({ id: msg.id, type: 'result', result: result });
+        } catch (err) {
+            self.postMessage({ id: msg.id, type: 'error', message: err.message });
+        }
+    };
+})();
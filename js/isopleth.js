@@ -0,0 +1,556 @@
+/**
+ * SBMM Planning Tool - Isopleth Lines (Vector Contours)
+ *
+ * Traces isoconcentration lines of the color-by analyte at chosen levels
+ * (the lower and upper levels of the active screening set by default) on
+ * the contour grid (the grid behind the contour on the map when it has
+ * finished, otherwise ContourModule.getGridJob run in the grid worker, so the
+ * active IDW or kriging settings apply), using marching squares.
+ *
+ * Grid nodes outside the interpolated area count as below every level, so
+ * each line closes into a ring; where an area above a level reaches the
+ * edge of the sample extent the ring follows that edge. Segments are
+ * oriented with the area above the level on their left, so outer rings run
+ * counter-clockwise, holes clockwise, and the signed ring areas sum to the
+ * area above the level. Saddle cells are resolved by the cell average.
+ *
+ * Lines are drawn as labeled polylines; the lines and the areas above each
+ * level (as polygons with holes) can be exported as GeoJSON.
+ */
+var IsoplethModule = (function() {
+    'use strict';
+
+    var conv = AppConfig.coordConversion;
+
+    var SQ_FT_PER_ACRE = 43560;
+    var LABEL_MIN_CELLS = 8;        // Label rings at least this many grid cells long
+
+    var levelsText = null;          // Levels typed in the panel; null = screening levels
+    var levelsAnalyte = null;       // Analyte the typed levels belong to
+    var result = null;              // { analyte, unit, levels: [{ level, label, color, rings, areaSqFt, polygons }] }
+    var errorText = null;
+    var statusText = null;
+    var pendingSpec = null;         // readLevels() of the grid being computed
+    var layerGroup = null;
+    var panelEl = null;
+
+    // ===== MARCHING SQUARES =====
+
+    /**
+     * Trace the oriented rings of one level on a grid.
+     * @param {Object} grid - From GridComputeModule.contourGrid
+     * @param {number} level
+     * @returns {Array} Rings, each an array of { lat, lon } (first point not repeated)
+     */
+    function traceLevel(grid, level) {
+        var rows = grid.rows;
+        var cols = grid.cols;
+
+        function value(i, j) {
+            if (i < 0 || j < 0 || i >= rows || j >= cols) return null;
+            return grid.values[i * cols + j];
+        }
+        function above(v) {
+            return v !== null && v > level;
+        }
+        function nodeLat(i) { return grid.maxLat - (i + 0.5) * grid.cellLat; }
+        function nodeLon(j) { return grid.minLon + (j + 0.5) * grid.cellLon; }
+
+        /**
+         * Crossing on the edge between nodes a and b (one above, one not).
+         * A node outside the grid puts the crossing on the node inside it.
+         */
+        function crossing(a, b) {
+            var t;
+            if (a.v === null) t = 1;
+            else if (b.v === null) t = 0;
+            else t = (level - a.v) / (b.v - a.v);
+            return {
+                lat: nodeLat(a.i) + (nodeLat(b.i) - nodeLat(a.i)) * t,
+                lon: nodeLon(a.j) + (nodeLon(b.j) - nodeLon(a.j)) * t
+            };
+        }
+
+        // Segments keyed by the edge they start on
+        var segments = {};
+
+        // Cells span the padded grid so every ring closes
+        for (var i = -1; i < rows; i++) {
+            for (var j = -1; j < cols; j++) {
+                // Corners counter-clockwise (lat up, lon right): bl, br, tr, tl
+                var corners = [
+                    { i: i + 1, j: j }, { i: i + 1, j: j + 1 }, { i: i, j: j + 1 }, { i: i, j: j }
+                ];
+                var above0 = 0;
+                corners.forEach(function(c) {
+                    c.v = value(c.i, c.j);
+                    c.above = above(c.v);
+                    if (c.above) above0++;
+                });
+                if (above0 === 0 || above0 === 4) continue;
+
+                // Walk the cell boundary and record each crossing
+                var crossings = [];
+                for (var k = 0; k < 4; k++) {
+                    var a = corners[k];
+                    var b = corners[(k + 1) % 4];
+                    if (a.above === b.above) continue;
+                    crossings.push({
+                        key: edgeKey(a, b),
+                        point: crossing(a, b),
+                        leaving: a.above      // Walk goes from above to below
+                    });
+                }
+
+                // Start on a crossing that leaves the area above
+                while (!crossings[0].leaving) crossings.push(crossings.shift());
+
+                // A segment runs from a leaving crossing to an entering one,
+                // which keeps the area above on its left
+                var pairs;
+                if (crossings.length === 2) {
+                    pairs = [[0, 1]];
+                } else {
+                    var known = corners.filter(function(c) { return c.v !== null; });
+                    var mean = known.reduce(function(sum, c) { return sum + c.v; }, 0) / known.length;
+                    pairs = known.length === 4 && mean > level ? [[0, 1], [2, 3]] : [[0, 3], [2, 1]];
+                }
+                pairs.forEach(function(p) {
+                    var from = crossings[p[0]];
+                    var to = crossings[p[1]];
+                    segments[from.key] = { from: from.point, toKey: to.key };
+                });
+            }
+        }
+
+        // Chain segments into rings
+        var rings = [];
+        Object.keys(segments).forEach(function(startKey) {
+            if (!segments[startKey]) return;
+            var ring = [];
+            var key = startKey;
+            while (segments[key]) {
+                var seg = segments[key];
+                ring.push(seg.from);
+                segments[key] = null;
+                key = seg.toKey;
+            }
+            if (ring.length >= 3) rings.push(ring);
+        });
+        return rings;
+    }
+
+    /**
+     * Key of the grid edge between two adjacent nodes (order independent).
+     */
+    function edgeKey(a, b) {
+        if (a.i === b.i) return 'h' + a.i + ',' + Math.min(a.j, b.j);
+        return 'v' + Math.min(a.i, b.i) + ',' + a.j;
+    }
+
+    // ===== AREAS & POLYGONS =====
+
+    /**
+     * Signed area of a ring in square feet (positive counter-clockwise).
+     */
+    function signedAreaSqFt(ring) {
+        var lat0 = ring[0].lat;
+        var lon0 = ring[0].lon;
+        var ftPerDegLat = conv.metersPerDegLat / conv.feetToMeters;
+        var ftPerDegLon = conv.metersPerDegLon / conv.feetToMeters;
+        var area = 0;
+        for (var i = 0; i < ring.length; i++) {
+            var p = ring[i];
+            var q = ring[(i + 1) % ring.length];
+            area += (p.lon - lon0) * ftPerDegLon * (q.lat - lat0) * ftPerDegLat -
+                    (q.lon - lon0) * ftPerDegLon * (p.lat - lat0) * ftPerDegLat;
+        }
+        return area / 2;
+    }
+
+    /**
+     * Group rings into polygons: each hole goes to the smallest outer ring
+     * that contains it.
+     * @param {Array} rings
+     * @returns {Array} { outer, holes: [] }
+     */
+    function buildPolygons(rings) {
+        var outers = [];
+        var holes = [];
+        rings.forEach(function(ring) {
+            var area = signedAreaSqFt(ring);
+            if (area > 0) outers.push({ outer: ring, holes: [], area: area });
+            else if (area < 0) holes.push(ring);
+        });
+        holes.forEach(function(hole) {
+            var owner = null;
+            outers.forEach(function(o) {
+                if (ringContains(o.outer, hole[0]) && (!owner || o.area < owner.area)) owner = o;
+            });
+            if (owner) owner.holes.push(hole);
+        });
+        return outers;
+    }
+
+    /**
+     * Ray-casting point-in-ring test.
+     */
+    function ringContains(ring, pt) {
+        var inside = false;
+        for (var i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            var a = ring[i];
+            var b = ring[j];
+            if ((a.lat > pt.lat) !== (b.lat > pt.lat) &&
+                pt.lon < (b.lon - a.lon) * (pt.lat - a.lat) / (b.lat - a.lat) + a.lon) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    // ===== LEVELS =====
+
+    /**
+     * Default levels: the lower and upper levels of the active screening set.
+     * @param {Object|null} thresh - From AppConfig.getThreshold
+     * @returns {number[]}
+     */
+    function defaultLevels(thresh) {
+        if (!thresh) return [];
+        return thresh.low === thresh.high ? [thresh.high] : [thresh.low, thresh.high];
+    }
+
+    /**
+     * @returns {number[]|null} Sorted unique levels, or null if any entry is not a positive number
+     */
+    function parseLevels(text) {
+        var parts = String(text).split(/[,\s]+/).filter(function(s) { return s !== ''; });
+        var values = parts.map(Number);
+        if (values.length === 0 || values.some(function(v) { return isNaN(v) || v <= 0; })) return null;
+        return values.sort(function(a, b) { return a - b; }).filter(function(v, i, arr) { return i === 0 || v !== arr[i - 1]; });
+    }
+
+    /**
+     * Label and color of a level relative to the screening levels.
+     */
+    function describeLevel(level, thresh, unit) {
+        var colors = AppConfig.colors;
+        if (thresh && level === thresh.high) return { label: thresh.highLabel + ' ' + level, color: colors.high };
+        if (thresh && level === thresh.low) return { label: thresh.lowLabel + ' ' + level, color: colors.medium };
+        var color = thresh && level > thresh.high ? colors.high : (thresh && level > thresh.low ? colors.medium : colors.low);
+        return { label: level + ' ' + unit, color: color };
+    }
+
+    // ===== BUILD & DRAW =====
+
+    /**
+     * Levels to trace for the color-by analyte.
+     * @returns {Object} { analyte, thresh, unit, levels }, or { error }
+     */
+    function readLevels() {
+        var analyte = AppState.currentAnalyte;
+        var thresh = AppConfig.getThreshold(analyte);
+        var unit = thresh ? thresh.unit : (AppConfig.thresholds[analyte] || {}).unit || '';
+
+        var levels;
+        if (levelsText !== null && levelsAnalyte === analyte) {
+            levels = parseLevels(levelsText);
+            if (!levels) return { error: 'Levels must be a comma-separated list of numbers greater than 0' };
+        } else {
+            levels = defaultLevels(thresh);
+            if (levels.length === 0) return { error: analyte + ' has no level in the active screening set; enter levels' };
+        }
+        return { analyte: analyte, thresh: thresh, unit: unit, levels: levels };
+    }
+
+    /**
+     * Trace every level on a contour grid.
+     * @param {Object} grid - From GridComputeModule.contourGrid
+     * @param {Object} spec - From readLevels
+     * @returns {Object} Result
+     */
+    function build(grid, spec) {
+        var thresh = spec.thresh;
+        var unit = spec.unit;
+        return {
+            analyte: spec.analyte,
+            unit: unit,
+            levels: spec.levels.map(function(level) {
+                var rings = traceLevel(grid, level);
+                var area = 0;
+                rings.forEach(function(r) { area += signedAreaSqFt(r); });
+                var d = describeLevel(level, thresh, unit);
+                return {
+                    level: level,
+                    label: d.label,
+                    color: d.color,
+                    rings: rings,
+                    areaSqFt: Math.max(0, area),
+                    polygons: buildPolygons(rings)
+                };
+            }),
+            labelMinFt: LABEL_MIN_CELLS * Math.min(grid.cellLat * conv.metersPerDegLat, grid.cellLon * conv.metersPerDegLon) / conv.feetToMeters
+        };
+    }
+
+    function removeLines() {
+        if (layerGroup) {
+            AppState.map.removeLayer(layerGroup);
+            layerGroup = null;
+        }
+    }
+
+    function drawLines() {
+        removeLines();
+        if (!result) return;
+        layerGroup = L.layerGroup();
+        result.levels.forEach(function(lv) {
+            lv.rings.forEach(function(ring) {
+                var latlngs = ring.map(function(p) { return [p.lat, p.lon]; });
+                latlngs.push(latlngs[0]);
+                var line = L.polyline(latlngs, { color: lv.color, weight: 2.5, opacity: 0.95, interactive: false });
+                if (Utils.perimeterFt(ring) >= result.labelMinFt) {
+                    line.bindTooltip(lv.label, { permanent: true, direction: 'center', className: 'isopleth-label' });
+                }
+                layerGroup.addLayer(line);
+            });
+        });
+        layerGroup.addTo(AppState.map);
+    }
+
+    // ===== GEOJSON EXPORT =====
+
+    function toPosition(p) {
+        return [Number(p.lon.toFixed(7)), Number(p.lat.toFixed(7))];
+    }
+
+    function closeRing(ring) {
+        var coords = ring.map(toPosition);
+        coords.push(coords[0]);
+        return coords;
+    }
+
+    /**
+     * GeoJSON FeatureCollection with, per level, a MultiLineString of the
+     * isopleths and a MultiPolygon of the area above the level.
+     * @returns {Object|null}
+     */
+    function toGeoJSON() {
+        if (!result) return null;
+        var features = [];
+        result.levels.forEach(function(lv) {
+            function props(kind) {
+                return {
+                    kind: kind,
+                    analyte: result.analyte,
+                    level: lv.level,
+                    unit: result.unit,
+                    label: lv.label,
+                    method: ContourModule.getMethod()
+                };
+            }
+            var areaProps = props('above_level');
+            areaProps.area_sq_ft = Math.round(lv.areaSqFt);
+            areaProps.area_acres = Number((lv.areaSqFt / SQ_FT_PER_ACRE).toFixed(3));
+
+            features.push({
+                type: 'Feature',
+                properties: props('isopleth'),
+                geometry: { type: 'MultiLineString', coordinates: lv.rings.map(closeRing) }
+            });
+            features.push({
+                type: 'Feature',
+                properties: areaProps,
+                geometry: {
+                    type: 'MultiPolygon',
+                    coordinates: lv.polygons.map(function(poly) {
+                        return [closeRing(poly.outer)].concat(poly.holes.map(closeRing));
+                    })
+                }
+            });
+        });
+        return { type: 'FeatureCollection', features: features };
+    }
+
+    /**
+     * Download the isopleths and areas above each level as GeoJSON.
+     */
+    function exportGeoJSON() {
+        var geojson = toGeoJSON();
+        if (!geojson) return;
+        Utils.downloadFile(JSON.stringify(geojson, null, 1), 'application/geo+json', 'SBMM_Isopleths_' +
+            AppConfig.thresholds[result.analyte].abbrev + '_' + new Date().toISOString().slice(0, 10) + '.geojson');
+    }
+
+    // ===== PUBLIC ACTIONS =====
+
+    function init() {
+        AppState.isoplethVisible = false;
+    }
+
+    function open() {
+        render();
+    }
+
+    function close() {
+        if (panelEl) panelEl.style.display = 'none';
+    }
+
+    /**
+     * Read the levels and draw the isopleths.
+     */
+    function run() {
+        var input = panelEl ? panelEl.querySelector('#isoplethLevels') : null;
+        if (input) {
+            var thresh = AppConfig.getThreshold(AppState.currentAnalyte);
+            var typed = input.value.trim();
+            levelsText = typed === defaultLevels(thresh).join(', ') ? null : typed;
+            levelsAnalyte = AppState.currentAnalyte;
+        }
+        update();
+        render();
+    }
+
+    /**
+     * Remove the lines from the map.
+     */
+    function clear() {
+        cancelPending();
+        result = null;
+        errorText = null;
+        AppState.isoplethVisible = false;
+        removeLines();
+        render();
+    }
+
+    /**
+     * Retrace after a data, analyte or contour-setting change. Does nothing
+     * unless the lines are shown.
+     */
+    function refresh() {
+        if (!AppState.isoplethVisible) return;
+        update();
+        if (panelVisible()) render();
+    }
+
+    /**
+     * Trace the levels on the contour's finished grid, or compute the grid in
+     * the grid worker first; the previous lines stay until it arrives.
+     */
+    function update() {
+        var spec = readLevels();
+        if (spec.error) {
+            fail(spec.error);
+            return;
+        }
+        var grid = ContourModule.getGrid();
+        if (grid) {
+            cancelPending();
+            show(build(grid, spec));
+            return;
+        }
+        var job = ContourModule.getGridJob();
+        if (!job) {
+            fail('At least 3 ' + DataModule.getHorizon().results + ' are needed for ' + spec.analyte);
+            return;
+        }
+
+        errorText = null;
+        statusText = 'Computing the contour grid\u2026';
+        pendingSpec = spec;
+        AppState.isoplethVisible = true;
+        var t = AppConfig.thresholds[spec.analyte];
+        ComputeModule.run('isopleth', 'Isopleths (' + (t ? t.abbrev : spec.analyte) + ')', 'contourGrid', job, {
+            done: function(computed) {
+                if (pendingSpec !== spec) return;
+                pendingSpec = null;
+                show(build(computed, spec));
+                if (panelVisible()) render();
+            },
+            cancelled: function(message) {
+                if (pendingSpec !== spec) return;
+                pendingSpec = null;
+                fail(message ? 'Contour grid failed: ' + message : 'Isopleths cancelled');
+                if (panelVisible()) render();
+            }
+        });
+    }
+
+    function show(built) {
+        errorText = null;
+        statusText = null;
+        result = built;
+        AppState.isoplethVisible = true;
+        drawLines();
+    }
+
+    function fail(message) {
+        cancelPending();
+        errorText = message;
+        result = null;
+        AppState.isoplethVisible = false;
+        removeLines();
+    }
+
+    function cancelPending() {
+        pendingSpec = null;
+        statusText = null;
+        ComputeModule.cancel('isopleth');
+    }
+
+    function panelVisible() {
+        return panelEl && panelEl.style.display !== 'none';
+    }
+
+    // ===== PANEL =====
+
+    function render() {
+        var analyte = AppState.currentAnalyte;
+        var thresh = AppConfig.getThreshold(analyte);
+        var text = levelsText !== null && levelsAnalyte === analyte ? levelsText : defaultLevels(thresh).join(', ');
+        var unit = thresh ? thresh.unit : (AppConfig.thresholds[analyte] || {}).unit || '';
+
+        var html = '<div class="edd-header"><h4>Isopleths \u2013 ' + Utils.escapeHtml(analyte) + '</h4>' +
+            '<button class="edd-close" onclick="IsoplethModule.close()">\u00d7</button></div>' +
+            '<div class="edd-file">Lines traced on the ' + (ContourModule.getMethod() === 'kriging' ? 'kriged' : 'IDW') +
+            ' contour grid. Levels default to the ' + (thresh ? Utils.escapeHtml(thresh.lowLabel) + ' and ' + Utils.escapeHtml(thresh.highLabel) : 'screening') +
+            ' levels of the active set.</div>' +
+            '<div class="isopleth-levels"><label>Levels (' + Utils.escapeHtml(unit) + ') <input type="text" id="isoplethLevels" value="' + Utils.escapeHtml(text) + '"></label></div>' +
+            '<div class="edd-actions">' +
+            '<button class="edd-apply" onclick="IsoplethModule.run()">Draw</button>' +
+            '<button onclick="IsoplethModule.exportGeoJSON()"' + (result ? '' : ' disabled') + '>Export GeoJSON</button>' +
+            '<button onclick="IsoplethModule.clear()"' + (result ? '' : ' disabled') + '>Clear</button>' +
+            '</div>';
+
+        if (errorText) {
+            html += '<div class="edd-error-list"><ul><li>' + Utils.escapeHtml(errorText) + '</li></ul></div>';
+        }
+        if (statusText) html += '<div class="edd-file">' + Utils.escapeHtml(statusText) + '</div>';
+
+        if (result) {
+            html += '<div class="edd-table-wrap"><table class="edd-table isopleth-table"><thead><tr>' +
+                '<th>Level</th><th>Areas</th><th>Area above (ft\u00b2)</th><th>Acres</th></tr></thead><tbody>';
+            result.levels.forEach(function(lv) {
+                html += '<tr><td><span class="isopleth-swatch" style="background:' + lv.color + '"></span>' + Utils.escapeHtml(lv.label) + '</td>' +
+                    '<td>' + lv.polygons.length + '</td>' +
+                    '<td>' + Math.round(lv.areaSqFt).toLocaleString() + '</td>' +
+                    '<td>' + (lv.areaSqFt / SQ_FT_PER_ACRE).toFixed(2) + '</td></tr>';
+            });
+            html += '</tbody></table></div>' +
+                '<div class="edd-file">Areas are clipped to the sample extent, where the contour stops.</div>';
+        }
+        panelEl = Utils.showPanel(panelEl, 'isoplethPanel', 'edd-panel isopleth-panel', html);
+    }
+
+    return {
+        init: init,
+        open: open,
+        close: close,
+        run: run,
+        clear: clear,
+        refresh: refresh,
+        exportGeoJSON: exportGeoJSON,
+        toGeoJSON: toGeoJSON,
+        traceLevel: traceLevel
+    };
+})();
@@ -0,0 +1,315 @@
+/**
+ * SBMM Planning Tool - Variograms & Ordinary Kriging
+ *
+ * Pure math used by the contour overlay; no DOM or map access. Coordinates
+ * are planar (the caller converts lat/lon to feet), values are numbers.
+ *
+ *   Experimental variogram: gamma(h) = 1/(2 N(h)) sum (z_i - z_j)^2 over
+ *   pairs in equal-width lag bins up to half the largest pair distance
+ *   Models: spherical, exponential and Gaussian with nugget, sill and
+ *   (practical) range; fitted by pair-weighted least squares
+ *   Ordinary kriging: estimate and kriging variance from the covariance
+ *   form C(h) = sill - gamma(h), solved once with an inverted system
+ */
+var KrigingModule = (function() {
+    'use strict';
+
+    var DEFAULT_LAGS = 12;
+    var FIT_RANGE_STEPS = 60;       // Candidate ranges tried when fitting
+    var MERGE_DISTANCE = 0.5;       // Points closer than this are averaged
+    var REGULARIZATION = 1e-9;      // Fraction of the sill added to the diagonal
+    var GAUSSIAN_REGULARIZATION = 1e-4; // Larger for the ill-conditioned Gaussian model
+
+    var MODELS = {
+        spherical: 'Spherical',
+        exponential: 'Exponential',
+        gaussian: 'Gaussian'
+    };
+
+    // ===== VARIOGRAM MODELS =====
+
+    /**
+     * Normalized model shape, 0 at h = 0 rising to ~1 at the range.
+     * Exponential and Gaussian use the practical range (95% of the sill).
+     * @param {string} type - Key in MODELS
+     * @param {number} h - Lag distance
+     * @param {number} range
+     * @returns {number}
+     */
+    function shape(type, h, range) {
+        if (h <= 0) return 0;
+        var r = h / range;
+        if (type === 'exponential') return 1 - Math.exp(-3 * r);
+        if (type === 'gaussian') return 1 - Math.exp(-3 * r * r);
+        return r >= 1 ? 1 : 1.5 * r - 0.5 * r * r * r;
+    }
+
+    /**
+     * Semivariance of a variogram model at lag h.
+     * @param {Object} v - { model, nugget, sill, range }
+     * @param {number} h
+     * @returns {number}
+     */
+    function semivariance(v, h) {
+        if (h <= 0) return 0;
+        return v.nugget + (v.sill - v.nugget) * shape(v.model, h, v.range);
+    }
+
+    // ===== EXPERIMENTAL VARIOGRAM =====
+
+    /**
+     * Average the values of points closer than MERGE_DISTANCE (e.g. a
+     * re-sampled location) so the kriging system stays non-singular.
+     * @param {Array} points - { x, y, value }
+     * @returns {Array} { x, y, value }
+     */
+    function mergeDuplicates(points) {
+        var merged = [];
+        points.forEach(function(p) {
+            for (var i = 0; i < merged.length; i++) {
+                var m = merged[i];
+                var dx = m.x - p.x;
+                var dy = m.y - p.y;
+                if (dx * dx + dy * dy < MERGE_DISTANCE * MERGE_DISTANCE) {
+                    m.sum += p.value;
+                    m.count++;
+                    m.value = m.sum / m.count;
+                    return;
+                }
+            }
+            merged.push({ x: p.x, y: p.y, value: p.value, sum: p.value, count: 1 });
+        });
+        return merged.map(function(m) { return { x: m.x, y: m.y, value: m.value }; });
+    }
+
+    /**
+     * Experimental (Matheron) variogram.
+     * @param {Array} points - { x, y, value }
+     * @param {Object} [opts]
+     * @param {number} [opts.lags=12] - Number of lag bins
+     * @param {number} [opts.maxDistance] - Largest lag; defaults to half the largest pair distance
+     * @returns {Object} { lags: [{ h, gamma, pairs }], maxDistance, variance }
+     */
+    function experimentalVariogram(points, opts) {
+        opts = opts || {};
+        var nLags = opts.lags || DEFAULT_LAGS;
+        var n = points.length;
+        var maxPair = 0;
+        var i, j, dx, dy;
+
+        for (i = 0; i < n; i++) {
+            for (j = i + 1; j < n; j++) {
+                dx = points[i].x - points[j].x;
+                dy = points[i].y - points[j].y;
+                maxPair = Math.max(maxPair, dx * dx + dy * dy);
+            }
+        }
+        var maxDistance = opts.maxDistance || Math.sqrt(maxPair) / 2;
+        var width = maxDistance / nLags;
+
+        var sums = [];
+        var dists = [];
+        var counts = [];
+        for (i = 0; i < nLags; i++) { sums.push(0); dists.push(0); counts.push(0); }
+
+        for (i = 0; i < n; i++) {
+            for (j = i + 1; j < n; j++) {
+                dx = points[i].x - points[j].x;
+                dy = points[i].y - points[j].y;
+                var h = Math.sqrt(dx * dx + dy * dy);
+                if (h === 0 || h > maxDistance) continue;
+                var bin = Math.min(nLags - 1, Math.floor(h / width));
+                var dz = points[i].value - points[j].value;
+                sums[bin] += dz * dz;
+                dists[bin] += h;
+                counts[bin]++;
+            }
+        }
+
+        var lags = [];
+        for (i = 0; i < nLags; i++) {
+            if (counts[i] === 0) continue;
+            lags.push({ h: dists[i] / counts[i], gamma: sums[i] / (2 * counts[i]), pairs: counts[i] });
+        }
+
+        var values = points.map(function(p) { return p.value; });
+        var s = StatsModule.summary(values);
+        return { lags: lags, maxDistance: maxDistance, variance: s.sd * s.sd };
+    }
+
+    // ===== FITTING =====
+
+    /**
+     * Fit a variogram model to experimental lags. For each candidate range
+     * the nugget and partial sill are the non-negative weighted least-squares
+     * solution (weights = pair counts); the range with the smallest error wins.
+     * @param {Object} experimental - From experimentalVariogram
+     * @param {string} [type='spherical'] - Key in MODELS
+     * @returns {Object} { model, nugget, sill, range }
+     */
+    function fitVariogram(experimental, type) {
+        type = MODELS[type] ? type : 'spherical';
+        var lags = experimental.lags;
+        var fallback = {
+            model: type,
+            nugget: 0,
+            sill: experimental.variance || 1,
+            range: experimental.maxDistance || 1
+        };
+        if (lags.length < 2) return fallback;
+
+        var best = null;
+        var maxRange = experimental.maxDistance * 1.5;
+        var minRange = lags[0].h;
+        for (var step = 0; step <= FIT_RANGE_STEPS; step++) {
+            var range = minRange + (maxRange - minRange) * step / FIT_RANGE_STEPS;
+            var fit = fitSills(lags, type, range);
+            if (!best || fit.sse < best.sse) best = fit;
+        }
+        if (!best || best.partial <= 0) return fallback;
+        return { model: type, nugget: best.nugget, sill: best.nugget + best.partial, range: best.range };
+    }
+
+    /**
+     * Weighted least squares for gamma = nugget + partial * shape(h) at a fixed range.
+     */
+    function fitSills(lags, type, range) {
+        var sw = 0, sf = 0, sff = 0, sg = 0, sfg = 0;
+        lags.forEach(function(l) {
+            var f = shape(type, l.h, range);
+            var w = l.pairs;
+            sw += w; sf += w * f; sff += w * f * f; sg += w * l.gamma; sfg += w * f * l.gamma;
+        });
+        var det = sw * sff - sf * sf;
+        var nugget = det !== 0 ? (sff * sg - sf * sfg) / det : 0;
+        var partial = det !== 0 ? (sw * sfg - sf * sg) / det : 0;
+        if (nugget < 0 || det === 0) {
+            nugget = 0;
+            partial = sff > 0 ? sfg / sff : 0;
+        }
+        if (partial < 0) {
+            partial = 0;
+            nugget = sg / sw;
+        }
+        var sse = 0;
+        lags.forEach(function(l) {
+            var r = l.gamma - (nugget + partial * shape(type, l.h, range));
+            sse += l.pairs * r * r;
+        });
+        return { nugget: nugget, partial: partial, range: range, sse: sse };
+    }
+
+    // ===== ORDINARY KRIGING =====
+
+    /**
+     * Invert a square matrix by Gauss-Jordan elimination with partial pivoting.
+     * @param {Array<Float64Array>} m - Rows (modified in place)
+     * @returns {Array<Float64Array>|null} Inverse, or null if singular
+     */
+    function invert(m) {
+        var n = m.length;
+        var inv = [];
+        var i, j, k;
+        for (i = 0; i < n; i++) {
+            inv.push(new Float64Array(n));
+            inv[i][i] = 1;
+        }
+        for (k = 0; k < n; k++) {
+            var pivot = k;
+            for (i = k + 1; i < n; i++) {
+                if (Math.abs(m[i][k]) > Math.abs(m[pivot][k])) pivot = i;
+            }
+            if (Math.abs(m[pivot][k]) < 1e-12) return null;
+            var tmp = m[k]; m[k] = m[pivot]; m[pivot] = tmp;
+            tmp = inv[k]; inv[k] = inv[pivot]; inv[pivot] = tmp;
+
+            var d = m[k][k];
+            for (j = 0; j < n; j++) { m[k][j] /= d; inv[k][j] /= d; }
+            for (i = 0; i < n; i++) {
+                if (i === k || m[i][k] === 0) continue;
+                var f = m[i][k];
+                for (j = 0; j < n; j++) {
+                    m[i][j] -= f * m[k][j];
+                    inv[i][j] -= f * inv[k][j];
+                }
+            }
+        }
+        return inv;
+    }
+
+    /**
+     * Set up ordinary kriging for a set of points and a variogram model.
+     * @param {Array} points - { x, y, value }; near-duplicates are averaged
+     * @param {Object} variogram - { model, nugget, sill, range }
+     * @returns {Object|null} { predict(x, y) -> { value, variance }, points }, or
+     *     null if the system is singular or there are fewer than 3 points
+     */
+    function train(points, variogram) {
+        var pts = mergeDuplicates(points);
+        var n = pts.length;
+        if (n < 3 || !(variogram.sill > 0) || !(variogram.range > 0)) return null;
+
+        var sill = variogram.sill;
+        function cov(h) { return sill - semivariance(variogram, h); }
+
+        var size = n + 1;
+        var a = [];
+        for (var i = 0; i < size; i++) a.push(new Float64Array(size));
+        for (i = 0; i < n; i++) {
+            for (var j = i; j < n; j++) {
+                var dx = pts[i].x - pts[j].x;
+                var dy = pts[i].y - pts[j].y;
+                var c = cov(Math.sqrt(dx * dx + dy * dy));
+                a[i][j] = c;
+                a[j][i] = c;
+            }
+            a[i][i] += sill * (variogram.model === 'gaussian' ? GAUSSIAN_REGULARIZATION : REGULARIZATION);
+            a[i][n] = 1;
+            a[n][i] = 1;
+        }
+        var inv = invert(a);
+        if (!inv) return null;
+
+        var b = new Float64Array(size);
+        b[n] = 1;
+
+        return {
+            points: pts,
+
+            /**
+             * Kriged estimate and variance at (x, y).
+             * @returns {Object} { value, variance }
+             */
+            predict: function(x, y) {
+                var k, m;
+                for (k = 0; k < n; k++) {
+                    var ddx = x - pts[k].x;
+                    var ddy = y - pts[k].y;
+                    b[k] = cov(Math.sqrt(ddx * ddx + ddy * ddy));
+                }
+                var value = 0;
+                var variance = sill;
+                for (k = 0; k < size; k++) {
+                    var row = inv[k];
+                    var w = 0;
+                    for (m = 0; m < size; m++) w += row[m] * b[m];
+                    if (k < n) {
+                        value += w * pts[k].value;
+                        variance -= w * b[k];
+                    } else {
+                        variance -= w;   // Lagrange multiplier
+                    }
+                }
+                return { value: value, variance: Math.max(0, variance) };
+            }
+        };
+    }
+
+    return {
+        models: MODELS,
+        semivariance: semivariance,
+        experimentalVariogram: experimentalVariogram,
+        fitVariogram: fitVariogram,
+        train: train
+    };
+})();
@@ -17,14 +17,66 @@ var MarkersModule = (function() {
         createSoilBoringMarkers();
     }
 
+    /**
+     * Recreate all data markers after the loaded datasets change.
+     */
+    function refresh() {
+        ['sampled2025', 'notSampled2025', 'eaSamples', 'eaTestPits', 'testPits2025', 'soilBorings2025'].forEach(function(key) {
+            if (AppState.layers[key]) AppState.layers[key].clearLayers();
+        });
+        AppState.markers2025 = {};
+        AppState.markersEA = {};
+        init();
+        updateMarkerColors();
+        if (AppState.labelsVisible) updateLabels();
+    }
+
+    // ===== RESULT FORMATTING =====
+
+    /**
+     * Popup cell content for one result: value with lab qualifier, detection
+     * and reporting limits in the tooltip. Non-detects are grayed and
+     * rejected (R) results struck through.
+     * @param {Object} src - Raw sample record or depth interval
+     * @param {string} analyte
+     * @param {number} [decimals] - Fixed decimals (default Utils.formatVal)
+     * @returns {string} HTML
+     */
+    function resultHtml(src, analyte, decimals) {
+        var r = Utils.getSampleResult(src, analyte);
+        if (r.value === null) return '\u2014';
+        var title = Utils.describeResult(r);
+        var style = r.rejected ? 'text-decoration:line-through;color:#999;' : (!r.detected ? 'color:#888;' : '');
+        if (!title && !style) return Utils.formatResult(r, decimals);
+        return '<span' + (title ? ' title="' + title + '"' : '') + (style ? ' style="' + style + '"' : '') + '>' +
+            Utils.formatResult(r, decimals) + '</span>';
+    }
+
+    /**
+     * True if a result is a detected, non-rejected value above the upper
+     * level of the active screening set.
+     * @param {Object} src - Raw sample record or depth interval
+     * @param {string} analyte
+     * @returns {boolean}
+     */
+    function resultExceeds(src, analyte) {
+        var r = Utils.getSampleResult(src, analyte);
+        return r.detected && !r.rejected && !!AppConfig.exceedsROD(r.value, analyte);
+    }
+
+    /**
+     * Upper screening level of the active set for popup tables.
+     * @param {string} analyte
+     * @returns {string}
+     */
+    function levelText(analyte) {
+        var thresh = AppConfig.getThreshold(analyte);
+        return thresh ? String(thresh.high) : '\u2014';
+    }
+
     // ===== 2025 SURFACE SAMPLES =====
 
     function createSurfaceSamplePopup(s) {
-        var hg = s.metals ? s.metals.Mercury : null;
-        var arsenic = s.metals ? s.metals.Arsenic : null;
-        var antimony = s.metals ? s.metals.Antimony : null;
-        var thallium = s.metals ? s.metals.Thallium : null;
-
         if (!s.sampled || !s.metals) {
             return '<div style="font-family: Arial; min-width: 200px;">' +
                 '<h4 style="margin: 0 0 6px 0; color: ' + AppConfig.colors.header + ';">Surface Sample: ' + s.label + '</h4>' +
@@ -36,34 +88,32 @@ var MarkersModule = (function() {
                 '<small>' + s.lat.toFixed(6) + ', ' + s.lon.toFixed(6) + '</small></div></div>';
         }
 
-        var hgExceed = AppConfig.exceedsROD(hg, 'Mercury');
-        var asExceed = AppConfig.exceedsROD(arsenic, 'Arsenic');
-        var sbExceed = AppConfig.exceedsROD(antimony, 'Antimony');
-        var tlExceed = AppConfig.exceedsROD(thallium, 'Thallium');
+        var levelHeader = AppConfig.getScreeningSet().highLabel;
+        var hgExceed = resultExceeds(s, 'Mercury');
+        var asExceed = resultExceeds(s, 'Arsenic');
+        var sbExceed = resultExceeds(s, 'Antimony');
+        var tlExceed = resultExceeds(s, 'Thallium');
         var anyExceed = hgExceed || asExceed || sbExceed || tlExceed;
         var exceedCount = [hgExceed, asExceed, sbExceed, tlExceed].filter(Boolean).length;
 
         var statusColor = anyExceed ? AppConfig.colors.high : AppConfig.colors.low;
-        var statusText = anyExceed ? exceedCount + ' Exceedance' + (exceedCount > 1 ? 's' : '') : 'Below ROD';
+        var statusText = anyExceed ? exceedCount + ' Exceedance' + (exceedCount > 1 ? 's' : '') : 'Below ' + levelHeader;
         var statusBar = '<div style="display:flex;align-items:center;gap:8px;margin-bottom:8px;padding:6px 8px;background:' + (anyExceed ? '#fff0f0' : '#f0fff0') + ';border-left:4px solid ' + statusColor + ';border-radius:0 4px 4px 0;">' +
             '<div style="width:12px;height:12px;border-radius:50%;background:' + statusColor + ';"></div>' +
             '<span style="font-size:10px;font-weight:bold;color:' + statusColor + ';">' + statusText + '</span></div>';
 
-        var fv = Utils.formatVal;
-        var thresholds = AppConfig.thresholds;
         var cocTable = '<table style="width:100%;font-size:10px;border-collapse:collapse;">' +
-            '<tr style="background:#f0f8ff;"><th style="text-align:left;padding:4px;">COC</th><th style="padding:4px;text-align:center;">Result</th><th style="padding:4px;text-align:center;">ROD</th><th style="padding:4px;text-align:center;">Status</th></tr>' +
-            '<tr><td style="padding:4px;">Mercury</td><td style="padding:4px;text-align:center;' + (hgExceed ? 'color:#d63e2a;font-weight:bold;' : '') + '">' + fv(hg) + '</td><td style="padding:4px;text-align:center;color:#666;">' + thresholds.Mercury.high + '</td><td style="padding:4px;text-align:center;">' + (hgExceed ? '\u26a0\ufe0f' : '\u2713') + '</td></tr>' +
-            '<tr style="background:#fafafa;"><td style="padding:4px;">Arsenic</td><td style="padding:4px;text-align:center;' + (asExceed ? 'color:#d63e2a;font-weight:bold;' : '') + '">' + fv(arsenic) + '</td><td style="padding:4px;text-align:center;color:#666;">' + thresholds.Arsenic.high + '</td><td style="padding:4px;text-align:center;">' + (asExceed ? '\u26a0\ufe0f' : '\u2713') + '</td></tr>' +
-            '<tr><td style="padding:4px;">Antimony</td><td style="padding:4px;text-align:center;' + (sbExceed ? 'color:#d63e2a;font-weight:bold;' : '') + '">' + fv(antimony) + '</td><td style="padding:4px;text-align:center;color:#666;">' + thresholds.Antimony.high + '</td><td style="padding:4px;text-align:center;">' + (sbExceed ? '\u26a0\ufe0f' : '\u2713') + '</td></tr>' +
-            '<tr style="background:#fafafa;"><td style="padding:4px;">Thallium</td><td style="padding:4px;text-align:center;' + (tlExceed ? 'color:#d63e2a;font-weight:bold;' : '') + '">' + fv(thallium) + '</td><td style="padding:4px;text-align:center;color:#666;">' + thresholds.Thallium.high + '</td><td style="padding:4px;text-align:center;">' + (tlExceed ? '\u26a0\ufe0f' : '\u2713') + '</td></tr>' +
+            '<tr style="background:#f0f8ff;"><th style="text-align:left;padding:4px;">COC</th><th style="padding:4px;text-align:center;">Result</th><th style="padding:4px;text-align:center;">' + levelHeader + '</th><th style="padding:4px;text-align:center;">Status</th></tr>' +
+            '<tr><td style="padding:4px;">Mercury</td><td style="padding:4px;text-align:center;' + (hgExceed ? 'color:#d63e2a;font-weight:bold;' : '') + '">' + resultHtml(s, 'Mercury') + '</td><td style="padding:4px;text-align:center;color:#666;">' + levelText('Mercury') + '</td><td style="padding:4px;text-align:center;">' + (hgExceed ? '\u26a0\ufe0f' : '\u2713') + '</td></tr>' +
+            '<tr style="background:#fafafa;"><td style="padding:4px;">Arsenic</td><td style="padding:4px;text-align:center;' + (asExceed ? 'color:#d63e2a;font-weight:bold;' : '') + '">' + resultHtml(s, 'Arsenic') + '</td><td style="padding:4px;text-align:center;color:#666;">' + levelText('Arsenic') + '</td><td style="padding:4px;text-align:center;">' + (asExceed ? '\u26a0\ufe0f' : '\u2713') + '</td></tr>' +
+            '<tr><td style="padding:4px;">Antimony</td><td style="padding:4px;text-align:center;' + (sbExceed ? 'color:#d63e2a;font-weight:bold;' : '') + '">' + resultHtml(s, 'Antimony') + '</td><td style="padding:4px;text-align:center;color:#666;">' + levelText('Antimony') + '</td><td style="padding:4px;text-align:center;">' + (sbExceed ? '\u26a0\ufe0f' : '\u2713') + '</td></tr>' +
+            '<tr style="background:#fafafa;"><td style="padding:4px;">Thallium</td><td style="padding:4px;text-align:center;' + (tlExceed ? 'color:#d63e2a;font-weight:bold;' : '') + '">' + resultHtml(s, 'Thallium') + '</td><td style="padding:4px;text-align:center;color:#666;">' + levelText('Thallium') + '</td><td style="padding:4px;text-align:center;">' + (tlExceed ? '\u26a0\ufe0f' : '\u2713') + '</td></tr>' +
             '</table>';
 
         var fullMetalsHtml = '<div class="ss-full-metals" id="ss-fullmetals-' + s.label + '" style="display:none;margin-top:8px;max-height:150px;overflow-y:auto;font-size:9px;border:1px solid #ddd;border-radius:4px;">';
         fullMetalsHtml += '<table style="width:100%;border-collapse:collapse;">';
         AppConfig.allMetals.forEach(function(m, idx) {
-            var val = s.metals[m];
-            var valText = val !== null && val !== undefined ? fv(val) : '\u2014';
+            var valText = resultHtml(s, m);
             var bg = idx % 2 === 0 ? '#fff' : '#f9f9f9';
             fullMetalsHtml += '<tr style="background:' + bg + ';"><td style="padding:3px 6px;">' + m + '</td><td style="padding:3px 6px;text-align:right;">' + valText + '</td></tr>';
         });
@@ -108,28 +158,27 @@ var MarkersModule = (function() {
     // ===== EA HISTORICAL SAMPLES =====
 
     function createEASamplePopup(e) {
-        var hgExceed = AppConfig.exceedsROD(e.mercury, 'Mercury');
-        var asExceed = AppConfig.exceedsROD(e.arsenic, 'Arsenic');
-        var sbExceed = AppConfig.exceedsROD(e.antimony, 'Antimony');
-        var tlExceed = AppConfig.exceedsROD(e.thallium, 'Thallium');
+        var hgExceed = resultExceeds(e, 'Mercury');
+        var asExceed = resultExceeds(e, 'Arsenic');
+        var sbExceed = resultExceeds(e, 'Antimony');
+        var tlExceed = resultExceeds(e, 'Thallium');
         var anyExceed = hgExceed || asExceed || sbExceed || tlExceed;
         var exceedCount = [hgExceed, asExceed, sbExceed, tlExceed].filter(Boolean).length;
 
-        var fv = Utils.formatVal;
-        var thresholds = AppConfig.thresholds;
+        var levelHeader = AppConfig.getScreeningSet().highLabel;
         var statusColor = anyExceed ? AppConfig.colors.high : AppConfig.colors.low;
-        var statusText = anyExceed ? exceedCount + ' Exceedance' + (exceedCount > 1 ? 's' : '') : 'Below ROD';
+        var statusText = anyExceed ? exceedCount + ' Exceedance' + (exceedCount > 1 ? 's' : '') : 'Below ' + levelHeader;
 
         var statusBar = '<div style="display:flex;align-items:center;gap:8px;margin-bottom:8px;padding:6px 8px;background:' + (anyExceed ? '#fff0f0' : '#f0fff0') + ';border-left:4px solid ' + statusColor + ';border-radius:0 4px 4px 0;">' +
             '<div style="width:12px;height:12px;border-radius:50%;background:' + statusColor + ';"></div>' +
             '<span style="font-size:10px;font-weight:bold;color:' + statusColor + ';">' + statusText + '</span></div>';
 
         var cocTable = '<table style="width:100%;font-size:10px;border-collapse:collapse;">' +
-            '<tr style="background:#f5ebe0;"><th style="text-align:left;padding:4px;">COC</th><th style="padding:4px;text-align:center;">Result</th><th style="padding:4px;text-align:center;">ROD</th><th style="padding:4px;text-align:center;">Status</th></tr>' +
-            '<tr><td style="padding:4px;">Mercury</td><td style="padding:4px;text-align:center;' + (hgExceed ? 'color:#d63e2a;font-weight:bold;' : '') + '">' + fv(e.mercury) + '</td><td style="padding:4px;text-align:center;color:#666;">' + thresholds.Mercury.high + '</td><td style="padding:4px;text-align:center;">' + (hgExceed ? '\u26a0\ufe0f' : '\u2713') + '</td></tr>' +
-            '<tr style="background:#faf6f0;"><td style="padding:4px;">Arsenic</td><td style="padding:4px;text-align:center;' + (asExceed ? 'color:#d63e2a;font-weight:bold;' : '') + '">' + fv(e.arsenic) + '</td><td style="padding:4px;text-align:center;color:#666;">' + thresholds.Arsenic.high + '</td><td style="padding:4px;text-align:center;">' + (asExceed ? '\u26a0\ufe0f' : '\u2713') + '</td></tr>' +
-            '<tr><td style="padding:4px;">Antimony</td><td style="padding:4px;text-align:center;' + (sbExceed ? 'color:#d63e2a;font-weight:bold;' : '') + '">' + fv(e.antimony) + '</td><td style="padding:4px;text-align:center;color:#666;">' + thresholds.Antimony.high + '</td><td style="padding:4px;text-align:center;">' + (sbExceed ? '\u26a0\ufe0f' : '\u2713') + '</td></tr>' +
-            '<tr style="background:#faf6f0;"><td style="padding:4px;">Thallium</td><td style="padding:4px;text-align:center;' + (tlExceed ? 'color:#d63e2a;font-weight:bold;' : '') + '">' + fv(e.thallium) + '</td><td style="padding:4px;text-align:center;color:#666;">' + thresholds.Thallium.high + '</td><td style="padding:4px;text-align:center;">' + (tlExceed ? '\u26a0\ufe0f' : '\u2713') + '</td></tr>' +
+            '<tr style="background:#f5ebe0;"><th style="text-align:left;padding:4px;">COC</th><th style="padding:4px;text-align:center;">Result</th><th style="padding:4px;text-align:center;">' + levelHeader + '</th><th style="padding:4px;text-align:center;">Status</th></tr>' +
+            '<tr><td style="padding:4px;">Mercury</td><td style="padding:4px;text-align:center;' + (hgExceed ? 'color:#d63e2a;font-weight:bold;' : '') + '">' + resultHtml(e, 'Mercury') + '</td><td style="padding:4px;text-align:center;color:#666;">' + levelText('Mercury') + '</td><td style="padding:4px;text-align:center;">' + (hgExceed ? '\u26a0\ufe0f' : '\u2713') + '</td></tr>' +
+            '<tr style="background:#faf6f0;"><td style="padding:4px;">Arsenic</td><td style="padding:4px;text-align:center;' + (asExceed ? 'color:#d63e2a;font-weight:bold;' : '') + '">' + resultHtml(e, 'Arsenic') + '</td><td style="padding:4px;text-align:center;color:#666;">' + levelText('Arsenic') + '</td><td style="padding:4px;text-align:center;">' + (asExceed ? '\u26a0\ufe0f' : '\u2713') + '</td></tr>' +
+            '<tr><td style="padding:4px;">Antimony</td><td style="padding:4px;text-align:center;' + (sbExceed ? 'color:#d63e2a;font-weight:bold;' : '') + '">' + resultHtml(e, 'Antimony') + '</td><td style="padding:4px;text-align:center;color:#666;">' + levelText('Antimony') + '</td><td style="padding:4px;text-align:center;">' + (sbExceed ? '\u26a0\ufe0f' : '\u2713') + '</td></tr>' +
+            '<tr style="background:#faf6f0;"><td style="padding:4px;">Thallium</td><td style="padding:4px;text-align:center;' + (tlExceed ? 'color:#d63e2a;font-weight:bold;' : '') + '">' + resultHtml(e, 'Thallium') + '</td><td style="padding:4px;text-align:center;color:#666;">' + levelText('Thallium') + '</td><td style="padding:4px;text-align:center;">' + (tlExceed ? '\u26a0\ufe0f' : '\u2713') + '</td></tr>' +
             '</table>';
 
         return '<div style="font-family: Arial; min-width: 240px;">' +
@@ -179,6 +228,7 @@ var MarkersModule = (function() {
                 '<b>pH:</b> ' + tp.ph + '<br><b>Coord:</b> ' + tp.lat.toFixed(6) + ', ' + tp.lon.toFixed(6) + '</div>' +
                 '<div style="font-size:10px;background:#f5f0f8;padding:6px;border-radius:4px;">' + tp.notes + '</div></div>'
             );
+            marker.locationId = tp.id;
             marker.addTo(AppState.layers.eaTestPits);
         });
     }
@@ -199,7 +249,7 @@ var MarkersModule = (function() {
 
         var maxDepth = Math.max.apply(null, tp.depths.map(function(d) { return d.end; }));
         var profileHeight = Math.min(180, Math.max(100, maxDepth * 4));
-        var thresholds = AppConfig.thresholds;
+        var levelHeader = AppConfig.getScreeningSet().highLabel;
 
         // Vertical depth profile
         var verticalProfile = '<div class="tp-vertical-profile" id="tp-profile-' + tp.id + '" style="position:relative;width:35px;height:' + profileHeight + 'px;background:#f5f5f5;border:2px solid #333;border-radius:3px;flex-shrink:0;">';
@@ -213,12 +263,9 @@ var MarkersModule = (function() {
         tp.depths.forEach(function(d, i) {
             var topPct = (d.start / maxDepth) * 100;
             var heightPct = ((d.end - d.start) / maxDepth) * 100;
-            var hasExceed = d.metals && (
-                AppConfig.exceedsROD(d.metals.Mercury, 'Mercury') ||
-                AppConfig.exceedsROD(d.metals.Arsenic, 'Arsenic') ||
-                AppConfig.exceedsROD(d.metals.Antimony, 'Antimony') ||
-                AppConfig.exceedsROD(d.metals.Thallium, 'Thallium')
-            );
+            var hasExceed = Object.keys(AppConfig.thresholds).some(function(m) {
+                return resultExceeds(d, m);
+            });
             var color = hasExceed ? AppConfig.colors.high : AppConfig.colors.low;
             verticalProfile += '<div class="tp-depth-segment" data-idx="' + i + '" style="position:absolute;left:4px;right:4px;top:' + topPct + '%;height:' + heightPct + '%;background:' + color + ';border:1px solid rgba(0,0,0,0.2);cursor:pointer;transition:all 0.2s;" onclick="MarkersModule.showTPDepth(\'' + tp.id + '\',' + i + ')" title="' + d.label + '"></div>';
         });
@@ -230,16 +277,14 @@ var MarkersModule = (function() {
 
         // Data panels for each depth
         var panels = '';
-        var fv = Utils.formatVal;
         tp.depths.forEach(function(d, i) {
             var display = i === 0 ? 'block' : 'none';
-            var keyMetals = ['Mercury', 'Arsenic', 'Antimony', 'Thallium'];
+            var keyMetals = Object.keys(AppConfig.thresholds);
             var metalRows = '';
             keyMetals.forEach(function(m) {
-                var val = d.metals && d.metals[m] !== null ? d.metals[m] : null;
-                var threshold = thresholds[m].high;
-                var exceed = val !== null && val > threshold;
-                var valText = val !== null ? val.toFixed(2) : '\u2014';
+                var threshold = levelText(m);
+                var exceed = resultExceeds(d, m);
+                var valText = resultHtml(d, m, 2);
                 var style = exceed ? 'color:#d63e2a;font-weight:bold;' : '';
                 metalRows += '<tr><td>' + m + '</td><td style="' + style + '">' + valText + '</td><td>' + threshold + '</td></tr>';
             });
@@ -248,15 +293,14 @@ var MarkersModule = (function() {
             var fullGrid = '<div class="tp-full-metals" id="tp-fullmetals-' + tp.id + '-' + i + '" style="display:none;margin-top:8px;max-height:150px;overflow-y:auto;font-size:9px;">';
             fullGrid += '<table style="width:100%;border-collapse:collapse;">';
             AppConfig.allMetals.forEach(function(m) {
-                var val = d.metals && d.metals[m] !== null ? d.metals[m] : null;
-                var valText = val !== null ? fv(val) : '\u2014';
+                var valText = resultHtml(d, m);
                 fullGrid += '<tr style="border-bottom:1px solid #eee;"><td style="padding:2px;">' + m + '</td><td style="padding:2px;text-align:right;">' + valText + '</td></tr>';
             });
             fullGrid += '</table></div>';
 
             panels += '<div class="tp-depth-panel" id="tp-panel-' + tp.id + '-' + i + '" style="display:' + display + ';">' +
                 '<table style="width:100%;font-size:10px;border-collapse:collapse;margin-top:4px;">' +
-                '<tr style="background:#f5f5f5;"><th style="text-align:left;padding:3px;">Analyte</th><th style="padding:3px;">Result</th><th style="padding:3px;">ROD</th></tr>' +
+                '<tr style="background:#f5f5f5;"><th style="text-align:left;padding:3px;">Analyte</th><th style="padding:3px;">Result</th><th style="padding:3px;">' + levelHeader + '</th></tr>' +
                 metalRows + '</table>' +
                 '<button class="tp-toggle-metals-btn" data-tpid="' + tp.id + '" onclick="MarkersModule.toggleTPFullMetals(\'' + tp.id + '\', this)" style="margin-top:6px;font-size:9px;padding:2px 6px;cursor:pointer;">Show All Metals \u25bc</button>' +
                 fullGrid + '</div>';
@@ -267,12 +311,9 @@ var MarkersModule = (function() {
         // Depth tabs
         var depthTabs = '<div class="tp-depth-tabs" style="margin-bottom:6px;">';
         tp.depths.forEach(function(d, i) {
-            var hasExceed = d.metals && (
-                AppConfig.exceedsROD(d.metals.Mercury, 'Mercury') ||
-                AppConfig.exceedsROD(d.metals.Arsenic, 'Arsenic') ||
-                AppConfig.exceedsROD(d.metals.Antimony, 'Antimony') ||
-                AppConfig.exceedsROD(d.metals.Thallium, 'Thallium')
-            );
+            var hasExceed = Object.keys(AppConfig.thresholds).some(function(m) {
+                return resultExceeds(d, m);
+            });
             var tabClass = 'tp-depth-tab' + (i === 0 ? ' active' : '') + (hasExceed ? ' exceed' : '');
             depthTabs += '<button class="' + tabClass + '" onclick="MarkersModule.showTPDepth(\'' + tp.id + '\',' + i + ')">' + d.label + '</button>';
         });
@@ -294,20 +335,23 @@ var MarkersModule = (function() {
 
     function createTestPit2025Markers() {
         AppState.data.testPits2025.forEach(function(tp) {
-            var marker = L.marker([tp.lat, tp.lon], {
-                icon: L.divIcon({
-                    className: 'tp2025-icon',
-                    html: '<div style="color: #cc6600; font-size: 16px; font-weight: bold; text-shadow: 1px 1px 1px #000, -1px -1px 1px #000;">\u2715</div>',
-                    iconSize: [16, 16],
-                    iconAnchor: [8, 8]
-                })
-            });
+            var marker = L.marker([tp.lat, tp.lon], { icon: testPit2025Icon(AppConfig.colors.testPit2025) });
             marker.bindPopup(createTestPitPopup(tp), { maxWidth: 300, maxHeight: 400 });
             marker.bindTooltip('TP: ' + tp.id, { direction: 'top', offset: [0, -8] });
+            marker.locationId = tp.id;
             marker.addTo(AppState.layers.testPits2025);
         });
     }
 
+    function testPit2025Icon(color) {
+        return L.divIcon({
+            className: 'tp2025-icon',
+            html: '<div style="color: ' + color + '; font-size: 16px; font-weight: bold; text-shadow: 1px 1px 1px #000, -1px -1px 1px #000;">\u2715</div>',
+            iconSize: [16, 16],
+            iconAnchor: [8, 8]
+        });
+    }
+
     // ===== 2025 SOIL BORINGS =====
 
     function createSoilBoringPopup(sb) {
@@ -339,8 +383,8 @@ var MarkersModule = (function() {
         sb.depths.forEach(function(d, i) {
             var topPct = (d.start / maxDepth) * 100;
             var heightPct = ((d.end - d.start) / maxDepth) * 100;
-            var hasHgExceed = d.metals.Mercury && d.metals.Mercury > 204;
-            var hasAsExceed = d.metals.Arsenic && d.metals.Arsenic > 6.1;
+            var hasHgExceed = resultExceeds(d, 'Mercury');
+            var hasAsExceed = resultExceeds(d, 'Arsenic');
             var color = (hasHgExceed || hasAsExceed) ? '#d63e2a' : (d.metals.Mercury === null ? '#ccc' : '#72af26');
             verticalProfile += '<div class="sb-depth-segment" data-idx="' + i + '" style="position:absolute;left:5px;right:5px;top:' + topPct + '%;height:' + heightPct + '%;background:' + color + ';border:1px solid rgba(0,0,0,0.2);cursor:pointer;transition:all 0.2s;" onclick="MarkersModule.showSBDepth(\'' + sb.id + '\',' + i + ')" title="' + d.label + '"></div>';
         });
@@ -351,7 +395,7 @@ var MarkersModule = (function() {
         // Depth dropdown
         var depthSelect = '<select class="sb-depth-select" onchange="MarkersModule.showSBDepth(\'' + sb.id + '\', this.value)" id="sb-select-' + sb.id + '" style="width:100%;padding:4px;font-size:10px;margin-bottom:6px;">';
         sb.depths.forEach(function(d, i) {
-            var hasExceed = (d.metals.Mercury && d.metals.Mercury > 204) || (d.metals.Arsenic && d.metals.Arsenic > 6.1);
+            var hasExceed = resultExceeds(d, 'Mercury') || resultExceeds(d, 'Arsenic');
             var exceedMark = hasExceed ? ' \u26a0\ufe0f' : '';
             depthSelect += '<option value="' + i + '">' + d.label + exceedMark + '</option>';
         });
@@ -361,23 +405,20 @@ var MarkersModule = (function() {
         var panels = '';
         sb.depths.forEach(function(d, i) {
             var display = i === 0 ? 'block' : 'none';
-            var hg = d.metals.Mercury;
-            var as = d.metals.Arsenic;
-            var hgExceed = hg !== null && hg > 204;
-            var asExceed = as !== null && as > 6.1;
-            var hgText = hg !== null ? hg.toFixed(2) : '\u2014';
-            var asText = as !== null ? as.toFixed(2) : '\u2014';
-            var hgStyle = hgExceed ? 'color:#d63e2a;font-weight:bold;' : '';
-            var asStyle = asExceed ? 'color:#d63e2a;font-weight:bold;' : '';
+            var cocRows = '';
+            Object.keys(AppConfig.thresholds).forEach(function(m) {
+                var hasValue = Utils.getSampleValue(d, m) !== null;
+                var cellStyle = resultExceeds(d, m) ? 'color:#d63e2a;font-weight:bold;' : '';
+                cocRows += '<tr' + (hasValue ? '' : ' style="color:#999;"') + '><td style="padding:3px;">' + m + '</td>' +
+                    '<td style="padding:3px;text-align:center;' + cellStyle + '">' + resultHtml(d, m, 2) + '</td>' +
+                    '<td style="padding:3px;text-align:center;">' + levelText(m) + '</td></tr>';
+            });
 
             panels += '<div class="sb-depth-panel" id="sb-panel-' + sb.id + '-' + i + '" style="display:' + display + ';">' +
                 '<div style="font-size:9px;color:#666;margin-bottom:4px;">CLP#: <b>' + (d.clp || 'N/A') + '</b></div>' +
                 '<table style="width:100%;font-size:10px;border-collapse:collapse;">' +
-                '<tr style="background:#f0f8ff;"><th style="text-align:left;padding:3px;">Analyte</th><th style="padding:3px;">Result</th><th style="padding:3px;">ROD</th></tr>' +
-                '<tr><td style="padding:3px;">Mercury</td><td style="padding:3px;text-align:center;' + hgStyle + '">' + hgText + '</td><td style="padding:3px;text-align:center;">204</td></tr>' +
-                '<tr><td style="padding:3px;">Arsenic</td><td style="padding:3px;text-align:center;' + asStyle + '">' + asText + '</td><td style="padding:3px;text-align:center;">6.1</td></tr>' +
-                '<tr style="color:#999;"><td style="padding:3px;">Antimony</td><td style="padding:3px;text-align:center;">\u2014</td><td style="padding:3px;text-align:center;">51</td></tr>' +
-                '<tr style="color:#999;"><td style="padding:3px;">Thallium</td><td style="padding:3px;text-align:center;">\u2014</td><td style="padding:3px;text-align:center;">1.3</td></tr>' +
+                '<tr style="background:#f0f8ff;"><th style="text-align:left;padding:3px;">Analyte</th><th style="padding:3px;">Result</th><th style="padding:3px;">' + AppConfig.getScreeningSet().highLabel + '</th></tr>' +
+                cocRows +
                 '</table></div>';
         });
 
@@ -415,20 +456,42 @@ var MarkersModule = (function() {
             });
             marker.bindPopup(createSoilBoringPopup(sb), { maxWidth: 280, maxHeight: 350 });
             marker.bindTooltip('SB: ' + sb.id, { direction: 'top', offset: [0, -8] });
+            marker.locationId = sb.id;
             marker.addTo(AppState.layers.soilBorings2025);
         });
     }
 
     // ===== COLOR UPDATES =====
 
+    /**
+     * Color markers by the current analyte. When a depth horizon below the
+     * surface is selected, every dataset is colored by its result in the
+     * horizon, and locations with no data there are greyed out (surface
+     * samples through SearchModule.applyFilters, which owns their opacity).
+     */
     function updateMarkerColors() {
         var analyte = AppState.currentAnalyte;
+        var sliced = !DataModule.getHorizon().surface;
+
+        /**
+         * Raw value shown for a surface sample: the sample result, or the
+         * horizon result when sliced.
+         */
+        function surfaceValue(sample, id, dataset) {
+            if (sliced) {
+                var loc = DataModule.getLocation(id, dataset);
+                var r = loc ? DataModule.getHorizonResult(loc, analyte) : null;
+                return r ? r.value : null;
+            }
+            var result = Utils.getSampleResult(sample, analyte);
+            return result.rejected ? null : result.value;
+        }
 
         // Update 2025 sampled markers
         AppState.layers.sampled2025.eachLayer(function(marker) {
             var sample = AppState.data.samples2025.find(function(s) { return s.num === marker.sampleNum; });
             if (sample && sample.metals) {
-                var value = sample.metals[analyte];
+                var value = surfaceValue(sample, sample.label, 'samples2025');
                 marker.setStyle({ fillColor: AppConfig.getColorForValue(value, analyte), color: '#000' });
             }
         });
@@ -437,8 +500,7 @@ var MarkersModule = (function() {
         AppState.layers.eaSamples.eachLayer(function(marker) {
             var sample = AppState.data.eaSamples.find(function(e) { return e.id === marker.sampleId; });
             if (sample) {
-                var value = Utils.getSampleValue(sample, analyte, true);
-                var newColor = AppConfig.getColorForValue(value, analyte);
+                var newColor = AppConfig.getColorForValue(surfaceValue(sample, sample.id, 'eaSamples'), analyte);
                 var triangleHtml = '<div style="width:0;height:0;border-left:8px solid transparent;border-right:8px solid transparent;border-bottom:14px solid ' + newColor + ';filter:drop-shadow(1px 1px 1px rgba(0,0,0,0.5));"></div>';
                 marker.setIcon(L.divIcon({
                     className: 'ea-triangle',
@@ -449,12 +511,93 @@ var MarkersModule = (function() {
             }
         });
 
+        // Subsurface markers keep their dataset colors unless sliced
+        AppState.layers.testPits2025.eachLayer(function(marker) {
+            var loc = DataModule.getLocation(marker.locationId, 'testPits2025');
+            marker.setIcon(testPit2025Icon(sliced ? horizonColor(loc, analyte) : AppConfig.colors.testPit2025));
+            marker.setOpacity(sliced && !hasHorizonData(loc) ? AppConfig.markerStyles.outsideHorizon.opacity : 1);
+            marker.setTooltipContent(horizonTooltip('TP: ' + marker.locationId, loc, analyte, sliced));
+        });
+
+        var sbStyle = AppConfig.markerStyles.soilBoring;
+        AppState.layers.soilBorings2025.eachLayer(function(marker) {
+            var loc = DataModule.getLocation(marker.locationId, 'soilBorings2025');
+            var dim = sliced && !hasHorizonData(loc);
+            marker.setStyle({
+                fillColor: sliced ? horizonColor(loc, analyte) : sbStyle.fillColor,
+                opacity: dim ? AppConfig.markerStyles.outsideHorizon.opacity : sbStyle.opacity,
+                fillOpacity: dim ? AppConfig.markerStyles.outsideHorizon.opacity : sbStyle.fillOpacity
+            });
+            marker.setTooltipContent(horizonTooltip('SB: ' + marker.locationId, loc, analyte, sliced));
+        });
+
+        // EA test pits have field notes only, so they have no data at any horizon
+        AppState.layers.eaTestPits.eachLayer(function(marker) {
+            marker.setOpacity(sliced ? AppConfig.markerStyles.outsideHorizon.opacity : 1);
+        });
+
         // Update legend text
-        var thresh = AppConfig.thresholds[analyte];
+        var thresh = AppConfig.getThreshold(analyte);
         var legendTitle = document.querySelector('.section.legend h3');
         if (legendTitle) {
-            legendTitle.textContent = 'Legend (' + analyte + ': ' + thresh.low + '/' + thresh.high + ' mg/kg)';
+            legendTitle.textContent = thresh
+                ? 'Legend (' + analyte + ': ' + thresh.low + '/' + thresh.high + ' ' + thresh.unit + ')'
+                : 'Legend (' + analyte + ': no level in ' + AppConfig.getScreeningSet().label + ')';
         }
+        updateLegendLevels(thresh);
+    }
+
+    /**
+     * Rewrite the HIGH / MED / LOW legend items for the active screening
+     * set, keeping their color swatches.
+     * @param {Object|null} thresh - AppConfig.getThreshold() for the color-by analyte
+     */
+    function updateLegendLevels(thresh) {
+        var text;
+        if (!thresh) {
+            text = { high: 'HIGH N/A', med: 'MED N/A', low: 'No screening level in active set' };
+        } else if (thresh.high === thresh.low) {
+            text = {
+                high: 'HIGH >' + thresh.high + ' (Exceeds ' + thresh.highLabel + ')',
+                med: 'MED N/A',
+                low: 'LOW \u2264' + thresh.low + ' (Below ' + thresh.highLabel + ')'
+            };
+        } else {
+            text = {
+                high: 'HIGH >' + thresh.high + ' (Exceeds ' + thresh.highLabel + ')',
+                med: 'MED ' + thresh.low + '-' + thresh.high + ' (Above ' + thresh.lowLabel + ')',
+                low: 'LOW \u2264' + thresh.low + ' (Below ' + thresh.lowLabel + ')'
+            };
+        }
+        var items = document.querySelectorAll('.section.legend .legend-item[data-level]');
+        Array.prototype.forEach.call(items, function(item) {
+            item.innerHTML = item.firstElementChild.outerHTML + Utils.escapeHtml(text[item.getAttribute('data-level')]);
+        });
+    }
+
+    function hasHorizonData(loc) {
+        return !!loc && DataModule.hasHorizonData(loc);
+    }
+
+    /**
+     * Marker color for the horizon result of a location (gray without one).
+     */
+    function horizonColor(loc, analyte) {
+        var r = loc ? DataModule.getHorizonResult(loc, analyte) : null;
+        return AppConfig.getColorForValue(r ? r.value : null, analyte);
+    }
+
+    /**
+     * Tooltip with the horizon result and the interval it came from, when sliced.
+     */
+    function horizonTooltip(base, loc, analyte, sliced) {
+        if (!sliced) return base;
+        var horizon = DataModule.getHorizon();
+        var t = AppConfig.thresholds[analyte];
+        var abbrev = t ? t.abbrev : analyte;
+        var r = loc ? DataModule.getHorizonResult(loc, analyte) : null;
+        if (!r) return base + ' \u2013 no ' + abbrev + ' at ' + horizon.label;
+        return base + ' ' + abbrev + '=' + Utils.fmt(r.value) + ' (' + DataModule.getHorizonInterval(loc, analyte).label + ')';
     }
 
     // ===== LABEL MANAGEMENT =====
@@ -624,6 +767,7 @@ var MarkersModule = (function() {
     // Public API
     return {
         init: init,
+        refresh: refresh,
         updateMarkerColors: updateMarkerColors,
         updateLabels: updateLabels,
         // Global handlers for onclick attributes in popups
@@ -89,21 +89,37 @@ var PlanningModule = (function() {
         var depth = depthSelect ? depthSelect.value : 'Shallow';
         var pending = AppState.pendingPoint;
 
-        var point = {
+        addPoint({
             id: pending.id,
             type: pending.type,
             lat: pending.lat,
             lon: pending.lon,
             note: note,
-            depth: depth,
-            color: AppConfig.pointTypes[pending.type].color
+            depth: depth
+        });
+        AppState.map.closePopup();
+        AppState.pendingPoint = null;
+    }
+
+    /**
+     * Add a planned point: marker, list, undo entry and auto-save.
+     * @param {Object} spec - { type, lat, lon, depth, note, id (default: next free ID of the type) }
+     * @returns {Object} The planned point
+     */
+    function addPoint(spec) {
+        var point = {
+            id: spec.id || AppConfig.pointTypes[spec.type].prefix + getNextPointNumber(spec.type),
+            type: spec.type,
+            lat: spec.lat,
+            lon: spec.lon,
+            note: spec.note || '',
+            depth: spec.depth || 'Shallow',
+            color: AppConfig.pointTypes[spec.type].color
         };
 
         AppState.plannedPoints.push(point);
         addPlannedMarker(point);
         updatePlannedPointsList();
-        AppState.map.closePopup();
-        AppState.pendingPoint = null;
 
         // Push to undo stack
         AppState.pushUndo({ type: 'add_point', data: point });
@@ -113,6 +129,7 @@ var PlanningModule = (function() {
 
         // Refresh gap grid if visible
         if (AppState.gapsVisible) AnalysisModule.createGapGrid();
+        return point;
     }
 
     /**
@@ -148,34 +165,16 @@ var PlanningModule = (function() {
         var mode = AppState.currentMode;
         if (mode === 'view') mode = 'proposed'; // Default to proposed
 
-        var typeConfig = AppConfig.pointTypes[mode];
-        var pointNum = getNextPointNumber(mode);
-        var pointId = typeConfig.prefix + pointNum;
-
         var depthSelect = document.getElementById('coordEntryDepth');
         var noteInput = document.getElementById('coordEntryNote');
-        var depth = depthSelect ? depthSelect.value : 'Shallow';
-        var note = noteInput ? noteInput.value : '';
 
-        var point = {
-            id: pointId,
+        addPoint({
             type: mode,
             lat: lat,
             lon: lon,
-            note: note,
-            depth: depth,
-            color: typeConfig.color
-        };
-
-        AppState.plannedPoints.push(point);
-        addPlannedMarker(point);
-        updatePlannedPointsList();
-
-        // Push to undo stack
-        AppState.pushUndo({ type: 'add_point', data: point });
-
-        // Auto-save
-        if (typeof StorageModule !== 'undefined') StorageModule.savePlannedPoints();
+            note: noteInput ? noteInput.value : '',
+            depth: depthSelect ? depthSelect.value : 'Shallow'
+        });
 
         // Pan map to point
         AppState.map.setView([lat, lon], 18);
@@ -184,9 +183,6 @@ var PlanningModule = (function() {
         latInput.value = '';
         lonInput.value = '';
         if (noteInput) noteInput.value = '';
-
-        // Refresh gap grid if visible
-        if (AppState.gapsVisible) AnalysisModule.createGapGrid();
     }
 
     /**
@@ -427,6 +423,7 @@ var PlanningModule = (function() {
         confirmAddPoint: confirmAddPoint,
         cancelAddPoint: cancelAddPoint,
         addFromCoordinates: addFromCoordinates,
+        addPoint: addPoint,
         addPlannedMarker: addPlannedMarker,
         savePointNote: savePointNote,
         deletePointById: deletePointById,
@@ -1,24 +1,47 @@
 /**
  * SBMM Planning Tool - Polygon Area Analysis
  *
- * Draw a polygon on the map to select a region and view summary
- * statistics for all samples within the boundary.
+ * Draw named polygons on the map (decision units, excavation areas,
+ * exclusion zones; categories in AppConfig.polygonCategories) and view
+ * summary statistics for all samples within each boundary, including 95%
+ * UCL exposure point concentrations from StatsModule and the declustered
+ * mean and area above the upper level from the site-wide Thiessen cells
+ * clipped to the polygon (ThiessenModule).
+ *
+ * Polygons are kept in AppState.polygons and saved to LocalStorage on every
+ * change; GISModule adds imported ones through addPolygons(). Clicking one
+ * opens its own stats panel, where it can be renamed, recolored,
+ * recategorized, deleted or edited by dragging its vertices. The
+ * Polygons list sorts them by name, category, area or the maximum result of
+ * the color-by analyte. getCurrent() is the polygon whose panel was opened
+ * last; the print report and the block model, depth map and background
+ * tools use it.
  */
 var PolygonModule = (function() {
     'use strict';
 
     var conv = AppConfig.coordConversion;
-    var analytes = ['Mercury', 'Arsenic', 'Antimony', 'Thallium'];
+
+    var PANEL_OFFSET = 22;          // Cascade of the stats panels (px)
 
     // Temporary drawing layers
     var tempPolyline = null;
     var tempVertexMarkers = [];
-    var statsPanel = null;
+
+    // Per polygon id: { layer, shape, panel, results } (not saved)
+    var views = {};
+    var openOrder = [];             // Ids with an open stats panel, last opened last
+    var editingId = null;           // Polygon whose vertices can be dragged
+    var nextId = 1;
+
+    var listPanel = null;
+    var sortKey = 'area';
+    var sortAsc = false;
 
     // ===== INITIALIZATION =====
 
     /**
-     * Initialize polygon state and create the stats panel container.
+     * Initialize polygon state and restore the saved polygons.
      * Call once after the map is ready.
      */
     function init() {
@@ -26,14 +49,29 @@ var PolygonModule = (function() {
         AppState.polygonLayer = L.layerGroup().addTo(AppState.map);
         AppState.polygonVertices = [];
 
-        createStatsPanel();
+        AppState.polygons = StorageModule.restorePolygons().map(function(p) {
+            var category = AppConfig.polygonCategories[p.category] ? p.category : AppConfig.defaultPolygonCategory;
+            return {
+                id: p.id,
+                name: p.name,
+                category: category,
+                color: p.color || AppConfig.polygonCategories[category].color,
+                vertices: p.vertices.map(function(v) { return L.latLng(v[0], v[1]); }),
+                attributes: p.attributes && typeof p.attributes === 'object' && !Array.isArray(p.attributes) ? p.attributes : null
+            };
+        });
+        AppState.polygons.forEach(function(poly) {
+            nextId = Math.max(nextId, poly.id + 1);
+            drawPolygon(poly);
+        });
+
         bindMapEvents();
     }
 
     // ===== DRAWING TOGGLE =====
 
     /**
-     * Toggle polygon drawing mode on/off.
+     * Toggle polygon drawing mode on/off. Finished polygons are kept.
      */
     function toggle() {
         AppState.polygonMode = !AppState.polygonMode;
@@ -41,8 +79,9 @@ var PolygonModule = (function() {
         var mapEl = document.getElementById('map');
 
         if (AppState.polygonMode) {
-            // Enter drawing mode: clear any previous polygon first
-            clearPolygon();
+            // Enter drawing mode: stop any vertex editing first
+            stopEditing();
+            clearDrawingState();
             if (btn) btn.classList.add('active');
             mapEl.classList.add('polygon-mode');
         } else {
@@ -159,8 +198,8 @@ var PolygonModule = (function() {
     // ===== POLYGON COMPLETION =====
 
     /**
-     * Finalize the polygon: draw the filled shape, run analysis,
-     * and show the stats panel.
+     * Finalize the polygon: add it to AppState.polygons as a decision unit,
+     * save, draw it and open its stats panel.
      */
     function finishPolygon() {
         // Exit drawing mode
@@ -172,32 +211,177 @@ var PolygonModule = (function() {
         // Remove temp drawing artifacts
         clearTempLayers();
 
-        var verts = AppState.polygonVertices;
+        var category = AppConfig.defaultPolygonCategory;
+        var id = nextId++;
+        var poly = {
+            id: id,
+            name: 'Polygon ' + id,
+            category: category,
+            color: AppConfig.polygonCategories[category].color,
+            vertices: AppState.polygonVertices.slice(),
+            attributes: null
+        };
+        AppState.polygonVertices = [];
+        AppState.polygons.push(poly);
+        StorageModule.savePolygons();
+
+        drawPolygon(poly);
+        openStats(poly.id);
+        renderList();
+    }
 
-        // Draw the final polygon
-        var polygon = L.polygon(verts, {
-            color: '#3388ff',
+    /**
+     * Add finished polygons from elsewhere (e.g. a GIS import) and save.
+     * No stats panels are opened.
+     * @param {Array} specs - { name, category (default AppConfig.defaultPolygonCategory),
+     *     color (#rrggbb; default: the category color), vertices (L.LatLng, at least 3),
+     *     attributes (source attributes kept for export, optional) }
+     * @returns {Array} The added entries of AppState.polygons
+     */
+    function addPolygons(specs) {
+        var added = specs.filter(function(spec) { return spec.vertices.length >= 3; }).map(function(spec) {
+            var category = AppConfig.polygonCategories[spec.category] ? spec.category : AppConfig.defaultPolygonCategory;
+            var id = nextId++;
+            var poly = {
+                id: id,
+                name: spec.name || 'Polygon ' + id,
+                category: category,
+                color: Utils.isHexColor(spec.color) ? spec.color : AppConfig.polygonCategories[category].color,
+                vertices: spec.vertices.slice(),
+                attributes: spec.attributes || null
+            };
+            AppState.polygons.push(poly);
+            drawPolygon(poly);
+            return poly;
+        });
+        if (added.length > 0) StorageModule.savePolygons();
+        renderList();
+        return added;
+    }
+
+    // ===== POLYGON LAYERS =====
+
+    function findPolygon(id) {
+        return AppState.polygons.filter(function(p) { return p.id === id; })[0] || null;
+    }
+
+    /**
+     * (Re)draw a finished polygon with its name, and its vertices as dots
+     * or, while it is being edited, as drag handles. Clicking the polygon
+     * in view mode opens its stats panel.
+     * @param {Object} poly - Entry of AppState.polygons
+     */
+    function drawPolygon(poly) {
+        var view = views[poly.id] || (views[poly.id] = { layer: null, shape: null, panel: null, results: null });
+        if (view.layer) AppState.polygonLayer.removeLayer(view.layer);
+        view.layer = L.layerGroup().addTo(AppState.polygonLayer);
+
+        view.shape = L.polygon(poly.vertices, {
+            color: poly.color,
             weight: 2,
             dashArray: '8, 6',
             opacity: 0.9,
-            fillColor: '#3388ff',
+            fillColor: poly.color,
             fillOpacity: 0.15
-        }).addTo(AppState.polygonLayer);
-
-        // Draw final vertex dots on top
-        verts.forEach(function(ll) {
-            L.circleMarker(ll, {
-                radius: 4,
-                fillColor: '#3388ff',
-                color: '#ffffff',
-                weight: 2,
-                fillOpacity: 1
-            }).addTo(AppState.polygonLayer);
+        }).addTo(view.layer);
+        view.shape.bindTooltip(Utils.escapeHtml(poly.name), { permanent: true, direction: 'center', className: 'polygon-label' });
+        view.shape.on('click', function() {
+            if (AppState.polygonMode || AppState.measureMode || AppState.currentMode !== 'view') return;
+            openStats(poly.id);
         });
 
-        // Run analysis and display results
-        var results = analyzePolygon(verts);
-        showStats(results, verts);
+        if (editingId === poly.id) {
+            poly.vertices.forEach(function(ll, i) {
+                var handle = L.marker(ll, {
+                    draggable: true,
+                    icon: L.divIcon({ className: 'polygon-handle', iconSize: [12, 12] })
+                }).addTo(view.layer);
+                handle.on('drag', function() {
+                    poly.vertices[i] = handle.getLatLng();
+                    view.shape.setLatLngs(poly.vertices);
+                });
+                handle.on('dragend', function() {
+                    StorageModule.savePolygons();
+                    if (view.panel) showStats(poly);
+                    renderList();
+                });
+            });
+        } else {
+            // Final vertex dots on top
+            poly.vertices.forEach(function(ll) {
+                L.circleMarker(ll, {
+                    radius: 4,
+                    fillColor: poly.color,
+                    color: '#ffffff',
+                    weight: 2,
+                    fillOpacity: 1,
+                    interactive: false
+                }).addTo(view.layer);
+            });
+        }
+    }
+
+    /**
+     * Start or stop dragging the vertices of a polygon (one at a time).
+     * @param {number} id
+     */
+    function toggleEdit(id) {
+        var previous = editingId;
+        stopEditing();
+        if (previous === id || !findPolygon(id)) return;
+        if (AppState.polygonMode) toggle();
+        editingId = id;
+        drawPolygon(findPolygon(id));
+        if (views[id].panel) showStats(findPolygon(id));
+        renderList();
+    }
+
+    function stopEditing() {
+        var poly = editingId !== null ? findPolygon(editingId) : null;
+        editingId = null;
+        if (!poly) return;
+        drawPolygon(poly);
+        if (views[poly.id].panel) showStats(poly);
+        renderList();
+    }
+
+    /**
+     * Delete a polygon after confirmation.
+     * @param {number} id
+     */
+    function remove(id) {
+        var poly = findPolygon(id);
+        if (!poly || !confirm('Delete the polygon "' + poly.name + '"?')) return;
+        if (editingId === id) editingId = null;
+        closeStats(id);
+        AppState.polygonLayer.removeLayer(views[id].layer);
+        delete views[id];
+        AppState.polygons = AppState.polygons.filter(function(p) { return p !== poly; });
+        StorageModule.savePolygons();
+        renderList();
+    }
+
+    /**
+     * Rename, recategorize or recolor a polygon. A new category also brings
+     * its color unless the polygon had been given a color of its own.
+     * @param {number} id
+     * @param {Object} changes - { name?, category?, color? }
+     */
+    function update(id, changes) {
+        var poly = findPolygon(id);
+        if (!poly) return;
+        if (changes.name !== undefined && changes.name.trim() !== '') poly.name = changes.name.trim();
+        if (changes.category !== undefined && AppConfig.polygonCategories[changes.category]) {
+            if (poly.color === AppConfig.polygonCategories[poly.category].color) {
+                poly.color = AppConfig.polygonCategories[changes.category].color;
+            }
+            poly.category = changes.category;
+        }
+        if (changes.color !== undefined && Utils.isHexColor(changes.color)) poly.color = changes.color;
+        StorageModule.savePolygons();
+        drawPolygon(poly);
+        if (views[id].panel) showStats(poly);
+        renderList();
     }
 
     // ===== POINT-IN-POLYGON (RAY CASTING) =====
@@ -264,63 +448,70 @@ var PolygonModule = (function() {
 
     // ===== SAMPLE ANALYSIS =====
 
+    /**
+     * Sampled surface locations from every dataset (or, with a depth
+     * horizon below the surface, every location with data in it) inside a
+     * polygon, narrowed to its bounding box through the spatial index.
+     * @param {Array} verts - Polygon vertices (Leaflet LatLng objects)
+     * @returns {Array} Locations
+     */
+    function locationsInside(verts) {
+        var sliced = !DataModule.getHorizon().surface;
+        var lats = verts.map(function(v) { return v.lat; });
+        var lngs = verts.map(function(v) { return v.lng; });
+        return SpatialIndexModule.get(sliced ? 'locations' : 'surfaceSamples').inBounds(
+            Math.min.apply(null, lats), Math.max.apply(null, lats),
+            Math.min.apply(null, lngs), Math.max.apply(null, lngs)
+        ).filter(function(loc) {
+            if (sliced && !DataModule.hasHorizonData(loc)) return false;
+            return pointInPolygon(loc.lat, loc.lon, verts);
+        });
+    }
+
     /**
      * Find all samples inside the polygon and compute summary statistics.
      * @param {Array} verts - Polygon vertices (Leaflet LatLng objects)
      * @returns {Object} Analysis results
      */
     function analyzePolygon(verts) {
-        var data = AppState.data;
-        var samplesInside = [];
-
-        // Check 2025 sampled surface samples
-        data.samples2025.forEach(function(s) {
-            if (!s.sampled || !s.metals) return;
-            if (pointInPolygon(s.lat, s.lon, verts)) {
-                samplesInside.push({ sample: s, isEA: false });
-            }
-        });
-
-        // Check EA historical samples
-        data.eaSamples.forEach(function(e) {
-            if (pointInPolygon(e.lat, e.lon, verts)) {
-                samplesInside.push({ sample: e, isEA: true });
-            }
-        });
+        var samplesInside = locationsInside(verts);
 
-        // Compute per-analyte statistics
+        // Compute per-analyte statistics from the horizon results. Rejected
+        // results are skipped and non-detects use the selected rule; only
+        // detects count as exceedances.
         var stats = {};
-        analytes.forEach(function(analyte) {
+        Object.keys(AppConfig.thresholds).forEach(function(analyte) {
             var values = [];
             var exceedCount = 0;
-
-            samplesInside.forEach(function(entry) {
-                var val = Utils.getSampleValue(entry.sample, analyte, entry.isEA);
-                if (val !== null && val !== undefined && !isNaN(val)) {
-                    values.push(val);
-                    if (AppConfig.exceedsROD(val, analyte)) {
-                        exceedCount++;
-                    }
+            var ndCount = 0;
+
+            samplesInside.forEach(function(loc) {
+                var result = DataModule.getHorizonResult(loc, analyte);
+                if (!result) return;
+                var val = DataModule.resultValue(result);
+                values.push(val);
+                if (!result.detected) {
+                    ndCount++;
+                } else if (AppConfig.exceedsROD(val, analyte)) {
+                    exceedCount++;
                 }
             });
 
-            var min = null;
-            var max = null;
-            var mean = null;
-
-            if (values.length > 0) {
-                min = Math.min.apply(null, values);
-                max = Math.max.apply(null, values);
-                var sum = values.reduce(function(a, b) { return a + b; }, 0);
-                mean = sum / values.length;
-            }
+            var ucl = StatsModule.ucl95(values, { ndCount: ndCount });
+            var declustered = ThiessenModule.decluster(
+                DataModule.getPoints(analyte, { horizon: AppState.depthHorizon }), analyte, { within: verts });
 
             stats[analyte] = {
                 count: values.length,
-                min: min,
-                max: max,
-                mean: mean,
-                exceedances: exceedCount
+                ndCount: ndCount,
+                min: ucl.min,
+                max: ucl.max,
+                mean: ucl.mean,
+                sd: ucl.sd,
+                exceedances: exceedCount,
+                declusteredMean: declustered ? declustered.declusteredMean : null,
+                pctAreaAbove: declustered ? declustered.pctAreaAbove : null,
+                ucl: ucl
             };
         });
 
@@ -328,6 +519,7 @@ var PolygonModule = (function() {
 
         return {
             totalSamples: samplesInside.length,
+            locations: samplesInside,
             stats: stats,
             areaSqFt: areaSqFt
         };
@@ -335,18 +527,23 @@ var PolygonModule = (function() {
 
     // ===== STATS PANEL =====
 
+    var BUTTON_STYLE = 'background:none; border:1px solid #666; color:#aaa; font-size:9px; padding:2px 8px; cursor:pointer; border-radius:3px;';
+
     /**
-     * Create the stats panel DOM element (hidden by default).
-     * Positioned in the bottom-left of the map area.
+     * Create the stats panel DOM element of a polygon, cascaded from the
+     * bottom-left of the map area by the number of panels already open.
+     * @returns {HTMLElement}
      */
-    function createStatsPanel() {
-        statsPanel = document.createElement('div');
-        statsPanel.id = 'polygonStatsPanel';
-        statsPanel.style.cssText = [
+    function createStatsPanel(id) {
+        var offset = (openOrder.length % 6) * PANEL_OFFSET;
+        var panel = document.createElement('div');
+        panel.id = 'polygonStatsPanel-' + id;
+        panel.className = 'polygon-stats-panel';
+        panel.style.cssText = [
             'display: none',
             'position: absolute',
-            'bottom: 30px',
-            'left: 10px',
+            'bottom: ' + (30 + offset) + 'px',
+            'left: ' + (10 + offset) + 'px',
             'z-index: 1000',
             'background: rgba(20, 20, 20, 0.92)',
             'color: #ddd',
@@ -356,39 +553,94 @@ var PolygonModule = (function() {
             'font-family: Arial, sans-serif',
             'font-size: 11px',
             'min-width: 280px',
-            'max-width: 340px',
+            'max-width: 360px',
+            'max-height: calc(100% - ' + (60 + offset) + 'px)',
+            'overflow-y: auto',
             'pointer-events: auto',
             'box-shadow: 0 2px 12px rgba(0,0,0,0.5)'
         ].join(';');
 
         // Prevent map interactions when interacting with the panel
-        L.DomEvent.disableClickPropagation(statsPanel);
-        L.DomEvent.disableScrollPropagation(statsPanel);
+        L.DomEvent.disableClickPropagation(panel);
+        L.DomEvent.disableScrollPropagation(panel);
 
-        document.getElementById('map').appendChild(statsPanel);
+        // Clicking a panel brings it to the front and makes its polygon current
+        panel.addEventListener('mousedown', function() { focusStats(id); });
+
+        document.getElementById('map').appendChild(panel);
+        return panel;
     }
 
     /**
-     * Populate and display the stats panel with analysis results.
-     * @param {Object} results - Output from analyzePolygon()
-     * @param {Array} verts - Polygon vertices
+     * Open (or bring to the front) the stats panel of a polygon.
+     * @param {number} id
      */
-    function showStats(results, verts) {
+    function openStats(id) {
+        var poly = findPolygon(id);
+        if (!poly) return;
+        var view = views[id];
+        if (!view.panel) view.panel = createStatsPanel(id);
+        showStats(poly);
+        focusStats(id);
+    }
+
+    function focusStats(id) {
+        openOrder = openOrder.filter(function(o) { return o !== id; }).concat([id]);
+        openOrder.forEach(function(o, i) {
+            if (views[o] && views[o].panel) views[o].panel.style.zIndex = String(1000 + i);
+        });
+    }
+
+    /**
+     * Close the stats panel of a polygon; the polygon stays on the map.
+     * @param {number} id
+     */
+    function closeStats(id) {
+        var view = views[id];
+        if (!view || !view.panel) return;
+        view.panel.parentNode.removeChild(view.panel);
+        view.panel = null;
+        view.results = null;
+        openOrder = openOrder.filter(function(o) { return o !== id; });
+    }
+
+    /**
+     * Analyze a polygon and populate its stats panel.
+     * @param {Object} poly - Entry of AppState.polygons
+     */
+    function showStats(poly) {
+        var view = views[poly.id];
+        var results = analyzePolygon(poly.vertices);
         var abbrevs = AppConfig.getAnalyteAbbreviations();
         var thresholds = AppConfig.thresholds;
-
-        // Build header
-        var html = '<div style="display:flex; justify-content:space-between; align-items:center; margin-bottom:8px;">' +
-            '<span style="color:#3388ff; font-weight:bold; font-size:12px;">Polygon Analysis</span>' +
-            '<button id="polygonClearBtn" style="background:none; border:1px solid #666; color:#aaa; ' +
-            'font-size:9px; padding:2px 8px; cursor:pointer; border-radius:3px;">Clear</button>' +
+        var categories = AppConfig.polygonCategories;
+        var editing = editingId === poly.id;
+
+        // Build header: name, category, color and actions
+        var html = '<div style="display:flex; gap:6px; align-items:center; margin-bottom:6px;">' +
+            '<input type="text" class="polygon-name" value="' + Utils.escapeHtml(poly.name) +
+            '" title="Polygon name" ' +
+            'style="flex:1; min-width:0; background:#333; color:' + poly.color + '; border:1px solid #555; border-radius:3px; ' +
+            'font-weight:bold; font-size:12px; padding:2px 4px;">' +
+            '<button class="polygon-close" title="Close the panel (the polygon stays)" style="' + BUTTON_STYLE + '">\u00d7</button>' +
+            '</div>' +
+            '<div style="display:flex; gap:6px; align-items:center; margin-bottom:8px;">' +
+            '<select class="polygon-category" style="flex:1; background:#333; color:#ddd; border:1px solid #555; font-size:10px;">' +
+            Object.keys(categories).map(function(key) {
+                return '<option value="' + key + '"' + (key === poly.category ? ' selected' : '') + '>' + categories[key].label + '</option>';
+            }).join('') + '</select>' +
+            '<input type="color" class="polygon-color" value="' + poly.color + '" title="Polygon color" ' +
+            'style="width:26px; height:18px; padding:0; border:1px solid #555; background:none; cursor:pointer;">' +
+            '<button class="polygon-edit" title="Drag the vertices on the map to reshape the polygon" style="' + BUTTON_STYLE +
+            (editing ? ' color:#fff; border-color:' + poly.color + ';' : '') + '">' + (editing ? 'Done' : 'Edit') + '</button>' +
+            '<button class="polygon-delete" style="' + BUTTON_STYLE + '">Delete</button>' +
             '</div>';
 
         // Summary row
         html += '<div style="display:flex; justify-content:space-between; margin-bottom:6px; ' +
             'padding-bottom:6px; border-bottom:1px solid #444;">' +
             '<span>Samples: <b style="color:#fff;">' + results.totalSamples + '</b></span>' +
-            '<span>Area: <b style="color:#fff;">' + formatArea(results.areaSqFt) + '</b> ft\u00B2</span>' +
+            '<span>Area: <b style="color:#fff;">' + Utils.formatArea(results.areaSqFt) + '</b></span>' +
             '</div>';
 
         if (results.totalSamples === 0) {
@@ -402,12 +654,16 @@ var PolygonModule = (function() {
                 '<th style="text-align:right; padding:2px 4px; font-weight:normal;">Min</th>' +
                 '<th style="text-align:right; padding:2px 4px; font-weight:normal;">Max</th>' +
                 '<th style="text-align:right; padding:2px 4px; font-weight:normal;">Mean</th>' +
+                '<th style="text-align:right; padding:2px 4px; font-weight:normal;" title="Thiessen area-weighted mean over the polygon; ' +
+                'below it, the share of the polygon area whose controlling sample is above the upper level">Decl.</th>' +
+                '<th style="text-align:right; padding:2px 4px; font-weight:normal;" title="Recommended 95% UCL on the mean">UCL95</th>' +
                 '<th style="text-align:right; padding:2px 4px; font-weight:normal;">Exceed</th>' +
                 '</tr>';
 
+            var analytes = Object.keys(results.stats);
             analytes.forEach(function(analyte) {
                 var s = results.stats[analyte];
-                var thresh = thresholds[analyte];
+                var thresh = AppConfig.getThreshold(analyte) || thresholds[analyte];
                 var hasExceed = s.exceedances > 0;
                 var exceedStyle = hasExceed
                     ? 'color:#d63e2a; font-weight:bold;'
@@ -419,62 +675,260 @@ var PolygonModule = (function() {
                     '<td style="text-align:right; padding:3px 4px;">' + Utils.formatVal(s.min) + '</td>' +
                     '<td style="text-align:right; padding:3px 4px;">' + Utils.formatVal(s.max) + '</td>' +
                     '<td style="text-align:right; padding:3px 4px; color:#fff;">' + Utils.formatVal(s.mean) + '</td>' +
+                    declusteredCell(s, analyte) +
+                    uclCell(s.ucl, analyte) +
                     '<td style="text-align:right; padding:3px 4px; ' + exceedStyle + '">' +
                     s.exceedances + '/' + s.count +
-                    (hasExceed ? ' \u26A0' : '') + '</td>' +
+                    (hasExceed ? ' \u26A0' : '') +
+                    (s.ndCount > 0 ? '<div style="color:#888; font-size:8px;">' + s.ndCount + ' ND</div>' : '') + '</td>' +
                     '</tr>';
             });
 
             html += '</table>';
+            html += uclDetails(results.stats, analytes, abbrevs);
 
-            // ROD threshold reference line
+            // Screening level reference line (active set)
+            var set = AppConfig.getScreeningSet();
             html += '<div style="margin-top:6px; padding-top:4px; border-top:1px solid #444; ' +
-                'color:#666; font-size:8px;">ROD Levels: Hg>' + thresholds.Mercury.high +
-                '  As>' + thresholds.Arsenic.high +
-                '  Sb>' + thresholds.Antimony.high +
-                '  Tl>' + thresholds.Thallium.high + '</div>';
+                'color:#666; font-size:8px;">' + set.highLabel + ' Levels:' +
+                analytes.map(function(analyte) {
+                    var t = AppConfig.getThreshold(analyte);
+                    return ' ' + abbrevs[analyte] + '>' + (t ? t.high : 'n/a');
+                }).join(' ') +
+                ' | ND at ' + AppConfig.nonDetectRules[AppState.nonDetectRule].label +
+                ' | ' + DataModule.getHorizon().label + '</div>';
         }
 
-        statsPanel.innerHTML = html;
-        statsPanel.style.display = 'block';
+        view.results = results;
+        var panel = view.panel;
+        panel.innerHTML = html;
+        panel.style.borderColor = poly.color;
+        panel.style.display = 'block';
+
+        // Bind the header controls
+        panel.querySelector('.polygon-name').addEventListener('change', function() { update(poly.id, { name: this.value }); });
+        panel.querySelector('.polygon-category').addEventListener('change', function() { update(poly.id, { category: this.value }); });
+        panel.querySelector('.polygon-color').addEventListener('change', function() { update(poly.id, { color: this.value }); });
+        panel.querySelector('.polygon-edit').addEventListener('click', function() { toggleEdit(poly.id); });
+        panel.querySelector('.polygon-delete').addEventListener('click', function() { remove(poly.id); });
+        panel.querySelector('.polygon-close').addEventListener('click', function() { closeStats(poly.id); });
+    }
+
+    /**
+     * Table cell with the declustered mean and, below it, the percent of the
+     * polygon area above the active upper screening level.
+     * @param {Object} s - results.stats[analyte] from analyzePolygon
+     * @param {string} analyte
+     * @returns {string} HTML
+     */
+    function declusteredCell(s, analyte) {
+        var style = 'text-align:right; padding:3px 4px;';
+        if (s.declusteredMean === null) {
+            return '<td style="' + style + ' color:#666;" title="At least 3 results at different spots are needed">\u2014</td>';
+        }
+        var color = AppConfig.exceedsROD(s.declusteredMean, analyte) ? '#d63e2a' : '#fff';
+        return '<td style="' + style + ' color:' + color + ';">' + Utils.formatVal(s.declusteredMean) +
+            '<div style="color:' + (s.pctAreaAbove > 0 ? '#f0932b' : '#888') + '; font-size:8px;">' +
+            s.pctAreaAbove.toFixed(0) + '% area</div></td>';
+    }
+
+    /**
+     * Table cell with the recommended UCL; the tooltip names the method.
+     * Red when the UCL is above the active upper screening level.
+     * @param {Object} ucl - From StatsModule.ucl95
+     * @param {string} analyte
+     * @returns {string} HTML
+     */
+    function uclCell(ucl, analyte) {
+        var style = 'text-align:right; padding:3px 4px;';
+        if (!ucl.recommended) {
+            return '<td style="' + style + ' color:#666;" title="' + (ucl.warnings[0] || 'No data') + '">\u2014</td>';
+        }
+        var rec = ucl.recommended;
+        var color = AppConfig.exceedsROD(rec.value, analyte) ? '#d63e2a' : '#fff';
+        return '<td style="' + style + ' color:' + color + ';" title="' + rec.label + ' | ' + rec.basis + '">' +
+            Utils.formatVal(rec.value) + (ucl.warnings.length > 0 ? '*' : '') + '</td>';
+    }
+
+    /**
+     * Collapsible section listing every UCL and the goodness-of-fit results.
+     * @param {Object} stats - results.stats from analyzePolygon
+     * @param {string[]} analytes
+     * @param {Object} abbrevs
+     * @returns {string} HTML
+     */
+    function uclDetails(stats, analytes, abbrevs) {
+        var cell = 'text-align:right; padding:2px 3px;';
+        var html = '<details style="margin-top:6px;"><summary style="cursor:pointer; color:#0af; font-size:10px;">95% UCL details</summary>' +
+            '<table style="width:100%; border-collapse:collapse; font-size:9px; margin-top:4px;">' +
+            '<tr style="color:#888; border-bottom:1px solid #444;"><th style="text-align:left; font-weight:normal;"></th>' +
+            '<th style="' + cell + ' font-weight:normal;">t</th>' +
+            '<th style="' + cell + ' font-weight:normal;">Cheb</th>' +
+            '<th style="' + cell + ' font-weight:normal;">Boot-t</th>' +
+            '<th style="' + cell + ' font-weight:normal;">Gamma</th>' +
+            '<th style="' + cell + ' font-weight:normal;">SD</th></tr>';
+        var notes = '';
+
+        analytes.forEach(function(analyte) {
+            var u = stats[analyte].ucl;
+            html += '<tr style="border-bottom:1px solid #333;"><td style="padding:2px 3px; color:#0af;">' + abbrevs[analyte] + '</td>' +
+                '<td style="' + cell + '">' + Utils.formatVal(u.ucls.studentT) + '</td>' +
+                '<td style="' + cell + '">' + Utils.formatVal(u.ucls.chebyshev) + '</td>' +
+                '<td style="' + cell + '">' + Utils.formatVal(u.ucls.bootstrapT) + '</td>' +
+                '<td style="' + cell + '">' + Utils.formatVal(u.ucls.gamma) + '</td>' +
+                '<td style="' + cell + '">' + Utils.formatVal(u.n > 1 ? u.sd : null) + '</td></tr>';
+
+            if (u.n >= 3) {
+                notes += '<div style="margin-top:3px;"><b style="color:#0af;">' + abbrevs[analyte] + '</b> ' +
+                    'Normal: ' + StatsModule.describeFit(u.gof.normal) +
+                    ', Lognormal: ' + StatsModule.describeFit(u.gof.lognormal) +
+                    ', Gamma: ' + StatsModule.describeFit(u.gof.gamma) +
+                    (u.recommended ? '<br>Use ' + u.recommended.label + ' (' + u.recommended.basis + ')' : '') +
+                    u.warnings.map(function(w) { return '<br><span style="color:#f0932b;">* ' + w + '</span>'; }).join('') +
+                    '</div>';
+            }
+        });
 
-        // Bind clear button
-        document.getElementById('polygonClearBtn').addEventListener('click', clear);
+        return html + '</table><div style="font-size:8px; color:#aaa;">' + notes + '</div></details>';
     }
 
+    // ===== POLYGON LIST =====
+
     /**
-     * Format an area value for display with thousand separators.
-     * @param {number} sqft
-     * @returns {string}
+     * Open the list of polygons.
      */
-    function formatArea(sqft) {
-        if (sqft >= 1000) {
-            return Math.round(sqft).toLocaleString();
+    function openList() {
+        if (!listPanel) {
+            listPanel = document.createElement('div');
+            listPanel.id = 'polygonListPanel';
+            listPanel.className = 'edd-panel polygon-list-panel';
+            L.DomEvent.disableClickPropagation(listPanel);
+            L.DomEvent.disableScrollPropagation(listPanel);
+            document.getElementById('map').appendChild(listPanel);
         }
-        return sqft.toFixed(1);
+        listPanel.style.display = 'block';
+        renderList();
     }
 
-    // ===== CLEAR / RESET =====
+    function closeList() {
+        if (listPanel) listPanel.style.display = 'none';
+    }
 
     /**
-     * Clear the finished polygon, stats panel, and all state.
-     * Public method accessible from outside the module.
+     * Sort the list by a column; the same column again reverses the order.
+     * @param {string} key - 'name' | 'category' | 'area' | 'max'
      */
-    function clear() {
-        clearPolygon();
+    function sortBy(key) {
+        if (sortKey === key) sortAsc = !sortAsc;
+        else {
+            sortKey = key;
+            sortAsc = key === 'name' || key === 'category';
+        }
+        renderList();
     }
 
     /**
-     * Internal clear: remove all polygon layers, hide stats, reset vertices.
+     * Area and highest result of the color-by analyte of each polygon,
+     * sorted by the current column (polygons without results last by max).
      */
-    function clearPolygon() {
-        clearDrawingState();
-        AppState.polygonLayer.clearLayers();
+    function listRows(analyte) {
+        var rows = AppState.polygons.map(function(poly) {
+            var max = null;
+            locationsInside(poly.vertices).forEach(function(loc) {
+                var result = DataModule.getHorizonResult(loc, analyte);
+                if (!result) return;
+                var val = DataModule.resultValue(result);
+                if (max === null || val > max) max = val;
+            });
+            return { poly: poly, areaSqFt: calculateAreaSqFt(poly.vertices), max: max };
+        });
 
-        if (statsPanel) {
-            statsPanel.style.display = 'none';
-            statsPanel.innerHTML = '';
+        function byName(a, b) { return a.poly.name.localeCompare(b.poly.name, undefined, { numeric: true }); }
+        var categories = AppConfig.polygonCategories;
+        var compare = {
+            name: byName,
+            category: function(a, b) { return categories[a.poly.category].label.localeCompare(categories[b.poly.category].label); },
+            area: function(a, b) { return a.areaSqFt - b.areaSqFt; },
+            max: function(a, b) {
+                if (a.max === null || b.max === null) return 0;
+                return a.max - b.max;
+            }
+        }[sortKey];
+        var dir = sortAsc ? 1 : -1;
+        return rows.sort(function(a, b) {
+            if (sortKey === 'max' && (a.max === null) !== (b.max === null)) return a.max === null ? 1 : -1;
+            return dir * compare(a, b) || byName(a, b);
+        });
+    }
+
+    function renderList() {
+        if (!listPanel || listPanel.style.display === 'none') return;
+        var analyte = AppState.currentAnalyte;
+        var thresh = AppConfig.getThreshold(analyte);
+        var abbrev = thresh ? thresh.abbrev : analyte;
+        var categories = AppConfig.polygonCategories;
+
+        var html = '<div class="edd-header"><h4>Polygons</h4>' +
+            '<button class="edd-close" onclick="PolygonModule.closeList()">\u00d7</button></div>';
+
+        if (AppState.polygons.length === 0) {
+            html += '<div class="edd-file">No polygons yet. Use <b>Polygon</b> and click the map to draw one; double-click to finish.</div>';
+            listPanel.innerHTML = html;
+            return;
         }
+
+        html += '<div class="edd-file">' + AppState.polygons.length + ' polygons, saved in this browser. Click a name for its statistics; ' +
+            'Max is the highest ' + Utils.escapeHtml(abbrev) + ' result inside (' + Utils.escapeHtml(DataModule.getHorizon().label) + ').</div>';
+        html += '<div class="edd-table-wrap"><table class="edd-table polygon-list-table"><thead><tr>' +
+            sortHeader('name', 'Name') + sortHeader('category', 'Category') + sortHeader('area', 'Area') +
+            sortHeader('max', 'Max ' + Utils.escapeHtml(abbrev) +
+                (thresh ? ' (' + Utils.escapeHtml(thresh.unit) + ')' : '')) +
+            '<th></th></tr></thead><tbody>';
+        listRows(analyte).forEach(function(r) {
+            var id = r.poly.id;
+            var exceeds = r.max !== null && AppConfig.exceedsROD(r.max, analyte);
+            html += '<tr' + (editingId === id ? ' class="polygon-editing"' : '') + '>' +
+                '<td><i class="polygon-swatch" style="background:' + r.poly.color + ';"></i>' +
+                '<a href="#" onclick="PolygonModule.select(' + id + '); return false;">' + Utils.escapeHtml(r.poly.name) + '</a></td>' +
+                '<td>' + categories[r.poly.category].label + '</td>' +
+                '<td>' + Utils.formatArea(r.areaSqFt) + '</td>' +
+                '<td' + (exceeds ? ' class="polygon-exceed"' : '') + '>' + (r.max !== null ? Utils.formatVal(r.max) : '\u2013') + '</td>' +
+                '<td><button onclick="PolygonModule.toggleEdit(' + id + ')" title="Drag the vertices on the map">' +
+                (editingId === id ? 'Done' : 'Edit') + '</button>' +
+                '<button onclick="PolygonModule.remove(' + id + ')">Delete</button></td></tr>';
+        });
+        html += '</tbody></table></div>';
+        listPanel.innerHTML = html;
+    }
+
+    function sortHeader(key, label) {
+        var arrow = sortKey === key ? (sortAsc ? ' \u25b2' : ' \u25bc') : '';
+        return '<th class="sortable" onclick="PolygonModule.sortBy(\'' + key + '\')">' + label + arrow + '</th>';
+    }
+
+    /**
+     * Zoom to a polygon and open its stats panel.
+     * @param {number} id
+     */
+    function select(id) {
+        var view = views[id];
+        if (!view) return;
+        AppState.map.fitBounds(view.shape.getBounds(), { padding: [40, 40] });
+        openStats(id);
+    }
+
+    // ===== REFRESH / RESET =====
+
+    /**
+     * Re-run the analysis of every open stats panel and the list (e.g.
+     * after data or the non-detect rule changes).
+     */
+    function refresh() {
+        openOrder.forEach(function(id) {
+            var poly = findPolygon(id);
+            if (poly) showStats(poly);
+        });
+        renderList();
     }
 
     /**
@@ -485,10 +939,44 @@ var PolygonModule = (function() {
         AppState.polygonVertices = [];
     }
 
+    /**
+     * The polygon whose stats panel was opened last, and its latest analysis,
+     * for the print report and the tools that work inside a polygon.
+     * @returns {Object|null} { id, name, category, vertices, results } or
+     *     null while drawing or with no stats panel open
+     */
+    function getCurrent() {
+        if (AppState.polygonMode || openOrder.length === 0) return null;
+        var id = openOrder[openOrder.length - 1];
+        var poly = findPolygon(id);
+        if (!poly || !views[id].results) return null;
+        return {
+            id: id,
+            name: poly.name,
+            category: poly.category,
+            vertices: poly.vertices.slice(),
+            results: views[id].results
+        };
+    }
+
     // Public API
     return {
         init: init,
         toggle: toggle,
-        clear: clear
+        refresh: refresh,
+        refreshList: renderList,
+        openList: openList,
+        closeList: closeList,
+        sortBy: sortBy,
+        select: select,
+        openStats: openStats,
+        toggleEdit: toggleEdit,
+        stopEditing: stopEditing,
+        update: update,
+        remove: remove,
+        addPolygons: addPolygons,
+        getCurrent: getCurrent,
+        pointInPolygon: pointInPolygon,
+        calculateAreaSqFt: calculateAreaSqFt
     };
 })();
@@ -2,7 +2,14 @@
  * SBMM Planning Tool - Print / Report Export Module
  *
  * Generates a clean print view of the current map state with legend,
- * title block, and optional export as PNG.
+ * title block, and optional export as PNG. The sample statistics include
+ * the declustered (Thiessen area-weighted) mean and area above the upper
+ * level next to the plain ones. When a polygon panel is open, its
+ * 95% UCL exposure point concentrations are included; when the contour is
+ * shown, its method and settings (and for the probability of exceedance,
+ * the areas above the cutoffs) are listed with the active layers; when
+ * the delineation rings are shown, the vertical delineation status of the
+ * borings and test pits is summarized.
  */
 var PrintModule = (function() {
     'use strict';
@@ -24,7 +31,9 @@ var PrintModule = (function() {
         var zoom = map.getZoom();
         var bounds = map.getBounds();
         var analyte = AppState.currentAnalyte;
-        var thresh = AppConfig.thresholds[analyte];
+        var thresh = AppConfig.getThreshold(analyte);
+        var set = AppConfig.getScreeningSet();
+        var abbrev = AppConfig.thresholds[analyte] ? AppConfig.thresholds[analyte].abbrev : analyte;
 
         // Build active layers list
         var activeLayers = [];
@@ -35,6 +44,12 @@ var PrintModule = (function() {
         if (document.getElementById('toggleTestPits2025').checked) activeLayers.push('2025 Test Pits');
         if (document.getElementById('toggleSoilBorings2025').checked) activeLayers.push('2025 Soil Borings');
         if (document.getElementById('togglePlanned').checked) activeLayers.push('Planned Points (' + AppState.plannedPoints.length + ')');
+        if (AppState.contourVisible) activeLayers.push('Contour (' + abbrev + '): ' + ContourModule.describeSettings());
+        var probability = AppState.contourVisible ? ContourModule.describeProbability() : null;
+        if (probability) activeLayers.push(probability);
+        var horizon = DataModule.getHorizon();
+        if (!horizon.surface) activeLayers.push('Depth horizon: ' + horizon.label + ' (all datasets; markers, polygon and grids)');
+        if (DelineationModule.isActive()) activeLayers.push('Vertical delineation rings (' + abbrev + ')');
 
         // Build stats
         var stats = calculateStats();
@@ -81,7 +96,8 @@ var PrintModule = (function() {
             '<h1>SBMM ABP Soil Sampling - Combined Analysis Map</h1>' +
             '<div class="subtitle">Sulphur Bank Mercury Mine Superfund Site | OU1 Area Between Piles | Lake County, California</div>' +
             '<div class="meta">' +
-            '<span>Color by: ' + analyte + ' (' + thresh.abbrev + ') | Thresholds: PMB=' + thresh.low + ', ROD=' + thresh.high + ' mg/kg</span>' +
+            '<span>Color by: ' + analyte + ' (' + abbrev + ') | Screening levels: ' + set.label +
+            (thresh ? ' (' + (thresh.low !== thresh.high ? thresh.lowLabel + '=' + thresh.low + ', ' : '') + thresh.highLabel + '=' + thresh.high + ' ' + thresh.unit + ')' : ' (none for ' + analyte + ')') + '</span>' +
             '<span>Generated: ' + new Date().toLocaleString() + '</span>' +
             '</div></div>';
 
@@ -96,10 +112,17 @@ var PrintModule = (function() {
         html += '<div class="info-grid">';
 
         // Legend box
-        html += '<div class="info-box"><h3>Legend (' + analyte + ': ' + thresh.low + '/' + thresh.high + ' mg/kg)</h3>' +
-            '<div class="legend-item"><span class="legend-dot" style="background:#d63e2a;"></span>HIGH &gt;' + thresh.high + ' (Exceeds ROD)</div>' +
-            '<div class="legend-item"><span class="legend-dot" style="background:#f0932b;"></span>MED ' + thresh.low + '-' + thresh.high + ' (Above PMB)</div>' +
-            '<div class="legend-item"><span class="legend-dot" style="background:#72af26;"></span>LOW &le;' + thresh.low + ' (Below PMB)</div>' +
+        if (thresh) {
+            html += '<div class="info-box"><h3>Legend (' + analyte + ': ' + thresh.low + '/' + thresh.high + ' ' + thresh.unit + ')</h3>' +
+                '<div class="legend-item"><span class="legend-dot" style="background:#d63e2a;"></span>HIGH &gt;' + thresh.high + ' (Exceeds ' + thresh.highLabel + ')</div>' +
+                (thresh.low !== thresh.high
+                    ? '<div class="legend-item"><span class="legend-dot" style="background:#f0932b;"></span>MED ' + thresh.low + '-' + thresh.high + ' (Above ' + thresh.lowLabel + ')</div>'
+                    : '') +
+                '<div class="legend-item"><span class="legend-dot" style="background:#72af26;"></span>LOW &le;' + thresh.low + ' (Below ' + thresh.lowLabel + ')</div>';
+        } else {
+            html += '<div class="info-box"><h3>Legend (' + analyte + ': no screening level)</h3>';
+        }
+        html += '<div style="font-size:9px;color:#666;margin-bottom:4px;">' + set.label + '</div>' +
             '<div class="legend-item"><span class="legend-dot" style="background:#808080;"></span>Not Sampled</div>' +
             '<div style="margin-top:6px;border-top:1px solid #ddd;padding-top:4px;">' +
             '<div class="legend-item"><span class="legend-dot" style="background:#0099cc;border-color:#006699;"></span>Soil Boring</div>' +
@@ -109,20 +132,27 @@ var PrintModule = (function() {
         // Stats box
         html += '<div class="info-box"><h3>Sample Statistics (' + analyte + ')</h3>' +
             '<table class="stats-table">' +
-            '<tr><th>Dataset</th><th>Count</th><th>Min</th><th>Max</th><th>Mean</th><th>Exceedances</th></tr>';
+            '<tr><th>Dataset</th><th>Count</th><th>ND</th><th>Min</th><th>Max</th><th>Mean</th><th>Declustered Mean</th>' +
+            '<th>Exceedances</th><th>Area &gt; ' + AppConfig.getScreeningSet().highLabel + '</th></tr>';
 
         stats.forEach(function(s) {
             html += '<tr>' +
                 '<td>' + s.name + '</td>' +
                 '<td>' + s.count + '</td>' +
+                '<td>' + s.ndCount + '</td>' +
                 '<td>' + (s.min !== null ? Utils.formatVal(s.min) : '\u2014') + '</td>' +
                 '<td class="' + (s.maxExceeds ? 'exceed' : '') + '">' + (s.max !== null ? Utils.formatVal(s.max) : '\u2014') + '</td>' +
                 '<td>' + (s.mean !== null ? Utils.formatVal(s.mean) : '\u2014') + '</td>' +
+                '<td>' + (s.declusteredMean !== null ? Utils.formatVal(s.declusteredMean) : '\u2014') + '</td>' +
                 '<td class="' + (s.exceedCount > 0 ? 'exceed' : '') + '">' + s.exceedCount + '</td>' +
+                '<td class="' + (s.pctAreaAbove > 0 ? 'exceed' : '') + '">' + (s.pctAreaAbove !== null ? s.pctAreaAbove.toFixed(1) + '%' : '\u2014') + '</td>' +
                 '</tr>';
         });
 
-        html += '</table></div>';
+        html += '</table>' +
+            '<div style="margin-top:4px;font-size:9px;color:#666;">Non-detects at ' + AppConfig.nonDetectRules[AppState.nonDetectRule].label +
+            '; rejected (R) results excluded; exceedances count detected results only. Declustered mean and area weight each result ' +
+            'by its Thiessen polygon within the buffered hull of the dataset.</div></div>';
 
         // Active layers box
         html += '<div class="info-box"><h3>Active Layers</h3><div class="layers-list">';
@@ -134,6 +164,12 @@ var PrintModule = (function() {
 
         html += '</div>';
 
+        // Polygon exposure point concentrations (if a polygon is drawn)
+        html += buildPolygonUCLSection();
+
+        // Vertical delineation status (if the rings are shown)
+        html += buildDelineationSection();
+
         // Planned points table (if any)
         if (AppState.plannedPoints.length > 0) {
             html += '<div class="info-box" style="margin-bottom:15px;"><h3>Planned Sample Locations (' + AppState.plannedPoints.length + ')</h3>' +
@@ -164,55 +200,158 @@ var PrintModule = (function() {
         printWindow.document.close();
     }
 
+    /**
+     * Report section with the 95% UCLs for the current polygon (the one whose
+     * stats panel was opened last), or '' if none.
+     * @returns {string} HTML
+     */
+    function buildPolygonUCLSection() {
+        var current = PolygonModule.getCurrent();
+        if (!current) return '';
+        var results = current.results;
+        var analytes = Object.keys(results.stats);
+        var fv = Utils.formatVal;
+
+        var name = Utils.escapeHtml(current.name);
+
+        var html = '<div class="info-box" style="margin-bottom:15px;"><h3>Polygon Exposure Point Concentrations (95% UCL) - ' +
+            name + ' (' + AppConfig.polygonCategories[current.category].label + '), ' + results.totalSamples + ' samples, ' + Utils.formatArea(results.areaSqFt) +
+            (DataModule.getHorizon().surface ? '' : ', ' + DataModule.getHorizon().label) + '</h3>' +
+            '<table class="stats-table">' +
+            '<tr><th>Analyte</th><th>n</th><th>ND</th><th>Mean</th><th>Declustered Mean</th><th>SD</th><th>Max</th><th>Distribution</th>' +
+            '<th>Student\'s t</th><th>Chebyshev</th><th>Bootstrap-t</th><th>Gamma</th><th>Recommended UCL</th><th>Method</th><th>' +
+            AppConfig.getScreeningSet().highLabel + '</th></tr>';
+        var notes = [];
+
+        analytes.forEach(function(analyte) {
+            var s = results.stats[analyte];
+            var u = s.ucl;
+            var thresh = AppConfig.getThreshold(analyte);
+            var rec = u.recommended;
+            html += '<tr>' +
+                '<td>' + analyte + '</td>' +
+                '<td>' + u.n + '</td>' +
+                '<td>' + s.ndCount + '</td>' +
+                '<td>' + fv(u.mean) + '</td>' +
+                '<td>' + fv(s.declusteredMean) + '</td>' +
+                '<td>' + fv(u.n > 1 ? u.sd : null) + '</td>' +
+                '<td>' + fv(u.max) + '</td>' +
+                '<td>' + (u.distribution || '\u2014') + '</td>' +
+                '<td>' + fv(u.ucls.studentT) + '</td>' +
+                '<td>' + fv(u.ucls.chebyshev) + '</td>' +
+                '<td>' + fv(u.ucls.bootstrapT) + '</td>' +
+                '<td>' + fv(u.ucls.gamma) + '</td>' +
+                '<td class="' + (rec && AppConfig.exceedsROD(rec.value, analyte) ? 'exceed' : '') + '"><b>' + (rec ? fv(rec.value) : '\u2014') + '</b></td>' +
+                '<td>' + (rec ? rec.label : '\u2014') + '</td>' +
+                '<td>' + (thresh ? thresh.high : '\u2014') + '</td>' +
+                '</tr>';
+
+            if (u.n >= 3) {
+                notes.push('<b>' + analyte + ':</b> normal ' + StatsModule.describeFit(u.gof.normal) +
+                    ', lognormal ' + StatsModule.describeFit(u.gof.lognormal) +
+                    ', gamma ' + StatsModule.describeFit(u.gof.gamma) +
+                    (rec ? '. ' + rec.basis + '.' : '') +
+                    (u.warnings.length > 0 ? ' ' + u.warnings.join('; ') + '.' : ''));
+            } else if (u.warnings.length > 0) {
+                notes.push('<b>' + analyte + ':</b> ' + u.warnings.join('; ') + '.');
+            }
+        });
+
+        html += '</table>' +
+            '<div style="margin-top:4px;font-size:9px;color:#666;">' + notes.join('<br>') + '</div>' +
+            '<div style="margin-top:4px;font-size:9px;color:#666;">Goodness of fit at 5%: Shapiro-Wilk (normal, lognormal), Anderson-Darling (gamma). ' +
+            'Non-detects at ' + AppConfig.nonDetectRules[AppState.nonDetectRule].label + ' (no Kaplan-Meier); bootstrap-t uses ' +
+            StatsModule.bootstrapSamples.toLocaleString() + ' resamples. The declustered mean weights each site-wide result by the area of ' +
+            'its Thiessen polygon inside the drawn polygon. Recommendation follows ProUCL guidance in simplified form; verify with ProUCL before use in a risk assessment.</div></div>';
+        return html;
+    }
+
+    /**
+     * Report section with the vertical delineation status per analyte and
+     * the locations still unbounded at depth, or '' if the rings are off.
+     * @returns {string} HTML
+     */
+    function buildDelineationSection() {
+        if (!DelineationModule.isActive()) return '';
+        var statuses = AppConfig.delineationStatuses;
+        var keys = Object.keys(statuses);
+        var set = AppConfig.getScreeningSet();
+
+        var html = '<div class="info-box" style="margin-bottom:15px;"><h3>Vertical Delineation - Soil Borings and Test Pits (' + set.highLabel + ')</h3>' +
+            '<table class="stats-table"><tr><th>Analyte</th>';
+        keys.forEach(function(k) { html += '<th>' + statuses[k].label + '</th>'; });
+        html += '<th>Unbounded Locations</th></tr>';
+
+        DelineationModule.screenedAnalytes().forEach(function(analyte) {
+            var rows = DelineationModule.analyze(analyte);
+            var counts = DelineationModule.countStatuses(rows);
+            var open = rows.filter(function(r) { return r.status === 'unbounded'; }).map(function(r) {
+                return r.id + ' (' + r.bottom.label + ')';
+            });
+            html += '<tr><td>' + analyte + '</td>';
+            keys.forEach(function(k) {
+                html += '<td class="' + (k === 'unbounded' && counts[k] > 0 ? 'exceed' : '') + '">' + counts[k] + '</td>';
+            });
+            html += '<td>' + (open.length > 0 ? open.join(', ') : '\u2014') + '</td></tr>';
+        });
+
+        html += '</table>' +
+            '<div style="margin-top:4px;font-size:9px;color:#666;">Unbounded: the deepest tested interval exceeds the ' + set.highLabel +
+            '. Bounded: an interval exceeds but the deepest does not. Detected results only; rejected (R) results excluded.</div></div>';
+        return html;
+    }
+
     /**
      * Calculate summary statistics for the report.
+     * Non-detects use the selected substitution rule (via DataModule.getPoints).
      */
     function calculateStats() {
         var analyte = AppState.currentAnalyte;
         var results = [];
+        var combined = [];
 
-        // 2025 samples
-        var vals2025 = [];
-        AppState.data.samples2025.forEach(function(s) {
-            if (s.sampled && s.metals) {
-                var v = s.metals[analyte];
-                if (v !== null && v !== undefined) vals2025.push(v);
-            }
-        });
-        results.push(buildStats('2025 Jacobs', vals2025, analyte));
-
-        // EA samples
-        var valsEA = [];
-        AppState.data.eaSamples.forEach(function(e) {
-            var v = Utils.getSampleValue(e, analyte, true);
-            if (v !== null && v !== undefined) valsEA.push(v);
+        // One row per surface dataset
+        Object.keys(AppConfig.datasets).forEach(function(key) {
+            var info = AppConfig.datasets[key];
+            if (!info.surface) return;
+            var points = DataModule.getPoints(analyte, { datasets: [key] });
+            results.push(buildStats(info.label, points, analyte));
+            combined = combined.concat(points);
         });
-        results.push(buildStats('EA Historical', valsEA, analyte));
 
         // Combined
-        var combined = vals2025.concat(valsEA);
         results.push(buildStats('Combined', combined, analyte));
 
         return results;
     }
 
-    function buildStats(name, values, analyte) {
-        if (values.length === 0) {
-            return { name: name, count: 0, min: null, max: null, mean: null, exceedCount: 0, maxExceeds: false };
+    function buildStats(name, points, analyte) {
+        if (points.length === 0) {
+            return {
+                name: name, count: 0, ndCount: 0, min: null, max: null, mean: null, declusteredMean: null,
+                exceedCount: 0, pctAreaAbove: null, maxExceeds: false
+            };
         }
+        var values = points.map(function(p) { return p.value; });
         var min = Math.min.apply(null, values);
         var max = Math.max.apply(null, values);
         var sum = values.reduce(function(a, b) { return a + b; }, 0);
         var mean = sum / values.length;
-        var exceedCount = values.filter(function(v) { return AppConfig.exceedsROD(v, analyte); }).length;
+        var detects = points.filter(function(p) { return p.detected; });
+        var exceedCount = detects.filter(function(p) { return AppConfig.exceedsROD(p.value, analyte); }).length;
+        var maxDetect = detects.length > 0 ? Math.max.apply(null, detects.map(function(p) { return p.value; })) : null;
+        var declustered = ThiessenModule.decluster(points, analyte);
         return {
             name: name,
             count: values.length,
+            ndCount: points.length - detects.length,
             min: min,
             max: max,
             mean: mean,
+            declusteredMean: declustered ? declustered.declusteredMean : null,
             exceedCount: exceedCount,
-            maxExceeds: AppConfig.exceedsROD(max, analyte)
+            pctAreaAbove: declustered ? declustered.pctAreaAbove : null,
+            maxExceeds: AppConfig.exceedsROD(maxDetect, analyte)
         };
     }
 
@@ -101,49 +101,30 @@ var SearchModule = (function() {
      * Apply all active filters to the sample lists and map markers.
      */
     function applyFilters() {
-        var data = AppState.data;
         var matchCount = 0;
-
-        // Filter 2025 samples
-        data.samples2025.forEach(function(s) {
-            var visible = matchesSample(s, '2025');
-            var listItem = document.querySelector('.sample-item[data-type="2025"][data-id="' + s.num + '"]');
-            if (listItem) listItem.style.display = visible ? '' : 'none';
-
-            // Update map marker visibility
-            var marker = AppState.markers2025[s.num];
-            if (marker) {
-                if (visible) {
-                    if (s.sampled && AppState.layers.sampled2025.hasLayer(marker) === false &&
-                        document.getElementById('toggle2025Sampled').checked) {
-                        // Don't add/remove from layer - just track visibility
-                    }
-                    marker.setStyle({ opacity: 1, fillOpacity: 0.85 });
-                    if (marker.getTooltip()) marker.getTooltip().setOpacity(1);
-                } else {
-                    marker.setStyle({ opacity: 0.15, fillOpacity: 0.1 });
-                    if (marker.getTooltip()) marker.getTooltip().setOpacity(0.3);
+        var sliced = !DataModule.getHorizon().surface;
+        var dimOpacity = AppConfig.markerStyles.outsideHorizon.opacity;
+
+        DataModule.getLocations({ surface: true }).forEach(function(loc) {
+            var visible = matchesSample(loc);
+            var dimmed = visible && sliced && !DataModule.hasHorizonData(loc);
+            var listItem, marker;
+
+            if (loc.dataset === 'samples2025') {
+                listItem = document.querySelector('.sample-item[data-type="2025"][data-id="' + loc.record.num + '"]');
+                marker = AppState.markers2025[loc.record.num];
+                if (marker) {
+                    marker.setStyle(!visible ? { opacity: 0.15, fillOpacity: 0.1 } :
+                        dimmed ? { opacity: dimOpacity, fillOpacity: dimOpacity } : { opacity: 1, fillOpacity: 0.85 });
                 }
+            } else {
+                listItem = document.querySelector('.sample-item[data-type="EA"][data-id="' + loc.id + '"]');
+                marker = AppState.markersEA[loc.id];
+                if (marker) marker.setOpacity(!visible ? 0.15 : dimmed ? dimOpacity : 1);
             }
-            if (visible) matchCount++;
-        });
 
-        // Filter EA samples
-        data.eaSamples.forEach(function(e) {
-            var visible = matchesSample(e, 'ea');
-            var listItem = document.querySelector('.sample-item[data-type="EA"][data-id="' + e.id + '"]');
             if (listItem) listItem.style.display = visible ? '' : 'none';
-
-            var marker = AppState.markersEA[e.id];
-            if (marker) {
-                if (visible) {
-                    marker.setOpacity(1);
-                    if (marker.getTooltip()) marker.getTooltip().setOpacity(1);
-                } else {
-                    marker.setOpacity(0.15);
-                    if (marker.getTooltip()) marker.getTooltip().setOpacity(0.3);
-                }
-            }
+            if (marker && marker.getTooltip()) marker.getTooltip().setOpacity(visible ? 1 : 0.3);
             if (visible) matchCount++;
         });
 
@@ -159,48 +140,35 @@ var SearchModule = (function() {
     }
 
     /**
-     * Check if a sample matches the current filters.
+     * Check if a location matches the current filters. Values are read at
+     * the selected depth horizon.
+     * @param {Object} loc - DataModule location
+     * @returns {boolean}
      */
-    function matchesSample(sample, source) {
+    function matchesSample(loc) {
         // Text search
         if (activeFilters.text) {
-            var id = (source === '2025') ? (sample.label || '').toLowerCase() : (sample.id || '').toLowerCase();
+            var id = String(loc.id || '').toLowerCase();
             if (id.indexOf(activeFilters.text) === -1) return false;
         }
 
         // Source filter
-        if (activeFilters.source !== 'all') {
-            if (activeFilters.source === '2025' && source !== '2025') return false;
-            if (activeFilters.source === 'ea' && source !== 'ea') return false;
-        }
+        if (activeFilters.source !== 'all' && loc.source !== activeFilters.source) return false;
 
         // Exceedance filter
         if (activeFilters.exceedance !== 'all') {
-            var hasExceedance = false;
-            if (source === '2025') {
-                if (sample.metals) {
-                    hasExceedance = AppConfig.exceedsROD(sample.metals.Mercury, 'Mercury') ||
-                        AppConfig.exceedsROD(sample.metals.Arsenic, 'Arsenic') ||
-                        AppConfig.exceedsROD(sample.metals.Antimony, 'Antimony') ||
-                        AppConfig.exceedsROD(sample.metals.Thallium, 'Thallium');
-                }
-            } else {
-                hasExceedance = AppConfig.exceedsROD(sample.mercury, 'Mercury') ||
-                    AppConfig.exceedsROD(sample.arsenic, 'Arsenic') ||
-                    AppConfig.exceedsROD(sample.antimony, 'Antimony') ||
-                    AppConfig.exceedsROD(sample.thallium, 'Thallium');
-            }
+            var hasExceedance = Object.keys(AppConfig.thresholds).some(function(analyte) {
+                return AppConfig.exceedsROD(DataModule.getHorizonValue(loc, analyte), analyte);
+            });
             if (activeFilters.exceedance === 'exceeds' && !hasExceedance) return false;
             if (activeFilters.exceedance === 'below' && hasExceedance) return false;
         }
 
         // Analyte-specific value filter
         if (activeFilters.analyte !== 'any' && (activeFilters.minValue !== null || activeFilters.maxValue !== null)) {
-            var val = (source === '2025')
-                ? Utils.getSampleValue(sample, activeFilters.analyte, false)
-                : Utils.getSampleValue(sample, activeFilters.analyte, true);
+            var val = DataModule.getHorizonValue(loc, activeFilters.analyte);
 
-            if (val === null || val === undefined) return false;
+            if (val === null) return false;
             if (activeFilters.minValue !== null && val < activeFilters.minValue) return false;
             if (activeFilters.maxValue !== null && val > activeFilters.maxValue) return false;
         }
@@ -208,6 +176,14 @@ var SearchModule = (function() {
         return true;
     }
 
+    /**
+     * Surface locations matching the current filters.
+     * @returns {Object[]} DataModule locations
+     */
+    function getMatches() {
+        return DataModule.getLocations({ surface: true }).filter(matchesSample);
+    }
+
     /**
      * Reset all filters to defaults.
      */
@@ -256,6 +232,7 @@ var SearchModule = (function() {
         applyFilters: applyFilters,
         resetFilters: resetFilters,
         zoomToSample: zoomToSample,
+        getMatches: getMatches,
         getActiveFilters: function() { return activeFilters; }
     };
 })();
@@ -0,0 +1,441 @@
+/**
+ * SBMM Planning Tool - Gaussian Simulation of Exceedance
+ *
+ * Runs equally likely realizations of the color-by analyte by sequential
+ * Gaussian simulation (GaussianSimModule) for a range on the impacted area
+ * instead of the single contour estimate. The results of the selected depth
+ * horizon are normal-score transformed, a variogram is fitted to the scores
+ * (KrigingModule), and each realization is simulated on the contour grid
+ * cells (ComputeModule, 'simulationGrid', so it runs off the page).
+ * Non-detects take the non-detect rule value capped at the level, so a high
+ * detection limit never counts as an exceedance.
+ *
+ * Reports the P10, P50 and P90 of the area above the level over the
+ * realizations (with volumes over a thickness) and maps the exceedance
+ * frequency of each cell. A seed makes every run reproducible.
+ */
+var SimulationModule = (function() {
+    'use strict';
+
+    var conv = AppConfig.coordConversion;
+
+    var CUBIC_FT_PER_CY = 27;
+    var SQ_FT_PER_ACRE = 43560;
+    var OVERLAY_OPACITY = 0.6;
+    var PERCENTILES = [10, 50, 90];
+
+    // Exceedance frequency gradient, as the contour probability display
+    var C_LOW  = { r: 255, g: 255, b: 204 };    // #ffffcc - 0
+    var C_MID  = { r: 253, g: 141, b: 60 };     // #fd8d3c - 0.5
+    var C_HIGH = { r: 189, g: 0,   b: 38 };     // #bd0026 - 1
+
+    var settings = null;            // Copy of AppConfig.simulationDefaults
+    var result = null;              // { analyte, level, thresh, horizon, n, variogram, grid, areas, settings }
+    var statusText = null;
+    var errorText = null;
+    var overlayLayer = null;
+    var panelEl = null;
+
+    // ===== INITIALIZATION =====
+
+    function init() {
+        settings = {};
+        Object.keys(AppConfig.simulationDefaults).forEach(function(k) {
+            settings[k] = AppConfig.simulationDefaults[k];
+        });
+    }
+
+    // ===== SIMULATION =====
+
+    /**
+     * Transform the horizon results, fit the normal-score variogram and
+     * start the realizations. Calls back asynchronously when the grid runs
+     * in a worker.
+     */
+    function build() {
+        ComputeModule.cancel('simulation');
+        removeOverlay();
+        statusText = null;
+
+        var analyte = AppState.currentAnalyte;
+        var thresh = AppConfig.getThreshold(analyte);
+        if (!thresh) {
+            result = null;
+            errorText = analyte + ' has no level in the active screening set';
+            return;
+        }
+        var horizon = DataModule.getHorizon();
+        var level = thresh[settings.level];
+        var points = DataModule.getPoints(analyte, { horizon: AppState.depthHorizon }).map(function(p) {
+            return { lat: p.lat, lon: p.lon, value: p.detected ? p.value : Math.min(p.value, level) };
+        });
+        if (points.length < 3) {
+            result = null;
+            errorText = 'At least 3 ' + horizon.results + ' of ' + analyte + ' are needed to simulate';
+            return;
+        }
+
+        var scores = GaussianSimModule.normalScores(points.map(function(p) { return p.value; })).scores;
+        var local = GridComputeModule.toLocalFeet(points.map(function(p, i) {
+            return { lat: p.lat, lon: p.lon, value: scores[i] };
+        }), points[0]);
+        var variogram = KrigingModule.fitVariogram(KrigingModule.experimentalVariogram(local), settings.variogramModel);
+
+        errorText = null;
+        result = {
+            analyte: analyte,
+            level: settings.level,
+            thresh: thresh,
+            horizon: horizon,
+            n: points.length,
+            above: points.filter(function(p) { return p.value > level; }).length,
+            variogram: variogram,
+            grid: null,
+            areas: null,
+            settings: copySettings()
+        };
+
+        var job = {
+            points: points,
+            level: level,
+            variogram: variogram,
+            settings: {
+                realizations: settings.realizations,
+                seed: settings.seed,
+                maxNeighbors: settings.maxNeighbors,
+                gridFt: settings.gridFt,
+                hullBufferFt: settings.hullBufferFt
+            }
+        };
+        var current = result;
+        statusText = 'Simulating ' + settings.realizations + ' realizations\u2026';
+        ComputeModule.run('simulation', 'Simulation (' + thresh.abbrev + ' > ' + thresh[settings.level + 'Label'] + ')', 'simulationGrid', job, {
+            done: function(grid) {
+                if (current !== result) return;
+                statusText = null;
+                result.grid = grid;
+                result.areas = summarizeAreas(grid);
+                drawOverlay();
+                if (panelVisible()) render();
+            },
+            cancelled: function(message) {
+                if (current !== result) return;
+                statusText = message ? 'Simulation failed: ' + message : 'Simulation cancelled';
+                if (panelVisible()) render();
+            }
+        });
+    }
+
+    function copySettings() {
+        var copy = {};
+        Object.keys(settings).forEach(function(k) { copy[k] = settings[k]; });
+        return copy;
+    }
+
+    /**
+     * Area and volume above the level in each realization, and their
+     * percentiles.
+     * @returns {Object} { cellAreaSqFt, realizations: [areaSqFt], mean,
+     *     percentiles: [{ p, areaSqFt, cy }] }
+     */
+    function summarizeAreas(grid) {
+        var cellSqFt = (grid.cellLat * conv.metersPerDegLat / conv.feetToMeters) *
+            (grid.cellLon * conv.metersPerDegLon / conv.feetToMeters);
+        var areas = grid.exceeding.map(function(cells) { return cells * cellSqFt; });
+        var sorted = areas.slice().sort(function(a, b) { return a - b; });
+        var thickness = result.settings.thicknessFt;
+        return {
+            cellAreaSqFt: cellSqFt,
+            realizations: areas,
+            mean: areas.reduce(function(s, a) { return s + a; }, 0) / areas.length,
+            percentiles: PERCENTILES.map(function(p) {
+                var area = percentile(sorted, p);
+                return { p: p, areaSqFt: area, cy: area * thickness / CUBIC_FT_PER_CY };
+            })
+        };
+    }
+
+    /**
+     * Percentile of sorted values, interpolating between order statistics
+     * (as Excel PERCENTILE.INC).
+     */
+    function percentile(sorted, p) {
+        var pos = (sorted.length - 1) * p / 100;
+        var lo = Math.floor(pos);
+        var hi = Math.min(sorted.length - 1, lo + 1);
+        return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+    }
+
+    // ===== MAP LAYER =====
+
+    function removeOverlay() {
+        if (overlayLayer) {
+            AppState.map.removeLayer(overlayLayer);
+            overlayLayer = null;
+        }
+    }
+
+    /**
+     * Draw the exceedance frequency as an image overlay (cells that never
+     * exceed are left clear).
+     */
+    function drawOverlay() {
+        removeOverlay();
+        if (!result || !result.grid) return;
+        var g = result.grid;
+
+        var canvas = document.createElement('canvas');
+        canvas.width = g.cols;
+        canvas.height = g.rows;
+        var ctx = canvas.getContext('2d');
+        var imageData = ctx.createImageData(g.cols, g.rows);
+        var pixels = imageData.data;
+        for (var i = 0; i < g.values.length; i++) {
+            var f = g.values[i];
+            if (f === null || f <= 0) continue;
+            var rgb = frequencyColor(f);
+            pixels[i * 4] = rgb.r;
+            pixels[i * 4 + 1] = rgb.g;
+            pixels[i * 4 + 2] = rgb.b;
+            pixels[i * 4 + 3] = 255;
+        }
+        ctx.putImageData(imageData, 0, 0);
+
+        overlayLayer = L.imageOverlay(
+            canvas.toDataURL(),
+            L.latLngBounds(L.latLng(g.minLat, g.minLon), L.latLng(g.maxLat, g.maxLon)),
+            { opacity: OVERLAY_OPACITY, interactive: false, className: 'simulation-overlay' }
+        ).addTo(AppState.map);
+    }
+
+    function frequencyColor(f) {
+        return f < 0.5 ? lerpColor(C_LOW, C_MID, f / 0.5) : lerpColor(C_MID, C_HIGH, (f - 0.5) / 0.5);
+    }
+
+    function lerpColor(a, b, t) {
+        return {
+            r: Math.round(a.r + (b.r - a.r) * t),
+            g: Math.round(a.g + (b.g - a.g) * t),
+            b: Math.round(a.b + (b.b - a.b) * t)
+        };
+    }
+
+    // ===== CSV EXPORT =====
+
+    function download(rows, name) {
+        Utils.downloadFile(rows.join('\n') + '\n', 'text/csv',
+            'SBMM_' + name + '_' + new Date().toISOString().slice(0, 10) + '.csv');
+    }
+
+    /**
+     * Download the area and volume above the level in each realization.
+     */
+    function exportRealizationsCSV() {
+        if (!result || !result.areas) return;
+        var s = result.settings;
+        var rows = [['Realization', 'Analyte', 'Level', 'Seed', 'Area_ft2', 'Area_acres', 'Volume_CY'].join(',')];
+        result.areas.realizations.forEach(function(area, i) {
+            rows.push([
+                i + 1, '"' + result.analyte + '"', '"' + result.thresh[result.level + 'Label'] + '"', s.seed,
+                area.toFixed(1), (area / SQ_FT_PER_ACRE).toFixed(3), (area * s.thicknessFt / CUBIC_FT_PER_CY).toFixed(1)
+            ].join(','));
+        });
+        download(rows, 'Simulation_Realizations');
+    }
+
+    /**
+     * Download the exceedance frequency of each cell that exceeds in at
+     * least one realization.
+     */
+    function exportFrequencyCSV() {
+        if (!result || !result.grid) return;
+        var g = result.grid;
+        var rows = [['Cell_ID', 'Latitude', 'Longitude', 'Exceedance_Frequency', 'Area_ft2'].join(',')];
+        for (var row = 0; row < g.rows; row++) {
+            for (var col = 0; col < g.cols; col++) {
+                var f = g.values[row * g.cols + col];
+                if (f === null || f <= 0) continue;
+                rows.push([
+                    'R' + row + 'C' + col,
+                    (g.maxLat - (row + 0.5) * g.cellLat).toFixed(6),
+                    (g.minLon + (col + 0.5) * g.cellLon).toFixed(6),
+                    f.toFixed(3),
+                    result.areas.cellAreaSqFt.toFixed(1)
+                ].join(','));
+            }
+        }
+        download(rows, 'Simulation_Exceedance_Frequency');
+    }
+
+    // ===== PANEL =====
+
+    var SETTING_FIELDS = [
+        { key: 'realizations', label: 'Realizations', min: 10, max: 1000, integer: true },
+        { key: 'seed', label: 'Seed', min: 1, integer: true },
+        { key: 'maxNeighbors', label: 'Max neighbors', min: 4, max: 64, integer: true },
+        { key: 'gridFt', label: 'Grid cell (ft)', min: 5 },
+        { key: 'hullBufferFt', label: 'Hull buffer (ft)', min: 0 },
+        { key: 'thicknessFt', label: 'Thickness (ft)', min: 0 }
+    ];
+
+    function open() {
+        render();
+    }
+
+    function close() {
+        if (panelEl) panelEl.style.display = 'none';
+    }
+
+    /**
+     * Remove the map layer and results.
+     */
+    function clear() {
+        ComputeModule.cancel('simulation');
+        result = null;
+        statusText = null;
+        errorText = null;
+        removeOverlay();
+        render();
+    }
+
+    /**
+     * Read the settings from the panel and run the simulation.
+     */
+    function run() {
+        var errors = readInputs();
+        if (errors.length > 0) {
+            errorText = errors.join('; ');
+            render();
+            return;
+        }
+        build();
+        render();
+    }
+
+    /**
+     * Run again after a data, threshold, screening-set, horizon or color-by
+     * change. Does nothing until the simulation has been run.
+     */
+    function refresh() {
+        if (!result) return;
+        build();
+        if (panelVisible()) render();
+    }
+
+    function panelVisible() {
+        return panelEl && panelEl.style.display !== 'none';
+    }
+
+    /**
+     * Validate the panel inputs and copy them into settings; nothing is
+     * changed unless every field is valid.
+     * @returns {string[]} Errors
+     */
+    function readInputs() {
+        var errors = [];
+        if (!panelEl) return errors;
+        var values = {};
+        var level = panelEl.querySelector('#simulationLevel');
+        if (level) values.level = level.value;
+        var model = panelEl.querySelector('#simulationModel');
+        if (model) values.variogramModel = model.value;
+        SETTING_FIELDS.forEach(function(f) {
+            var el = panelEl.querySelector('#simulation-' + f.key);
+            if (!el) return;
+            var v = Number(el.value);
+            if (el.value.trim() === '' || isNaN(v) || v < f.min || (f.max && v > f.max) || (f.integer && v !== Math.round(v))) {
+                errors.push(f.label.replace(/ \(.*\)$/, '') + ' must be ' + (f.integer ? 'a whole number ' : '') +
+                    (f.max ? 'from ' + f.min + ' to ' + f.max : 'at least ' + f.min));
+                return;
+            }
+            values[f.key] = v;
+        });
+        if (errors.length > 0) return errors;
+        Object.keys(values).forEach(function(k) { settings[k] = values[k]; });
+        return errors;
+    }
+
+    function render() {
+        var thresh = result ? result.thresh : AppConfig.getThreshold(AppState.currentAnalyte);
+        var lowLabel = thresh ? thresh.lowLabel : 'Lower level';
+        var highLabel = thresh ? thresh.highLabel : 'Upper level';
+
+        var html = '<div class="edd-header"><h4>Gaussian Simulation</h4>' +
+            '<button class="edd-close" onclick="SimulationModule.close()">\u00d7</button></div>' +
+            '<div class="edd-file">Equally likely realizations of the color-by analyte (sequential Gaussian simulation of ' +
+            'normal scores) for a range on the area above the level.</div>';
+
+        html += '<div class="blockmodel-settings simulation-settings"><label>Level <select id="simulationLevel">' +
+            '<option value="high"' + (settings.level === 'high' ? ' selected' : '') + '>&gt; ' + Utils.escapeHtml(highLabel) + '</option>' +
+            '<option value="low"' + (settings.level === 'low' ? ' selected' : '') + '>&gt; ' + Utils.escapeHtml(lowLabel) + '</option>' +
+            '</select></label><label>Variogram <select id="simulationModel">';
+        Object.keys(KrigingModule.models).forEach(function(m) {
+            html += '<option value="' + m + '"' + (settings.variogramModel === m ? ' selected' : '') + '>' + KrigingModule.models[m] + '</option>';
+        });
+        html += '</select></label>';
+        SETTING_FIELDS.forEach(function(f) {
+            html += '<label>' + f.label + ' <input type="number" step="any" min="' + f.min + '" id="simulation-' + f.key +
+                '" value="' + settings[f.key] + '"></label>';
+        });
+        html += '</div>';
+
+        html += '<div class="edd-actions">' +
+            '<button class="edd-apply" onclick="SimulationModule.run()">Run</button>' +
+            '<button onclick="SimulationModule.exportRealizationsCSV()"' + (result && result.areas ? '' : ' disabled') + '>Realizations CSV</button>' +
+            '<button onclick="SimulationModule.exportFrequencyCSV()"' + (result && result.grid ? '' : ' disabled') + '>Frequency CSV</button>' +
+            '<button onclick="SimulationModule.clear()"' + (result ? '' : ' disabled') + '>Clear</button>' +
+            '</div>';
+
+        if (errorText) {
+            html += '<div class="edd-error-list"><ul><li>' + Utils.escapeHtml(errorText) + '</li></ul></div>';
+        }
+        if (result) html += renderResults();
+        panelEl = Utils.showPanel(panelEl, 'simulationPanel', 'edd-panel simulation-panel', html);
+    }
+
+    function renderResults() {
+        var t = result.thresh;
+        var s = result.settings;
+        var v = result.variogram;
+        var levelLabel = t[result.level + 'Label'];
+
+        var html = '<div class="edd-file">' + Utils.escapeHtml(result.analyte) +
+            ' (' + Utils.escapeHtml(t.setLabel) + '), ' +
+            Utils.escapeHtml(result.horizon.label) + ': ' + result.n + ' results, ' + result.above + ' above the ' + Utils.escapeHtml(levelLabel) + '. ' +
+            'Normal-score variogram: ' + KrigingModule.models[v.model].toLowerCase() + ', nugget ' + Number(v.nugget.toPrecision(3)) +
+            ', sill ' + Number(v.sill.toPrecision(3)) + ', range ' + Math.round(v.range).toLocaleString() + ' ft.</div>';
+
+        if (statusText) html += '<div class="edd-file">' + Utils.escapeHtml(statusText) + '</div>';
+        if (result.areas) {
+            var a = result.areas;
+            html += '<div class="edd-table-wrap"><table class="edd-table simulation-table"><thead><tr>' +
+                '<th>Area &gt; ' + Utils.escapeHtml(levelLabel) + '</th><th>ft\u00b2</th><th>Acres</th><th>CY (' + s.thicknessFt + ' ft)</th>' +
+                '</tr></thead><tbody>';
+            a.percentiles.forEach(function(p) {
+                html += '<tr><td>P' + p.p + '</td><td>' + Math.round(p.areaSqFt).toLocaleString() + '</td><td>' +
+                    (p.areaSqFt / SQ_FT_PER_ACRE).toFixed(2) + '</td><td>' + Utils.formatCY(p.cy) + '</td></tr>';
+            });
+            html += '<tr class="simulation-mean"><td>Mean</td><td>' + Math.round(a.mean).toLocaleString() + '</td><td>' +
+                (a.mean / SQ_FT_PER_ACRE).toFixed(2) + '</td><td>' + Utils.formatCY(a.mean * s.thicknessFt / CUBIC_FT_PER_CY) +
+                '</td></tr></tbody></table></div>';
+            html += '<div class="simulation-legend"><span>Exceedance frequency</span><div class="contour-prob-bar"></div>' +
+                '<div class="simulation-legend-labels"><span>0</span><span>0.5</span><span>1</span></div></div>';
+            html += '<div class="edd-file">' + s.realizations + ' realizations, seed ' + s.seed + ', ' + s.gridFt + ' ft cells, ' +
+                s.maxNeighbors + ' neighbors. P10 / P50 / P90 are percentiles of the area over the realizations; ' +
+                'the same seed and settings reproduce them.</div>';
+        }
+        return html;
+    }
+
+    return {
+        init: init,
+        open: open,
+        close: close,
+        run: run,
+        clear: clear,
+        refresh: refresh,
+        exportRealizationsCSV: exportRealizationsCSV,
+        exportFrequencyCSV: exportFrequencyCSV,
+        getResult: function() { return result; }
+    };
+})();
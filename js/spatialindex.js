@@ -0,0 +1,212 @@
+/**
+ * SBMM Planning Tool - Spatial Index
+ *
+ * Grid-bucket index for radius, bounding-box and nearest-neighbor queries,
+ * so grid-based analyses only look at samples near each cell instead of
+ * scanning every sample.
+ *
+ * Items are bucketed on a planar grid in meters (AppConfig.coordConversion),
+ * the same approximation the contour and block model use. Distances
+ * returned are planar meters; queries report squared distances to avoid
+ * the sqrt where callers only compare them.
+ *
+ * The grid computations (GridComputeModule) build their own index per job,
+ * since they may run in a worker. Shared indexes for on-page queries:
+ *   locations       - every location (all datasets, sampled or not)
+ *   surfaceSamples  - sampled surface locations
+ * Both are rebuilt by rebuild() after a data change.
+ */
+var SpatialIndexModule = (function() {
+    'use strict';
+
+    var conv = AppConfig.coordConversion;
+
+    var DEFAULT_CELL_METERS = 25;
+
+    var shared = {};
+
+    // ===== INDEX =====
+
+    /**
+     * Build an index over items with lat / lon.
+     * @param {Array} items - Objects with lat, lon (returned as-is from queries)
+     * @param {number} [cellMeters=25] - Bucket size; about the usual query radius
+     * @returns {Object} { size, within, inBounds, nearest }
+     */
+    function create(items, cellMeters) {
+        var cell = cellMeters > 0 ? cellMeters : DEFAULT_CELL_METERS;
+        var lat0 = items.length ? items[0].lat : 0;
+        var lon0 = items.length ? items[0].lon : 0;
+        var minBx = Infinity, maxBx = -Infinity, minBy = Infinity, maxBy = -Infinity;
+
+        function toX(lon) { return (lon - lon0) * conv.metersPerDegLon; }
+        function toY(lat) { return (lat - lat0) * conv.metersPerDegLat; }
+
+        var entries = items.map(function(item, i) {
+            var x = toX(item.lon);
+            var y = toY(item.lat);
+            var bx = Math.floor(x / cell);
+            var by = Math.floor(y / cell);
+            if (bx < minBx) minBx = bx;
+            if (bx > maxBx) maxBx = bx;
+            if (by < minBy) minBy = by;
+            if (by > maxBy) maxBy = by;
+            return { item: item, order: i, x: x, y: y, bx: bx, by: by };
+        });
+
+        // Buckets in a sparse array keyed by column * rows + row
+        var bucketRows = maxBy - minBy + 1;
+        var buckets = [];
+        entries.forEach(function(e) {
+            var key = (e.bx - minBx) * bucketRows + (e.by - minBy);
+            (buckets[key] = buckets[key] || []).push(e);
+        });
+
+        /**
+         * Call fn(entry) for each entry in the buckets of a box.
+         */
+        function scanBuckets(bx0, bx1, by0, by1, fn) {
+            bx0 = Math.max(bx0, minBx);
+            bx1 = Math.min(bx1, maxBx);
+            by0 = Math.max(by0, minBy);
+            by1 = Math.min(by1, maxBy);
+            for (var bx = bx0; bx <= bx1; bx++) {
+                var base = (bx - minBx) * bucketRows - minBy;
+                for (var by = by0; by <= by1; by++) {
+                    var bucket = buckets[base + by];
+                    if (!bucket) continue;
+                    for (var i = 0; i < bucket.length; i++) fn(bucket[i]);
+                }
+            }
+        }
+
+        /**
+         * Sort query hits back into input order, so sums and seeded
+         * resampling over the hits match a plain scan of the items.
+         */
+        function inInputOrder(hits) {
+            return hits.sort(function(a, b) { return a.order - b.order; });
+        }
+
+        /**
+         * Nearest first; equal distances in input order.
+         */
+        function byDistance(a, b) {
+            return a.distSq - b.distSq || a.order - b.order;
+        }
+
+        return {
+            size: items.length,
+
+            /**
+             * Items within a radius.
+             * @param {number} lat
+             * @param {number} lon
+             * @param {number} radiusM
+             * @returns {Array} { item, order (index in items), distSq (m^2) }, in input order
+             */
+            within: function(lat, lon, radiusM) {
+                var x = toX(lon);
+                var y = toY(lat);
+                var r2 = radiusM * radiusM;
+                var out = [];
+                scanBuckets(Math.floor((x - radiusM) / cell), Math.floor((x + radiusM) / cell),
+                    Math.floor((y - radiusM) / cell), Math.floor((y + radiusM) / cell), function(e) {
+                        var dx = e.x - x;
+                        var dy = e.y - y;
+                        var d2 = dx * dx + dy * dy;
+                        if (d2 <= r2) out.push({ item: e.item, order: e.order, distSq: d2 });
+                    });
+                return inInputOrder(out);
+            },
+
+            /**
+             * Items inside a lat / lon box (e.g. a polygon's bounds).
+             * @returns {Array} Items, in input order
+             */
+            inBounds: function(minLat, maxLat, minLon, maxLon) {
+                var out = [];
+                scanBuckets(Math.floor(toX(minLon) / cell), Math.floor(toX(maxLon) / cell),
+                    Math.floor(toY(minLat) / cell), Math.floor(toY(maxLat) / cell), function(e) {
+                        var it = e.item;
+                        if (it.lat >= minLat && it.lat <= maxLat && it.lon >= minLon && it.lon <= maxLon) out.push(e);
+                    });
+                return inInputOrder(out).map(function(e) { return e.item; });
+            },
+
+            /**
+             * The k nearest items, searching outward ring by ring of buckets.
+             * @param {number} lat
+             * @param {number} lon
+             * @param {number} k
+             * @param {number} [maxRadiusM] - Ignore items farther than this
+             * @returns {Array} { item, order, distSq }, nearest first
+             */
+            nearest: function(lat, lon, k, maxRadiusM) {
+                var x = toX(lon);
+                var y = toY(lat);
+                var cx = Math.floor(x / cell);
+                var cy = Math.floor(y / cell);
+                var r2 = maxRadiusM > 0 ? maxRadiusM * maxRadiusM : Infinity;
+                var found = [];
+                if (items.length === 0 || k <= 0) return found;
+
+                function visit(e) {
+                    var dx = e.x - x;
+                    var dy = e.y - y;
+                    var d2 = dx * dx + dy * dy;
+                    if (d2 <= r2) found.push({ item: e.item, order: e.order, distSq: d2 });
+                }
+
+                var maxRing = Math.max(cx - minBx, maxBx - cx, cy - minBy, maxBy - cy);
+                for (var ring = 0; ring <= maxRing; ring++) {
+                    if (ring === 0) {
+                        scanBuckets(cx, cx, cy, cy, visit);
+                    } else {
+                        scanBuckets(cx - ring, cx + ring, cy + ring, cy + ring, visit);
+                        scanBuckets(cx - ring, cx + ring, cy - ring, cy - ring, visit);
+                        scanBuckets(cx - ring, cx - ring, cy - ring + 1, cy + ring - 1, visit);
+                        scanBuckets(cx + ring, cx + ring, cy - ring + 1, cy + ring - 1, visit);
+                    }
+                    // Anything outside this ring is at least ring * cell away
+                    var reach = ring * cell;
+                    if (reach * reach > r2) break;
+                    if (found.length >= k) {
+                        found.sort(byDistance);
+                        if (found[k - 1].distSq <= reach * reach) break;
+                    }
+                }
+                found.sort(byDistance);
+                return found.slice(0, k);
+            }
+        };
+    }
+
+    // ===== SHARED INDEXES =====
+
+    /**
+     * Rebuild the data indexes (after data load, EDD merge, non-detect rule
+     * or threshold changes).
+     */
+    function rebuild() {
+        shared = {
+            locations: create(DataModule.getLocations()),
+            surfaceSamples: create(DataModule.getLocations({ surface: true, sampled: true }))
+        };
+    }
+
+    /**
+     * @param {string} name - 'locations' | 'surfaceSamples'
+     * @returns {Object} Shared index
+     */
+    function get(name) {
+        if (!shared[name]) rebuild();
+        return shared[name];
+    }
+
+    return {
+        create: create,
+        rebuild: rebuild,
+        get: get
+    };
+})();
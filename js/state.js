@@ -35,6 +35,23 @@ var AppState = (function() {
             soilBorings2025: []
         },
 
+        // Normalized locations built by DataModule from the arrays above
+        locations: [],
+
+        // Non-detect substitution rule key (see AppConfig.nonDetectRules)
+        nonDetectRule: AppConfig.defaultNonDetectRule,
+
+        // Depth horizon every map view is sliced to: a key in
+        // AppConfig.depthHorizons, or 'custom' for depthRange (ft bgs)
+        depthHorizon: AppConfig.defaultDepthHorizon,
+        depthRange: { start: 0, end: 2 },
+
+        // Active screening-level set key (see AppConfig.screeningSets)
+        screeningSet: AppConfig.defaultScreeningSet,
+
+        // Threshold edits, newest last: { time, action, analyte, oldValue, newValue }
+        thresholdLog: [],
+
         // Planning mode: 'view' | 'proposed' | 'stepout'
         currentMode: 'view',
 
@@ -82,7 +99,8 @@ var AppState = (function() {
         // ===== NEW: Polygon tool =====
         polygonMode: false,
         polygonLayer: null,
-        polygonVertices: [],
+        polygonVertices: [],     // Vertices of the polygon being drawn
+        polygons: [],            // Finished polygons { id, name, category, color, vertices, attributes } (see PolygonModule)
 
         // ===== NEW: Cross-section =====
         crossSectionMode: false,
@@ -93,7 +111,10 @@ var AppState = (function() {
         // ===== NEW: Buffer zone =====
         bufferLayer: null,
         bufferVisible: false,
-        bufferRadiusFt: 50
+        bufferRadiusFt: 50,
+
+        // ===== NEW: Block model =====
+        blockModelLayer: null
     };
 
     // ===== Undo/Redo Methods =====
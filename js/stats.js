@@ -0,0 +1,803 @@
+/**
+ * SBMM Planning Tool - Statistics
+ *
+ * 95% upper confidence limits (UCLs) on the mean for exposure point
+ * concentrations, following EPA ProUCL guidance in simplified form:
+ *
+ *   Student's t, Chebyshev (mean, sd), bootstrap-t and approximate gamma UCLs
+ *   Goodness of fit: Shapiro-Wilk for normal and lognormal (on ln x),
+ *   Anderson-Darling for gamma (MLE shape, D'Agostino & Stephens critical values)
+ *   Recommended UCL picked from the fitted distribution, or from the
+ *   skewness (sd of ln x) when no distribution fits
+ *
+ * Background threshold values for a reference set: 95/95 upper tolerance
+ * limit (UTL), 95% upper prediction limit (UPL) and 95% upper simple limit
+ * (USL, the fitted 95th percentile), for normal, lognormal or gamma
+ * (Wilson-Hilferty) data or non-parametric order statistics.
+ *
+ * Values come in already substituted for non-detects (DataModule.resultValue);
+ * ProUCL's Kaplan-Meier handling of non-detects is not implemented.
+ */
+var StatsModule = (function() {
+    'use strict';
+
+    var ALPHA = 0.05;
+    var BOOTSTRAP_SAMPLES = 2000;
+    var BOOTSTRAP_SEED = 20230;    // Fixed so panel refreshes give the same UCL
+    var MIN_UCL_SAMPLES = 3;
+    var SMALL_SAMPLE = 8;
+
+    // Anderson-Darling 5% critical values for a gamma fit with estimated
+    // shape k (D'Agostino & Stephens 1986, Table 4.21, asymptotic)
+    var AD_GAMMA_CRITICAL = [
+        [1, 0.786], [2, 0.768], [3, 0.762], [4, 0.759], [5, 0.758], [6, 0.757],
+        [8, 0.755], [10, 0.754], [12, 0.754], [15, 0.754], [20, 0.753], [Infinity, 0.752]
+    ];
+
+    var METHOD_LABELS = {
+        studentT: '95% Student\'s t',
+        chebyshev: '95% Chebyshev (mean, sd)',
+        chebyshev975: '97.5% Chebyshev (mean, sd)',
+        chebyshev99: '99% Chebyshev (mean, sd)',
+        bootstrapT: '95% Bootstrap-t',
+        gamma: '95% Approximate gamma',
+        maximum: 'Maximum value'
+    };
+
+    // ===== DESCRIPTIVE =====
+
+    /**
+     * Count, mean, standard deviation, min and max of a list of numbers.
+     * @param {number[]} values
+     * @returns {Object} { n, mean, sd, min, max } (mean/sd/min/max null when empty)
+     */
+    function summary(values) {
+        var n = values.length;
+        if (n === 0) return { n: 0, mean: null, sd: null, min: null, max: null };
+        var mean = sum(values) / n;
+        var ss = 0;
+        values.forEach(function(v) { ss += (v - mean) * (v - mean); });
+        return {
+            n: n,
+            mean: mean,
+            sd: n > 1 ? Math.sqrt(ss / (n - 1)) : 0,
+            min: Math.min.apply(null, values),
+            max: Math.max.apply(null, values)
+        };
+    }
+
+    function sum(values) {
+        return values.reduce(function(a, b) { return a + b; }, 0);
+    }
+
+    // ===== DISTRIBUTIONS =====
+
+    /**
+     * Natural log of the gamma function (Lanczos approximation).
+     * @param {number} x - x > 0
+     * @returns {number}
+     */
+    function logGamma(x) {
+        var c = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+            -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+        var y = x;
+        var tmp = x + 5.5;
+        tmp -= (x + 0.5) * Math.log(tmp);
+        var ser = 1.000000000190015;
+        for (var j = 0; j < 6; j++) ser += c[j] / ++y;
+        return -tmp + Math.log(2.5066282746310005 * ser / x);
+    }
+
+    /**
+     * Digamma function psi(x) for x > 0.
+     */
+    function digamma(x) {
+        var result = 0;
+        while (x < 6) {
+            result -= 1 / x;
+            x += 1;
+        }
+        var f = 1 / (x * x);
+        return result + Math.log(x) - 0.5 / x -
+            f * (1 / 12 - f * (1 / 120 - f * (1 / 252 - f * (1 / 240 - f / 132))));
+    }
+
+    /**
+     * Trigamma function psi'(x) for x > 0.
+     */
+    function trigamma(x) {
+        var result = 0;
+        while (x < 6) {
+            result += 1 / (x * x);
+            x += 1;
+        }
+        var f = 1 / (x * x);
+        return result + 1 / x + f / 2 +
+            f / x * (1 / 6 - f * (1 / 30 - f * (1 / 42 - f / 30)));
+    }
+
+    /**
+     * Standard normal CDF (Abramowitz & Stegun 7.1.26 erf, |error| < 1.5e-7).
+     * @param {number} z
+     * @returns {number}
+     */
+    function normalCdf(z) {
+        var x = Math.abs(z) / Math.SQRT2;
+        var t = 1 / (1 + 0.3275911 * x);
+        var erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 +
+            t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x);
+        return z >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+    }
+
+    /**
+     * Standard normal quantile (Acklam's rational approximation).
+     * @param {number} p - 0 < p < 1
+     * @returns {number}
+     */
+    function normalQuantile(p) {
+        var a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02,
+            1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+        var b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02,
+            6.680131188771972e+01, -1.328068155288572e+01];
+        var c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00,
+            -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+        var d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00,
+            3.754408661907416e+00];
+        var q, r;
+        if (p < 0.02425) {
+            q = Math.sqrt(-2 * Math.log(p));
+            return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+                ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+        }
+        if (p > 1 - 0.02425) {
+            q = Math.sqrt(-2 * Math.log(1 - p));
+            return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+                ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+        }
+        q = p - 0.5;
+        r = q * q;
+        return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+            (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+    }
+
+    /**
+     * Regularized incomplete beta function I_x(a, b).
+     */
+    function incompleteBeta(x, a, b) {
+        if (x <= 0) return 0;
+        if (x >= 1) return 1;
+        var front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) +
+            a * Math.log(x) + b * Math.log(1 - x));
+        if (x < (a + 1) / (a + b + 2)) return front * betaContinuedFraction(x, a, b) / a;
+        return 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+    }
+
+    function betaContinuedFraction(x, a, b) {
+        var tiny = 1e-30;
+        var qab = a + b, qap = a + 1, qam = a - 1;
+        var c = 1;
+        var d = 1 - qab * x / qap;
+        if (Math.abs(d) < tiny) d = tiny;
+        d = 1 / d;
+        var h = d;
+        for (var m = 1; m <= 200; m++) {
+            var m2 = 2 * m;
+            var aa = m * (b - m) * x / ((qam + m2) * (a + m2));
+            d = 1 + aa * d; if (Math.abs(d) < tiny) d = tiny;
+            c = 1 + aa / c; if (Math.abs(c) < tiny) c = tiny;
+            d = 1 / d;
+            h *= d * c;
+            aa = -(a + m) * (qab + m) * x / ((a + m2) * (qap + m2));
+            d = 1 + aa * d; if (Math.abs(d) < tiny) d = tiny;
+            c = 1 + aa / c; if (Math.abs(c) < tiny) c = tiny;
+            d = 1 / d;
+            var del = d * c;
+            h *= del;
+            if (Math.abs(del - 1) < 3e-12) break;
+        }
+        return h;
+    }
+
+    /**
+     * Regularized lower incomplete gamma function P(a, x).
+     */
+    function incompleteGamma(a, x) {
+        if (x <= 0) return 0;
+        var gln = logGamma(a);
+        var n, del, total;
+        if (x < a + 1) {
+            // Series representation
+            var ap = a;
+            total = del = 1 / a;
+            for (n = 0; n < 500; n++) {
+                ap += 1;
+                del *= x / ap;
+                total += del;
+                if (Math.abs(del) < Math.abs(total) * 3e-14) break;
+            }
+            return total * Math.exp(-x + a * Math.log(x) - gln);
+        }
+        // Continued fraction for Q(a, x)
+        var tiny = 1e-30;
+        var b = x + 1 - a;
+        var c = 1 / tiny;
+        var d = 1 / b;
+        var h = d;
+        for (n = 1; n <= 500; n++) {
+            var an = -n * (n - a);
+            b += 2;
+            d = an * d + b; if (Math.abs(d) < tiny) d = tiny;
+            c = b + an / c; if (Math.abs(c) < tiny) c = tiny;
+            d = 1 / d;
+            del = d * c;
+            h *= del;
+            if (Math.abs(del - 1) < 3e-14) break;
+        }
+        return 1 - Math.exp(-x + a * Math.log(x) - gln) * h;
+    }
+
+    /**
+     * Student's t CDF.
+     * @param {number} t
+     * @param {number} df
+     * @returns {number}
+     */
+    function tCdf(t, df) {
+        var tail = 0.5 * incompleteBeta(df / (df + t * t), df / 2, 0.5);
+        return t >= 0 ? 1 - tail : tail;
+    }
+
+    /**
+     * Find x in [lo, hi] with cdf(x) = p by bisection (cdf increasing).
+     */
+    function invert(cdf, p, lo, hi) {
+        while (cdf(hi) < p) hi *= 2;
+        for (var i = 0; i < 200 && hi - lo > 1e-10 * Math.max(1, Math.abs(hi)); i++) {
+            var mid = (lo + hi) / 2;
+            if (cdf(mid) < p) lo = mid; else hi = mid;
+        }
+        return (lo + hi) / 2;
+    }
+
+    /**
+     * Student's t quantile.
+     * @param {number} p - 0 < p < 1
+     * @param {number} df
+     * @returns {number}
+     */
+    function tQuantile(p, df) {
+        if (p === 0.5) return 0;
+        if (p < 0.5) return -tQuantile(1 - p, df);
+        return invert(function(t) { return tCdf(t, df); }, p, 0, 10);
+    }
+
+    /**
+     * Chi-square quantile (df may be fractional).
+     * @param {number} p - 0 < p < 1
+     * @param {number} df
+     * @returns {number}
+     */
+    function chiSquareQuantile(p, df) {
+        return invert(function(x) { return incompleteGamma(df / 2, x / 2); }, p, 0, Math.max(1, df * 2));
+    }
+
+    // ===== GOODNESS OF FIT =====
+
+    function polyval(coefs, x) {
+        var result = 0;
+        for (var i = coefs.length - 1; i >= 0; i--) result = result * x + coefs[i];
+        return result;
+    }
+
+    /**
+     * Shapiro-Wilk W test for normality (Royston 1992/1995 algorithm, 3 <= n <= 5000).
+     * @param {number[]} values
+     * @returns {Object|null} { W, pValue }, or null if n < 3 or all values equal
+     */
+    function shapiroWilk(values) {
+        var n = values.length;
+        if (n < 3 || n > 5000) return null;
+        var x = values.slice().sort(function(a, b) { return a - b; });
+        var range = x[n - 1] - x[0];
+        if (range <= 0) return null;
+
+        var a = new Array(n);
+        var i;
+        if (n === 3) {
+            a[0] = -Math.SQRT1_2;
+            a[1] = 0;
+            a[2] = Math.SQRT1_2;
+        } else {
+            var m = [];
+            var mm = 0;
+            for (i = 0; i < n; i++) {
+                m[i] = normalQuantile((i + 1 - 0.375) / (n + 0.25));
+                mm += m[i] * m[i];
+            }
+            var u = 1 / Math.sqrt(n);
+            var an = m[n - 1] / Math.sqrt(mm) +
+                polyval([0, 0.221157, -0.147981, -2.071190, 4.434685, -2.706056], u);
+            var phi, first;
+            if (n > 5) {
+                var an1 = m[n - 2] / Math.sqrt(mm) +
+                    polyval([0, 0.042981, -0.293762, -1.752461, 5.682633, -3.582633], u);
+                phi = (mm - 2 * m[n - 1] * m[n - 1] - 2 * m[n - 2] * m[n - 2]) /
+                    (1 - 2 * an * an - 2 * an1 * an1);
+                a[n - 2] = an1;
+                a[1] = -an1;
+                first = 2;
+            } else {
+                phi = (mm - 2 * m[n - 1] * m[n - 1]) / (1 - 2 * an * an);
+                first = 1;
+            }
+            a[n - 1] = an;
+            a[0] = -an;
+            for (i = first; i < n - first; i++) a[i] = m[i] / Math.sqrt(phi);
+        }
+
+        var mean = sum(x) / n;
+        var num = 0, ss = 0;
+        for (i = 0; i < n; i++) {
+            num += a[i] * x[i];
+            ss += (x[i] - mean) * (x[i] - mean);
+        }
+        var W = Math.min(1, num * num / ss);
+
+        var pValue;
+        if (n === 3) {
+            pValue = Math.max(0, 6 / Math.PI * (Math.asin(Math.sqrt(W)) - Math.PI / 3));
+        } else {
+            var y = Math.log(1 - W);
+            var mu, sigma;
+            if (n <= 11) {
+                var gamma = -2.273 + 0.459 * n;
+                if (y >= gamma) return { W: W, pValue: 0 };
+                y = -Math.log(gamma - y);
+                mu = polyval([0.5440, -0.39978, 0.025054, -6.714e-4], n);
+                sigma = Math.exp(polyval([1.3822, -0.77857, 0.062767, -0.0020322], n));
+            } else {
+                var ln = Math.log(n);
+                mu = polyval([-1.5861, -0.31082, -0.083751, 0.0038915], ln);
+                sigma = Math.exp(polyval([-0.4803, -0.082676, 0.0030302], ln));
+            }
+            pValue = 1 - normalCdf((y - mu) / sigma);
+        }
+        return { W: W, pValue: Math.min(1, pValue) };
+    }
+
+    /**
+     * Maximum-likelihood gamma fit with ProUCL's bias-corrected shape
+     * k* = (n - 3) k / n + 2 / (3n).
+     * @param {number[]} values - All > 0
+     * @returns {Object} { k, kStar, theta, thetaStar }
+     */
+    function fitGamma(values) {
+        var n = values.length;
+        var mean = sum(values) / n;
+        var meanLog = sum(values.map(Math.log)) / n;
+        var s = Math.log(mean) - meanLog;
+        var k = (3 - s + Math.sqrt((s - 3) * (s - 3) + 24 * s)) / (12 * s);
+        // Newton refinement of ln k - psi(k) = s
+        for (var i = 0; i < 20; i++) {
+            var step = (Math.log(k) - digamma(k) - s) / (1 / k - trigamma(k));
+            var next = k - step;
+            if (!(next > 0)) break;
+            k = next;
+            if (Math.abs(step) < 1e-10 * k) break;
+        }
+        var kStar = Math.max((n - 3) * k / n + 2 / (3 * n), 1e-6);
+        return { k: k, kStar: kStar, theta: mean / k, thetaStar: mean / kStar };
+    }
+
+    /**
+     * Anderson-Darling test of a gamma fit at the 5% level.
+     * @param {number[]} values - All > 0
+     * @param {Object} fit - From fitGamma
+     * @returns {Object} { A2, critical, pass }
+     */
+    function andersonDarlingGamma(values, fit) {
+        var n = values.length;
+        var x = values.slice().sort(function(a, b) { return a - b; });
+        var eps = 1e-12;
+        var F = x.map(function(v) {
+            return Math.min(1 - eps, Math.max(eps, incompleteGamma(fit.k, v / fit.theta)));
+        });
+        var s = 0;
+        for (var i = 0; i < n; i++) {
+            s += (2 * i + 1) * (Math.log(F[i]) + Math.log(1 - F[n - 1 - i]));
+        }
+        var A2 = -n - s / n;
+        var critical = AD_GAMMA_CRITICAL[AD_GAMMA_CRITICAL.length - 1][1];
+        for (var j = 0; j < AD_GAMMA_CRITICAL.length; j++) {
+            if (fit.k <= AD_GAMMA_CRITICAL[j][0]) {
+                critical = AD_GAMMA_CRITICAL[j][1];
+                break;
+            }
+        }
+        return { A2: A2, critical: critical, pass: A2 <= critical };
+    }
+
+    /**
+     * Goodness-of-fit checks for normal, lognormal and gamma distributions.
+     * Lognormal and gamma need all values > 0.
+     * @param {number[]} values
+     * @returns {Object} { normal, lognormal, gamma } (null entries when not testable)
+     */
+    function goodnessOfFit(values) {
+        var gof = { normal: null, lognormal: null, gamma: null };
+        var sw = shapiroWilk(values);
+        if (sw) gof.normal = { test: 'Shapiro-Wilk', W: sw.W, pValue: sw.pValue, pass: sw.pValue > ALPHA };
+
+        var positive = values.every(function(v) { return v > 0; });
+        if (positive && values.length >= 3) {
+            var swLog = shapiroWilk(values.map(Math.log));
+            if (swLog) gof.lognormal = { test: 'Shapiro-Wilk (ln)', W: swLog.W, pValue: swLog.pValue, pass: swLog.pValue > ALPHA };
+            var stats = summary(values);
+            if (stats.sd > 0) {
+                var fit = fitGamma(values);
+                var ad = andersonDarlingGamma(values, fit);
+                gof.gamma = { test: 'Anderson-Darling', A2: ad.A2, critical: ad.critical, pass: ad.pass, k: fit.k, kStar: fit.kStar };
+            }
+        }
+        return gof;
+    }
+
+    /**
+     * Noncentral t CDF by Simpson integration over S = sqrt(chi2(df) / df):
+     * P(T <= t) = integral of Phi(t s - delta) f_S(s) ds.
+     */
+    function noncentralTCdf(t, df, delta) {
+        var steps = 1000;
+        var upper = 1 + 12 / Math.sqrt(2 * df);
+        var h = upper / steps;
+        var logNorm = Math.log(2) + (df / 2) * Math.log(df / 2) - logGamma(df / 2);
+        var total = 0;
+        for (var i = 0; i <= steps; i++) {
+            var sVal = i * h;
+            var density = sVal > 0 ? Math.exp(logNorm + (df - 1) * Math.log(sVal) - df * sVal * sVal / 2) : 0;
+            var weight = i === 0 || i === steps ? 1 : (i % 2 === 1 ? 4 : 2);
+            total += weight * normalCdf(t * sVal - delta) * density;
+        }
+        return total * h / 3;
+    }
+
+    /**
+     * One-sided normal tolerance factor K: mean + K sd covers at least
+     * `coverage` of the population with `confidence` (exact, noncentral t).
+     * @param {number} n - Sample size (>= 2)
+     * @param {number} [coverage=0.95]
+     * @param {number} [confidence=0.95]
+     * @returns {number}
+     */
+    function toleranceFactor(n, coverage, confidence) {
+        coverage = coverage || 0.95;
+        confidence = confidence || 0.95;
+        var delta = normalQuantile(coverage) * Math.sqrt(n);
+        var df = n - 1;
+        return invert(function(t) { return noncentralTCdf(t, df, delta); }, confidence, delta, delta + 10) / Math.sqrt(n);
+    }
+
+    /**
+     * Binomial CDF P(X <= k) for X ~ Bin(n, p).
+     */
+    function binomialCdf(k, n, p) {
+        var total = 0;
+        for (var i = 0; i <= k; i++) {
+            total += Math.exp(logGamma(n + 1) - logGamma(i + 1) - logGamma(n - i + 1) +
+                i * Math.log(p) + (n - i) * Math.log(1 - p));
+        }
+        return Math.min(1, total);
+    }
+
+    // ===== UCLs =====
+
+    /**
+     * Student's t UCL on the mean.
+     */
+    function studentTUCL(stats, confidence) {
+        return stats.mean + tQuantile(confidence, stats.n - 1) * stats.sd / Math.sqrt(stats.n);
+    }
+
+    /**
+     * Chebyshev (mean, sd) UCL on the mean.
+     */
+    function chebyshevUCL(stats, confidence) {
+        return stats.mean + Math.sqrt(1 / (1 - confidence) - 1) * stats.sd / Math.sqrt(stats.n);
+    }
+
+    /**
+     * Small seeded PRNG (mulberry32) so bootstrap results are repeatable.
+     */
+    function seededRandom(seed) {
+        var state = seed >>> 0;
+        return function() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            var t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Bootstrap-t UCL on the mean.
+     * @param {number[]} values
+     * @param {Object} stats - From summary
+     * @returns {number|null}
+     */
+    function bootstrapTUCL(values, stats) {
+        var n = values.length;
+        var random = seededRandom(BOOTSTRAP_SEED);
+        var tStats = [];
+        var sample = new Array(n);
+        for (var b = 0; b < BOOTSTRAP_SAMPLES; b++) {
+            var total = 0;
+            for (var i = 0; i < n; i++) {
+                sample[i] = values[Math.floor(random() * n)];
+                total += sample[i];
+            }
+            var mean = total / n;
+            var ss = 0;
+            for (i = 0; i < n; i++) ss += (sample[i] - mean) * (sample[i] - mean);
+            var sd = Math.sqrt(ss / (n - 1));
+            if (sd > 0) tStats.push((mean - stats.mean) / (sd / Math.sqrt(n)));
+        }
+        if (tStats.length === 0) return null;
+        tStats.sort(function(a, b) { return a - b; });
+        var lower = tStats[Math.floor(ALPHA * tStats.length)];
+        return stats.mean - lower * stats.sd / Math.sqrt(n);
+    }
+
+    /**
+     * Approximate gamma UCL: mean * 2nk* / chi-square(alpha; 2nk*).
+     */
+    function gammaUCL(stats, kStar) {
+        var df = 2 * stats.n * kStar;
+        return stats.mean * df / chiSquareQuantile(ALPHA, df);
+    }
+
+    /**
+     * Pick the recommended UCL method: the fitted distribution first
+     * (normal, then gamma), otherwise by skewness (sd of ln x).
+     * @returns {Object} { method, distribution, basis }
+     */
+    function recommend(gof, values, ucls) {
+        if (gof.normal && gof.normal.pass) {
+            return { method: 'studentT', distribution: 'normal', basis: 'Data fit a normal distribution' };
+        }
+        if (gof.gamma && gof.gamma.pass && ucls.gamma !== null) {
+            return { method: 'gamma', distribution: 'gamma', basis: 'Data fit a gamma distribution' };
+        }
+        var distribution = gof.lognormal && gof.lognormal.pass ? 'lognormal' : 'nonparametric';
+        var prefix = distribution === 'lognormal' ? 'Lognormal' : 'No discernible distribution';
+        if (!values.every(function(v) { return v > 0; })) {
+            return { method: 'chebyshev', distribution: distribution, basis: prefix + '; zero values, skewness not estimated' };
+        }
+        var sdLog = summary(values.map(Math.log)).sd;
+        var skew = prefix + ', sd(ln x) = ' + sdLog.toFixed(2);
+        if (sdLog < 0.5) return { method: 'studentT', distribution: distribution, basis: skew + ' (mild skew)' };
+        if (sdLog < 1 && ucls.bootstrapT !== null) return { method: 'bootstrapT', distribution: distribution, basis: skew + ' (moderate skew)' };
+        if (sdLog < 1.5) return { method: 'chebyshev', distribution: distribution, basis: skew };
+        if (sdLog < 2) return { method: 'chebyshev975', distribution: distribution, basis: skew + ' (high skew)' };
+        return { method: 'chebyshev99', distribution: distribution, basis: skew + ' (very high skew)' };
+    }
+
+    /**
+     * 95% UCLs, goodness of fit and a recommended exposure point concentration.
+     * @param {number[]} values - Concentrations (non-detects already substituted)
+     * @param {Object} [opts]
+     * @param {number} [opts.ndCount] - Number of non-detects among the values, for warnings
+     * @returns {Object} { n, mean, sd, min, max, ucls: { studentT, chebyshev, bootstrapT, gamma },
+     *     gof, distribution, recommended: { method, label, value, basis } | null, warnings[] }
+     */
+    function ucl95(values, opts) {
+        opts = opts || {};
+        values = values.filter(function(v) { return typeof v === 'number' && !isNaN(v); });
+        var stats = summary(values);
+        var result = {
+            n: stats.n,
+            mean: stats.mean,
+            sd: stats.sd,
+            min: stats.min,
+            max: stats.max,
+            ucls: { studentT: null, chebyshev: null, bootstrapT: null, gamma: null },
+            gof: { normal: null, lognormal: null, gamma: null },
+            distribution: null,
+            recommended: null,
+            warnings: []
+        };
+
+        if (stats.n < MIN_UCL_SAMPLES) {
+            if (stats.n > 0) result.warnings.push('At least ' + MIN_UCL_SAMPLES + ' results are needed for a UCL');
+            return result;
+        }
+        if (stats.sd === 0) {
+            result.warnings.push('All results are equal; UCL equals the mean');
+            result.recommended = { method: 'maximum', label: METHOD_LABELS.maximum, value: stats.max, basis: 'No variability' };
+            return result;
+        }
+
+        result.ucls.studentT = studentTUCL(stats, 1 - ALPHA);
+        result.ucls.chebyshev = chebyshevUCL(stats, 1 - ALPHA);
+        result.ucls.bootstrapT = bootstrapTUCL(values, stats);
+        result.gof = goodnessOfFit(values);
+        if (result.gof.gamma) result.ucls.gamma = gammaUCL(stats, result.gof.gamma.kStar);
+
+        var rec = recommend(result.gof, values, result.ucls);
+        var value;
+        if (rec.method === 'chebyshev975') value = chebyshevUCL(stats, 0.975);
+        else if (rec.method === 'chebyshev99') value = chebyshevUCL(stats, 0.99);
+        else value = result.ucls[rec.method];
+        result.distribution = rec.distribution;
+        result.recommended = { method: rec.method, label: METHOD_LABELS[rec.method], value: value, basis: rec.basis };
+
+        if (value > stats.max) {
+            result.warnings.push('Recommended UCL exceeds the maximum result; maximum used');
+            result.recommended = { method: 'maximum', label: METHOD_LABELS.maximum, value: stats.max, basis: rec.basis };
+        }
+        if (stats.n < SMALL_SAMPLE) {
+            result.warnings.push('Fewer than ' + SMALL_SAMPLE + ' results; UCL is unreliable');
+        }
+        if (opts.ndCount && opts.ndCount / stats.n > 0.5) {
+            result.warnings.push('More than half the results are non-detects (substituted values)');
+        }
+        return result;
+    }
+
+    // ===== BACKGROUND LIMITS =====
+
+    var BACKGROUND_BASES = {
+        auto: 'Best fit',
+        normal: 'Normal',
+        lognormal: 'Lognormal',
+        gamma: 'Gamma (Wilson-Hilferty)',
+        nonparametric: 'Non-parametric'
+    };
+
+    /**
+     * UTL, UPL and USL from normal theory on (possibly transformed) values.
+     * @param {number[]} values
+     * @param {Function} back - Back-transform applied to each limit
+     */
+    function normalLimits(values, back) {
+        var s = summary(values);
+        var z = normalQuantile(1 - ALPHA);
+        return {
+            utl: back(s.mean + toleranceFactor(s.n) * s.sd),
+            upl: back(s.mean + tQuantile(1 - ALPHA, s.n - 1) * s.sd * Math.sqrt(1 + 1 / s.n)),
+            usl: back(s.mean + z * s.sd)
+        };
+    }
+
+    /**
+     * Non-parametric limits from order statistics. The UTL is the smallest
+     * order statistic giving 95% coverage with 95% confidence, or the
+     * maximum with its achieved confidence when n is too small (n < 59).
+     * The UPL is the ceil(0.95 (n + 1))-th value, or the maximum.
+     */
+    function nonparametricLimits(values) {
+        var x = values.slice().sort(function(a, b) { return a - b; });
+        var n = x.length;
+        var coverage = 1 - ALPHA;
+        var utlRank = n;
+        for (var r = 1; r <= n; r++) {
+            if (binomialCdf(r - 1, n, coverage) >= 1 - ALPHA) {
+                utlRank = r;
+                break;
+            }
+        }
+        var uplRank = Math.min(n, Math.ceil(coverage * (n + 1)));
+        return {
+            utl: x[utlRank - 1],
+            upl: x[uplRank - 1],
+            usl: x[n - 1],
+            utlRank: utlRank,
+            uplRank: uplRank,
+            utlConfidence: binomialCdf(utlRank - 1, n, coverage),
+            uplConfidence: uplRank / (n + 1)
+        };
+    }
+
+    /**
+     * Background threshold values for a reference data set.
+     * @param {number[]} values - Concentrations (non-detects already substituted)
+     * @param {Object} [opts]
+     * @param {string} [opts.basis='auto'] - Key in BACKGROUND_BASES; 'auto' picks
+     *     normal, then gamma, then lognormal from the goodness-of-fit tests,
+     *     falling back to non-parametric
+     * @returns {Object} { n, mean, sd, max, basis, basisLabel, gof, utl, upl, usl,
+     *     utlRank, uplRank, utlConfidence, uplConfidence, warnings[] }
+     */
+    function backgroundLimits(values, opts) {
+        opts = opts || {};
+        values = values.filter(function(v) { return typeof v === 'number' && !isNaN(v); });
+        var stats = summary(values);
+        var result = {
+            n: stats.n, mean: stats.mean, sd: stats.sd, max: stats.max,
+            basis: null, basisLabel: null,
+            gof: { normal: null, lognormal: null, gamma: null },
+            utl: null, upl: null, usl: null,
+            utlRank: null, uplRank: null, utlConfidence: null, uplConfidence: null,
+            warnings: []
+        };
+        if (stats.n < MIN_UCL_SAMPLES) {
+            if (stats.n > 0) result.warnings.push('At least ' + MIN_UCL_SAMPLES + ' results are needed');
+            return result;
+        }
+
+        result.gof = goodnessOfFit(values);
+        var positive = values.every(function(v) { return v > 0; });
+        var basis = opts.basis && BACKGROUND_BASES[opts.basis] ? opts.basis : 'auto';
+        if (basis === 'auto') {
+            if (result.gof.normal && result.gof.normal.pass) basis = 'normal';
+            else if (result.gof.gamma && result.gof.gamma.pass) basis = 'gamma';
+            else if (result.gof.lognormal && result.gof.lognormal.pass) basis = 'lognormal';
+            else basis = 'nonparametric';
+        } else if ((basis === 'lognormal' || basis === 'gamma') && !positive) {
+            result.warnings.push(BACKGROUND_BASES[basis] + ' needs values > 0; non-parametric used');
+            basis = 'nonparametric';
+        }
+        if (stats.sd === 0) basis = 'nonparametric';
+
+        var limits;
+        if (basis === 'normal') {
+            limits = normalLimits(values, function(v) { return v; });
+        } else if (basis === 'lognormal') {
+            limits = normalLimits(values.map(Math.log), Math.exp);
+        } else if (basis === 'gamma') {
+            limits = normalLimits(values.map(Math.cbrt), function(v) { return Math.pow(Math.max(v, 0), 3); });
+        } else {
+            limits = nonparametricLimits(values);
+            if (limits.utlConfidence < 1 - ALPHA) {
+                result.warnings.push('n = ' + stats.n + ' is too small for a 95/95 non-parametric UTL (59 needed); maximum used, ' +
+                    Math.round(limits.utlConfidence * 100) + '% confidence');
+            }
+            if (limits.uplConfidence < 1 - ALPHA) {
+                result.warnings.push('UPL is the maximum, ' + Math.round(limits.uplConfidence * 100) + '% confidence');
+            }
+        }
+        Object.keys(limits).forEach(function(k) { result[k] = limits[k]; });
+        result.basis = basis;
+        result.basisLabel = BACKGROUND_BASES[basis];
+
+        if (stats.n < SMALL_SAMPLE) {
+            result.warnings.push('Fewer than ' + SMALL_SAMPLE + ' results; limits are unreliable');
+        }
+        if (opts.ndCount && opts.ndCount / stats.n > 0.5) {
+            result.warnings.push('More than half the results are non-detects (substituted values)');
+        }
+        return result;
+    }
+
+    /**
+     * Short text for a goodness-of-fit entry, e.g. "Yes (p=0.210)" or "No (A2=1.02 > 0.786)".
+     * @param {Object|null} fit - Entry from ucl95().gof
+     * @returns {string}
+     */
+    function describeFit(fit) {
+        if (!fit) return 'n/a';
+        if (typeof fit.pValue === 'number') {
+            return (fit.pass ? 'Yes' : 'No') + ' (p' + (fit.pValue < 0.001 ? '<0.001' : '=' + fit.pValue.toFixed(3)) + ')';
+        }
+        return (fit.pass ? 'Yes' : 'No') + ' (A\u00b2=' + fit.A2.toFixed(2) + (fit.pass ? ' \u2264 ' : ' > ') + fit.critical + ')';
+    }
+
+    return {
+        summary: summary,
+        ucl95: ucl95,
+        shapiroWilk: shapiroWilk,
+        fitGamma: fitGamma,
+        goodnessOfFit: goodnessOfFit,
+        backgroundLimits: backgroundLimits,
+        backgroundBases: BACKGROUND_BASES,
+        toleranceFactor: toleranceFactor,
+        describeFit: describeFit,
+        tQuantile: tQuantile,
+        chiSquareQuantile: chiSquareQuantile,
+        normalCdf: normalCdf,
+        normalQuantile: normalQuantile,
+        seededRandom: seededRandom,
+        methodLabels: METHOD_LABELS,
+        bootstrapSamples: BOOTSTRAP_SAMPLES
+    };
+})();
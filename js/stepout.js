@@ -0,0 +1,398 @@
+/**
+ * SBMM Planning Tool - Lateral Delineation & Step-out Proposals
+ *
+ * Checks every detected exceedance of the upper level of the active
+ * screening set (ROD by default) for the color-by analyte for a sample at
+ * or below that level within the search radius in each of N compass
+ * sectors (4: N E S W, or 8), centered on the compass directions. Points
+ * come from DataModule.getPoints with the selected depth horizon, so
+ * non-detects follow the substitution rule and rejected results are
+ * skipped. An exceedance with any sector lacking such a sample is laterally
+ * unbounded; a sector with a planned point in range is shown as planned
+ * instead of open.
+ *
+ * A step-out is proposed at the offset distance along the center of each
+ * open sector, with a generated note; proposals closer than MERGE_FT to an
+ * earlier one are dropped. The proposals are previewed on the map and only
+ * the ones the user keeps are added as `stepout` points via
+ * PlanningModule.addPoint.
+ */
+var StepOutModule = (function() {
+    'use strict';
+
+    var conv = AppConfig.coordConversion;
+
+    var SECTOR_NAMES = {
+        4: ['N', 'E', 'S', 'W'],
+        8: ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW']
+    };
+    var COINCIDENT_FT = 1;          // Samples this close are the same location
+    var MERGE_FT = 15;              // Drop proposals this close to an earlier one
+    var RING_RADIUS = 13;
+
+    var settings = null;            // Copy of AppConfig.stepOutDefaults
+    var result = null;              // { analyte, thresh, horizon, checked, flagged, proposals }
+    var errorText = null;
+    var messageText = null;
+    var previewLayer = null;
+    var panelEl = null;
+
+    // ===== INITIALIZATION =====
+
+    function init() {
+        settings = {};
+        Object.keys(AppConfig.stepOutDefaults).forEach(function(k) {
+            settings[k] = AppConfig.stepOutDefaults[k];
+        });
+    }
+
+    // ===== GEOMETRY =====
+
+    /**
+     * Point at a distance along the center of a sector.
+     */
+    function offsetPoint(origin, sector, n, distFt) {
+        var bearing = sector * 2 * Math.PI / n;
+        var m = distFt * conv.feetToMeters;
+        return {
+            lat: origin.lat + m * Math.cos(bearing) / conv.metersPerDegLat,
+            lon: origin.lon + m * Math.sin(bearing) / conv.metersPerDegLon
+        };
+    }
+
+    function distanceFt(a, b) {
+        var d = GridComputeModule.feetFrom(a, b.lat, b.lon);
+        return Math.sqrt(d.x * d.x + d.y * d.y);
+    }
+
+    // ===== ANALYSIS =====
+
+    /**
+     * Check every exceedance of the color-by analyte and propose step-outs.
+     * @returns {Object} { analyte, thresh, horizon, checked, flagged: [{ point,
+     *     sectors: ['bounded' | 'planned' | 'open'] }], proposals: [{ lat, lon,
+     *     sector, source, note, selected }] }, or { error }
+     */
+    function analyze() {
+        var analyte = AppState.currentAnalyte;
+        var thresh = AppConfig.getThreshold(analyte);
+        if (!thresh) return { error: analyte + ' has no level in the active screening set' };
+
+        var n = settings.sectors;
+        var names = SECTOR_NAMES[n];
+        var horizon = DataModule.getHorizon();
+        var points = DataModule.getPoints(analyte, { horizon: AppState.depthHorizon });
+        var below = SpatialIndexModule.create(points.filter(function(p) { return p.value <= thresh.high; }));
+        var planned = SpatialIndexModule.create(AppState.plannedPoints);
+        var exceedances = points.filter(function(p) { return p.detected && p.value > thresh.high; });
+        var radiusM = settings.searchRadiusFt * conv.feetToMeters;
+
+        function mark(sectors, index, p, status) {
+            index.within(p.lat, p.lon, radiusM).forEach(function(hit) {
+                var d = GridComputeModule.feetFrom(p, hit.item.lat, hit.item.lon);
+                if (Math.sqrt(d.x * d.x + d.y * d.y) < COINCIDENT_FT) return;
+                var s = GridComputeModule.sectorOf(d.y, d.x, n);
+                if (sectors[s] === 'open' || (status === 'bounded' && sectors[s] === 'planned')) sectors[s] = status;
+            });
+        }
+
+        var flagged = [];
+        var proposals = [];
+        exceedances.forEach(function(p) {
+            var sectors = names.map(function() { return 'open'; });
+            mark(sectors, below, p, 'bounded');
+            mark(sectors, planned, p, 'planned');
+            if (sectors.every(function(s) { return s === 'bounded'; })) return;
+            flagged.push({ point: p, sectors: sectors });
+
+            sectors.forEach(function(status, s) {
+                if (status !== 'open') return;
+                var loc = offsetPoint(p, s, n, settings.offsetFt);
+                var dup = proposals.some(function(q) { return distanceFt(q, loc) < MERGE_FT; });
+                if (dup) return;
+                proposals.push({
+                    lat: loc.lat,
+                    lon: loc.lon,
+                    sector: names[s],
+                    source: p,
+                    note: 'Step-out ' + settings.offsetFt + ' ft ' + names[s] + ' of ' + p.id + ' (' + thresh.abbrev + ' ' + Utils.formatVal(p.value) + ')',
+                    selected: true
+                });
+            });
+        });
+
+        return {
+            analyte: analyte,
+            thresh: thresh,
+            horizon: horizon,
+            checked: exceedances.length,
+            flagged: flagged,
+            proposals: proposals
+        };
+    }
+
+    // ===== MAP PREVIEW =====
+
+    function removePreview() {
+        if (previewLayer) {
+            AppState.map.removeLayer(previewLayer);
+            previewLayer = null;
+        }
+    }
+
+    /**
+     * Ring each unbounded exceedance and show the proposals, linked to their
+     * exceedance; deselected proposals are drawn faded.
+     */
+    function drawPreview() {
+        removePreview();
+        if (!result) return;
+        var color = AppConfig.pointTypes.stepout.color;
+        previewLayer = L.layerGroup();
+        result.flagged.forEach(function(f) {
+            previewLayer.addLayer(L.circleMarker([f.point.lat, f.point.lon], {
+                radius: RING_RADIUS, color: color, weight: 2.5, dashArray: '4 3', fill: false,
+                interactive: false, className: 'stepout-ring'
+            }));
+        });
+        result.proposals.forEach(function(q) {
+            var opacity = q.selected ? 0.9 : 0.35;
+            previewLayer.addLayer(L.polyline([[q.source.lat, q.source.lon], [q.lat, q.lon]], {
+                color: color, weight: 1.5, opacity: opacity, dashArray: '2 4', interactive: false
+            }));
+            previewLayer.addLayer(L.circleMarker([q.lat, q.lon], {
+                radius: 6, color: color, weight: 2, opacity: opacity, fillColor: color,
+                fillOpacity: q.selected ? 0.4 : 0.1, dashArray: '3 2', className: 'stepout-proposal'
+            }).bindTooltip(Utils.escapeHtml(q.note) + (q.selected ? '' : ' (not selected)'), { direction: 'top' }));
+        });
+        previewLayer.addTo(AppState.map);
+    }
+
+    // ===== PANEL =====
+
+    var SETTING_FIELDS = [
+        { key: 'searchRadiusFt', label: 'Search radius (ft)', min: 5 },
+        { key: 'offsetFt', label: 'Step-out offset (ft)', min: 5 }
+    ];
+
+    function open() {
+        render();
+    }
+
+    /**
+     * Close the panel and discard the proposals.
+     */
+    function close() {
+        result = null;
+        errorText = null;
+        messageText = null;
+        removePreview();
+        if (panelEl) panelEl.style.display = 'none';
+    }
+
+    /**
+     * Read the settings and check the exceedances.
+     */
+    function run() {
+        var errors = readInputs();
+        messageText = null;
+        if (errors.length > 0) {
+            errorText = errors.join('; ');
+            render();
+            return;
+        }
+        update();
+    }
+
+    function update() {
+        var r = analyze();
+        if (r.error) {
+            result = null;
+            errorText = r.error;
+        } else {
+            result = r;
+            errorText = null;
+        }
+        drawPreview();
+        render();
+    }
+
+    /**
+     * Re-check after a data, threshold, screening-set, horizon or color-by
+     * change. Does nothing until the check has been run.
+     */
+    function refresh() {
+        if (result) update();
+    }
+
+    /**
+     * Keep or drop a proposal.
+     * @param {number} index
+     * @param {boolean} selected
+     */
+    function select(index, selected) {
+        if (!result || !result.proposals[index]) return;
+        result.proposals[index].selected = selected;
+        drawPreview();
+        render();
+    }
+
+    /**
+     * Select or deselect every proposal.
+     */
+    function selectAll(selected) {
+        if (!result) return;
+        result.proposals.forEach(function(q) { q.selected = selected; });
+        drawPreview();
+        render();
+    }
+
+    /**
+     * Add the selected proposals as step-out points, then re-check so the
+     * sectors they cover show as planned.
+     */
+    function addSelected() {
+        if (!result) return;
+        var chosen = result.proposals.filter(function(q) { return q.selected; });
+        if (chosen.length === 0) return;
+        var ids = chosen.map(function(q) {
+            return PlanningModule.addPoint({
+                type: 'stepout',
+                lat: q.lat,
+                lon: q.lon,
+                depth: settings.depth,
+                note: q.note
+            }).id;
+        });
+        update();
+        messageText = 'Added ' + ids.length + ' step-out point' + (ids.length === 1 ? '' : 's') + ': ' + ids.join(', ');
+        render();
+    }
+
+    function zoomTo(index) {
+        var q = result && result.proposals[index];
+        if (q) AppState.map.setView([q.lat, q.lon], 19);
+    }
+
+    /**
+     * Validate the panel inputs and copy them into settings; nothing is
+     * changed unless every field is valid. The offset may not exceed the
+     * search radius, or added step-outs would not count for their sector
+     * and every re-check would propose them again.
+     * @returns {string[]} Errors
+     */
+    function readInputs() {
+        var errors = [];
+        if (!panelEl) return errors;
+        var values = {};
+        var sectors = panelEl.querySelector('#stepout-sectors');
+        if (sectors) values.sectors = Number(sectors.value);
+        var depth = panelEl.querySelector('#stepout-depth');
+        if (depth) values.depth = depth.value;
+        SETTING_FIELDS.forEach(function(f) {
+            var el = panelEl.querySelector('#stepout-' + f.key);
+            if (!el) return;
+            var v = Number(el.value);
+            if (el.value.trim() === '' || isNaN(v) || v < f.min) {
+                errors.push(f.label + ' must be at least ' + f.min);
+                return;
+            }
+            values[f.key] = v;
+        });
+        if (errors.length > 0) return errors;
+
+        var radius = 'searchRadiusFt' in values ? values.searchRadiusFt : settings.searchRadiusFt;
+        var offset = 'offsetFt' in values ? values.offsetFt : settings.offsetFt;
+        if (offset > radius) {
+            errors.push('Step-out offset must not exceed the search radius (' + radius + ' ft)');
+            return errors;
+        }
+        Object.keys(values).forEach(function(k) { settings[k] = values[k]; });
+        return errors;
+    }
+
+    function render() {
+        var html = '<div class="edd-header"><h4>Lateral Delineation</h4>' +
+            '<button class="edd-close" onclick="StepOutModule.close()">\u00d7</button></div>' +
+            '<div class="edd-file">Each exceedance of the upper level needs a sample at or below it within the search radius in every compass sector.</div>';
+
+        html += '<div class="blockmodel-settings stepout-settings">' +
+            '<label>Sectors <select id="stepout-sectors">' +
+            [4, 8].map(function(n) {
+                return '<option value="' + n + '"' + (settings.sectors === n ? ' selected' : '') + '>' + n + ' (' + SECTOR_NAMES[n].join(' ') + ')</option>';
+            }).join('') + '</select></label>' +
+            '<label>Depth <select id="stepout-depth">' +
+            AppConfig.depthOptions.map(function(d) {
+                return '<option value="' + d + '"' + (settings.depth === d ? ' selected' : '') + '>' + d + '</option>';
+            }).join('') + '</select></label>';
+        SETTING_FIELDS.forEach(function(f) {
+            html += '<label>' + f.label + ' <input type="number" step="any" min="' + f.min + '" id="stepout-' + f.key +
+                '" value="' + settings[f.key] + '"></label>';
+        });
+        html += '</div>';
+
+        var selected = result ? result.proposals.filter(function(q) { return q.selected; }).length : 0;
+        html += '<div class="edd-actions">' +
+            '<button class="edd-apply" onclick="StepOutModule.run()">Check</button>' +
+            '<button onclick="StepOutModule.addSelected()"' + (selected ? '' : ' disabled') + '>Add selected (' + selected + ')</button>' +
+            '</div>';
+
+        if (errorText) {
+            html += '<div class="edd-error-list"><ul><li>' + Utils.escapeHtml(errorText) + '</li></ul></div>';
+        }
+        if (messageText) html += '<div class="edd-file stepout-message">' + Utils.escapeHtml(messageText) + '</div>';
+        if (result) html += renderResults();
+        panelEl = Utils.showPanel(panelEl, 'stepOutPanel', 'edd-panel stepout-panel', html);
+    }
+
+    function renderResults() {
+        var t = result.thresh;
+        var html = '<div class="edd-file">' + Utils.escapeHtml(result.analyte) + ' ' + Utils.escapeHtml(result.horizon.results) + ': ' +
+            result.checked + ' exceedance' + (result.checked === 1 ? '' : 's') + ' of the ' + Utils.escapeHtml(t.highLabel) + ' (' + t.high + ' ' +
+            Utils.escapeHtml(t.unit) + '), <b>' + result.flagged.length + ' laterally unbounded</b> within ' + settings.searchRadiusFt + ' ft.</div>';
+        if (result.flagged.length === 0) return html;
+
+        html += '<div class="edd-table-wrap"><table class="edd-table stepout-table"><thead><tr>' +
+            '<th>Exceedance</th><th>' + Utils.escapeHtml(t.abbrev) +
+            '</th><th>Open</th><th>Planned</th></tr></thead><tbody>';
+        result.flagged.forEach(function(f) {
+            var names = SECTOR_NAMES[f.sectors.length];
+            function list(status) {
+                var s = names.filter(function(name, i) { return f.sectors[i] === status; });
+                return s.length ? s.join(' ') : '\u2013';
+            }
+            html += '<tr><td>' + Utils.escapeHtml(f.point.id) + '</td><td>' + Utils.formatVal(f.point.value) + '</td>' +
+                '<td class="stepout-open">' + list('open') + '</td><td>' + list('planned') + '</td></tr>';
+        });
+        html += '</tbody></table></div>';
+
+        if (result.proposals.length === 0) {
+            html += '<div class="edd-file">Every open sector already has a planned point.</div>';
+            return html;
+        }
+        html += '<div class="edd-file">Proposed step-outs (' + settings.offsetFt + ' ft out; review before adding) ' +
+            '<a href="#" onclick="StepOutModule.selectAll(true); return false;">all</a> / ' +
+            '<a href="#" onclick="StepOutModule.selectAll(false); return false;">none</a></div>';
+        html += '<div class="stepout-proposals">';
+        result.proposals.forEach(function(q, i) {
+            html += '<label><input type="checkbox"' + (q.selected ? ' checked' : '') +
+                ' onchange="StepOutModule.select(' + i + ', this.checked)"> ' + Utils.escapeHtml(q.note) +
+                ' <a href="#" onclick="StepOutModule.zoomTo(' + i + '); return false;" title="Zoom to this point">zoom</a></label>';
+        });
+        html += '</div>';
+        return html;
+    }
+
+    return {
+        init: init,
+        open: open,
+        close: close,
+        run: run,
+        refresh: refresh,
+        select: select,
+        selectAll: selectAll,
+        addSelected: addSelected,
+        zoomTo: zoomTo,
+        getResult: function() { return result; }
+    };
+})();
@@ -1,7 +1,9 @@
 /**
  * SBMM Planning Tool - Storage Module
  *
- * Persists planned points and app preferences to LocalStorage.
+ * Persists planned points, drawn polygons, app preferences, user-edited
+ * thresholds (with their change log) and saved background screening sets to
+ * LocalStorage.
  * Auto-saves on every change, auto-restores on page load.
  */
 var StorageModule = (function() {
@@ -9,7 +11,11 @@ var StorageModule = (function() {
 
     var STORAGE_KEYS = {
         plannedPoints: 'sbmm_planned_points',
+        polygons: 'sbmm_polygons',
         preferences: 'sbmm_preferences',
+        thresholds: 'sbmm_thresholds',
+        thresholdLog: 'sbmm_threshold_log',
+        screeningSets: 'sbmm_user_screening_sets',
         version: 'sbmm_storage_version'
     };
 
@@ -76,7 +82,65 @@ var StorageModule = (function() {
     }
 
     /**
-     * Save user preferences (analyte, grid size, dark mode, etc.)
+     * Save the drawn polygons (AppState.polygons) to LocalStorage.
+     */
+    function savePolygons() {
+        if (!isAvailable()) return;
+        try {
+            var data = AppState.polygons.map(function(p) {
+                return {
+                    id: p.id,
+                    name: p.name,
+                    category: p.category,
+                    color: p.color,
+                    vertices: p.vertices.map(function(v) { return [v.lat, v.lng]; }),
+                    attributes: p.attributes || undefined
+                };
+            });
+            if (data.length > 0) {
+                localStorage.setItem(STORAGE_KEYS.polygons, JSON.stringify(data));
+            } else {
+                localStorage.removeItem(STORAGE_KEYS.polygons);
+            }
+        } catch (e) {
+            console.warn('Failed to save polygons:', e);
+        }
+    }
+
+    /**
+     * Restore the drawn polygons. Entries with a repeated id are skipped and
+     * a color that is not #rrggbb is dropped (the category color applies).
+     * @returns {Array} { id, name, category, color?, vertices: [[lat, lng]], attributes? } or empty array
+     */
+    function restorePolygons() {
+        if (!isAvailable()) return [];
+        try {
+            var raw = localStorage.getItem(STORAGE_KEYS.polygons);
+            if (!raw) return [];
+            var polygons = JSON.parse(raw);
+            if (!Array.isArray(polygons)) return [];
+            // Validate each polygon
+            var seen = {};
+            return polygons.filter(function(p) {
+                if (!p || typeof p.id !== 'number' || seen[p.id]) return false;
+                var valid = typeof p.name === 'string' && Array.isArray(p.vertices) &&
+                    p.vertices.length >= 3 && p.vertices.every(function(v) {
+                        return Array.isArray(v) && typeof v[0] === 'number' && typeof v[1] === 'number';
+                    });
+                if (valid) seen[p.id] = true;
+                return valid;
+            }).map(function(p) {
+                if (p.color !== undefined && !Utils.isHexColor(p.color)) delete p.color;
+                return p;
+            });
+        } catch (e) {
+            console.warn('Failed to restore polygons:', e);
+            return [];
+        }
+    }
+
+    /**
+     * Save user preferences (analyte, grid size, dark mode, contour settings, etc.)
      */
     function savePreferences() {
         if (!isAvailable()) return;
@@ -85,7 +149,12 @@ var StorageModule = (function() {
                 currentAnalyte: AppState.currentAnalyte,
                 gridSizeFt: AppState.gridSizeFt,
                 darkMode: AppState.darkMode || false,
-                includePlannedInGaps: AppState.includePlannedInGaps
+                includePlannedInGaps: AppState.includePlannedInGaps,
+                nonDetectRule: AppState.nonDetectRule,
+                depthHorizon: AppState.depthHorizon,
+                depthRange: AppState.depthRange,
+                screeningSet: AppState.screeningSet,
+                contourSettings: AppState.contourSettings
             };
             localStorage.setItem(STORAGE_KEYS.preferences, JSON.stringify(prefs));
         } catch (e) {
@@ -108,6 +177,79 @@ var StorageModule = (function() {
         }
     }
 
+    /**
+     * Save the edited thresholds table and its change log.
+     * Pass null for the table to drop saved edits (back to config defaults).
+     * @param {Object|null} thresholds - Map of analyte -> { low, high, unit, abbrev }
+     * @param {Array} log - Change log entries (see ThresholdModule)
+     */
+    function saveThresholds(thresholds, log) {
+        if (!isAvailable()) return;
+        try {
+            if (thresholds) {
+                localStorage.setItem(STORAGE_KEYS.thresholds, JSON.stringify(thresholds));
+            } else {
+                localStorage.removeItem(STORAGE_KEYS.thresholds);
+            }
+            localStorage.setItem(STORAGE_KEYS.thresholdLog, JSON.stringify(log || []));
+        } catch (e) {
+            console.warn('Failed to save thresholds:', e);
+        }
+    }
+
+    /**
+     * Restore the edited thresholds table and change log.
+     * @returns {Object} { thresholds: Object|null, log: Array }
+     */
+    function restoreThresholds() {
+        var restored = { thresholds: null, log: [] };
+        if (!isAvailable()) return restored;
+        try {
+            var raw = localStorage.getItem(STORAGE_KEYS.thresholds);
+            var parsed = raw ? JSON.parse(raw) : null;
+            if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) restored.thresholds = parsed;
+            var rawLog = localStorage.getItem(STORAGE_KEYS.thresholdLog);
+            var log = rawLog ? JSON.parse(rawLog) : [];
+            if (Array.isArray(log)) restored.log = log;
+        } catch (e) {
+            console.warn('Failed to restore thresholds:', e);
+        }
+        return restored;
+    }
+
+    /**
+     * Save user-created screening-level sets (e.g. from the background calculator).
+     * @param {Object} sets - Map of key -> { label, lowLabel, highLabel, source, levels }
+     */
+    function saveScreeningSets(sets) {
+        if (!isAvailable()) return;
+        try {
+            if (sets && Object.keys(sets).length > 0) {
+                localStorage.setItem(STORAGE_KEYS.screeningSets, JSON.stringify(sets));
+            } else {
+                localStorage.removeItem(STORAGE_KEYS.screeningSets);
+            }
+        } catch (e) {
+            console.warn('Failed to save screening sets:', e);
+        }
+    }
+
+    /**
+     * Restore user-created screening-level sets.
+     * @returns {Object} Map of key -> set (empty if none saved)
+     */
+    function restoreScreeningSets() {
+        if (!isAvailable()) return {};
+        try {
+            var raw = localStorage.getItem(STORAGE_KEYS.screeningSets);
+            var parsed = raw ? JSON.parse(raw) : null;
+            if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
+        } catch (e) {
+            console.warn('Failed to restore screening sets:', e);
+        }
+        return {};
+    }
+
     /**
      * Clear all stored data.
      */
@@ -152,8 +294,14 @@ var StorageModule = (function() {
         isAvailable: isAvailable,
         savePlannedPoints: savePlannedPoints,
         restorePlannedPoints: restorePlannedPoints,
+        savePolygons: savePolygons,
+        restorePolygons: restorePolygons,
         savePreferences: savePreferences,
         restorePreferences: restorePreferences,
+        saveThresholds: saveThresholds,
+        restoreThresholds: restoreThresholds,
+        saveScreeningSets: saveScreeningSets,
+        restoreScreeningSets: restoreScreeningSets,
         clearAll: clearAll,
         getStorageInfo: getStorageInfo,
         updateStorageIndicator: updateStorageIndicator
@@ -0,0 +1,395 @@
+/**
+ * SBMM Planning Tool - Thiessen Polygons & Declustered Statistics
+ *
+ * Sampling is clustered around the ABWP areas and hot spots, so a plain
+ * mean of the results over-weights them. Each result is given the area of
+ * its Thiessen (Voronoi) cell - the part of the site closer to it than to
+ * any other sample - and the area-weighted (declustered) mean and the
+ * percentage of the area whose controlling sample exceeds the upper level
+ * (ROD by default) are reported next to the plain statistics.
+ *
+ * The site extent is the convex hull of the samples expanded by a buffer;
+ * cells are built in local feet by clipping it with the perpendicular
+ * bisector to every other sample, so they stay convex. Samples at the same
+ * spot share one cell. decluster() is used by the layer, the polygon panel
+ * (cells clipped to the drawn polygon) and the printed report.
+ */
+var ThiessenModule = (function() {
+    'use strict';
+
+    var conv = AppConfig.coordConversion;
+
+    var MERGE_DISTANCE = 0.5;       // Samples closer than this (ft) share a cell
+    var FILL_OPACITY = 0.45;
+
+    var settings = null;            // Copy of AppConfig.thiessenDefaults
+    var active = false;
+    var result = null;              // decluster() of the current analyte, plus analyte and thresh
+    var cellLayer = null;
+    var panelEl = null;
+
+    // ===== INITIALIZATION =====
+
+    function init() {
+        settings = {};
+        Object.keys(AppConfig.thiessenDefaults).forEach(function(k) {
+            settings[k] = AppConfig.thiessenDefaults[k];
+        });
+    }
+
+    // ===== GEOMETRY =====
+
+    /**
+     * Keep the part of a polygon where (p - origin) . normal <= 0
+     * (Sutherland-Hodgman against one half-plane).
+     * @param {Array} poly - [{ x, y }]
+     * @returns {Array} Clipped polygon (may be empty)
+     */
+    function clipHalfPlane(poly, ox, oy, nx, ny) {
+        var out = [];
+        for (var i = 0; i < poly.length; i++) {
+            var a = poly[i];
+            var b = poly[(i + 1) % poly.length];
+            var da = (a.x - ox) * nx + (a.y - oy) * ny;
+            var db = (b.x - ox) * nx + (b.y - oy) * ny;
+            if (da <= 0) out.push(a);
+            if ((da < 0 && db > 0) || (da > 0 && db < 0)) {
+                var t = da / (da - db);
+                out.push({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Clip a polygon (any shape) to a convex counter-clockwise polygon.
+     */
+    function clipToConvex(poly, convex) {
+        for (var i = 0; i < convex.length && poly.length > 0; i++) {
+            var a = convex[i];
+            var b = convex[(i + 1) % convex.length];
+            poly = clipHalfPlane(poly, a.x, a.y, b.y - a.y, -(b.x - a.x));
+        }
+        return poly;
+    }
+
+    function areaOf(poly) {
+        var area = 0;
+        for (var i = 0; i < poly.length; i++) {
+            var j = (i + 1) % poly.length;
+            area += poly[i].x * poly[j].y - poly[j].x * poly[i].y;
+        }
+        return Math.abs(area / 2);
+    }
+
+    /**
+     * Site extent: the convex hull of the samples, expanded by the buffer
+     * and made convex again.
+     * @returns {Array} Counter-clockwise [{ lat, lon }]
+     */
+    function siteExtent(points, bufferFt) {
+        var hull = GridComputeModule.computeConvexHull(points);
+        return GridComputeModule.computeConvexHull(
+            GridComputeModule.bufferConvexHull(hull, bufferFt * conv.feetToMeters));
+    }
+
+    /**
+     * Thiessen cells of a set of points, clipped to the site extent.
+     * @param {Array} points - { lat, lon, ... } (at least 3 at distinct spots)
+     * @param {Object} [opts]
+     * @param {number} [opts.hullBufferFt] - Defaults to the module setting
+     * @returns {Object|null} { origin, extent (feet), extentAreaSqFt, cells:
+     *     [{ points (sharing the cell), poly (feet), ring ([lat, lon]), areaSqFt }] },
+     *     or null when the points do not span an area
+     */
+    function tessellate(points, opts) {
+        var bufferFt = opts && opts.hullBufferFt !== undefined ? opts.hullBufferFt : settings.hullBufferFt;
+        if (points.length < 3) return null;
+        var origin = points[0];
+
+        // --- Sites: points at the same spot share one ---
+        var sites = [];
+        points.forEach(function(p) {
+            var xy = GridComputeModule.feetFrom(origin, p.lat, p.lon);
+            for (var i = 0; i < sites.length; i++) {
+                var dx = sites[i].x - xy.x;
+                var dy = sites[i].y - xy.y;
+                if (dx * dx + dy * dy < MERGE_DISTANCE * MERGE_DISTANCE) {
+                    sites[i].points.push(p);
+                    return;
+                }
+            }
+            sites.push({ x: xy.x, y: xy.y, points: [p] });
+        });
+        if (sites.length < 3) return null;
+
+        var extent = siteExtent(points, bufferFt).map(function(v) {
+            return GridComputeModule.feetFrom(origin, v.lat, v.lon);
+        });
+        var extentArea = areaOf(extent);
+        if (extentArea <= 0) return null;
+
+        // --- Clip the extent by the bisector to every other site, nearest first ---
+        var cells = sites.map(function(site) {
+            var others = sites.filter(function(s) { return s !== site; }).map(function(s) {
+                var dx = s.x - site.x;
+                var dy = s.y - site.y;
+                return { site: s, distSq: dx * dx + dy * dy };
+            }).sort(function(a, b) { return a.distSq - b.distSq; });
+
+            var poly = extent.slice();
+            for (var i = 0; i < others.length && poly.length > 0; i++) {
+                // A site more than twice the farthest vertex away cannot cut the cell
+                var reachSq = 0;
+                poly.forEach(function(v) {
+                    var vx = v.x - site.x;
+                    var vy = v.y - site.y;
+                    reachSq = Math.max(reachSq, vx * vx + vy * vy);
+                });
+                if (others[i].distSq > 4 * reachSq) break;
+                var o = others[i].site;
+                poly = clipHalfPlane(poly, (site.x + o.x) / 2, (site.y + o.y) / 2, o.x - site.x, o.y - site.y);
+            }
+            return {
+                points: site.points,
+                poly: poly,
+                ring: poly.map(function(v) { return toLatLng(origin, v); }),
+                areaSqFt: areaOf(poly)
+            };
+        });
+
+        return { origin: origin, extent: extent, extentAreaSqFt: extentArea, cells: cells };
+    }
+
+    function toLatLng(origin, v) {
+        return [
+            origin.lat + v.y * conv.feetToMeters / conv.metersPerDegLat,
+            origin.lon + v.x * conv.feetToMeters / conv.metersPerDegLon
+        ];
+    }
+
+    // ===== DECLUSTERED STATISTICS =====
+
+    /**
+     * Plain and area-weighted (declustered) statistics of an analyte.
+     * Each point takes the area of its cell (split evenly among points at the
+     * same spot); exceedances count detected results above the upper level.
+     * @param {Array} points - DataModule.getPoints output
+     * @param {string} analyte
+     * @param {Object} [opts]
+     * @param {Array} [opts.within] - Polygon (L.LatLng vertices); cells are
+     *     clipped to it, so the statistics describe the polygon area
+     * @param {number} [opts.hullBufferFt]
+     * @returns {Object|null} { n, mean (plain), declusteredMean, areaSqFt,
+     *     areaAboveSqFt, pctAreaAbove, samplesAbove, pctSamplesAbove,
+     *     weights: [{ point, areaSqFt, weight }], tessellation }, or null
+     *     with fewer than 3 distinct sample spots
+     */
+    function decluster(points, analyte, opts) {
+        opts = opts || {};
+        var t = tessellate(points, opts);
+        if (!t) return null;
+
+        var within = null;
+        if (opts.within) {
+            within = opts.within.map(function(v) { return GridComputeModule.feetFrom(t.origin, v.lat, v.lng); });
+        }
+
+        var weights = [];
+        var total = 0;
+        var above = 0;
+        t.cells.forEach(function(cell) {
+            var area = within ? areaOf(clipToConvex(within, cell.poly)) : cell.areaSqFt;
+            var share = area / cell.points.length;
+            cell.points.forEach(function(p) {
+                weights.push({ point: p, areaSqFt: share, weight: 0 });
+                total += share;
+                if (p.detected && AppConfig.exceedsROD(p.value, analyte)) above += share;
+            });
+        });
+
+        var weighted = 0;
+        weights.forEach(function(w) {
+            w.weight = total > 0 ? w.areaSqFt / total : 0;
+            weighted += w.weight * w.point.value;
+        });
+        var samplesAbove = points.filter(function(p) { return p.detected && AppConfig.exceedsROD(p.value, analyte); }).length;
+
+        return {
+            n: points.length,
+            mean: points.reduce(function(s, p) { return s + p.value; }, 0) / points.length,
+            declusteredMean: total > 0 ? weighted : null,
+            areaSqFt: total,
+            areaAboveSqFt: above,
+            pctAreaAbove: total > 0 ? above / total * 100 : null,
+            samplesAbove: samplesAbove,
+            pctSamplesAbove: samplesAbove / points.length * 100,
+            weights: weights,
+            tessellation: t
+        };
+    }
+
+    // ===== MAP LAYER =====
+
+    function removeLayer() {
+        if (cellLayer) {
+            AppState.map.removeLayer(cellLayer);
+            cellLayer = null;
+        }
+    }
+
+    /**
+     * Draw the cells colored by the controlling result (the highest where
+     * samples share a cell); clicking one shows its sample and area.
+     */
+    function drawCells() {
+        removeLayer();
+        if (!result) return;
+        cellLayer = L.layerGroup();
+        var total = result.tessellation.extentAreaSqFt;
+        result.tessellation.cells.forEach(function(cell) {
+            if (cell.ring.length < 3) return;
+            var top = cell.points.reduce(function(m, p) { return p.value > m.value ? p : m; }, cell.points[0]);
+            var poly = L.polygon(cell.ring, {
+                color: '#444',
+                weight: 1,
+                fillColor: AppConfig.getColorForValue(top.value, result.analyte),
+                fillOpacity: FILL_OPACITY,
+                className: 'thiessen-cell'
+            });
+            poly.bindPopup(cellPopup(cell, total));
+            cellLayer.addLayer(poly);
+        });
+        cellLayer.addTo(AppState.map);
+    }
+
+    function cellPopup(cell, total) {
+        var t = result.thresh;
+        var lines = ['<b>Thiessen cell</b>'];
+        cell.points.forEach(function(p) {
+            lines.push('Controlling sample: <b>' + Utils.escapeHtml(p.id) + '</b> ' + Utils.escapeHtml(t.abbrev) + ' ' +
+                (p.detected ? '' : '&lt; ') + Utils.formatVal(p.value) + ' ' + Utils.escapeHtml(t.unit) +
+                (p.interval ? ' (' + Utils.escapeHtml(p.interval.label) + ')' : ''));
+        });
+        lines.push('Cell area: ' + Math.round(cell.areaSqFt).toLocaleString() + ' ft\u00b2 (' +
+            (cell.areaSqFt / total * 100).toFixed(1) + '% of the site extent)');
+        return lines.join('<br>');
+    }
+
+    // ===== PANEL =====
+
+    /**
+     * Show the cells of the color-by analyte and open the panel.
+     */
+    function open() {
+        active = true;
+        update();
+    }
+
+    /**
+     * Close the panel and remove the cells.
+     */
+    function close() {
+        active = false;
+        result = null;
+        removeLayer();
+        if (panelEl) panelEl.style.display = 'none';
+    }
+
+    /**
+     * Rebuild after a data, threshold, screening-set, horizon or color-by
+     * change. Does nothing while closed.
+     */
+    function refresh() {
+        if (active) update();
+    }
+
+    /**
+     * Apply the hull buffer from the panel.
+     */
+    function apply() {
+        var input = panelEl ? panelEl.querySelector('#thiessenBuffer') : null;
+        var v = input ? Number(input.value) : settings.hullBufferFt;
+        if (input && (input.value.trim() === '' || isNaN(v) || v < 0)) {
+            render('Hull buffer must be at least 0 ft');
+            return;
+        }
+        settings.hullBufferFt = v;
+        update();
+    }
+
+    function update() {
+        var analyte = AppState.currentAnalyte;
+        var thresh = AppConfig.getThreshold(analyte);
+        var points = DataModule.getPoints(analyte, { horizon: AppState.depthHorizon });
+        result = thresh ? decluster(points, analyte) : null;
+        if (result) {
+            result.analyte = analyte;
+            result.thresh = thresh;
+        }
+        drawCells();
+        render(thresh ? (result ? null : 'At least 3 ' + DataModule.getHorizon().results + ' at different spots are needed')
+            : analyte + ' has no level in the active screening set');
+    }
+
+    function render(error) {
+        var html = '<div class="edd-header"><h4>Thiessen Polygons</h4>' +
+            '<button class="edd-close" onclick="ThiessenModule.close()">\u00d7</button></div>' +
+            '<div class="edd-file">Each result weighted by the area of its cell (the part of the site closest to it), ' +
+            'to correct the statistics for clustered sampling. Click a cell for its sample and area.</div>' +
+            '<div class="blockmodel-settings"><label>Hull buffer (ft) <input type="number" step="any" min="0" id="thiessenBuffer" value="' +
+            settings.hullBufferFt + '"></label></div>' +
+            '<div class="edd-actions"><button class="edd-apply" onclick="ThiessenModule.apply()">Apply</button>' +
+            '<button onclick="ThiessenModule.exportCSV()"' + (result ? '' : ' disabled') + '>Export CSV</button></div>';
+
+        if (error) html += '<div class="edd-error-list"><ul><li>' + Utils.escapeHtml(error) + '</li></ul></div>';
+        if (result) html += renderStats();
+        panelEl = Utils.showPanel(panelEl, 'thiessenPanel', 'edd-panel thiessen-panel', html);
+    }
+
+    function renderStats() {
+        var t = result.thresh;
+        var unit = Utils.escapeHtml(t.unit);
+        return '<div class="edd-file">' + Utils.escapeHtml(result.analyte) +
+            ' (' + Utils.escapeHtml(t.setLabel) + '), ' +
+            Utils.escapeHtml(DataModule.getHorizon().label) + ': ' + result.n + ' results over ' +
+            Utils.formatArea(result.areaSqFt) + '.</div>' +
+            '<div class="edd-table-wrap"><table class="edd-table thiessen-table"><thead><tr><th></th><th>Plain</th><th>Declustered</th></tr></thead><tbody>' +
+            '<tr><td>Mean (' + unit + ')</td><td>' + Utils.formatVal(result.mean) + '</td><td><b>' + Utils.formatVal(result.declusteredMean) + '</b></td></tr>' +
+            '<tr><td>Above ' + Utils.escapeHtml(t.highLabel) + '</td><td>' + result.pctSamplesAbove.toFixed(1) + '% of results (' + result.samplesAbove + ')</td>' +
+            '<td><b>' + result.pctAreaAbove.toFixed(1) + '% of area</b> (' + Math.round(result.areaAboveSqFt).toLocaleString() + ' ft\u00b2)</td></tr>' +
+            '</tbody></table></div>' +
+            '<div class="edd-file">Cells are clipped to the convex hull of the results plus ' + settings.hullBufferFt +
+            ' ft. Exceedances count detected results only.</div>';
+    }
+
+    /**
+     * Download each result with its cell area and declustering weight.
+     */
+    function exportCSV() {
+        if (!result) return;
+        var rows = [['Sample_ID', 'Latitude', 'Longitude', 'Analyte', 'Result', 'Detected', 'Cell_Area_ft2', 'Weight'].join(',')];
+        result.weights.forEach(function(w) {
+            var p = w.point;
+            rows.push([
+                '"' + p.id + '"', p.lat.toFixed(6), p.lon.toFixed(6), '"' + result.analyte + '"',
+                p.value, p.detected ? 'Y' : 'N', w.areaSqFt.toFixed(1), w.weight.toFixed(5)
+            ].join(','));
+        });
+        Utils.downloadFile(rows.join('\n') + '\n', 'text/csv',
+            'SBMM_Thiessen_' + new Date().toISOString().slice(0, 10) + '.csv');
+    }
+
+    return {
+        init: init,
+        open: open,
+        close: close,
+        refresh: refresh,
+        apply: apply,
+        exportCSV: exportCSV,
+        decluster: decluster,
+        tessellate: tessellate,
+        isActive: function() { return active; },
+        getResult: function() { return result; }
+    };
+})();
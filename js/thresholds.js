@@ -0,0 +1,403 @@
+/**
+ * SBMM Planning Tool - Threshold Editor
+ *
+ * Panel for editing the ROD threshold table without touching config.js:
+ * add an analyte (e.g. Lead, Chromium), change its low / high levels and
+ * unit, or remove it. Edits are saved through StorageModule and re-applied
+ * on startup. Every change is logged with a timestamp and the old and new
+ * values; "Reset to ROD" restores the AppConfig defaults.
+ *
+ * Saving rebuilds the data views through DataModule.notifyChanged, which
+ * also refreshes the color-by and filter selectors in app.js.
+ */
+var ThresholdModule = (function() {
+    'use strict';
+
+    var MAX_LOG_ROWS = 100;
+
+    var panelEl = null;
+    var draft = null;      // Working copy of the table while the panel is open
+    var errors = [];
+
+    // ===== INITIALIZATION =====
+
+    /**
+     * Apply saved threshold edits and restore the change log.
+     * Call once after data loads and before the UI is built.
+     */
+    function init() {
+        var saved = StorageModule.restoreThresholds();
+        AppState.thresholdLog = saved.log;
+        if (saved.thresholds) {
+            replaceTable(saved.thresholds);
+            console.log('Thresholds: restored ' + Object.keys(AppConfig.thresholds).length + ' saved analytes');
+        }
+    }
+
+    /**
+     * Replace the whole AppConfig thresholds table.
+     * Entries without a numeric high level are skipped.
+     * @param {Object} table - Map of analyte -> { low, high, unit, abbrev }
+     */
+    function replaceTable(table) {
+        Object.keys(AppConfig.thresholds).forEach(function(analyte) {
+            AppConfig.removeThreshold(analyte);
+        });
+        Object.keys(table).forEach(function(analyte) {
+            if (!AppConfig.setThreshold(analyte, table[analyte])) {
+                console.warn('Thresholds: skipping invalid entry "' + analyte + '"');
+            }
+        });
+    }
+
+    /**
+     * True if the current table differs from the ROD defaults.
+     * @returns {boolean}
+     */
+    function isModified() {
+        return diffTables(AppConfig.getDefaultThresholds(), AppConfig.thresholds).length > 0;
+    }
+
+    // ===== CHANGES =====
+
+    function sameLevel(a, b) {
+        return a.low === b.low && a.high === b.high && a.unit === b.unit && a.abbrev === b.abbrev;
+    }
+
+    function copyLevel(t) {
+        return t ? { low: t.low, high: t.high, unit: t.unit, abbrev: t.abbrev } : null;
+    }
+
+    /**
+     * List the differences between two threshold tables.
+     * @param {Object} from
+     * @param {Object} to
+     * @returns {Array<{action: string, analyte: string, oldValue: Object|null, newValue: Object|null}>}
+     */
+    function diffTables(from, to) {
+        var changes = [];
+        Object.keys(from).forEach(function(analyte) {
+            if (!to[analyte]) {
+                changes.push({ action: 'remove', analyte: analyte, oldValue: copyLevel(from[analyte]), newValue: null });
+            } else if (!sameLevel(from[analyte], to[analyte])) {
+                changes.push({ action: 'edit', analyte: analyte, oldValue: copyLevel(from[analyte]), newValue: copyLevel(to[analyte]) });
+            }
+        });
+        Object.keys(to).forEach(function(analyte) {
+            if (!from[analyte]) {
+                changes.push({ action: 'add', analyte: analyte, oldValue: null, newValue: copyLevel(to[analyte]) });
+            }
+        });
+        return changes;
+    }
+
+    /**
+     * Log changes, persist the table and refresh everything that uses thresholds.
+     * @param {Array} changes - From diffTables
+     * @param {boolean} isReset - True when restoring the ROD defaults
+     */
+    function commit(changes, isReset) {
+        var time = new Date().toISOString();
+        changes.forEach(function(c) {
+            AppState.thresholdLog.push({
+                time: time,
+                action: isReset ? 'reset' : c.action,
+                analyte: c.analyte,
+                oldValue: c.oldValue,
+                newValue: c.newValue
+            });
+        });
+        StorageModule.saveThresholds(isReset ? null : AppConfig.thresholds, AppState.thresholdLog);
+        DataModule.notifyChanged({ source: 'thresholds' });
+    }
+
+    /**
+     * Replace the thresholds table and log what changed.
+     * @param {Object} table - Map of analyte -> { low, high, unit, abbrev }
+     * @returns {number} Number of changes made
+     */
+    function save(table) {
+        var before = {};
+        replaceTableCopy(before, AppConfig.thresholds);
+        replaceTable(table);
+        var changes = diffTables(before, AppConfig.thresholds);
+        if (changes.length > 0) commit(changes, false);
+        return changes.length;
+    }
+
+    function replaceTableCopy(target, source) {
+        Object.keys(target).forEach(function(k) { delete target[k]; });
+        Object.keys(source).forEach(function(k) { target[k] = copyLevel(source[k]); });
+    }
+
+    /**
+     * Restore the 2023 ROD defaults and log each change as a reset.
+     * @returns {number} Number of analytes changed
+     */
+    function resetDefaults() {
+        var changes = diffTables(AppConfig.thresholds, AppConfig.getDefaultThresholds());
+        AppConfig.resetThresholds();
+        if (changes.length > 0) commit(changes, true);
+        return changes.length;
+    }
+
+    // ===== EDITOR PANEL =====
+
+    /**
+     * Open the editor with a working copy of the current table.
+     */
+    function open() {
+        draft = {};
+        replaceTableCopy(draft, AppConfig.thresholds);
+        errors = [];
+        render();
+    }
+
+    function close() {
+        draft = null;
+        errors = [];
+        if (panelEl) panelEl.style.display = 'none';
+    }
+
+    /**
+     * Analytes that can be added: loaded-data analytes and CAM metals
+     * not already in the draft table.
+     * @returns {string[]}
+     */
+    function candidateAnalytes() {
+        var list = DataModule.getAnalytes();
+        AppConfig.allMetals.forEach(function(m) {
+            if (list.indexOf(m) === -1) list.push(m);
+        });
+        return list.filter(function(a) { return !draft[a]; });
+    }
+
+    function levelText(t) {
+        if (!t) return '\u2014';
+        return (t.low === t.high ? t.high : t.low + ' / ' + t.high) + ' ' + t.unit;
+    }
+
+    function render() {
+        var html = '<div class="edd-header"><h4>Screening Thresholds (ROD set)</h4>' +
+            '<button class="edd-close" onclick="ThresholdModule.close()">\u00d7</button></div>' +
+            '<div class="edd-file">Low = PMB / lower level, High = cleanup level. Leave Low blank to use High.</div>';
+
+        if (errors.length > 0) {
+            html += '<div class="edd-error-list"><ul>';
+            errors.forEach(function(e) { html += '<li>' + Utils.escapeHtml(e) + '</li>'; });
+            html += '</ul></div>';
+        }
+
+        html += '<div class="edd-table-wrap"><table class="edd-table threshold-table"><thead><tr>' +
+            '<th>Analyte</th><th>Abbrev</th><th>Low</th><th>High</th><th>Unit</th><th></th>' +
+            '</tr></thead><tbody>';
+        Object.keys(draft).forEach(function(analyte) {
+            var t = draft[analyte];
+            var a = Utils.escapeHtml(analyte);
+            html += '<tr data-analyte="' + a + '">' +
+                '<td>' + a + '</td>' +
+                '<td><input type="text" data-field="abbrev" value="' + Utils.escapeHtml(t.abbrev) + '"></td>' +
+                '<td><input type="number" step="any" data-field="low" value="' + numText(t.low) + '"></td>' +
+                '<td><input type="number" step="any" data-field="high" value="' + numText(t.high) + '"></td>' +
+                '<td><input type="text" data-field="unit" value="' + Utils.escapeHtml(t.unit) + '"></td>' +
+                '<td><button class="threshold-remove" title="Remove ' + a + '" onclick="ThresholdModule.removeRow(this)">\u00d7</button></td>' +
+                '</tr>';
+        });
+        html += '</tbody></table></div>';
+
+        // Add row
+        html += '<div class="threshold-add">' +
+            '<input type="text" id="thresholdNewAnalyte" list="thresholdAnalyteList" placeholder="Analyte (e.g. Lead)">' +
+            '<datalist id="thresholdAnalyteList">';
+        candidateAnalytes().forEach(function(a) { html += '<option value="' + Utils.escapeHtml(a) + '">'; });
+        html += '</datalist>' +
+            '<input type="number" step="any" id="thresholdNewLow" placeholder="Low">' +
+            '<input type="number" step="any" id="thresholdNewHigh" placeholder="High">' +
+            '<input type="text" id="thresholdNewUnit" value="mg/kg">' +
+            '<button onclick="ThresholdModule.addRow()">Add</button>' +
+            '</div>';
+
+        html += '<div class="edd-actions">' +
+            '<button class="edd-apply" onclick="ThresholdModule.saveDraft()">Save</button>' +
+            '<button onclick="ThresholdModule.confirmReset()">Reset to ROD defaults</button>' +
+            '<button onclick="ThresholdModule.downloadLog()"' + (AppState.thresholdLog.length === 0 ? ' disabled' : '') + '>Export log</button>' +
+            '<button onclick="ThresholdModule.close()">Close</button>' +
+            '</div>';
+
+        html += renderLog();
+        panelEl = Utils.showPanel(panelEl, 'thresholdPanel', 'edd-panel threshold-panel', html);
+    }
+
+    function renderLog() {
+        var log = AppState.thresholdLog;
+        var html = '<details class="threshold-log"' + (log.length > 0 ? ' open' : '') + '><summary>Change log (' + log.length + ')</summary>';
+        if (log.length === 0) return html + '<div class="edd-file">No changes yet.</div></details>';
+
+        html += '<div class="edd-table-wrap"><table class="edd-table"><thead><tr>' +
+            '<th>Time</th><th>Action</th><th>Analyte</th><th>Old</th><th>New</th>' +
+            '</tr></thead><tbody>';
+        log.slice(-MAX_LOG_ROWS).reverse().forEach(function(entry) {
+            html += '<tr>' +
+                '<td>' + Utils.escapeHtml(new Date(entry.time).toLocaleString()) + '</td>' +
+                '<td>' + Utils.escapeHtml(entry.action) + '</td>' +
+                '<td>' + Utils.escapeHtml(entry.analyte) + '</td>' +
+                '<td>' + Utils.escapeHtml(levelText(entry.oldValue)) + '</td>' +
+                '<td>' + Utils.escapeHtml(levelText(entry.newValue)) + '</td>' +
+                '</tr>';
+        });
+        if (log.length > MAX_LOG_ROWS) {
+            html += '<tr><td colspan="5">... and ' + (log.length - MAX_LOG_ROWS) + ' earlier (see Export log)</td></tr>';
+        }
+        return html + '</tbody></table></div></details>';
+    }
+
+    function numText(v) {
+        return typeof v === 'number' ? String(v) : '';
+    }
+
+    function parseLevel(str) {
+        if (str === null || str === undefined || String(str).trim() === '') return null;
+        var n = Number(str);
+        return isNaN(n) ? NaN : n;
+    }
+
+    /**
+     * Copy the table inputs back into the draft, validating each row.
+     * @returns {string[]} Validation errors
+     */
+    function readInputs() {
+        var problems = [];
+        if (!panelEl) return problems;
+        panelEl.querySelectorAll('.threshold-table tbody tr').forEach(function(row) {
+            var analyte = row.getAttribute('data-analyte');
+            var field = function(name) { return row.querySelector('[data-field="' + name + '"]').value; };
+            var entry = {
+                low: parseLevel(field('low')),
+                high: parseLevel(field('high')),
+                unit: field('unit').trim() || 'mg/kg',
+                abbrev: field('abbrev').trim() || AppConfig.analyteSymbols[analyte] || analyte
+            };
+            problems = problems.concat(validateLevel(analyte, entry));
+            if (entry.low === null) entry.low = entry.high;
+            draft[analyte] = entry;
+        });
+        return problems;
+    }
+
+    function validateLevel(analyte, entry) {
+        var problems = [];
+        if (entry.high === null || isNaN(entry.high)) problems.push(analyte + ': high level must be a number');
+        else if (entry.high < 0) problems.push(analyte + ': high level cannot be negative');
+        if (entry.low !== null && isNaN(entry.low)) problems.push(analyte + ': low level must be a number');
+        else if (entry.low !== null && entry.high !== null && entry.low > entry.high) problems.push(analyte + ': low level is above high level');
+        return problems;
+    }
+
+    /**
+     * Match a typed analyte name to a known analyte, ignoring case.
+     * @param {string} name
+     * @returns {string}
+     */
+    function canonicalName(name) {
+        var known = DataModule.getAnalytes().concat(AppConfig.allMetals);
+        for (var i = 0; i < known.length; i++) {
+            if (known[i].toLowerCase() === name.toLowerCase()) return known[i];
+        }
+        return name;
+    }
+
+    /**
+     * Add the analyte typed in the add row to the draft.
+     */
+    function addRow() {
+        errors = readInputs();
+        var name = document.getElementById('thresholdNewAnalyte').value.trim();
+        var entry = {
+            low: parseLevel(document.getElementById('thresholdNewLow').value),
+            high: parseLevel(document.getElementById('thresholdNewHigh').value),
+            unit: document.getElementById('thresholdNewUnit').value.trim() || 'mg/kg',
+            abbrev: ''
+        };
+        if (!name) {
+            errors.push('Enter an analyte name to add');
+        } else {
+            name = canonicalName(name);
+            if (draft[name]) {
+                errors.push(name + ' is already in the table');
+            } else {
+                var problems = validateLevel(name, entry);
+                if (problems.length > 0) {
+                    errors = errors.concat(problems);
+                } else {
+                    if (entry.low === null) entry.low = entry.high;
+                    entry.abbrev = AppConfig.analyteSymbols[name] || name;
+                    draft[name] = entry;
+                }
+            }
+        }
+        render();
+    }
+
+    /**
+     * Remove a row from the draft (button handler).
+     * @param {HTMLElement} btn - Remove button inside the row
+     */
+    function removeRow(btn) {
+        var analyte = btn.closest('tr').getAttribute('data-analyte');
+        errors = readInputs();
+        delete draft[analyte];
+        render();
+    }
+
+    /**
+     * Validate the draft and save it as the thresholds table.
+     */
+    function saveDraft() {
+        errors = readInputs();
+        if (errors.length === 0 && Object.keys(draft).length === 0) {
+            errors.push('Keep at least one analyte in the table');
+        }
+        if (errors.length > 0) {
+            render();
+            return;
+        }
+        save(draft);
+        open();
+    }
+
+    function confirmReset() {
+        if (!confirm('Reset all thresholds to the 2023 ROD defaults? The change is logged.')) return;
+        resetDefaults();
+        open();
+    }
+
+    /**
+     * Download the change log as CSV.
+     */
+    function downloadLog() {
+        var rows = ['Time,Action,Analyte,Old Low,Old High,Old Unit,New Low,New High,New Unit'];
+        AppState.thresholdLog.forEach(function(e) {
+            var o = e.oldValue || {};
+            var n = e.newValue || {};
+            rows.push([e.time, e.action, e.analyte, o.low, o.high, o.unit, n.low, n.high, n.unit].map(function(v) {
+                return v === undefined || v === null ? '' : '"' + String(v).replace(/"/g, '""') + '"';
+            }).join(','));
+        });
+        Utils.downloadFile(rows.join('\n') + '\n', 'text/csv',
+            'SBMM_Threshold_Log_' + new Date().toISOString().split('T')[0] + '.csv');
+    }
+
+    return {
+        init: init,
+        open: open,
+        close: close,
+        save: save,
+        resetDefaults: resetDefaults,
+        isModified: isModified,
+        addRow: addRow,
+        removeRow: removeRow,
+        saveDraft: saveDraft,
+        confirmReset: confirmReset,
+        downloadLog: downloadLog
+    };
+})();
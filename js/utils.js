@@ -95,25 +95,186 @@ var Utils = (function() {
     }
 
     /**
-     * Get analyte value from a sample object.
-     * Handles the different data structures of 2025 vs EA samples.
+     * Get analyte value from a raw sample record.
+     * Reads the `metals` object when present, otherwise the flat lowercase
+     * field used by EA records (e.g. `mercury`). Prefer DataModule.getValue
+     * for normalized locations.
      * @param {Object} sample
      * @param {string} analyte
-     * @param {boolean} isEA - true if EA historical sample
      * @returns {number|null}
      */
-    function getSampleValue(sample, analyte, isEA) {
-        if (isEA) {
-            switch (analyte) {
-                case 'Mercury': return sample.mercury;
-                case 'Arsenic': return sample.arsenic;
-                case 'Antimony': return sample.antimony;
-                case 'Thallium': return sample.thallium;
-            }
-        } else {
-            return sample.metals ? sample.metals[analyte] : null;
+    function getSampleValue(sample, analyte) {
+        var val = sample.metals ? sample.metals[analyte] : sample[analyte.toLowerCase()];
+        return val === undefined ? null : val;
+    }
+
+    /**
+     * Get the full analyte result from a raw sample record or depth interval,
+     * including the lab qualifier and limits stored in the optional
+     * `qualifiers`, `detectionLimits` and `reportingLimits` maps.
+     * @param {Object} sample
+     * @param {string} analyte
+     * @returns {Object} { value, qualifier, dl, rl, detected, rejected }
+     */
+    function getSampleResult(sample, analyte) {
+        var qualifier = sample.qualifiers && sample.qualifiers[analyte]
+            ? String(sample.qualifiers[analyte]).toUpperCase()
+            : '';
+        return {
+            value: toNumber(getSampleValue(sample, analyte)),
+            qualifier: qualifier,
+            dl: sample.detectionLimits ? toNumber(sample.detectionLimits[analyte]) : null,
+            rl: sample.reportingLimits ? toNumber(sample.reportingLimits[analyte]) : null,
+            detected: qualifier.indexOf('U') === -1,
+            rejected: qualifier.indexOf('R') !== -1
+        };
+    }
+
+    function toNumber(val) {
+        if (val === null || val === undefined || val === '') return null;
+        var n = Number(val);
+        return isNaN(n) ? null : n;
+    }
+
+    /**
+     * Format a result object for display: value plus qualifier, e.g.
+     * "12.3 J", "0.50 U", "45.0 R". Returns em-dash when there is no value.
+     * @param {Object|null} result - From getSampleResult or DataModule.getResult
+     * @param {number} [decimals] - Fixed decimals; defaults to formatVal rules
+     * @returns {string}
+     */
+    function formatResult(result, decimals) {
+        if (!result || result.value === null || result.value === undefined) return '\u2014';
+        var text = decimals !== undefined ? result.value.toFixed(decimals) : formatVal(result.value);
+        return result.qualifier ? text + ' ' + result.qualifier : text;
+    }
+
+    /**
+     * Tooltip text describing a result's qualifier and limits,
+     * e.g. "Non-detect | DL 0.1 | RL 0.5". Empty string when there is nothing to add.
+     * @param {Object|null} result
+     * @returns {string}
+     */
+    function describeResult(result) {
+        if (!result) return '';
+        var parts = [];
+        if (result.rejected) parts.push('Rejected (excluded from analyses)');
+        else if (!result.detected) parts.push('Non-detect');
+        else if (result.qualifier.indexOf('J') !== -1) parts.push('Estimated');
+        if (result.dl !== null) parts.push('DL ' + result.dl);
+        if (result.rl !== null) parts.push('RL ' + result.rl);
+        return parts.join(' | ');
+    }
+
+    /**
+     * Whether a value is a #rrggbb color, the only form accepted for colors
+     * that end up in inline styles (e.g. polygon colors from storage or files).
+     * @param {*} val
+     * @returns {boolean}
+     */
+    function isHexColor(val) {
+        return typeof val === 'string' && /^#[0-9a-f]{6}$/i.test(val);
+    }
+
+    /**
+     * Split a #rrggbb color into its channels.
+     * @param {string} hex
+     * @returns {{r: number, g: number, b: number}}
+     */
+    function hexToRgb(hex) {
+        var n = parseInt(hex.slice(1), 16);
+        return { r: (n >> 16) & 255, g: (n >> 8) & 255, b: n & 255 };
+    }
+
+    // ===== MEASUREMENT =====
+
+    var SQ_FT_PER_ACRE = 43560;
+
+    /**
+     * Perimeter of a closed ring in feet.
+     * @param {Array<{lat: number, lon: number}>} ring - Open ring (last point joins the first)
+     * @returns {number}
+     */
+    function perimeterFt(ring) {
+        var conv = AppConfig.coordConversion;
+        var total = 0;
+        for (var i = 0; i < ring.length; i++) {
+            var a = ring[i];
+            var b = ring[(i + 1) % ring.length];
+            var dy = (b.lat - a.lat) * conv.metersPerDegLat;
+            var dx = (b.lon - a.lon) * conv.metersPerDegLon;
+            total += Math.sqrt(dx * dx + dy * dy);
         }
-        return null;
+        return total / conv.feetToMeters;
+    }
+
+    /**
+     * Format an area with its units, e.g. "12,300 ft\u00b2 (0.28 ac)".
+     * @param {number} sqFt
+     * @returns {string}
+     */
+    function formatArea(sqFt) {
+        return Math.round(sqFt).toLocaleString() + ' ft\u00b2 (' + (sqFt / SQ_FT_PER_ACRE).toFixed(2) + ' ac)';
+    }
+
+    /**
+     * Format a volume in cubic yards, rounded, without the unit.
+     * @param {number} cy
+     * @returns {string}
+     */
+    function formatCY(cy) {
+        return Math.round(cy).toLocaleString();
+    }
+
+    // ===== PANELS & DOWNLOADS =====
+
+    /**
+     * Escape text for HTML content and double-quoted attribute values.
+     * null and undefined give an empty string.
+     * @param {*} str
+     * @returns {string}
+     */
+    function escapeHtml(str) {
+        return String(str === null || str === undefined ? '' : str)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Show a tool panel over the map, creating it on first use. Clicks and
+     * scrolls inside the panel do not reach the map.
+     * @param {HTMLElement|null} panel - The module's panel, null the first time
+     * @param {string} id - Element ID for a new panel
+     * @param {string} className - Classes for a new panel, e.g. 'edd-panel thiessen-panel'
+     * @param {string} html - Panel content
+     * @returns {HTMLElement} The panel
+     */
+    function showPanel(panel, id, className, html) {
+        if (!panel) {
+            panel = document.createElement('div');
+            panel.id = id;
+            panel.className = className;
+            L.DomEvent.disableClickPropagation(panel);
+            L.DomEvent.disableScrollPropagation(panel);
+            document.getElementById('map').appendChild(panel);
+        }
+        panel.innerHTML = html;
+        panel.style.display = 'block';
+        return panel;
+    }
+
+    /**
+     * Save text as a file through a temporary download link.
+     * @param {string} content
+     * @param {string} type - MIME type, e.g. 'text/csv'
+     * @param {string} fileName
+     */
+    function downloadFile(content, type, fileName) {
+        var blob = new Blob([content], { type: type });
+        var a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = fileName;
+        a.click();
+        URL.revokeObjectURL(a.href);
     }
 
     /**
@@ -165,11 +326,13 @@ var Utils = (function() {
      * @param {Array} data
      * @param {string} datasetName
      * @param {Function} validator
+     * @param {string[]} [errorsOut] - If given, all error messages are appended here for UI reporting
      * @returns {Array}
      */
-    function validateDataset(data, datasetName, validator) {
+    function validateDataset(data, datasetName, validator, errorsOut) {
         if (!Array.isArray(data)) {
             console.error('Data validation: ' + datasetName + ' is not an array');
+            if (errorsOut) errorsOut.push(datasetName + ' is not an array');
             return [];
         }
 
@@ -185,6 +348,10 @@ var Utils = (function() {
             }
         });
 
+        if (errorsOut) {
+            allErrors.forEach(function(e) { errorsOut.push(e); });
+        }
+
         if (allErrors.length > 0) {
             console.warn('Data validation warnings for ' + datasetName + ' (' + allErrors.length + ' issues):');
             allErrors.slice(0, 10).forEach(function(e) { console.warn('  ' + e); });
@@ -206,16 +373,44 @@ var Utils = (function() {
         return { valid: errors.length === 0, errors: errors };
     }
 
+    /**
+     * Validate a parsed lab EDD row (see EDDModule.parse).
+     * Rows carry their CSV line number for error messages.
+     */
+    function validateEDDRow(r, index) {
+        var errors = [];
+        var where = 'Line ' + (r.line || index + 2);
+        if (!r.locationId) errors.push(where + ': missing location ID');
+        if (!r.analyte) errors.push(where + ': unrecognized analyte "' + (r.rawAnalyte || '') + '"');
+        if (r.unitFactor === null) errors.push(where + ': unsupported unit "' + (r.rawUnit || '') + '"');
+        if (r.value === null) errors.push(where + ': missing or non-numeric result');
+        if (r.top !== null && r.bottom !== null && r.bottom < r.top) errors.push(where + ': bottom depth above top depth');
+        if (r.qualifier && !/^[A-Z*+]+$/.test(r.qualifier)) errors.push(where + ': invalid qualifier "' + r.qualifier + '"');
+        return { valid: errors.length === 0, errors: errors };
+    }
+
     return {
         fmt: fmt,
         formatVal: formatVal,
         createElement: createElement,
         parseCSVLine: parseCSVLine,
         getSampleValue: getSampleValue,
+        getSampleResult: getSampleResult,
+        formatResult: formatResult,
+        describeResult: describeResult,
+        isHexColor: isHexColor,
+        hexToRgb: hexToRgb,
+        perimeterFt: perimeterFt,
+        formatArea: formatArea,
+        formatCY: formatCY,
+        escapeHtml: escapeHtml,
+        showPanel: showPanel,
+        downloadFile: downloadFile,
         loadJSON: loadJSON,
         validateSample2025: validateSample2025,
         validateEASample: validateEASample,
         validateDataset: validateDataset,
-        validateLocationEntry: validateLocationEntry
+        validateLocationEntry: validateLocationEntry,
+        validateEDDRow: validateEDDRow
     };
 })();